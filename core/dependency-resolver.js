@@ -6,8 +6,18 @@
  * - Topological sorting (DAG traversal)
  * - Circular dependency detection
  * - Missing dependency detection
+ * - Semantic version constraints (e.g. 'physics@^1.2')
+ * - Optional dependencies (ordered before the dependent when present)
+ * - Capabilities: `provides` (e.g. 'physics-engine@1.0.0') and `conflicts`
+ * - Explanations with the dependency chain that led to each problem
  * - Optimal load order calculation
  *
+ * Module declarations (all optional, on the module instance):
+ * - dependencies:         ['camera', 'physics@^1.2', { name: 'sky', version: '>=2' }]
+ * - optionalDependencies: ['shadow@^1']
+ * - provides:             ['physics-engine@1.0.0']
+ * - conflicts:            ['legacy-physics', 'ground@<2']
+ *
  * @example
  * const resolver = new DependencyResolver();
  * const modules = [groundModule, lightingModule, cameraModule];
@@ -15,26 +25,75 @@
  * // Returns modules in dependency order
  */
 
+import Semver from './semver.js';
+
 export class DependencyResolver {
     constructor() {
-        this.graph = new Map(); // Module name → dependencies
-        this.inDegree = new Map(); // Module name → number of dependencies
+        this.graph = new Map(); // Module name → dependencies (names of providing modules)
+        this.inDegree = new Map(); // Module name → number of dependents
+        this.providers = new Map(); // Capability/module name → { module, version }
+        this.skipped = []; // Optional dependencies that were not available
+    }
+
+    /**
+     * Parse dependency / capability spec
+     * @param {string|Object} spec - 'name', 'name@range' or { name, version, optional }
+     * @returns {{name: string, range: string, optional: boolean, raw: string}}
+     * @throws {Error} If spec or range is malformed
+     */
+    static parseSpec(spec) {
+        let name;
+        let range = '';
+        let optional = false;
+
+        if (typeof spec === 'string') {
+            // '@' after the first character splits name and range (allows '@scope/name@^1')
+            const at = spec.indexOf('@', 1);
+            name = (at === -1 ? spec : spec.slice(0, at)).trim();
+            range = at === -1 ? '' : spec.slice(at + 1).trim();
+        } else if (spec && typeof spec === 'object') {
+            name = spec.name;
+            range = spec.version || spec.range || '';
+            optional = spec.optional === true;
+        }
+
+        if (!name || typeof name !== 'string') {
+            throw new Error(`[DependencyResolver] Invalid dependency spec: ${JSON.stringify(spec)}`);
+        }
+
+        if (range && !Semver.validRange(range)) {
+            throw new Error(`[DependencyResolver] Invalid version range "${range}" for ${name}`);
+        }
+
+        return { name, range, optional, raw: range ? `${name}@${range}` : name };
     }
 
     /**
      * Resolve module dependencies and return load order
      * @param {Array<Object>} modules - Array of module instances
+     * @param {Object} [options]
+     * @param {Map<string, string|null>|Array<string>} [options.external] - Names satisfied
+     *        outside the resolver (e.g. legacy plugins), with optional versions
      * @returns {Array<Object>} Modules in dependency order
-     * @throws {Error} If circular dependency or missing dependency detected
+     * @throws {Error} If circular, missing, incompatible or conflicting dependencies detected.
+     *         error.problems lists each problem with type, module, dependency and chain
      */
-    resolve(modules) {
+    resolve(modules, options = {}) {
         console.log('[DependencyResolver] Resolving dependencies...');
 
-        // Build dependency graph
-        this._buildGraph(modules);
+        // Normalize declarations and index what every module provides
+        const entries = this._normalize(modules);
+        const problems = this._buildProviders(entries, options.external);
 
-        // Check for missing dependencies
-        this._checkMissingDependencies(modules);
+        // Build dependency graph (also checks missing / version mismatches)
+        problems.push(...this._buildGraph(entries));
+
+        // Check declared conflicts
+        problems.push(...this._checkConflicts(entries));
+
+        if (problems.length > 0) {
+            throw this._createError(problems);
+        }
 
         // Detect circular dependencies
         this._detectCycles();
@@ -42,61 +101,280 @@ export class DependencyResolver {
         // Topological sort
         const sorted = this._topologicalSort(modules);
 
+        if (this.skipped.length > 0) {
+            console.log('[DependencyResolver] Optional dependencies not present:',
+                this.skipped.map(s => `${s.module} → ${s.dependency}`).join(', '));
+        }
+
         console.log('[DependencyResolver] Resolved order:', sorted.map(m => m.name).join(' → '));
 
         return sorted;
     }
 
+    /**
+     * Explain why a module is loaded: chain from a root module down to it
+     * @param {string} moduleName - Module name
+     * @returns {Array<string>} e.g. ['editor', 'properties', 'material']
+     */
+    getChain(moduleName) {
+        // Walk dependents upwards until a module nobody depends on
+        const parents = new Map([[moduleName, null]]);
+        const queue = [moduleName];
+
+        while (queue.length > 0) {
+            const name = queue.shift();
+            const dependents = [...this.graph.entries()]
+                .filter(([, deps]) => deps.includes(name))
+                .map(([dependent]) => dependent);
+
+            if (dependents.length === 0) {
+                // Root found - rebuild chain root → moduleName
+                const chain = [];
+                for (let node = name; node !== null; node = parents.get(node)) {
+                    chain.push(node);
+                }
+                return chain;
+            }
+
+            for (const dependent of dependents) {
+                if (!parents.has(dependent)) {
+                    parents.set(dependent, name);
+                    queue.push(dependent);
+                }
+            }
+        }
+
+        // Only cycles above this module - fall back to the module alone
+        return [moduleName];
+    }
+
+    /**
+     * Normalize module declarations
+     * @private
+     * @param {Array<Object>} modules
+     * @returns {Array<Object>} { module, name, version, dependencies, provides, conflicts }
+     */
+    _normalize(modules) {
+        return modules.map(module => {
+            const dependencies = [
+                ...(module.dependencies || []).map(spec => DependencyResolver.parseSpec(spec)),
+                ...(module.optionalDependencies || []).map(spec => ({
+                    ...DependencyResolver.parseSpec(spec),
+                    optional: true
+                }))
+            ];
+
+            return {
+                module,
+                name: module.name,
+                version: module.version || null,
+                dependencies,
+                provides: (module.provides || []).map(spec => DependencyResolver.parseSpec(spec)),
+                conflicts: (module.conflicts || []).map(spec => DependencyResolver.parseSpec(spec))
+            };
+        });
+    }
+
+    /**
+     * Index modules, their capabilities and external names
+     * @private
+     * @returns {Array<Object>} Problems (duplicate names / capabilities)
+     */
+    _buildProviders(entries, external = []) {
+        this.providers.clear();
+        const problems = [];
+
+        const register = (capability, provider) => {
+            const existing = this.providers.get(capability);
+            if (existing && existing.module !== provider.module) {
+                problems.push({
+                    type: 'duplicate',
+                    module: provider.module,
+                    dependency: capability,
+                    chain: [provider.module],
+                    message: `"${capability}" is provided by both ${existing.module} and ${provider.module}`
+                });
+                return;
+            }
+            this.providers.set(capability, provider);
+        };
+
+        // External names (legacy plugins, host services) first - modules may not shadow them
+        const externalEntries = external instanceof Map
+            ? [...external.entries()]
+            : [...external].map(name => [name, null]);
+
+        for (const [name, version] of externalEntries) {
+            this.providers.set(name, { module: name, version: version || null, external: true });
+        }
+
+        for (const entry of entries) {
+            if (entry.version && !Semver.valid(entry.version)) {
+                problems.push({
+                    type: 'version',
+                    module: entry.name,
+                    dependency: entry.name,
+                    chain: [entry.name],
+                    message: `${entry.name} has invalid version "${entry.version}"`
+                });
+            }
+
+            register(entry.name, { module: entry.name, version: entry.version });
+
+            for (const capability of entry.provides) {
+                if (capability.range && !Semver.valid(capability.range)) {
+                    problems.push({
+                        type: 'version',
+                        module: entry.name,
+                        dependency: capability.name,
+                        chain: [entry.name],
+                        message: `${entry.name} provides "${capability.name}" with invalid version "${capability.range}"`
+                    });
+                    continue;
+                }
+
+                // 'name@1.0.0' declares capability version, default is module version
+                register(capability.name, {
+                    module: entry.name,
+                    version: capability.range || entry.version
+                });
+            }
+        }
+
+        return problems;
+    }
+
     /**
      * Build dependency graph
      * @private
-     * @param {Array<Object>} modules - Modules to analyze
+     * @param {Array<Object>} entries - Normalized modules
+     * @returns {Array<Object>} Problems (missing / incompatible dependencies)
      */
-    _buildGraph(modules) {
+    _buildGraph(entries) {
         this.graph.clear();
         this.inDegree.clear();
+        this.skipped = [];
+
+        const problems = [];
+        const unresolved = [];
 
         // Initialize graph
-        for (const module of modules) {
-            const deps = module.dependencies || [];
-            this.graph.set(module.name, deps);
-            this.inDegree.set(module.name, 0);
+        for (const entry of entries) {
+            this.graph.set(entry.name, []);
+            this.inDegree.set(entry.name, 0);
         }
 
-        // Calculate in-degrees (number of modules depending on this one)
-        for (const module of modules) {
-            const deps = module.dependencies || [];
-            for (const dep of deps) {
-                if (this.inDegree.has(dep)) {
-                    this.inDegree.set(dep, this.inDegree.get(dep) + 1);
+        for (const entry of entries) {
+            for (const dep of entry.dependencies) {
+                const provider = this.providers.get(dep.name);
+
+                if (!provider) {
+                    if (dep.optional) {
+                        this.skipped.push({ module: entry.name, dependency: dep.raw });
+                    } else {
+                        unresolved.push({ type: 'missing', entry, dep });
+                    }
+                    continue;
+                }
+
+                // Version check (optional dependencies too - present but incompatible is an error)
+                if (dep.range) {
+                    if (!provider.version) {
+                        unresolved.push({ type: 'version', entry, dep, provider, reason: 'has no version to check' });
+                        continue;
+                    }
+                    if (!Semver.satisfies(provider.version, dep.range)) {
+                        unresolved.push({ type: 'version', entry, dep, provider, reason: `is ${provider.version}` });
+                        continue;
+                    }
+                }
+
+                // Only modules being resolved take part in ordering
+                if (!provider.external && provider.module !== entry.name) {
+                    const deps = this.graph.get(entry.name);
+                    if (!deps.includes(provider.module)) {
+                        deps.push(provider.module);
+                        this.inDegree.set(provider.module, this.inDegree.get(provider.module) + 1);
+                    }
                 }
             }
         }
+
+        // Explain with chains once the graph is complete
+        for (const { type, entry, dep, provider, reason } of unresolved) {
+            const chain = this.getChain(entry.name);
+            const via = provider && provider.module !== dep.name ? ` (provided by ${provider.module})` : '';
+            const kind = dep.optional ? 'optional dependency' : 'dependency';
+
+            problems.push({
+                type,
+                module: entry.name,
+                dependency: dep.raw,
+                chain: [...chain, dep.raw],
+                message: type === 'missing'
+                    ? `${entry.name} requires ${dep.raw}, which is not available`
+                    : `${entry.name} requires ${kind} ${dep.raw}, but ${dep.name}${via} ${reason}`
+            });
+        }
+
+        return problems;
     }
 
     /**
-     * Check for missing dependencies
+     * Check declared conflicts against modules and capabilities
      * @private
-     * @param {Array<Object>} modules - Modules to check
-     * @throws {Error} If dependencies are missing
+     * @param {Array<Object>} entries - Normalized modules
+     * @returns {Array<Object>} Problems
      */
-    _checkMissingDependencies(modules) {
-        const moduleNames = new Set(modules.map(m => m.name));
-        const missing = [];
-
-        for (const module of modules) {
-            const deps = module.dependencies || [];
-            for (const dep of deps) {
-                if (!moduleNames.has(dep)) {
-                    missing.push({ module: module.name, dependency: dep });
+    _checkConflicts(entries) {
+        const problems = [];
+
+        for (const entry of entries) {
+            for (const conflict of entry.conflicts) {
+                const provider = this.providers.get(conflict.name);
+                if (!provider || provider.module === entry.name) continue;
+
+                // Unversioned providers conflict only with unversioned conflict specs
+                const matches = conflict.range
+                    ? provider.version && Semver.satisfies(provider.version, conflict.range)
+                    : true;
+
+                if (matches) {
+                    const versionInfo = provider.version ? ` ${provider.version}` : '';
+                    const via = provider.module !== conflict.name ? ` (provided by ${provider.module})` : '';
+                    problems.push({
+                        type: 'conflict',
+                        module: entry.name,
+                        dependency: conflict.raw,
+                        chain: this.getChain(entry.name),
+                        message: `${entry.name} conflicts with ${conflict.raw}: ${conflict.name}${versionInfo}${via} is loaded`
+                    });
                 }
             }
         }
 
-        if (missing.length > 0) {
-            const errors = missing.map(m => `${m.module} → ${m.dependency}`).join(', ');
-            throw new Error(`[DependencyResolver] Missing dependencies: ${errors}`);
-        }
+        return problems;
+    }
+
+    /**
+     * Build single error describing all problems
+     * @private
+     * @param {Array<Object>} problems
+     * @returns {Error} error.problems holds the structured list
+     */
+    _createError(problems) {
+        const lines = problems.map(problem => {
+            const chain = problem.chain.length > 1 ? `\n    chain: ${problem.chain.join(' → ')}` : '';
+            return `  - ${problem.message}${chain}`;
+        });
+
+        const error = new Error(
+            `[DependencyResolver] Incompatible modules (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n${lines.join('\n')}`
+        );
+        error.name = 'DependencyError';
+        error.problems = problems;
+
+        return error;
     }
 
     /**
@@ -111,9 +389,18 @@ export class DependencyResolver {
         const dfs = (node, path = []) => {
             if (recursionStack.has(node)) {
                 // Circular dependency found
-                const cycle = [...path, node];
+                const cycle = [...path.slice(path.indexOf(node)), node];
                 const cycleStr = cycle.join(' → ');
-                throw new Error(`[DependencyResolver] Circular dependency: ${cycleStr}`);
+                const error = new Error(`[DependencyResolver] Circular dependency: ${cycleStr}`);
+                error.name = 'DependencyError';
+                error.problems = [{
+                    type: 'cycle',
+                    module: node,
+                    dependency: path[path.length - 1],
+                    chain: cycle,
+                    message: `Circular dependency: ${cycleStr}`
+                }];
+                throw error;
             }
 
             if (visited.has(node)) {
@@ -146,50 +433,50 @@ export class DependencyResolver {
 
     /**
      * Topological sort using Kahn's algorithm
+     * Uses the resolved graph, so optional and capability dependencies are ordered too.
+     * Stable: among modules whose dependencies are met, the one listed first goes first,
+     * so a list that already satisfies all dependencies keeps its order
      * @private
      * @param {Array<Object>} modules - Modules to sort
      * @returns {Array<Object>} Sorted modules
      */
     _topologicalSort(modules) {
         const sorted = [];
-        const queue = [];
-
-        // Create module map for quick lookup
-        const moduleMap = new Map(modules.map(m => [m.name, m]));
+        const ready = []; // Indexes into modules, kept ascending
 
         // Create dependency count map
         const depCount = new Map();
         for (const module of modules) {
-            const deps = module.dependencies || [];
-            depCount.set(module.name, deps.length);
+            depCount.set(module.name, (this.graph.get(module.name) || []).length);
         }
 
         // Find modules with no dependencies (start nodes)
-        for (const module of modules) {
+        modules.forEach((module, index) => {
             if (depCount.get(module.name) === 0) {
-                queue.push(module);
+                ready.push(index);
             }
-        }
+        });
 
-        // Process queue
-        while (queue.length > 0) {
-            const module = queue.shift();
+        // Process ready modules, earliest listed first
+        while (ready.length > 0) {
+            const module = modules[ready.shift()];
             sorted.push(module);
 
             // Find modules that depend on this one
-            for (const otherModule of modules) {
-                const deps = otherModule.dependencies || [];
+            modules.forEach((otherModule, index) => {
+                const deps = this.graph.get(otherModule.name) || [];
                 if (deps.includes(module.name)) {
                     // Decrease dependency count
                     const count = depCount.get(otherModule.name) - 1;
                     depCount.set(otherModule.name, count);
 
-                    // If all dependencies satisfied, add to queue
+                    // If all dependencies satisfied, it is ready
                     if (count === 0) {
-                        queue.push(otherModule);
+                        ready.push(index);
+                        ready.sort((a, b) => a - b);
                     }
                 }
-            }
+            });
         }
 
         // Verify all modules processed
@@ -200,6 +487,17 @@ export class DependencyResolver {
         return sorted;
     }
 
+    /**
+     * Get dependency names declared by a module (required and optional, without ranges)
+     * @private
+     * @param {Object} module
+     * @returns {Array<string>}
+     */
+    _dependencyNames(module) {
+        return [...(module.dependencies || []), ...(module.optionalDependencies || [])]
+            .map(spec => DependencyResolver.parseSpec(spec).name);
+    }
+
     /**
      * Get dependency tree for a module
      * @param {Object} module - Module instance
@@ -222,8 +520,7 @@ export class DependencyResolver {
 
             const mod = moduleMap.get(name);
             if (mod) {
-                const deps = mod.dependencies || [];
-                queue.push(...deps);
+                queue.push(...this._dependencyNames(mod));
             }
         }
 
@@ -264,8 +561,7 @@ export class DependencyResolver {
         const dependents = [];
 
         for (const module of allModules) {
-            const deps = module.dependencies || [];
-            if (deps.includes(moduleName)) {
+            if (this._dependencyNames(module).includes(moduleName)) {
                 dependents.push(module.name);
             }
         }
@@ -282,8 +578,11 @@ export class DependencyResolver {
         let output = '\n=== Dependency Graph ===\n\n';
 
         for (const module of modules) {
-            const deps = module.dependencies || [];
-            output += `${module.name}\n`;
+            const deps = [
+                ...(module.dependencies || []).map(spec => DependencyResolver.parseSpec(spec).raw),
+                ...(module.optionalDependencies || []).map(spec => `${DependencyResolver.parseSpec(spec).raw} (optional)`)
+            ];
+            output += module.version ? `${module.name}@${module.version}\n` : `${module.name}\n`;
 
             if (deps.length === 0) {
                 output += '  └─ (no dependencies)\n';
@@ -307,6 +606,8 @@ export class DependencyResolver {
     clear() {
         this.graph.clear();
         this.inDegree.clear();
+        this.providers.clear();
+        this.skipped = [];
     }
 }
 
@@ -4,27 +4,45 @@
  *
  * Phase 2 Updates:
  * - Uses new Module system (ModuleBase)
+ * - Wraps legacy plugins in PluginModule so every module shares one lifecycle
  * - Uses DependencyResolver for load order
+ * - Uses ModuleRegistry (manifests) to find modules, controllers, templates and styles
  * - Instantiates UI controllers
  * - Proper module lifecycle management
+ * - Hot disable/enable/reload of modules at runtime (cascades to dependents)
+ * - Fault isolation: a failing non-critical module is quarantined, modules requiring it
+ *   are skipped and the scene starts in degraded mode (see getHealthReport())
  *
  * Architecture:
- *   1. Load configuration
+ *   1. Load configuration (engine config → discover module manifests → scene config)
  *   2. Load CSS styles
  *   3. Load HTML templates
  *   4. Initialize core engine
- *   5. Load modules (using imports)
+ *   5. Load modules (from registry)
  *   6. Resolve dependencies
  *   7. Initialize modules in order
- *   8. Initialize controllers
- *   9. Start modules
- *   10. Create demo objects
+ *   8. Start modules in order (starts their plugins)
+ *   9. Start engine (render loop)
+ *   10. Initialize controllers
+ *   11. Create demo objects (then their joints)
  */
 
 import BabylonEngine from '../src/core/BabylonEngine.js';
 import ConfigLoader from '../src/config/ConfigLoader.js';
 import TemplateLoader from '../ui/template-loader.js';
 import DependencyResolver from './dependency-resolver.js';
+import ModuleRegistry from './module-registry.js';
+import PluginModule from '../modules/base/plugin-module.js';
+import ResourceTracker from './resource-tracker.js';
+import ModulePanel from '../ui/module-panel.js';
+import EventTracer from '../src/core/EventTracer.js';
+import EventInspector from '../ui/event-inspector.js';
+import KeyBindingsPanel from '../ui/key-bindings-panel.js';
+import VirtualJoystick from '../ui/virtual-joystick.js';
+import InputRecorder from '../src/input/InputRecorder.js';
+
+// Module sources when engine config has no registry.sources (relative to index.html)
+const DEFAULT_MODULE_SOURCES = ['./modules/', './src/plugins/'];
 
 export class LegozoLoader {
     constructor() {
@@ -34,6 +52,17 @@ export class LegozoLoader {
         this.controllers = new Map(); // name → controller instance
         this.templates = new TemplateLoader();
         this.resolver = new DependencyResolver();
+        this.registry = new ModuleRegistry();
+        this.tracker = null; // ResourceTracker, created with the engine
+        this.disabled = new Map(); // name → { state, cascaded } for modules switched off at runtime
+        this.quarantined = new Map(); // name → { status, phase, reason, ... } for modules left out after a failure
+        this.timings = new Map(); // name → { load, init, start } in ms
+        this.operation = Promise.resolve(); // Serializes hot enable/disable/reload
+        this.modulePanel = null;
+        this.tracer = null; // EventTracer, only when tracing is enabled
+        this.eventInspector = null;
+        this.keyBindingsPanel = null;
+        this.virtualJoystick = null;
     }
 
     /**
@@ -81,12 +110,12 @@ export class LegozoLoader {
             // 7. Initialize modules (in dependency order)
             await this.initializeModules();
 
-            // 8. Start engine (this starts old plugins too)
-            await this.engine.start();
-
-            // 9. Start modules
+            // 8. Start modules (in dependency order, before the first frame renders)
             await this.startModules();
 
+            // 9. Start engine (render loop + plugins registered outside modules)
+            await this.engine.start();
+
             // 10. Initialize controllers
             await this.initializeControllers();
 
@@ -95,12 +124,43 @@ export class LegozoLoader {
                 await this.createDemoObjects();
             }
 
+            // Joints connect demo objects, so they come after them
+            if (this.config.joints) {
+                this.createJoints();
+            }
+
+            // Module debug panel (opt-in)
+            if (this.config.ui?.modulePanel) {
+                this.toggleModulePanel(true);
+            }
+
+            // Event trace inspector (opt-in, enables tracing)
+            if (this.config.ui?.eventInspector) {
+                this.toggleEventInspector(true);
+            }
+
+            // Key binding settings
+            if (this.config.ui?.keyBindingsPanel) {
+                this.toggleKeyBindingsPanel(true);
+            }
+
+            // On-screen joysticks ("auto": touch screens only)
+            const joystick = this.config.ui?.virtualJoystick ?? 'auto';
+            if (joystick === true || (joystick === 'auto' && VirtualJoystick.isTouchDevice())) {
+                this.toggleVirtualJoystick(true);
+            }
+
             // 12. Hide loading screen
             this.hideLoadingScreen();
 
             console.log('[Legozo] Started successfully');
             console.log('[Legozo] Active modules:', Array.from(this.modules.keys()).join(', '));
 
+            if (this.quarantined.size > 0) {
+                console.warn(`[Legozo] Degraded mode - unavailable: ${Array.from(this.quarantined.keys()).join(', ')} ` +
+                    '(details: legozo.getHealthReport())');
+            }
+
         } catch (error) {
             console.error('[Legozo] Start failed:', error);
             throw error;
@@ -118,6 +178,10 @@ export class LegozoLoader {
         // Load both engine config and scene config
         // Paths are relative to index.html, not this file
         const engineConfig = await ConfigLoader.load('./config/engine-config.json');
+
+        // Manifests can add config sections, so discover them before validating the scene
+        await this.discoverModules(engineConfig.registry?.sources || DEFAULT_MODULE_SOURCES);
+
         const sceneConfig = await ConfigLoader.load(configPath);
 
         // Merge configurations
@@ -126,20 +190,100 @@ export class LegozoLoader {
             ...sceneConfig
         };
 
+        // Input contexts can be files shipped next to the scene - the engine needs objects
+        if (this.config.input?.contexts?.length) {
+            this.config.input = {
+                ...this.config.input,
+                contexts: await this.loadInputContexts(this.config.input.contexts)
+            };
+        }
+
         console.log('[Legozo] Configuration loaded');
     }
 
     /**
-     * Load CSS styles
+     * Load input context definitions given as file paths
+     * @param {Array<string|Object>} entries - Definitions or JSON files (one definition or a list each)
+     * @returns {Promise<Array<Object>>} Definitions
+     */
+    async loadInputContexts(entries) {
+        const definitions = [];
+
+        for (const entry of entries) {
+            if (typeof entry !== 'string') {
+                definitions.push(entry);
+                continue;
+            }
+
+            // Paths are relative to index.html, like the scene config
+            const text = await ConfigLoader.fetchText(entry);
+            if (text === null) {
+                throw new Error(`Input context file not found: ${entry}`);
+            }
+            definitions.push(...[].concat(ConfigLoader.parse(text, entry)));
+        }
+
+        return definitions;
+    }
+
+    /**
+     * Discover module manifests
+     * @param {Array<string>} sources - Directories, index files or manifest URLs
+     * @returns {Promise<void>}
+     */
+    async discoverModules(sources) {
+        this.updateLoading(15, 'Discovering modules...');
+
+        await this.registry.discover(sources);
+
+        // Register module config sections with the config schema
+        for (const manifest of this.registry.list()) {
+            if (!manifest.config) continue;
+
+            try {
+                const schema = await this.registry.loadConfigSchema(manifest.name);
+                if (schema) {
+                    ConfigLoader.registerSection(manifest.config.key, schema);
+                }
+            } catch (error) {
+                console.error(`[Legozo] Failed to load config schema of ${manifest.name}:`, error);
+            }
+        }
+
+        console.log(`[Legozo] Module registry: ${this.registry.list().map(m => m.name).join(', ')}`);
+    }
+
+    /**
+     * Load CSS styles (main stylesheet + styles of enabled modules)
      * @returns {Promise<void>}
      */
     async loadStyles() {
         this.updateLoading(20, 'Loading styles...');
 
-        // Create link element for main stylesheet
+        await this.loadStylesheet('./ui/styles/main.css');
+
+        // Module styles are optional - a missing file should not stop startup
+        for (const href of this.registry.getStyles(this.config.modules || [])) {
+            try {
+                await this.loadStylesheet(href);
+            } catch (error) {
+                console.error(`[Legozo] Failed to load stylesheet ${href}`);
+            }
+        }
+
+        console.log('[Legozo] Styles loaded');
+    }
+
+    /**
+     * Add stylesheet link and wait for it to load
+     * @param {string} href - Stylesheet URL
+     * @returns {Promise<void>}
+     */
+    async loadStylesheet(href) {
+        // Create link element for stylesheet
         const link = document.createElement('link');
         link.rel = 'stylesheet';
-        link.href = './ui/styles/main.css';
+        link.href = href;
         document.head.appendChild(link);
 
         // Wait for stylesheet to load
@@ -147,8 +291,6 @@ export class LegozoLoader {
             link.onload = resolve;
             link.onerror = reject;
         });
-
-        console.log('[Legozo] Styles loaded');
     }
 
     /**
@@ -165,7 +307,10 @@ export class LegozoLoader {
             'control-panel'
         ];
 
-        await this.templates.loadMultiple(templateList);
+        // Templates declared by enabled modules' manifests
+        const moduleTemplates = this.registry.getTemplates(this.config.modules || []);
+
+        await this.templates.loadMultiple([...templateList, ...moduleTemplates]);
 
         console.log('[Legozo] Templates loaded');
     }
@@ -185,6 +330,14 @@ export class LegozoLoader {
         this.engine = new BabylonEngine(canvas, this.config);
         window.engine = this.engine; // Global reference for debugging
 
+        // Attributes scene objects / listeners to modules so unloading can't leak them
+        this.tracker = new ResourceTracker(this.engine);
+
+        // Trace from the start so module loading shows up too
+        if (this.config.tracing?.enabled) {
+            this.enableTracing();
+        }
+
         console.log('[Legozo] Engine initialized');
     }
 
@@ -197,55 +350,61 @@ export class LegozoLoader {
 
         const moduleNames = this.config.modules || [];
 
-        // Module imports (new module classes)
-        const imports = {
-            'ground': () => import('../modules/ground/ground.module.js'),
-            'physics': () => import('../modules/physics/physics.module.js'),
-            // Old plugins (will be converted gradually)
-            'camera': () => import('../src/plugins/CameraPlugin.js'),
-            'movement': () => import('../src/plugins/MovementPlugin.js'),
-            'collision': () => import('../src/plugins/CollisionPlugin.js'),
-            'gravity': () => import('../src/plugins/GravityPlugin.js'),
-            'lighting': () => import('../src/plugins/LightingPlugin.js'),
-            'shadow': () => import('../src/plugins/ShadowPlugin.js'),
-            'material': () => import('../src/plugins/MaterialPlugin.js'),
-            'sky': () => import('../src/plugins/SkyPlugin.js'),
-            'asset': () => import('../src/plugins/AssetPlugin.js'),
-            'interaction': () => import('../src/plugins/InteractionPlugin.js'),
-            'ui': () => import('../src/plugins/UIPlugin.js'),
-            'performance': () => import('../src/plugins/PerformancePlugin.js'),
-            'gizmo': () => import('../src/plugins/GizmoPlugin.js'),
-            'properties': () => import('../src/plugins/PropertiesPlugin.js')
-        };
-
         // Load each module
         for (const name of moduleNames) {
-            if (imports[name]) {
-                try {
-                    const module = await imports[name]();
-                    const ModuleClass = module.default || module.GroundModule;
-
-                    // Check if it's a new-style module (extends ModuleBase)
-                    if (ModuleClass.prototype && ModuleClass.prototype._onInit !== undefined) {
-                        // New module system
-                        const instance = new ModuleClass();
-                        this.modules.set(name, instance);
-                        console.log(`[Legozo] Loaded NEW module: ${name} v${instance.version}`);
-                    } else {
-                        // Old plugin system (register directly)
-                        const plugin = new ModuleClass();
-                        this.engine.registerPlugin(name, plugin);
-                        console.log(`[Legozo] Loaded OLD plugin: ${name}`);
-                    }
-                } catch (error) {
-                    console.error(`[Legozo] Failed to load ${name}:`, error);
-                }
+            const since = performance.now();
+            let module = null;
+
+            try {
+                module = await this.createModule(name);
+            } catch (error) {
+                console.error(`[Legozo] Failed to load ${name}:`, error);
+                this.recordTiming(name, 'load', since);
+                await this.isolateFailure(name, 'load', error);
+                continue;
+            }
+
+            this.recordTiming(name, 'load', since);
+            if (module) {
+                this.modules.set(name, module);
             } else {
-                console.warn(`[Legozo] Unknown module: ${name}`);
+                await this.isolateFailure(name, 'load', new Error(`Unknown module: ${name} (no manifest)`));
+            }
+        }
+
+        console.log(`[Legozo] Loaded ${this.modules.size} modules`);
+    }
+
+    /**
+     * Create module instance from its manifest
+     * @param {string} name - Module name
+     * @param {Object} [options]
+     * @param {boolean} [options.reload] - Re-import the entry file (hot reload)
+     * @returns {Promise<Object|null>} ModuleBase instance, null if no manifest
+     */
+    async createModule(name, options = {}) {
+        const manifest = this.registry.get(name);
+        if (!manifest) {
+            console.warn(`[Legozo] Unknown module: ${name} (no manifest in ${this.registry.list().length} registered)`);
+            return null;
+        }
+
+        const ModuleClass = await this.registry.loadClass(name, options);
+
+        // Check if it's a new-style module (extends ModuleBase)
+        if (ModuleClass.prototype && ModuleClass.prototype._onInit !== undefined) {
+            // New module system
+            const instance = new ModuleClass();
+            if (instance.version !== manifest.version) {
+                console.warn(`[Legozo] ${name}: manifest says v${manifest.version}, module reports v${instance.version}`);
             }
+            console.log(`[Legozo] Loaded module: ${name} v${instance.version}`);
+            return instance;
         }
 
-        console.log(`[Legozo] Loaded ${this.modules.size} new modules`);
+        // Legacy plugin - adapter takes dependencies from the manifest
+        console.log(`[Legozo] Loaded plugin as module: ${name} v${manifest.version}`);
+        return new PluginModule(name, ModuleClass, manifest);
     }
 
     /**
@@ -260,28 +419,74 @@ export class LegozoLoader {
 
         this.updateLoading(55, 'Resolving dependencies...');
 
-        try {
-            const moduleArray = Array.from(this.modules.values());
-            const sorted = this.resolver.resolve(moduleArray);
+        // Leave out the modules the resolver rejects and retry with the rest
+        for (;;) {
+            try {
+                this.orderModules();
+                return;
+            } catch (error) {
+                const rejected = [...new Set((error.problems || []).map(problem => problem.module))]
+                    .filter(name => this.modules.has(name));
 
-            // Update modules map with sorted order
-            const sortedModules = new Map();
-            for (const module of sorted) {
-                sortedModules.set(module.name, module);
-            }
-            this.modules = sortedModules;
+                if (rejected.length === 0) {
+                    console.error('[Legozo] Dependency resolution failed:', error);
+                    throw error;
+                }
+
+                for (const name of rejected) {
+                    if (!this.modules.has(name)) continue; // Already skipped as a dependent
 
-            console.log('[Legozo] Dependency order:', sorted.map(m => m.name).join(' → '));
+                    const problems = error.problems.filter(problem => problem.module === name);
 
-            // Visualize dependency graph (for debugging)
-            if (this.config.debug) {
-                console.log(this.resolver.visualize(moduleArray));
+                    // Requires a module that failed earlier - skipped, not broken itself
+                    const cause = problems
+                        .filter(problem => problem.type === 'missing')
+                        .map(problem => DependencyResolver.parseSpec(problem.dependency).name)
+                        .find(dep => this.quarantined.has(dep));
+
+                    const moduleError = new Error(problems.map(problem => problem.message).join('; '));
+                    moduleError.problems = problems;
+                    await this.isolateFailure(name, 'resolve', moduleError, cause);
+                }
             }
+        }
+    }
 
-        } catch (error) {
-            console.error('[Legozo] Dependency resolution failed:', error);
-            throw error;
+    /**
+     * Sort this.modules into dependency order
+     * @returns {Array<Object>} Sorted modules
+     * @throws {Error} DependencyError if modules are missing, incompatible or circular
+     */
+    orderModules() {
+        const moduleArray = Array.from(this.modules.values());
+
+        // Plugins registered directly on the engine (outside modules) count as available
+        // (modules being re-created during hot reload are not registered yet)
+        const moduleNames = new Set(this.modules.keys());
+        const sorted = this.resolver.resolve(moduleArray, {
+            external: Array.from(this.engine.plugins.keys()).filter(name => !moduleNames.has(name))
+        });
+
+        // Update modules map with sorted order
+        const sortedModules = new Map();
+        for (const module of sorted) {
+            sortedModules.set(module.name, module);
         }
+        this.modules = sortedModules;
+
+        // Modules validate their dependencies against the same providers (capabilities included)
+        for (const module of sorted) {
+            module.dependencyProviders = this.resolver.providers;
+        }
+
+        console.log('[Legozo] Dependency order:', sorted.map(m => m.name).join(' → '));
+
+        // Visualize dependency graph (for debugging)
+        if (this.config.debug) {
+            console.log(this.resolver.visualize(moduleArray));
+        }
+
+        return sorted;
     }
 
     /**
@@ -291,13 +496,15 @@ export class LegozoLoader {
     async initializeModules() {
         this.updateLoading(60, 'Initializing modules...');
 
-        for (const [name, module] of this.modules.entries()) {
+        for (const [name, module] of Array.from(this.modules.entries())) {
+            if (!this.modules.has(name)) continue; // Skipped after a dependency failed
+
             try {
-                await module.init(this.engine, this.config);
+                await this.runTracked(name, 'init', () => module.init(this.engine, this.config));
                 console.log(`[Legozo] Initialized: ${name}`);
             } catch (error) {
                 console.error(`[Legozo] Failed to initialize ${name}:`, error);
-                throw error;
+                await this.isolateFailure(name, 'init', error);
             }
         }
 
@@ -311,13 +518,15 @@ export class LegozoLoader {
     async startModules() {
         this.updateLoading(70, 'Starting modules...');
 
-        for (const [name, module] of this.modules.entries()) {
+        for (const [name, module] of Array.from(this.modules.entries())) {
+            if (!this.modules.has(name)) continue; // Skipped after a dependency failed
+
             try {
-                await module.start();
+                await this.runTracked(name, 'start', () => module.start());
                 console.log(`[Legozo] Started: ${name}`);
             } catch (error) {
                 console.error(`[Legozo] Failed to start ${name}:`, error);
-                // Don't throw - allow other modules to start
+                await this.isolateFailure(name, 'start', error);
             }
         }
 
@@ -331,44 +540,50 @@ export class LegozoLoader {
     async initializeControllers() {
         this.updateLoading(75, 'Initializing controllers...');
 
-        // Controller imports
-        const controllerImports = {
-            'ground': () => import('../modules/ground/ground.controller.js')
-        };
-
         for (const [name, module] of this.modules.entries()) {
-            if (controllerImports[name]) {
-                try {
-                    const controllerModule = await controllerImports[name]();
-                    const ControllerClass = controllerModule.default || controllerModule.GroundController;
+            await this.initializeController(name, module);
+        }
 
-                    // Find container for this controller
-                    const container = document.querySelector('.control-panel');
-                    if (!container) {
-                        console.warn(`[Legozo] No container found for ${name} controller`);
-                        continue;
-                    }
+        console.log(`[Legozo] Initialized ${this.controllers.size} controllers`);
+    }
 
-                    // Instantiate controller
-                    const controller = new ControllerClass(module);
-                    controller.setContainer(container);
+    /**
+     * Create and attach the UI controller of a module (if its manifest has one)
+     * @param {string} name - Module name
+     * @param {Object} module - Module instance
+     * @returns {Promise<void>}
+     */
+    async initializeController(name, module) {
+        if (!this.registry.get(name)?.controller) {
+            return;
+        }
 
-                    // Initialize controller
-                    await controller.init();
+        try {
+            const ControllerClass = await this.registry.loadController(name);
 
-                    // Link controller to module
-                    module.setController(controller);
+            // Find container for this controller
+            const container = document.querySelector('.control-panel');
+            if (!container) {
+                console.warn(`[Legozo] No container found for ${name} controller`);
+                return;
+            }
 
-                    this.controllers.set(name, controller);
-                    console.log(`[Legozo] Initialized ${name} controller`);
+            // Instantiate controller
+            const controller = new ControllerClass(module);
+            controller.setContainer(container);
 
-                } catch (error) {
-                    console.error(`[Legozo] Failed to initialize ${name} controller:`, error);
-                }
-            }
-        }
+            // Initialize controller
+            await controller.init();
 
-        console.log(`[Legozo] Initialized ${this.controllers.size} controllers`);
+            // Link controller to module
+            module.setController(controller);
+
+            this.controllers.set(name, controller);
+            console.log(`[Legozo] Initialized ${name} controller`);
+
+        } catch (error) {
+            console.error(`[Legozo] Failed to initialize ${name} controller:`, error);
+        }
     }
 
     /**
@@ -379,157 +594,261 @@ export class LegozoLoader {
         this.updateLoading(80, 'Creating scene objects...');
 
         const objects = this.config.demoObjects || [];
-        const scene = this.engine.scene;
 
         for (const objConfig of objects) {
-            let mesh = null;
-
-            // Create mesh based on type
-            switch (objConfig.type) {
-                case 'box':
-                    mesh = BABYLON.MeshBuilder.CreateBox(objConfig.name, {
-                        size: objConfig.size || 1
-                    }, scene);
-                    break;
-                case 'sphere':
-                    mesh = BABYLON.MeshBuilder.CreateSphere(objConfig.name, {
-                        diameter: objConfig.diameter || 1
-                    }, scene);
-                    break;
-                case 'cylinder':
-                    mesh = BABYLON.MeshBuilder.CreateCylinder(objConfig.name, {
-                        height: objConfig.height || 2,
-                        diameter: objConfig.diameter || 1
-                    }, scene);
-                    break;
-                case 'torus':
-                    mesh = BABYLON.MeshBuilder.CreateTorus(objConfig.name, {
-                        diameter: objConfig.diameter || 2,
-                        thickness: objConfig.thickness || 0.5
-                    }, scene);
-                    break;
-                case 'plane':
-                    mesh = BABYLON.MeshBuilder.CreatePlane(objConfig.name, {
-                        width: objConfig.width || 2,
-                        height: objConfig.height || 2
-                    }, scene);
-                    break;
-            }
-
-            if (mesh && objConfig.position) {
-                mesh.position.x = objConfig.position.x || 0;
-                mesh.position.y = objConfig.position.y || 0;
-                mesh.position.z = objConfig.position.z || 0;
-            }
-
-            if (mesh && objConfig.rotation) {
-                mesh.rotation.x = objConfig.rotation.x || 0;
-                mesh.rotation.y = objConfig.rotation.y || 0;
-                mesh.rotation.z = objConfig.rotation.z || 0;
-            }
-
-            if (mesh && objConfig.material) {
-                const mat = new BABYLON.StandardMaterial(objConfig.name + '_mat', scene);
-                if (objConfig.material.diffuseColor) {
-                    mat.diffuseColor = new BABYLON.Color3(
-                        objConfig.material.diffuseColor.r || 0,
-                        objConfig.material.diffuseColor.g || 0,
-                        objConfig.material.diffuseColor.b || 0
-                    );
+            this.createSceneObject(objConfig);
+        }
+
+        console.log(`[Legozo] Created ${objects.length} demo objects`);
+
+        // DIAGNOSTIC: Verify collision settings on all meshes
+        this.verifyCollisionSettings();
+    }
+
+    /**
+     * Create physics joints from configuration ("joints", see JointPlugin)
+     * Entries naming unknown meshes are skipped with a warning
+     */
+    createJoints() {
+        const jointPlugin = this.engine.plugins.get('joints');
+        if (!jointPlugin) {
+            console.warn('[Legozo] Scene has joints but the "joints" module is not loaded');
+            return;
+        }
+
+        jointPlugin.loadJoints(this.config.joints);
+    }
+
+    /**
+     * Create a single scene object from its configuration entry
+     * Same format as demoObjects and as written by SceneSerializerPlugin
+     * @param {Object} objConfig - Object entry (type, name, transform, material, ...)
+     * @returns {BABYLON.Mesh|null}
+     */
+    createSceneObject(objConfig) {
+        const scene = this.engine.scene;
+        let mesh = null;
+
+        // Create mesh based on type
+        switch (objConfig.type) {
+            case 'box':
+                mesh = BABYLON.MeshBuilder.CreateBox(objConfig.name, {
+                    size: objConfig.size || 1
+                }, scene);
+                break;
+            case 'sphere':
+                mesh = BABYLON.MeshBuilder.CreateSphere(objConfig.name, {
+                    diameter: objConfig.diameter || 1
+                }, scene);
+                break;
+            case 'cylinder':
+                mesh = BABYLON.MeshBuilder.CreateCylinder(objConfig.name, {
+                    height: objConfig.height || 2,
+                    diameter: objConfig.diameter || 1
+                }, scene);
+                break;
+            case 'torus':
+                mesh = BABYLON.MeshBuilder.CreateTorus(objConfig.name, {
+                    diameter: objConfig.diameter || 2,
+                    thickness: objConfig.thickness || 0.5
+                }, scene);
+                break;
+            case 'plane':
+                mesh = BABYLON.MeshBuilder.CreatePlane(objConfig.name, {
+                    width: objConfig.width || 2,
+                    height: objConfig.height || 2
+                }, scene);
+                break;
+        }
+
+        if (!mesh) {
+            console.warn(`[Legozo] Unknown object type: ${objConfig.type} (${objConfig.name})`);
+            return null;
+        }
+
+        // Remember how the mesh was built so it can be saved again
+        mesh.metadata = {
+            ...(objConfig.metadata || {}),
+            sceneObject: this.getGeometryConfig(objConfig)
+        };
+
+        if (objConfig.position) {
+            mesh.position.x = objConfig.position.x || 0;
+            mesh.position.y = objConfig.position.y || 0;
+            mesh.position.z = objConfig.position.z || 0;
+        }
+
+        if (objConfig.rotation) {
+            mesh.rotation.x = objConfig.rotation.x || 0;
+            mesh.rotation.y = objConfig.rotation.y || 0;
+            mesh.rotation.z = objConfig.rotation.z || 0;
+        }
+
+        if (objConfig.scaling) {
+            mesh.scaling.x = objConfig.scaling.x ?? 1;
+            mesh.scaling.y = objConfig.scaling.y ?? 1;
+            mesh.scaling.z = objConfig.scaling.z ?? 1;
+        }
+
+        if (objConfig.material) {
+            this.applyObjectMaterial(mesh, objConfig);
+        }
+
+        const interactionPlugin = this.engine.plugins.get('interaction');
+        const propertiesPlugin = this.engine.plugins.get('properties');
+        const collisionPlugin = this.engine.plugins.get('collision');
+        const shadowPlugin = this.engine.plugins.get('shadow');
+
+        // Enable collision on objects (collision: false opts out)
+        if (collisionPlugin && objConfig.collision !== false) {
+            // Enable simple collision for camera
+            collisionPlugin.enableSimpleCollision(mesh, {
+                checkCollisions: true,
+                pickable: true,
+                ...(objConfig.collision || {})
+            });
+
+            // Enable physics body if physics is enabled (physics: false opts out)
+            if (collisionPlugin.physicsEnabled && objConfig.physics !== false) {
+                const physics = objConfig.physics || {};
+
+                try {
+                    collisionPlugin.enablePhysicsBody(mesh, {
+                        mass: physics.mass ?? 0,  // Static object (immovable) - required for camera collision to work
+                        restitution: physics.restitution ?? 0.2,  // Low bounce for static objects
+                        friction: physics.friction ?? 0.8,  // High friction
+                        shape: this.getPhysicsShape(objConfig.type, physics.shape)
+                    });
+
+                    // CRITICAL: Ensure checkCollisions stays enabled for camera collision
+                    // Physics bodies can override this, so we explicitly set it again
+                    mesh.checkCollisions = mesh.metadata.collisionSettings?.checkCollisions !== false;
+
+                    console.log(`[Legozo] Enabled physics on: ${mesh.name} (${objConfig.type}, mass ${physics.mass ?? 0})`);
+                } catch (error) {
+                    console.warn(`[Legozo] Failed to enable physics on ${mesh.name}:`, error);
                 }
-                mesh.material = mat;
             }
 
-            // Register mesh with InteractionPlugin for clicking and selection
-            if (mesh) {
-                const interactionPlugin = this.engine.plugins.get('interaction');
-                const propertiesPlugin = this.engine.plugins.get('properties');
-                const collisionPlugin = this.engine.plugins.get('collision');
+            console.log(`[Legozo] Enabled collision on: ${mesh.name}`);
+        }
 
-                // Enable collision on objects
-                if (collisionPlugin) {
-                    // Enable simple collision for camera
-                    collisionPlugin.enableSimpleCollision(mesh, {
-                        checkCollisions: true,
-                        pickable: true
-                    });
+        // Shadow flags
+        if (shadowPlugin && objConfig.shadows) {
+            if (objConfig.shadows.cast) {
+                shadowPlugin.enableCastShadows(mesh);
+            }
+            if (objConfig.shadows.receive) {
+                shadowPlugin.enableReceiveShadows(mesh);
+            }
+        }
 
-                    // Enable physics body if physics is enabled
-                    if (collisionPlugin.physicsEnabled) {
-                        // Determine correct physics shape based on mesh type
-                        let physicsShape = BABYLON.PhysicsShapeType.BOX;
-                        switch (objConfig.type) {
-                            case 'sphere':
-                                physicsShape = BABYLON.PhysicsShapeType.SPHERE;
-                                break;
-                            case 'cylinder':
-                                physicsShape = BABYLON.PhysicsShapeType.CYLINDER;
-                                break;
-                            case 'box':
-                            case 'plane':
-                            case 'torus':
-                            default:
-                                physicsShape = BABYLON.PhysicsShapeType.BOX;
-                                break;
-                        }
-
-                        try {
-                            collisionPlugin.enablePhysicsBody(mesh, {
-                                mass: 0,  // Static object (immovable) - required for camera collision to work
-                                restitution: 0.2,  // Low bounce for static objects
-                                friction: 0.8,  // High friction
-                                shape: physicsShape
-                            });
-
-                            // CRITICAL: Ensure checkCollisions stays enabled for camera collision
-                            // Physics bodies can override this, so we explicitly set it again
-                            mesh.checkCollisions = true;
-
-                            console.log(`[Legozo] Enabled physics on: ${mesh.name} (${objConfig.type}, STATIC)`);
-                        } catch (error) {
-                            console.warn(`[Legozo] Failed to enable physics on ${mesh.name}:`, error);
-                        }
-                    }
-
-                    console.log(`[Legozo] Enabled collision on: ${mesh.name}`);
+        // Register mesh with InteractionPlugin for clicking and selection
+        if (interactionPlugin) {
+            // Make mesh hoverable (highlight on hover)
+            interactionPlugin.makeHoverable(mesh, {
+                onHoverEnter: () => {
+                    console.log(`[Legozo] Hovering over: ${mesh.name}`);
+                },
+                onHoverExit: () => {
+                    console.log(`[Legozo] Hover exit: ${mesh.name}`);
                 }
+            });
 
-                if (interactionPlugin) {
-                    // Make mesh hoverable (highlight on hover)
-                    interactionPlugin.makeHoverable(mesh, {
-                        onHoverEnter: () => {
-                            console.log(`[Legozo] Hovering over: ${mesh.name}`);
-                        },
-                        onHoverExit: () => {
-                            console.log(`[Legozo] Hover exit: ${mesh.name}`);
-                        }
-                    });
+            // Register click handler (show properties on click)
+            interactionPlugin.onClick(mesh, (clickedMesh, event) => {
+                console.log(`[Legozo] Clicked: ${clickedMesh.name}`);
+                if (propertiesPlugin && propertiesPlugin.showProperties) {
+                    propertiesPlugin.showProperties(clickedMesh);
+                }
+            });
 
-                    // Register click handler (show properties on click)
-                    interactionPlugin.onClick(mesh, (clickedMesh, event) => {
-                        console.log(`[Legozo] Clicked: ${clickedMesh.name}`);
-                        if (propertiesPlugin && propertiesPlugin.showProperties) {
-                            propertiesPlugin.showProperties(clickedMesh);
-                        }
-                    });
+            // Make mesh selectable (can be selected/deselected)
+            interactionPlugin.makeSelectable(mesh);
 
-                    // Make mesh selectable (can be selected/deselected)
-                    interactionPlugin.makeSelectable(mesh);
+            // Make mesh draggable (can be moved with mouse)
+            interactionPlugin.makeDraggable(mesh, {
+                dragPlaneNormal: new BABYLON.Vector3(0, 1, 0) // Drag on XZ plane (Y-up)
+            });
 
-                    // Make mesh draggable (can be moved with mouse)
-                    interactionPlugin.makeDraggable(mesh, {
-                        dragPlaneNormal: new BABYLON.Vector3(0, 1, 0) // Drag on XZ plane (Y-up)
-                    });
+            console.log(`[Legozo] Registered ${mesh.name} with InteractionPlugin`);
+        }
 
-                    console.log(`[Legozo] Registered ${mesh.name} with InteractionPlugin`);
-                }
+        return mesh;
+    }
+
+    /**
+     * Extract the geometry part of an object entry (type + builder dimensions)
+     * @param {Object} objConfig
+     * @returns {Object}
+     */
+    getGeometryConfig(objConfig) {
+        const geometry = { type: objConfig.type };
+
+        for (const key of ['size', 'diameter', 'height', 'thickness', 'width']) {
+            if (objConfig[key] !== undefined) {
+                geometry[key] = objConfig[key];
             }
         }
 
-        console.log(`[Legozo] Created ${objects.length} demo objects`);
+        return geometry;
+    }
 
-        // DIAGNOSTIC: Verify collision settings on all meshes
-        this.verifyCollisionSettings();
+    /**
+     * Apply object material: preset from MaterialPlugin, or plain diffuse color
+     * @param {BABYLON.Mesh} mesh
+     * @param {Object} objConfig
+     */
+    applyObjectMaterial(mesh, objConfig) {
+        const scene = this.engine.scene;
+        const materialPlugin = this.engine.plugins.get('material');
+
+        if (objConfig.material.preset && materialPlugin) {
+            const presetMaterial = materialPlugin.usePreset(objConfig.material.preset);
+            if (presetMaterial) {
+                materialPlugin.applyMaterial(mesh, presetMaterial);
+                return;
+            }
+        }
+
+        const mat = new BABYLON.StandardMaterial(objConfig.name + '_mat', scene);
+        if (objConfig.material.diffuseColor) {
+            mat.diffuseColor = new BABYLON.Color3(
+                objConfig.material.diffuseColor.r || 0,
+                objConfig.material.diffuseColor.g || 0,
+                objConfig.material.diffuseColor.b || 0
+            );
+        }
+        mesh.material = mat;
+    }
+
+    /**
+     * Resolve physics shape from config name, falling back to one based on mesh type
+     * @param {string} type - Object type
+     * @param {string} [shapeName] - Shape name (box, sphere, cylinder, capsule, convex_hull, mesh)
+     * @returns {number} BABYLON.PhysicsShapeType value
+     */
+    getPhysicsShape(type, shapeName) {
+        if (shapeName) {
+            const shape = BABYLON.PhysicsShapeType[String(shapeName).toUpperCase()];
+            if (shape !== undefined) {
+                return shape;
+            }
+            console.warn(`[Legozo] Unknown physics shape: ${shapeName}`);
+        }
+
+        // Determine correct physics shape based on mesh type
+        switch (type) {
+            case 'sphere':
+                return BABYLON.PhysicsShapeType.SPHERE;
+            case 'cylinder':
+                return BABYLON.PhysicsShapeType.CYLINDER;
+            case 'box':
+            case 'plane':
+            case 'torus':
+            default:
+                return BABYLON.PhysicsShapeType.BOX;
+        }
     }
 
     /**
@@ -597,14 +916,32 @@ export class LegozoLoader {
      * Hide loading screen
      */
     hideLoadingScreen() {
-        this.updateLoading(100, 'Complete!');
+        const degraded = this.quarantined.size > 0;
+        this.updateLoading(100, degraded ? 'Complete (degraded mode)' : 'Complete!');
 
+        // Leave the degraded-mode warning up long enough to be read
         setTimeout(() => {
             const loadingScreen = document.getElementById('loadingScreen');
             if (loadingScreen) {
                 loadingScreen.classList.add('hidden');
             }
-        }, 500);
+        }, degraded ? 3000 : 500);
+    }
+
+    /**
+     * Show which modules are unavailable on the loading screen
+     */
+    updateDegradedWarning() {
+        const warning = document.getElementById('loadingWarning');
+        if (!warning) return;
+
+        const entries = Array.from(this.quarantined.entries());
+        const failed = entries.filter(([, record]) => record.status === 'quarantined').map(([name]) => name);
+        const skipped = entries.filter(([, record]) => record.status === 'skipped').map(([name]) => name);
+
+        warning.textContent = `⚠️ Degraded mode - failed: ${failed.join(', ')}` +
+            (skipped.length > 0 ? ` (also unavailable: ${skipped.join(', ')})` : '');
+        warning.classList.toggle('hidden', entries.length === 0);
     }
 
     /**
@@ -645,17 +982,558 @@ export class LegozoLoader {
         return this.controllers.get(name) || null;
     }
 
+    // ==================== FAULT ISOLATION ====================
+
+    /**
+     * Check if a module is critical (manifest "critical": true) - its failure aborts the boot
+     * @param {string} name - Module name
+     * @returns {boolean}
+     */
+    isCritical(name) {
+        return this.registry.get(name)?.critical === true;
+    }
+
+    /**
+     * Take a failed module out of the scene: tear it down together with the modules
+     * that require it and record why, so the rest of the scene can still start
+     * @param {string} name - Module that failed
+     * @param {string} phase - 'load', 'resolve', 'init' or 'start'
+     * @param {Error} error - What went wrong
+     * @param {string} [cause] - Quarantined module this one requires (marks it skipped, not failed)
+     * @returns {Promise<void>}
+     * @throws {Error} If the module or one of its dependents is critical
+     */
+    async isolateFailure(name, phase, error, cause = null) {
+        const dependents = this.modules.has(name) ? this.getDependentModules(name) : [];
+
+        const critical = [name, ...dependents].find(n => this.isCritical(n));
+        if (critical) {
+            const message = critical === name
+                ? `[Legozo] Critical module ${name} failed (${phase}): ${error.message}`
+                : `[Legozo] Critical module ${critical} requires ${name}, which failed (${phase}): ${error.message}`;
+            const fatal = new Error(message);
+            fatal.module = critical;
+            fatal.cause = error;
+            throw fatal;
+        }
+
+        const instances = new Map([name, ...dependents].map(n => [n, this.modules.get(n) || null]));
+        if (this.modules.has(name)) {
+            await this.teardownModules([name, ...dependents]);
+        }
+
+        // Keep the error unless the module already recorded it (init/start go through _handleError);
+        // a skipped module did nothing wrong itself
+        const module = instances.get(name);
+        const recorded = cause || module?.errors.some(e => e.message === error.message);
+
+        this.quarantined.set(name, {
+            status: cause ? 'skipped' : 'quarantined',
+            phase,
+            reason: cause ? `requires ${cause} (quarantined)` : error.message,
+            module,
+            error: recorded ? null : {
+                phase,
+                message: error.message,
+                stack: error.stack,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+        for (const dependent of dependents) {
+            this.quarantined.set(dependent, {
+                status: 'skipped',
+                phase,
+                reason: `requires ${name} (${cause ? 'skipped' : 'quarantined'})`,
+                module: instances.get(dependent),
+                error: null
+            });
+        }
+
+        console.warn(`[Legozo] ${cause ? 'Skipped' : 'Quarantined'} ${name} (${phase})` +
+            (dependents.length > 0 ? `, also skipped: ${dependents.join(', ')}` : ''));
+
+        this.engine?.events.emit('module:quarantined', { name, phase, error, cause, skipped: dependents });
+        this.updateDegradedWarning();
+    }
+
+    /**
+     * Run a lifecycle call with resource tracking and timing
+     * @param {string} name - Module name
+     * @param {string} phase - Timing key ('init', 'start')
+     * @param {Function} fn - Lifecycle call
+     * @returns {Promise<*>}
+     */
+    async runTracked(name, phase, fn) {
+        const since = performance.now();
+
+        try {
+            return await this.tracker.track(name, fn);
+        } finally {
+            this.recordTiming(name, phase, since);
+        }
+    }
+
+    /**
+     * Record how long a module phase took
+     * @param {string} name - Module name
+     * @param {string} phase - 'load', 'init' or 'start'
+     * @param {number} since - performance.now() at phase start
+     */
+    recordTiming(name, phase, since) {
+        const timings = this.timings.get(name) || {};
+        timings[phase] = Math.round((performance.now() - since) * 100) / 100;
+        this.timings.set(name, timings);
+    }
+
+    /**
+     * Get state, errors and timings of every module (running, quarantined, skipped, disabled)
+     * @returns {Object} { status: 'healthy'|'degraded', modules: [...], quarantined, skipped }
+     */
+    getHealthReport() {
+        const entry = (name, module, state, extra = {}) => ({
+            name,
+            version: module?.version || this.registry.get(name)?.version || null,
+            critical: this.isCritical(name),
+            state,
+            ...extra,
+            errors: [...(module?.errors || []), ...(extra.errors || [])],
+            timings: { ...this.timings.get(name) }
+        });
+
+        const modules = [];
+
+        for (const [name, module] of this.modules) {
+            modules.push(entry(name, module, module.state));
+        }
+
+        for (const [name, record] of this.quarantined) {
+            modules.push(entry(name, record.module, record.status, {
+                phase: record.phase,
+                reason: record.reason,
+                errors: record.error ? [record.error] : []
+            }));
+        }
+
+        for (const [name, record] of this.disabled) {
+            modules.push(entry(name, null, 'disabled', {
+                reason: record.disabledBy ? `disabled with ${record.disabledBy}` : 'disabled at runtime'
+            }));
+        }
+
+        const names = (status) => modules.filter(m => m.state === status).map(m => m.name);
+        const quarantined = names('quarantined');
+        const skipped = names('skipped');
+
+        // Running modules can record errors too (e.g. an asset that failed to load)
+        const degraded = quarantined.length > 0 || skipped.length > 0 ||
+            modules.some(m => this.modules.has(m.name) && m.errors.length > 0);
+
+        return {
+            status: degraded ? 'degraded' : 'healthy',
+            timestamp: new Date().toISOString(),
+            modules,
+            quarantined,
+            skipped
+        };
+    }
+
+    // ==================== HOT RELOAD ====================
+
+    /**
+     * Get loaded modules that depend on a module (directly or transitively)
+     * @param {string} name - Module name
+     * @returns {Array<string>} Dependent names in load order
+     */
+    getDependentModules(name) {
+        return Array.from(this.modules.keys())
+            .filter(other => other !== name && this.resolver.dependsOn(other, name));
+    }
+
+    /**
+     * Switch a module off at runtime: dependents are switched off first,
+     * then everything is stopped, disposed and its leftovers removed
+     * @param {string} name - Module name
+     * @returns {Promise<Object>} { modules: names switched off, leaks: name → leak counts }
+     */
+    disableModule(name) {
+        return this.runExclusive(async () => {
+            if (!this.modules.has(name)) {
+                throw new Error(`[Legozo] Cannot disable ${name}: not loaded`);
+            }
+
+            const cascaded = this.getDependentModules(name);
+            const { states, leaks } = await this.teardownModules([name, ...cascaded]);
+
+            this.disabled.set(name, { state: states.get(name), cascaded });
+            for (const dependent of cascaded) {
+                // Dependents come back when the module is enabled again
+                this.disabled.set(dependent, { state: states.get(dependent), cascaded: [], disabledBy: name });
+            }
+
+            this.engine.events.emit('module:disabled', { name, cascaded, leaks });
+            console.log(`[Legozo] Disabled ${[name, ...cascaded].join(', ')}`);
+
+            return { modules: [name, ...cascaded], leaks };
+        });
+    }
+
+    /**
+     * Switch a module on at runtime (also modules that were not in the scene config).
+     * Disabled dependencies are enabled first; dependents switched off with it come back
+     * @param {string} name - Module name
+     * @returns {Promise<Object>} { modules: names switched on }
+     */
+    enableModule(name) {
+        return this.runExclusive(async () => {
+            if (this.modules.has(name)) {
+                return { modules: [] };
+            }
+
+            const names = this.collectEnableSet(name);
+            const states = new Map(names.map(n => [n, this.disabled.get(n)?.state]));
+
+            try {
+                await this.bringUpModules(names, states);
+            } finally {
+                // Some modules may be up even if a later one failed
+                names.filter(n => this.modules.has(n)).forEach(n => {
+                    this.disabled.delete(n);
+                    this.quarantined.delete(n);
+                });
+            }
+
+            this.engine.events.emit('module:enabled', { name, modules: names });
+            console.log(`[Legozo] Enabled ${names.join(', ')}`);
+
+            return { modules: names };
+        });
+    }
+
+    /**
+     * Reload a module in place: tear down it and its dependents, re-import its entry
+     * file and bring everything back with the state each module had
+     * @param {string} name - Module name
+     * @returns {Promise<Object>} { modules: names reloaded, leaks: name → leak counts }
+     */
+    reloadModule(name) {
+        return this.runExclusive(async () => {
+            if (!this.modules.has(name)) {
+                throw new Error(`[Legozo] Cannot reload ${name}: not loaded`);
+            }
+
+            const names = [name, ...this.getDependentModules(name)];
+            const { states, leaks } = await this.teardownModules(names);
+
+            try {
+                await this.bringUpModules(names, states, { reload: [name] });
+            } catch (error) {
+                // Keep what failed listed as disabled (with its state) so it can be retried
+                names.filter(n => !this.modules.has(n))
+                    .forEach(n => this.disabled.set(n, { state: states.get(n), cascaded: n === name ? names.slice(1) : [] }));
+                throw error;
+            }
+
+            this.engine.events.emit('module:reloaded', { name, modules: names, leaks });
+            console.log(`[Legozo] Reloaded ${names.join(', ')}`);
+
+            return { modules: names, leaks };
+        });
+    }
+
+    /**
+     * Names to bring up when enabling a module: disabled/missing dependencies,
+     * the module, then dependents that were switched off with it
+     * @param {string} name - Module name
+     * @returns {Array<string>}
+     */
+    collectEnableSet(name) {
+        const names = [];
+        const visit = (moduleName) => {
+            if (this.modules.has(moduleName) || names.includes(moduleName)) return;
+
+            const manifest = this.registry.get(moduleName);
+            if (!manifest) {
+                throw new Error(`[Legozo] Cannot enable ${moduleName}: no manifest registered`);
+            }
+
+            // Required dependencies only - optional ones stay as they are
+            for (const spec of manifest.dependencies) {
+                const depName = DependencyResolver.parseSpec(spec).name;
+                if (this.registry.has(depName)) visit(depName);
+            }
+            names.push(moduleName);
+        };
+
+        visit(name);
+        for (const dependent of this.disabled.get(name)?.cascaded || []) {
+            visit(dependent);
+        }
+
+        return names;
+    }
+
+    /**
+     * Stop and dispose modules (dependents first), removing leftovers
+     * @param {Array<string>} names - Module names
+     * @returns {Promise<Object>} { states: name → getState() snapshot, leaks: name → counts }
+     */
+    async teardownModules(names) {
+        const states = new Map();
+        const leaks = {};
+
+        // Reverse load order: dependents go before what they depend on
+        const ordered = Array.from(this.modules.keys()).filter(n => names.includes(n)).reverse();
+
+        for (const name of ordered) {
+            const module = this.modules.get(name);
+
+            // Snapshot before dispose clears it
+            states.set(name, module.getState());
+
+            const controller = this.controllers.get(name);
+            if (controller) {
+                try {
+                    controller.dispose();
+                } catch (error) {
+                    console.error(`[Legozo] Failed to dispose ${name} controller:`, error);
+                }
+                this.controllers.delete(name);
+            }
+
+            try {
+                if (module.isStarted) {
+                    await module.stop();
+                }
+                module.dispose();
+            } catch (error) {
+                console.error(`[Legozo] Failed to dispose ${name}:`, error);
+            }
+
+            leaks[name] = this.tracker.release(name);
+            this.modules.delete(name);
+        }
+
+        return { states, leaks };
+    }
+
+    /**
+     * Create, initialize and start modules in dependency order
+     * @param {Array<string>} names - Module names
+     * @param {Map<string, Object>} states - State to restore per module (from getState)
+     * @param {Object} [options]
+     * @param {Array<string>} [options.reload] - Modules whose entry file is re-imported
+     * @returns {Promise<void>}
+     * @throws {Error} If a module fails to load, resolve or initialize (it is left out)
+     */
+    async bringUpModules(names, states = new Map(), options = {}) {
+        const reload = options.reload || [];
+        const created = new Map();
+
+        // Create all instances first - an import error leaves the running set untouched
+        for (const name of names) {
+            const module = await this.createModule(name, { reload: reload.includes(name) });
+            if (!module) {
+                throw new Error(`[Legozo] Cannot load ${name}: no manifest registered`);
+            }
+
+            if (states.get(name)) {
+                module.setState(states.get(name));
+            }
+            created.set(name, module);
+        }
+
+        created.forEach((module, name) => this.modules.set(name, module));
+
+        try {
+            this.orderModules();
+        } catch (error) {
+            // Leave the running set as it was
+            names.forEach(name => this.modules.delete(name));
+            throw error;
+        }
+
+        const ordered = Array.from(this.modules.keys()).filter(n => names.includes(n));
+
+        for (const [index, name] of ordered.entries()) {
+            const module = this.modules.get(name);
+
+            try {
+                await this.runTracked(name, 'init', () => module.init(this.engine, this.config));
+                await this.runTracked(name, 'start', () => module.start());
+            } catch (error) {
+                console.error(`[Legozo] Failed to bring up ${name}:`, error);
+                // Drop this module, its dependents and the ones not initialized yet
+                await this.teardownModules([...ordered.slice(index), ...this.getDependentModules(name)]);
+                throw error;
+            }
+
+            await this.initializeController(name, module);
+        }
+    }
+
+    /**
+     * Run hot-reload operations one at a time
+     * @param {Function} operation - Async function
+     * @returns {Promise<*>}
+     */
+    runExclusive(operation) {
+        const result = this.operation.then(operation);
+        this.operation = result.catch(() => {}); // Next operation runs even if this one failed
+        return result;
+    }
+
+    /**
+     * Show/hide the module debug panel
+     * @param {boolean} [visible] - Force state (toggles when omitted)
+     */
+    toggleModulePanel(visible) {
+        if (!this.modulePanel) {
+            this.modulePanel = new ModulePanel(this);
+        }
+
+        this.modulePanel.setVisible(visible ?? !this.modulePanel.visible);
+    }
+
+    /**
+     * Start recording engine events and input actions (EventTracer)
+     * Config: { "tracing": { "enabled": true, "capacity": 2000, "exclude": ["render:frame"] } }
+     * @returns {EventTracer}
+     */
+    enableTracing() {
+        if (!this.tracer) {
+            const { capacity, exclude } = this.config.tracing || {};
+            this.tracer = new EventTracer({ capacity, exclude });
+            this.tracer.attach(this.engine.events, 'engine');
+            this.tracer.attach(this.engine.inputManager, 'input');
+            console.log('[Legozo] Event tracing enabled');
+        }
+
+        return this.tracer;
+    }
+
+    /**
+     * Stop recording and drop the trace
+     */
+    disableTracing() {
+        if (this.eventInspector) {
+            this.eventInspector.dispose();
+            this.eventInspector = null;
+        }
+
+        if (this.tracer) {
+            this.tracer.detachAll();
+            this.tracer = null;
+        }
+    }
+
+    /**
+     * Show/hide the event trace inspector (enables tracing on first use)
+     * @param {boolean} [visible] - Force state (toggles when omitted)
+     */
+    toggleEventInspector(visible) {
+        if (!this.eventInspector) {
+            this.eventInspector = new EventInspector(this.enableTracing());
+        }
+
+        this.eventInspector.setVisible(visible ?? !this.eventInspector.visible);
+    }
+
+    /**
+     * Show/hide the key binding settings panel
+     * @param {boolean} [visible] - Force state (toggles when omitted)
+     */
+    toggleKeyBindingsPanel(visible) {
+        if (!this.keyBindingsPanel) {
+            this.keyBindingsPanel = new KeyBindingsPanel(this.engine.inputManager);
+        }
+
+        this.keyBindingsPanel.setVisible(visible ?? !this.keyBindingsPanel.visible);
+    }
+
+    /**
+     * Show/hide the on-screen joysticks (walk + look on touch screens)
+     * @param {boolean} [visible] - Force state (toggles when omitted)
+     */
+    toggleVirtualJoystick(visible) {
+        if (!this.virtualJoystick) {
+            this.virtualJoystick = new VirtualJoystick(this.engine.inputManager.getSource('joystick'));
+        }
+
+        this.virtualJoystick.setVisible(visible ?? !this.virtualJoystick.visible);
+    }
+
+    /**
+     * Start recording input for a bug report / regression test (InputRecorder)
+     * @param {string} [label] - Description stored in the recording
+     */
+    recordInput(label = '') {
+        this.engine.inputManager.recorder.startRecording({ label });
+    }
+
+    /**
+     * Stop recording input
+     * @param {Object} [options]
+     * @param {boolean} [options.download=true] - Save the recording as a JSON file
+     * @returns {Object|null} Recording
+     */
+    stopInputRecording({ download = true } = {}) {
+        const recording = this.engine.inputManager.recorder.stopRecording();
+
+        if (recording && download) {
+            const data = InputRecorder.serialize(recording);
+            const url = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+            const slug = recording.label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `input-${slug || recording.format.recordedAt.replace(/[:.]/g, '-')}.json`;
+            link.click();
+
+            URL.revokeObjectURL(url);
+        }
+
+        return recording;
+    }
+
+    /**
+     * Replay a recording in the running scene (live input is ignored until it ends)
+     * @param {Object|string|File} recording - Recording, JSON string or file
+     * @returns {Promise<Object>} Result ({ passed, mismatches, ... })
+     */
+    async replayInput(recording) {
+        const data = recording instanceof Blob ? await recording.text() : recording;
+        return this.engine.inputManager.recorder.replay(data);
+    }
+
     /**
      * Dispose and cleanup
      */
     dispose() {
+        if (this.modulePanel) {
+            this.modulePanel.dispose();
+            this.modulePanel = null;
+        }
+
+        if (this.virtualJoystick) {
+            this.virtualJoystick.dispose();
+            this.virtualJoystick = null;
+        }
+
+        if (this.keyBindingsPanel) {
+            this.keyBindingsPanel.dispose();
+            this.keyBindingsPanel = null;
+        }
+
+        this.disableTracing();
+
         // Dispose controllers
         for (const controller of this.controllers.values()) {
             controller.dispose();
         }
 
-        // Dispose modules
-        for (const module of this.modules.values()) {
+        // Dispose modules (dependents first)
+        for (const module of Array.from(this.modules.values()).reverse()) {
             module.dispose();
         }
 
@@ -666,6 +1544,9 @@ export class LegozoLoader {
 
         this.modules.clear();
         this.controllers.clear();
+        this.disabled.clear();
+        this.quarantined.clear();
+        this.timings.clear();
         this.templates.clearCache();
 
         console.log('[Legozo] Disposed');
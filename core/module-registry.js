@@ -0,0 +1,434 @@
+/**
+ * ModuleRegistry
+ * Discovers modules from manifest files and loads them on demand
+ *
+ * Features:
+ * - Manifest-driven: name, version, entry, dependencies, config schema, templates, styles
+ * - Discovery from directories (via modules.json index) or manifest URLs
+ * - Paths in manifests are relative to the manifest file
+ * - Broken manifests are reported and skipped, other modules still load
+ *
+ * Source formats:
+ * - Directory ('./modules/'): reads <dir>/modules.json
+ * - Index file ({ "modules": [...] }): entries are manifest paths, directories or inline manifests
+ * - Manifest file (module.json): a single module
+ *
+ * Manifest (module.json):
+ * {
+ *   "name": "ground",
+ *   "version": "2.0.0",
+ *   "entry": "./ground.module.js",
+ *   "export": "default",                      // optional, export holding the class
+ *   "controller": "./ground.controller.js",   // optional, UI controller (default export)
+ *   "dependencies": ["camera", "lighting@^1"],
+ *   "optionalDependencies": [],
+ *   "provides": [],
+ *   "conflicts": [],
+ *   "critical": false,                        // optional, boot fails when this module fails
+ *   "config": { "key": "ground", "schema": "./ground.schema.json" },
+ *   "templates": ["./templates/ground-panel.html"],
+ *   "styles": ["./styles/ground.css"]
+ * }
+ *
+ * @example
+ * const registry = new ModuleRegistry();
+ * await registry.discover(['./modules/', 'https://cdn.example.com/weather/module.json']);
+ * const GroundModule = await registry.loadClass('ground');
+ */
+
+import Semver from './semver.js';
+import DependencyResolver from './dependency-resolver.js';
+import SchemaValidator from '../src/config/SchemaValidator.js';
+
+// Index file looked up when a source is a directory
+const INDEX_FILE = 'modules.json';
+
+// Manifest format (checked with the config SchemaValidator)
+const SPEC_LIST = {
+    type: 'array',
+    items: {
+        anyOf: [
+            { type: 'string', minLength: 1 },
+            {
+                type: 'object',
+                additionalProperties: false,
+                required: ['name'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    version: { type: 'string' },
+                    optional: { type: 'boolean' }
+                }
+            }
+        ]
+    }
+};
+
+const MANIFEST_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['name', 'version', 'entry'],
+    properties: {
+        $schema: { type: 'string' },
+        name: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9_-]*$' },
+        version: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        entry: { type: 'string', minLength: 1 },
+        export: { type: 'string', minLength: 1 },
+        controller: { type: 'string', minLength: 1 },
+        dependencies: SPEC_LIST,
+        optionalDependencies: SPEC_LIST,
+        provides: { type: 'array', items: { type: 'string', minLength: 1 } },
+        conflicts: { type: 'array', items: { type: 'string', minLength: 1 } },
+        critical: { type: 'boolean' },
+        config: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                key: { type: 'string', minLength: 1 },
+                schema: { anyOf: [{ type: 'string', minLength: 1 }, { type: 'object' }] }
+            }
+        },
+        templates: { type: 'array', items: { type: 'string', minLength: 1 }, uniqueItems: true },
+        styles: { type: 'array', items: { type: 'string', minLength: 1 }, uniqueItems: true }
+    }
+};
+
+export class ModuleRegistry {
+    constructor() {
+        this.manifests = new Map(); // Module name → normalized manifest
+        this.classes = new Map(); // Module name → Promise<class>
+        this.schemas = new Map(); // Module name → Promise<config schema>
+        this.errors = []; // { source, message } for sources/manifests that failed
+    }
+
+    /**
+     * Discover modules from sources
+     * @param {Array<string>} sources - Directories, index files or manifest URLs
+     * @returns {Promise<Array<Object>>} Manifests registered by this call
+     */
+    async discover(sources) {
+        const before = new Set(this.manifests.keys());
+
+        for (const source of sources) {
+            try {
+                await this._discoverSource(this._resolveUrl(source), new Set());
+            } catch (error) {
+                this._reportError(source, error);
+            }
+        }
+
+        const added = this.list().filter(manifest => !before.has(manifest.name));
+        console.log(`[ModuleRegistry] Discovered ${added.length} modules from ${sources.length} sources`);
+
+        return added;
+    }
+
+    /**
+     * Register a manifest
+     * @param {Object} manifest - Raw manifest (see file header)
+     * @param {string} [baseUrl] - URL relative paths are resolved against
+     * @returns {Object} Normalized manifest
+     * @throws {Error} If manifest is invalid or the name is taken by another manifest
+     */
+    register(manifest, baseUrl = this._resolveUrl('./')) {
+        const result = new SchemaValidator(MANIFEST_SCHEMA).validate(manifest);
+        if (!result.valid) {
+            const problems = result.errors.map(error => `  ${error.path || '/'}: ${error.message}`);
+            throw new Error(`[ModuleRegistry] Invalid manifest ${manifest?.name || ''} (${baseUrl}):\n${problems.join('\n')}`);
+        }
+
+        if (!Semver.valid(manifest.version)) {
+            throw new Error(`[ModuleRegistry] ${manifest.name}: invalid version "${manifest.version}"`);
+        }
+
+        // Fail early on malformed ranges instead of at resolve time
+        for (const field of ['dependencies', 'optionalDependencies', 'provides', 'conflicts']) {
+            (manifest[field] || []).forEach(spec => DependencyResolver.parseSpec(spec));
+        }
+
+        const existing = this.manifests.get(manifest.name);
+        if (existing) {
+            throw new Error(
+                `[ModuleRegistry] ${manifest.name} is already registered (v${existing.version} from ${existing.source})`
+            );
+        }
+
+        const resolve = (path) => new URL(path, baseUrl).href;
+        const config = manifest.config || null;
+
+        const normalized = {
+            name: manifest.name,
+            version: manifest.version,
+            description: manifest.description || '',
+            entry: resolve(manifest.entry),
+            export: manifest.export || 'default',
+            controller: manifest.controller ? resolve(manifest.controller) : null,
+            dependencies: manifest.dependencies || [],
+            optionalDependencies: manifest.optionalDependencies || [],
+            provides: manifest.provides || [],
+            conflicts: manifest.conflicts || [],
+            critical: manifest.critical === true,
+            config: config && {
+                key: config.key || manifest.name,
+                schema: typeof config.schema === 'string' ? resolve(config.schema) : (config.schema || null)
+            },
+            templates: (manifest.templates || []).map(resolve),
+            styles: (manifest.styles || []).map(resolve),
+            source: baseUrl
+        };
+
+        this.manifests.set(normalized.name, normalized);
+        console.log(`[ModuleRegistry] Registered ${normalized.name} v${normalized.version}`);
+
+        return normalized;
+    }
+
+    /**
+     * Remove a module from the registry
+     * @param {string} name - Module name
+     * @returns {boolean} True if it was registered
+     */
+    unregister(name) {
+        this.classes.delete(name);
+        this.schemas.delete(name);
+        return this.manifests.delete(name);
+    }
+
+    /**
+     * Get manifest
+     * @param {string} name - Module name
+     * @returns {Object|null}
+     */
+    get(name) {
+        return this.manifests.get(name) || null;
+    }
+
+    /**
+     * Check if module is registered
+     * @param {string} name - Module name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.manifests.has(name);
+    }
+
+    /**
+     * Get all manifests
+     * @returns {Array<Object>}
+     */
+    list() {
+        return Array.from(this.manifests.values());
+    }
+
+    /**
+     * Import module entry and return its class
+     * @param {string} name - Module name
+     * @param {Object} [options]
+     * @param {boolean} [options.reload] - Bypass the module cache and evaluate the entry again
+     *        (only the entry file - modules it imports stay cached by the browser)
+     * @returns {Promise<Function>} Module (or legacy plugin) class
+     * @throws {Error} If module is unknown or entry has no such export
+     */
+    async loadClass(name, options = {}) {
+        const manifest = this._require(name);
+
+        if (options.reload) {
+            this.classes.delete(name);
+        }
+
+        if (!this.classes.has(name)) {
+            const url = options.reload ? this._cacheBust(manifest.entry) : manifest.entry;
+            const loading = import(url).then(exports => {
+                const ModuleClass = exports[manifest.export];
+                if (typeof ModuleClass !== 'function') {
+                    throw new Error(`[ModuleRegistry] ${name}: ${manifest.entry} has no class export "${manifest.export}"`);
+                }
+                return ModuleClass;
+            });
+
+            // Don't cache failures - allow retry after fixing the file
+            loading.catch(() => this.classes.delete(name));
+            this.classes.set(name, loading);
+        }
+
+        return this.classes.get(name);
+    }
+
+    /**
+     * Import module UI controller
+     * @param {string} name - Module name
+     * @returns {Promise<Function|null>} Controller class, null if module has none
+     */
+    async loadController(name) {
+        const manifest = this._require(name);
+
+        if (!manifest.controller) {
+            return null;
+        }
+
+        const exports = await import(manifest.controller);
+        return exports.default || null;
+    }
+
+    /**
+     * Get module config schema (fetched once when given as URL)
+     * @param {string} name - Module name
+     * @returns {Promise<Object|null>} JSON schema for the module's config section
+     */
+    async loadConfigSchema(name) {
+        const manifest = this._require(name);
+        const schema = manifest.config?.schema;
+
+        if (!schema || typeof schema === 'object') {
+            return schema || null;
+        }
+
+        if (!this.schemas.has(name)) {
+            const loading = this._fetchJSON(schema);
+            loading.catch(() => this.schemas.delete(name));
+            this.schemas.set(name, loading);
+        }
+
+        return this.schemas.get(name);
+    }
+
+    /**
+     * Collect template URLs of modules
+     * @param {Array<string>} names - Module names
+     * @returns {Array<string>}
+     */
+    getTemplates(names) {
+        return this._collect(names, 'templates');
+    }
+
+    /**
+     * Collect stylesheet URLs of modules
+     * @param {Array<string>} names - Module names
+     * @returns {Array<string>}
+     */
+    getStyles(names) {
+        return this._collect(names, 'styles');
+    }
+
+    /**
+     * Discover a single source (directory, index or manifest)
+     * @private
+     * @param {string} url - Absolute URL
+     * @param {Set<string>} visited - Index URLs already read (guards against index loops)
+     */
+    async _discoverSource(url, visited) {
+        // Directories are described by their index file
+        if (!/\.json($|\?)/.test(url)) {
+            url = new URL(INDEX_FILE, url.endsWith('/') ? url : `${url}/`).href;
+        }
+
+        if (visited.has(url)) {
+            return;
+        }
+        visited.add(url);
+
+        const data = await this._fetchJSON(url);
+
+        // Single manifest
+        if (!Array.isArray(data.modules)) {
+            this._tryRegister(data, url);
+            return;
+        }
+
+        // Index: manifest paths, directories, nested indexes or inline manifests
+        for (const entry of data.modules) {
+            if (typeof entry === 'string') {
+                try {
+                    await this._discoverSource(new URL(entry, url).href, visited);
+                } catch (error) {
+                    this._reportError(entry, error);
+                }
+            } else {
+                this._tryRegister(entry, url);
+            }
+        }
+    }
+
+    /**
+     * Register manifest, reporting instead of throwing
+     * @private
+     */
+    _tryRegister(manifest, baseUrl) {
+        try {
+            this.register(manifest, baseUrl);
+        } catch (error) {
+            this._reportError(manifest?.name ? `${manifest.name} (${baseUrl})` : baseUrl, error);
+        }
+    }
+
+    /**
+     * Record discovery problem
+     * @private
+     */
+    _reportError(source, error) {
+        this.errors.push({ source, message: error.message });
+        console.error(`[ModuleRegistry] Skipped ${source}:`, error.message);
+    }
+
+    /**
+     * Fetch and parse JSON
+     * @private
+     * @param {string} url
+     * @returns {Promise<Object>}
+     * @throws {Error} On network, HTTP or parse errors
+     */
+    async _fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText} (${url})`);
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new Error(`Invalid JSON in ${url}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Resolve URL against the page (paths are relative to index.html)
+     * @private
+     */
+    _resolveUrl(path) {
+        const base = typeof location !== 'undefined' ? location.href : undefined;
+        return new URL(path, base).href;
+    }
+
+    /**
+     * Add query parameter so import() fetches and evaluates the file again
+     * @private
+     */
+    _cacheBust(url) {
+        const busted = new URL(url);
+        busted.searchParams.set('reload', Date.now().toString(36));
+        return busted.href;
+    }
+
+    /**
+     * Get manifest or throw
+     * @private
+     */
+    _require(name) {
+        const manifest = this.manifests.get(name);
+        if (!manifest) {
+            throw new Error(`[ModuleRegistry] Unknown module: ${name}`);
+        }
+        return manifest;
+    }
+
+    /**
+     * Collect list field from manifests (unknown names are ignored)
+     * @private
+     */
+    _collect(names, field) {
+        const urls = names.flatMap(name => this.manifests.get(name)?.[field] || []);
+        return [...new Set(urls)];
+    }
+}
+
+export default ModuleRegistry;
@@ -0,0 +1,261 @@
+/**
+ * ResourceTracker
+ * Attributes scene objects, observers and event listeners to the module that created them
+ *
+ * LegozoLoader runs each module's init() and start() inside track(). Everything added
+ * to the scene, its observables, the engine event bus or the InputManager during that
+ * window belongs to the module. After the module is disposed, release() removes
+ * whatever the module forgot to clean up and reports it as a leak.
+ *
+ * Limits:
+ * - Only objects created while init/start runs are attributed (not ones created later
+ *   from event handlers)
+ * - DOM listeners are not tracked - modules must remove those in dispose()
+ *
+ * @example
+ * await tracker.track('sky', () => module.init(engine, config));
+ * module.dispose();
+ * const leaks = tracker.release('sky'); // { meshes: 0, observers: 1, ... }
+ */
+
+// Scene collections checked for new objects (disposal order: meshes first)
+const SCENE_COLLECTIONS = [
+    'meshes',
+    'transformNodes',
+    'particleSystems',
+    'lights',
+    'cameras',
+    'materials',
+    'multiMaterials',
+    'textures',
+    'skeletons',
+    'animationGroups'
+];
+
+export class ResourceTracker {
+    /**
+     * @param {Object} engine - BabylonEngine (scene, events, inputManager)
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.owned = new Map(); // Owner → { objects: Map<collection, Set>, observers: [], listeners: [] }
+    }
+
+    /**
+     * Run function and attribute resources it creates to owner
+     * @param {string} owner - Module name
+     * @param {Function} fn - Sync or async function (e.g. module.init)
+     * @returns {Promise<*>} Result of fn (errors are rethrown after recording)
+     */
+    async track(owner, fn) {
+        const before = this._snapshot();
+
+        try {
+            return await fn();
+        } finally {
+            // Record even on failure - half-initialized modules leave objects behind too
+            this._record(owner, before, this._snapshot());
+        }
+    }
+
+    /**
+     * Remove resources the owner left behind
+     * @param {string} owner - Module name
+     * @returns {Object} Leak counts per kind ({ meshes, materials, ..., observers, listeners })
+     */
+    release(owner) {
+        const resources = this.owned.get(owner);
+        const leaks = { total: 0 };
+        this.owned.delete(owner);
+
+        if (!resources) {
+            return leaks;
+        }
+
+        const scene = this.engine.scene;
+        const count = (kind) => {
+            leaks[kind] = (leaks[kind] || 0) + 1;
+            leaks.total++;
+        };
+
+        // Scene objects still present
+        for (const collection of SCENE_COLLECTIONS) {
+            const alive = new Set(scene?.[collection] || []);
+
+            for (const object of resources.objects.get(collection) || []) {
+                if (!alive.has(object)) continue;
+
+                try {
+                    object.dispose();
+                } catch (error) {
+                    console.warn(`[ResourceTracker] Failed to dispose ${collection} ${object.name}:`, error);
+                }
+                count(collection);
+            }
+        }
+
+        // Observers still attached
+        for (const { observable, observer } of resources.observers) {
+            if (observable.observers.includes(observer)) {
+                observable.remove(observer);
+                count('observers');
+            }
+        }
+
+        // Event bus / InputManager listeners still subscribed
+        for (const { emitter, event, handler } of resources.listeners) {
+            if (emitter.listeners[event]?.includes(handler)) {
+                emitter.off(event, handler);
+                count('listeners');
+            }
+        }
+
+        if (leaks.total > 0) {
+            const details = Object.entries(leaks)
+                .filter(([kind]) => kind !== 'total')
+                .map(([kind, n]) => `${n} ${kind}`)
+                .join(', ');
+            console.warn(`[ResourceTracker] ${owner} leaked ${details} - cleaned up`);
+        }
+
+        return leaks;
+    }
+
+    /**
+     * Count resources currently attributed to owner (still alive)
+     * @param {string} owner - Module name
+     * @returns {Object} Counts per kind
+     */
+    getSummary(owner) {
+        const resources = this.owned.get(owner);
+        const summary = { objects: 0, observers: 0, listeners: 0 };
+        if (!resources) return summary;
+
+        const scene = this.engine.scene;
+        for (const [collection, objects] of resources.objects) {
+            const alive = new Set(scene?.[collection] || []);
+            summary.objects += [...objects].filter(object => alive.has(object)).length;
+        }
+
+        summary.observers = resources.observers
+            .filter(({ observable, observer }) => observable.observers.includes(observer)).length;
+        summary.listeners = resources.listeners
+            .filter(({ emitter, event, handler }) => emitter.listeners[event]?.includes(handler)).length;
+
+        return summary;
+    }
+
+    /**
+     * Drop ownership records without cleaning up
+     * @param {string} owner - Module name
+     */
+    forget(owner) {
+        this.owned.delete(owner);
+    }
+
+    /**
+     * Capture current scene objects, observers and listeners
+     * @private
+     * @returns {Object}
+     */
+    _snapshot() {
+        const scene = this.engine.scene;
+        const objects = new Map();
+        const observers = new Map(); // Observable → Set(observer)
+        const listeners = new Map(); // Emitter → Map(event → Set(handler))
+
+        for (const collection of SCENE_COLLECTIONS) {
+            objects.set(collection, new Set(scene?.[collection] || []));
+        }
+
+        for (const observable of this._observables()) {
+            observers.set(observable, new Set(observable.observers));
+        }
+
+        for (const emitter of this._emitters()) {
+            const events = new Map();
+            for (const [event, handlers] of Object.entries(emitter.listeners)) {
+                events.set(event, new Set(handlers));
+            }
+            listeners.set(emitter, events);
+        }
+
+        return { objects, observers, listeners };
+    }
+
+    /**
+     * Attribute everything new in `after` to owner
+     * @private
+     */
+    _record(owner, before, after) {
+        if (!this.owned.has(owner)) {
+            this.owned.set(owner, { objects: new Map(), observers: [], listeners: [] });
+        }
+        const resources = this.owned.get(owner);
+
+        for (const [collection, objects] of after.objects) {
+            const previous = before.objects.get(collection);
+            if (!resources.objects.has(collection)) {
+                resources.objects.set(collection, new Set());
+            }
+            for (const object of objects) {
+                if (!previous.has(object)) {
+                    resources.objects.get(collection).add(object);
+                }
+            }
+        }
+
+        for (const [observable, observers] of after.observers) {
+            const previous = before.observers.get(observable) || new Set();
+            for (const observer of observers) {
+                if (!previous.has(observer)) {
+                    resources.observers.push({ observable, observer });
+                }
+            }
+        }
+
+        for (const [emitter, events] of after.listeners) {
+            const previousEvents = before.listeners.get(emitter) || new Map();
+            for (const [event, handlers] of events) {
+                const previous = previousEvents.get(event) || new Set();
+                for (const handler of handlers) {
+                    if (!previous.has(handler)) {
+                        resources.listeners.push({ emitter, event, handler });
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Babylon observables on the scene (onBeforeRenderObservable, onPointerObservable, ...)
+     * @private
+     * @returns {Array<BABYLON.Observable>}
+     */
+    _observables() {
+        const scene = this.engine.scene;
+        if (!scene || typeof BABYLON === 'undefined') return [];
+
+        const observables = [];
+        for (const key in scene) {
+            if (!key.endsWith('Observable')) continue;
+
+            const value = scene[key];
+            if (value instanceof BABYLON.Observable) {
+                observables.push(value);
+            }
+        }
+        return observables;
+    }
+
+    /**
+     * Event emitters plugins subscribe to
+     * @private
+     * @returns {Array<EventEmitter>}
+     */
+    _emitters() {
+        return [this.engine.events, this.engine.inputManager].filter(Boolean);
+    }
+}
+
+export default ResourceTracker;
@@ -0,0 +1,253 @@
+/**
+ * Semver
+ * Minimal semantic versioning for module dependency constraints
+ *
+ * Supported range syntax (subset of npm semver):
+ * - Exact:        1.2.3, =1.2.3
+ * - Comparators:  >1.2, >=1.2.0, <2, <=2.1.0
+ * - Caret:        ^1.2.3 (>=1.2.3 <2.0.0), ^0.2.3 (>=0.2.3 <0.3.0)
+ * - Tilde:        ~1.2.3 (>=1.2.3 <1.3.0), ~1 (>=1.0.0 <2.0.0)
+ * - Wildcards:    *, 1.x, 1.2.*, "" (any version)
+ * - Intersection: ">=1.2 <2" (space separated, all must match)
+ * - Union:        "^1.2 || ^2" (any alternative may match)
+ *
+ * Prerelease tags (1.2.0-beta.1) are parsed and sort before the release.
+ *
+ * @example
+ * Semver.satisfies('1.4.0', '^1.2');      // true
+ * Semver.satisfies('2.0.0', '^1.2');      // false
+ * Semver.compare('1.2.0', '1.10.0');      // -1
+ */
+
+const VERSION_PATTERN = /^v?(\d+)(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const COMPARATOR_PATTERN = /^(\^|~|>=|<=|>|<|=)?\s*(.*)$/;
+
+export class Semver {
+    /**
+     * Parse version string
+     * @param {string} version - Version (e.g. '1.2.3', '1.2.0-beta.1')
+     * @returns {{major: number, minor: number, patch: number, prerelease: Array}|null}
+     *          Null if not a valid version
+     */
+    static parse(version) {
+        const partial = Semver._parsePartial(String(version ?? '').trim());
+        if (!partial || partial.minor === null || partial.patch === null) {
+            return null;
+        }
+        return partial;
+    }
+
+    /**
+     * Check if string is a valid full version
+     * @param {string} version
+     * @returns {boolean}
+     */
+    static valid(version) {
+        return Semver.parse(version) !== null;
+    }
+
+    /**
+     * Compare two versions
+     * @param {string|Object} a
+     * @param {string|Object} b
+     * @returns {number} -1 if a < b, 0 if equal, 1 if a > b
+     */
+    static compare(a, b) {
+        const va = typeof a === 'string' ? Semver.parse(a) : a;
+        const vb = typeof b === 'string' ? Semver.parse(b) : b;
+
+        if (!va || !vb) {
+            throw new Error(`[Semver] Invalid version: ${!va ? a : b}`);
+        }
+
+        for (const part of ['major', 'minor', 'patch']) {
+            if (va[part] !== vb[part]) {
+                return va[part] < vb[part] ? -1 : 1;
+            }
+        }
+
+        return Semver._comparePrerelease(va.prerelease, vb.prerelease);
+    }
+
+    /**
+     * Check if version satisfies range
+     * @param {string} version - Version to test
+     * @param {string} range - Range expression (see file header)
+     * @returns {boolean}
+     * @throws {Error} If range is malformed
+     */
+    static satisfies(version, range) {
+        const parsed = Semver.parse(version);
+        if (!parsed) {
+            return false;
+        }
+
+        return Semver.parseRange(range).some(comparators =>
+            comparators.every(({ operator, version: bound }) => {
+                const result = Semver.compare(parsed, bound);
+                switch (operator) {
+                    case '>': return result > 0;
+                    case '>=': return result >= 0;
+                    case '<': return result < 0;
+                    case '<=': return result <= 0;
+                    default: return result === 0;
+                }
+            })
+        );
+    }
+
+    /**
+     * Check if range expression is valid
+     * @param {string} range
+     * @returns {boolean}
+     */
+    static validRange(range) {
+        try {
+            Semver.parseRange(range);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Parse range into alternatives of comparator sets
+     * @param {string} range
+     * @returns {Array<Array<{operator: string, version: Object}>>}
+     * @throws {Error} If range is malformed
+     */
+    static parseRange(range) {
+        const source = String(range ?? '').trim();
+
+        return source.split('||').map(alternative => {
+            // Join operators to their version ("> = 1.2" is not supported, ">= 1.2" is)
+            const tokens = alternative.trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+
+            if (tokens.length === 0) {
+                return []; // Empty range matches everything
+            }
+
+            return tokens.flatMap(token => Semver._expandComparator(token, source));
+        });
+    }
+
+    /**
+     * Expand a single comparator token into primitive comparators
+     * @private
+     * @param {string} token - e.g. '^1.2', '>=1.0.0', '1.x'
+     * @param {string} range - Full range (for error messages)
+     * @returns {Array<{operator: string, version: Object}>}
+     */
+    static _expandComparator(token, range) {
+        const [, operator = '', rest] = token.match(COMPARATOR_PATTERN);
+
+        if (rest === '*' || rest === 'x' || rest === 'X') {
+            return [];
+        }
+
+        const partial = Semver._parsePartial(rest);
+        if (!partial) {
+            throw new Error(`[Semver] Invalid range "${range}" (at "${token}")`);
+        }
+
+        const { major, minor, patch, prerelease } = partial;
+        const version = (ma, mi, pa, pre = []) => ({ major: ma, minor: mi, patch: pa, prerelease: pre });
+        const floor = version(major, minor ?? 0, patch ?? 0, prerelease);
+
+        switch (operator) {
+            case '^': {
+                // Lock the left-most non-zero part
+                let upper;
+                if (major > 0 || minor === null) {
+                    upper = version(major + 1, 0, 0);
+                } else if (minor > 0 || patch === null) {
+                    upper = version(0, minor + 1, 0);
+                } else {
+                    upper = version(0, 0, patch + 1);
+                }
+                return [{ operator: '>=', version: floor }, { operator: '<', version: upper }];
+            }
+
+            case '~': {
+                const upper = minor === null ? version(major + 1, 0, 0) : version(major, minor + 1, 0);
+                return [{ operator: '>=', version: floor }, { operator: '<', version: upper }];
+            }
+
+            case '>':
+                // >1.2 means >=1.3.0, >1 means >=2.0.0
+                if (minor === null) return [{ operator: '>=', version: version(major + 1, 0, 0) }];
+                if (patch === null) return [{ operator: '>=', version: version(major, minor + 1, 0) }];
+                return [{ operator: '>', version: floor }];
+
+            case '<=':
+                // <=1.2 means <1.3.0
+                if (minor === null) return [{ operator: '<', version: version(major + 1, 0, 0) }];
+                if (patch === null) return [{ operator: '<', version: version(major, minor + 1, 0) }];
+                return [{ operator: '<=', version: floor }];
+
+            case '>=':
+            case '<':
+                return [{ operator, version: floor }];
+
+            default:
+                // Exact or partial (1.2 = 1.2.x)
+                if (minor === null) {
+                    return [{ operator: '>=', version: floor }, { operator: '<', version: version(major + 1, 0, 0) }];
+                }
+                if (patch === null) {
+                    return [{ operator: '>=', version: floor }, { operator: '<', version: version(major, minor + 1, 0) }];
+                }
+                return [{ operator: '=', version: floor }];
+        }
+    }
+
+    /**
+     * Parse version allowing missing/wildcard minor and patch
+     * @private
+     * @param {string} text
+     * @returns {Object|null} minor/patch are null when missing or wildcard
+     */
+    static _parsePartial(text) {
+        const match = text.match(VERSION_PATTERN);
+        if (!match) {
+            return null;
+        }
+
+        const part = (value) => (value === undefined || /^[xX*]$/.test(value) ? null : Number(value));
+        const minor = part(match[2]);
+        const patch = minor === null ? null : part(match[3]);
+
+        return {
+            major: Number(match[1]),
+            minor,
+            patch,
+            prerelease: match[4] ? match[4].split('.') : []
+        };
+    }
+
+    /**
+     * Compare prerelease identifiers (release > prerelease)
+     * @private
+     */
+    static _comparePrerelease(a, b) {
+        if (a.length === 0 || b.length === 0) {
+            return a.length === b.length ? 0 : (a.length === 0 ? 1 : -1);
+        }
+
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            if (a[i] === undefined) return -1;
+            if (b[i] === undefined) return 1;
+            if (a[i] === b[i]) continue;
+
+            const numA = /^\d+$/.test(a[i]);
+            const numB = /^\d+$/.test(b[i]);
+            if (numA && numB) return Number(a[i]) < Number(b[i]) ? -1 : 1;
+            if (numA !== numB) return numA ? -1 : 1;
+            return a[i] < b[i] ? -1 : 1;
+        }
+
+        return 0;
+    }
+}
+
+export default Semver;
@@ -4,7 +4,7 @@
  * Provides:
  * - Lifecycle hooks (init, start, stop, dispose)
  * - Dependency declaration and management
- * - Event system integration
+ * - Event system integration (scoped bus: listeners removed on dispose)
  * - Configuration management
  * - State management
  * - Error handling
@@ -18,7 +18,7 @@
  *     }
  *
  *     get dependencies() {
- *         return ['camera', 'lighting'];
+ *         return ['camera', 'lighting@^1.2'];
  *     }
  *
  *     async init(engine, config) {
@@ -28,6 +28,9 @@
  * }
  */
 
+import Semver from '../../core/semver.js';
+import DependencyResolver from '../../core/dependency-resolver.js';
+
 export class ModuleBase {
     /**
      * Create a module
@@ -53,6 +56,10 @@ export class ModuleBase {
 
         // Event system
         this._eventHandlers = new Map();
+        this._events = null; // Scoped engine event bus, created in init()
+
+        // Dependency name/capability → { module, version } (DependencyResolver providers, set by the loader)
+        this.dependencyProviders = null;
 
         // Performance tracking
         this._metrics = {
@@ -84,12 +91,37 @@ export class ModuleBase {
 
     /**
      * Get module dependencies (override in subclass)
-     * @returns {string[]} Array of module names this module depends on
+     * @returns {string[]} Module names, optionally with version range ('physics@^1.2')
      */
     get dependencies() {
         return [];
     }
 
+    /**
+     * Get optional dependencies (override in subclass)
+     * Loaded before this module when present, skipped otherwise
+     * @returns {string[]} Module names, optionally with version range
+     */
+    get optionalDependencies() {
+        return [];
+    }
+
+    /**
+     * Get capabilities this module provides besides its own name (override in subclass)
+     * @returns {string[]} Capability names, optionally with version ('physics-engine@1.0.0')
+     */
+    get provides() {
+        return [];
+    }
+
+    /**
+     * Get modules/capabilities this module cannot run alongside (override in subclass)
+     * @returns {string[]} Names, optionally with version range ('legacy-physics@<2')
+     */
+    get conflicts() {
+        return [];
+    }
+
     /**
      * Get module state
      * @returns {string} Current state
@@ -122,6 +154,15 @@ export class ModuleBase {
         return this._state === 'disposed';
     }
 
+    /**
+     * Get scoped engine event bus
+     * Listeners added through it are removed automatically when the module is disposed
+     * @returns {Object|null} Scoped emitter (null before init)
+     */
+    get events() {
+        return this._events;
+    }
+
     /**
      * Get module errors
      * @returns {Array}
@@ -161,6 +202,7 @@ export class ModuleBase {
             // Store references
             this._engine = engine;
             this._config = { ...this.getDefaultConfig(), ...config };
+            this._events = engine.events ? engine.events.scope(this._name) : null;
 
             // Emit init event
             this.emit('module:init:start', { module: this._name });
@@ -181,6 +223,12 @@ export class ModuleBase {
         } catch (error) {
             this._handleError('init', error);
             this._setState('uninitialized');
+
+            // Drop listeners of the failed attempt (a retry creates a new scope)
+            if (this._events) {
+                this._events.dispose();
+                this._events = null;
+            }
             throw error;
         }
     }
@@ -191,10 +239,12 @@ export class ModuleBase {
      * @returns {Promise<void>}
      */
     async start() {
-        if (this._state !== 'initialized') {
-            throw new Error(`[${this._name}] Cannot start: must be initialized (currently ${this._state})`);
+        // Stopped modules can be restarted
+        if (this._state !== 'initialized' && this._state !== 'stopped') {
+            throw new Error(`[${this._name}] Cannot start: must be initialized or stopped (currently ${this._state})`);
         }
 
+        const previousState = this._state;
         this._setState('starting');
         const startTime = performance.now();
 
@@ -214,7 +264,7 @@ export class ModuleBase {
 
         } catch (error) {
             this._handleError('start', error);
-            this._setState('initialized');
+            this._setState(previousState);
             throw error;
         }
     }
@@ -270,8 +320,12 @@ export class ModuleBase {
             // Allow subclass to cleanup
             this._onDispose();
 
-            // Clear event handlers
+            // Clear event handlers (own and on the engine bus)
             this._eventHandlers.clear();
+            if (this._events) {
+                this._events.dispose();
+                this._events = null;
+            }
 
             // Clear references
             this._engine = null;
@@ -496,18 +550,35 @@ export class ModuleBase {
      * @returns {Promise<void>}
      */
     async _validateDependencies() {
-        const deps = this.dependencies;
+        const deps = [
+            ...this.dependencies.map(spec => DependencyResolver.parseSpec(spec)),
+            ...this.optionalDependencies.map(spec => ({ ...DependencyResolver.parseSpec(spec), optional: true }))
+        ];
 
-        if (!deps || deps.length === 0) {
+        if (deps.length === 0) {
             return; // No dependencies
         }
 
         const missing = [];
+        const incompatible = [];
 
         for (const dep of deps) {
-            const depModule = this._engine.getPlugin(dep);
+            // A capability from another module's `provides` resolves to that module (and the capability's version)
+            const provider = this.dependencyProviders?.get(dep.name);
+            const viaModule = provider && !provider.external ? provider : null;
+
+            const depModule = this._engine.getPlugin(viaModule ? viaModule.module : dep.name);
             if (!depModule) {
-                missing.push(dep);
+                if (!dep.optional) {
+                    missing.push(dep.raw);
+                }
+                continue;
+            }
+
+            // Legacy plugins have no version - only modules can be range-checked
+            const version = viaModule ? viaModule.version : depModule.version;
+            if (dep.range && version && !Semver.satisfies(version, dep.range)) {
+                incompatible.push(`${dep.raw} (found ${version})`);
             }
         }
 
@@ -515,7 +586,11 @@ export class ModuleBase {
             throw new Error(`[${this._name}] Missing dependencies: ${missing.join(', ')}`);
         }
 
-        console.log(`[${this._name}] Dependencies validated: ${deps.join(', ')}`);
+        if (incompatible.length > 0) {
+            throw new Error(`[${this._name}] Incompatible dependencies: ${incompatible.join(', ')}`);
+        }
+
+        console.log(`[${this._name}] Dependencies validated: ${deps.map(dep => dep.raw).join(', ')}`);
     }
 
     /**
@@ -561,6 +636,9 @@ export class ModuleBase {
             version: this._version,
             state: this._state,
             dependencies: this.dependencies,
+            optionalDependencies: this.optionalDependencies,
+            provides: this.provides,
+            conflicts: this.conflicts,
             isInitialized: this.isInitialized,
             isStarted: this.isStarted,
             metrics: this._metrics,
@@ -0,0 +1,167 @@
+/**
+ * PluginModule - Adapter running a legacy Plugin as a ModuleBase module
+ *
+ * Gives src/plugins/ classes the module lifecycle without rewriting them:
+ * - Declared dependencies (from the module manifest) take part in resolution
+ * - init → engine.registerPlugin() (calls plugin.init with scene, events, config, input);
+ *   the plugin gets the module's scoped event bus, so its listeners go away on dispose
+ * - start → engine.startPlugin() (once; later starts re-enable the plugin)
+ * - stop → plugin.disable()
+ * - dispose → plugin.dispose() and engine.unregisterPlugin()
+ * - State tracking, metrics, error handling and getDebugInfo() from ModuleBase
+ * - getState()/setState() include plugin state when the plugin implements
+ *   saveState()/restoreState(state), so it survives hot reload
+ * - Errors the plugin reports at runtime (plugin.reportError) land in module.errors
+ *
+ * The plugin stays registered under the module name, so
+ * engine.plugins.get('lighting') still returns the LightingPlugin.
+ *
+ * @example
+ * const shadow = new PluginModule('shadow', ShadowPlugin, {
+ *     version: '1.0.0',
+ *     dependencies: ['lighting']
+ * });
+ * await shadow.init(engine, config);
+ * await shadow.start();
+ */
+
+import ModuleBase from './module-base.js';
+
+export class PluginModule extends ModuleBase {
+    /**
+     * Create adapter
+     * @param {string} name - Module name (also the engine plugin name)
+     * @param {Function} PluginClass - Plugin subclass to wrap
+     * @param {Object} manifest - Module manifest (version, dependencies, optionalDependencies, provides, conflicts)
+     * @param {Object} options - Options passed to the plugin constructor
+     */
+    constructor(name, PluginClass, manifest = {}, options = {}) {
+        super(name, manifest.version || '1.0.0', options);
+
+        if (typeof PluginClass !== 'function') {
+            throw new Error(`[${name}] PluginModule requires a Plugin class`);
+        }
+
+        this.PluginClass = PluginClass;
+        this.plugin = null;
+
+        this._declared = {
+            dependencies: manifest.dependencies || [],
+            optionalDependencies: manifest.optionalDependencies || [],
+            provides: manifest.provides || [],
+            conflicts: manifest.conflicts || []
+        };
+    }
+
+    /**
+     * Dependencies declared in the manifest
+     */
+    get dependencies() {
+        return this._declared.dependencies;
+    }
+
+    get optionalDependencies() {
+        return this._declared.optionalDependencies;
+    }
+
+    get provides() {
+        return this._declared.provides;
+    }
+
+    get conflicts() {
+        return this._declared.conflicts;
+    }
+
+    /**
+     * Create plugin and register it with the engine (runs plugin.init)
+     */
+    async _onInit() {
+        this.plugin = new this.PluginClass(this._options);
+
+        // Subscribe first - init() itself may report errors
+        this.events.on('plugin:error', ({ plugin, context, error }) => {
+            if (plugin === this.plugin) {
+                this._handleError(context, error instanceof Error ? error : new Error(String(error)));
+            }
+        });
+
+        this._engine.registerPlugin(this._name, this.plugin, { events: this.events });
+    }
+
+    /**
+     * Start plugin (first start) or re-enable it (after stop)
+     */
+    async _onStart() {
+        if (this._engine.isPluginStarted(this._name)) {
+            this.plugin.enable();
+            return;
+        }
+
+        this._engine.startPlugin(this._name);
+
+        // State set before init (hot reload) - hand it to the plugin once it is running
+        if (typeof this.plugin.restoreState === 'function' && Object.keys(this._moduleState).length > 0) {
+            this.plugin.restoreState({ ...this._moduleState });
+        }
+    }
+
+    /**
+     * Disable plugin (keeps its scene objects)
+     */
+    async _onStop() {
+        this.plugin.disable();
+    }
+
+    /**
+     * Dispose plugin and remove it from the engine
+     */
+    _onDispose() {
+        if (!this.plugin) return;
+
+        this.plugin.dispose();
+
+        if (this._engine && this._engine.plugins.get(this._name) === this.plugin) {
+            this._engine.unregisterPlugin(this._name);
+        }
+
+        this.plugin = null;
+    }
+
+    /**
+     * Get module state, including plugin state (saveState)
+     * @returns {Object}
+     */
+    getState() {
+        const pluginState = this.plugin && typeof this.plugin.saveState === 'function'
+            ? this.plugin.saveState()
+            : {};
+
+        return { ...super.getState(), ...pluginState };
+    }
+
+    /**
+     * Get wrapped plugin instance
+     * @returns {Object|null}
+     */
+    getPlugin() {
+        return this.plugin;
+    }
+
+    /**
+     * Get debug info (module info + wrapped plugin flags)
+     * @returns {Object}
+     */
+    getDebugInfo() {
+        return {
+            ...super.getDebugInfo(),
+            plugin: {
+                class: this.PluginClass.name,
+                enabled: this.plugin ? this.plugin.enabled : false,
+                initialized: this.plugin ? this.plugin.initialized : false,
+                started: this._engine ? this._engine.isPluginStarted(this._name) : false
+            }
+        };
+    }
+}
+
+export default PluginModule;
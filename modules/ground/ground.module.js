@@ -80,8 +80,9 @@ export class GroundModule extends ModuleBase {
     async _onStart() {
         console.log('[GroundModule] Starting...');
 
-        // Plugin is already started by engine
-        // Just emit ready event
+        // Start plugin here (dependency order) - engine.start() skips it afterwards
+        this._engine.startPlugin('ground');
+
         this.emit('ground:ready', {
             width: this.plugin.width,
             height: this.plugin.height,
@@ -105,6 +106,7 @@ export class GroundModule extends ModuleBase {
 
         if (this.plugin) {
             this.plugin.dispose();
+            this._engine?.unregisterPlugin('ground');
             this.plugin = null;
         }
 
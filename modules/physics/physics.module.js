@@ -6,11 +6,13 @@
  * - Collision detection (Babylon simple + Havok physics)
  * - Gravity system with multiple presets
  * - Per-object physics properties
+ * - Joints between bodies (hinge, ball, slider, distance, spring, fixed)
  * - Real-time physics controls
  * - Debug visualization
  *
  * Architecture:
  * - Integrates existing CollisionPlugin and GravityPlugin
+ * - Delegates joints to JointPlugin ("joints" module, optional)
  * - Follows modular architecture pattern (extends ModuleBase)
  * - Provides UI controller for physics panel
  * - Event-driven communication with other modules
@@ -19,7 +21,7 @@
  * @created 2025-11-25
  */
 
-import ModuleBase from '../../core/ModuleBase.js';
+import ModuleBase from '../base/module-base.js';
 import defaultConfig from './physics.config.js';
 import PhysicsController from './physics.controller.js';
 
@@ -55,10 +57,18 @@ class PhysicsModule extends ModuleBase {
      * Define module dependencies
      * @returns {Array<string>} Array of module names this depends on
      */
-    getDependencies() {
+    get dependencies() {
         return ['collision', 'gravity'];
     }
 
+    /**
+     * Modules used when loaded
+     * @returns {Array<string>}
+     */
+    get optionalDependencies() {
+        return ['joints'];
+    }
+
     /**
      * Initialize module
      * Called after dependencies are loaded
@@ -66,6 +76,11 @@ class PhysicsModule extends ModuleBase {
     async _onInit() {
         console.log('[PhysicsModule] Initializing...');
 
+        // Shorthands for the controller (it reads physicsModule.scene / .config)
+        this.engine = this._engine;
+        this.scene = this._engine.scene;
+        this.config = this._config;
+
         // Get plugin instances from engine
         this.collisionPlugin = this.engine.plugins.get('collision');
         this.gravityPlugin = this.engine.plugins.get('gravity');
@@ -102,11 +117,11 @@ class PhysicsModule extends ModuleBase {
         }
 
         // Set initial gravity preset
-        const preset = this.config.gravity.preset || 'earth';
+        const preset = this.config.gravity?.preset || 'earth';
         this.setGravityPreset(preset);
 
         // Set collision mode
-        this.collisionMode = this.config.collision.mode || 'hybrid';
+        this.collisionMode = this.config.collision?.mode || 'hybrid';
 
         // Initialize UI controller
         this.controller = new PhysicsController(this);
@@ -163,6 +178,10 @@ class PhysicsModule extends ModuleBase {
         this.events.on('collision:physics:enabled', (data) => {
             this.physicsObjects.set(data.mesh, data.settings);
         });
+
+        this.events.on('collision:physics:disabled', (data) => {
+            this.physicsObjects.delete(data.mesh);
+        });
     }
 
     // ==================== PUBLIC API ====================
@@ -174,7 +193,8 @@ class PhysicsModule extends ModuleBase {
     setGravityPreset(preset) {
         if (!this.gravityPlugin) return;
 
-        const presets = this.config.gravity.presets;
+        // Scene configs replace the gravity section, so ask the plugin first
+        const presets = this.gravityPlugin.presets || this.config.gravity?.presets || {};
         if (presets[preset]) {
             this.gravityPlugin.setPreset(preset);
             this.currentGravityPreset = preset;
@@ -270,6 +290,93 @@ class PhysicsModule extends ModuleBase {
         this.collisionPlugin.disableCollision(mesh);
     }
 
+    // ==================== JOINTS ====================
+
+    /**
+     * Joint plugin ("joints" module), looked up on use since it may load after this module
+     * @returns {JointPlugin|null}
+     */
+    getJointPlugin() {
+        return this.engine?.plugins.get('joints') || null;
+    }
+
+    /**
+     * Connect two bodies with a joint
+     * @param {Object} definition - type ('hinge', 'ball', 'slider', 'distance', 'spring', 'fixed'),
+     *   bodyA / bodyB (meshes or names), pivot / axis (world) or pivotA / pivotB / axisA / axisB (local),
+     *   limits {min, max}, spring {stiffness, damping}, motor {type, target, maxForce}, collision
+     * @returns {Object|null} Joint, null without the joints module
+     * @throws {Error} error.code === 'INVALID_JOINT' for a bad definition
+     *
+     * @example
+     * // Door on a static frame, opening up to 100 degrees
+     * physics.createJoint({
+     *     type: 'hinge', bodyA: 'doorFrame', bodyB: 'door',
+     *     pivot: { x: -0.5, y: 1, z: 0 }, axis: { x: 0, y: 1, z: 0 },
+     *     limits: { min: 0, max: 1.75 }
+     * });
+     */
+    createJoint(definition) {
+        const jointPlugin = this.getJointPlugin();
+        if (!jointPlugin) {
+            console.warn('[PhysicsModule] Joints need the "joints" module');
+            return null;
+        }
+
+        if (!this.physicsEnabled) {
+            console.warn('[PhysicsModule] Physics engine not enabled - joint waits for its bodies');
+        }
+
+        return jointPlugin.createJoint(definition);
+    }
+
+    /**
+     * Remove a joint
+     * @param {Object|string} joint - Joint or joint name
+     * @returns {boolean} True if removed
+     */
+    removeJoint(joint) {
+        return this.getJointPlugin()?.removeJoint(joint) ?? false;
+    }
+
+    /**
+     * Get joints
+     * @param {BABYLON.Mesh} [mesh] - Only joints this mesh is part of
+     * @returns {Array<Object>} Joints
+     */
+    getJoints(mesh = null) {
+        return this.getJointPlugin()?.getJoints(mesh) ?? [];
+    }
+
+    /**
+     * Drive a hinge or slider joint
+     * @param {Object|string} joint - Joint or joint name
+     * @param {Object|null} motor - {type: 'velocity'|'position', target, maxForce}, null turns it off
+     * @returns {boolean} True if applied
+     */
+    setJointMotor(joint, motor) {
+        return this.getJointPlugin()?.setMotor(joint, motor) ?? false;
+    }
+
+    /**
+     * Change joint limits
+     * @param {Object|string} joint - Joint or joint name
+     * @param {Object|null} limits - {min, max} (radians or meters), null for unlimited
+     * @param {Object} [spring] - {stiffness, damping} for spring joints
+     * @returns {boolean} True if applied
+     */
+    setJointLimits(joint, limits, spring = null) {
+        return this.getJointPlugin()?.setLimits(joint, limits, spring) ?? false;
+    }
+
+    /**
+     * Show or hide joint pivots and axes (edit mode only)
+     * @param {boolean} visible
+     */
+    showJointHelpers(visible) {
+        this.getJointPlugin()?.setHelpersEnabled(visible);
+    }
+
     /**
      * Toggle physics engine on/off
      * @param {boolean} enabled - Enable or disable
@@ -309,6 +416,7 @@ class PhysicsModule extends ModuleBase {
             collisionMode: this.collisionMode,
             gravityPreset: this.currentGravityPreset,
             activeObjects: this.physicsObjects.size,
+            joints: this.getJoints().length,
             currentGravity: this.gravityPlugin ? this.gravityPlugin.current : null
         };
     }
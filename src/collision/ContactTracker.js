@@ -0,0 +1,162 @@
+/**
+ * @file ContactTracker.js
+ * @description Enter / stay / exit bookkeeping for pairs of colliding (or overlapping) nodes
+ *
+ * @tags [COL.6.*] Contact tracking
+ * @primary-tags [COL.6] Contact lifecycle
+ *
+ * @dependencies
+ *   - (none - fed by CollisionPlugin from Babylon collisions, Havok events and overlap tests)
+ *
+ * @affects
+ *   - [COL.6 -> EVT] CollisionPlugin turns the callbacks into collision:* / trigger:* events
+ *
+ * @features
+ *   - Pairs are unordered: A hitting B and B hitting A are one contact
+ *   - Frame-based: touch() during a frame, update() once at its end
+ *   - Sources that only report while touching (Babylon onCollide, overlap tests) expire
+ *     after graceFrames without a report; sources with an explicit end (Havok) persist
+ *   - Contacts of a removed node can be ended at once (endAll)
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+// [COL.6] Contact tracker
+class ContactTracker {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.graceFrames=0] - Frames a non-persistent contact survives unreported
+     * @param {Function} [options.onEnter] - (contact) on the first report of a pair
+     * @param {Function} [options.onStay] - (contact) every frame after the first while it lasts
+     * @param {Function} [options.onExit] - (contact) when the pair separates or is ended
+     */
+    constructor(options = {}) {
+        // [COL.6.1] Settings
+        this.graceFrames = options.graceFrames ?? 0;
+        this.onEnter = options.onEnter || null;
+        this.onStay = options.onStay || null;
+        this.onExit = options.onExit || null;
+
+        // [COL.6.2] Active contacts: pair key -> contact
+        this.contacts = new Map();
+
+        // [COL.6.2] Node ids for pair keys (WeakMap, nodes can be garbage collected)
+        this.ids = new WeakMap();
+        this.nextId = 1;
+
+        // [COL.6.3] Frame counter (advanced by update())
+        this.frame = 0;
+    }
+
+    // [COL.6] Report that two nodes touch this frame
+    // data (point, normal, impulse, source, ...) replaces the stored data
+    // persistent: stays until end() instead of expiring when not reported
+    // Returns the contact
+    touch(a, b, data = {}, persistent = false) {
+        const key = this.getKey(a, b);
+        let contact = this.contacts.get(key);
+
+        if (!contact) {
+            // [COL.6.1] New pair: a/b keep the order of the first report
+            contact = { key, a, b, data, startFrame: this.frame, lastFrame: this.frame, persistent };
+            this.contacts.set(key, contact);
+            this.onEnter?.(contact);
+            return contact;
+        }
+
+        contact.data = { ...contact.data, ...data };
+        contact.lastFrame = this.frame;
+        contact.persistent = contact.persistent || persistent;
+        return contact;
+    }
+
+    // [COL.6] End a pair now (Havok "finished", trigger exit)
+    end(a, b) {
+        const key = this.getKey(a, b);
+        const contact = this.contacts.get(key);
+        if (!contact) {
+            return false;
+        }
+
+        this.contacts.delete(key);
+        this.onExit?.(contact);
+        return true;
+    }
+
+    // [COL.6] End every contact of a node (node removed, body disposed, player changed)
+    // filter(contact) limits which of them end
+    endAll(node, filter = null) {
+        for (const contact of [...this.contacts.values()]) {
+            if ((contact.a === node || contact.b === node) && (!filter || filter(contact))) {
+                this.contacts.delete(contact.key);
+                this.onExit?.(contact);
+            }
+        }
+    }
+
+    // [COL.6] End every contact with a node for which isGone(node) is true
+    // (disposed or hidden meshes never report again, and may never send an end)
+    prune(isGone) {
+        for (const contact of [...this.contacts.values()]) {
+            if (isGone(contact.a) || isGone(contact.b)) {
+                this.contacts.delete(contact.key);
+                this.onExit?.(contact);
+            }
+        }
+    }
+
+    // [COL.6] End of frame: expire unreported contacts, report the rest as staying
+    update() {
+        for (const contact of [...this.contacts.values()]) {
+            // [COL.6.1] Expired (not reported for more than graceFrames)
+            if (!contact.persistent && this.frame - contact.lastFrame > this.graceFrames) {
+                this.contacts.delete(contact.key);
+                this.onExit?.(contact);
+                continue;
+            }
+
+            // [COL.6.2] Entered this frame: enter was the event for it
+            if (contact.startFrame !== this.frame) {
+                this.onStay?.(contact);
+            }
+        }
+
+        this.frame++;
+    }
+
+    // [COL.6] Contact between two nodes (null when they don't touch)
+    get(a, b) {
+        return this.contacts.get(this.getKey(a, b)) || null;
+    }
+
+    // [COL.6] Contacts a node is part of
+    getContacts(node) {
+        return [...this.contacts.values()].filter(contact => contact.a === node || contact.b === node);
+    }
+
+    // [COL.6] Forget all contacts without exit callbacks (dispose)
+    clear() {
+        this.contacts.clear();
+    }
+
+    // [COL.6] Order-independent key for a pair
+    getKey(a, b) {
+        const idA = this.getId(a);
+        const idB = this.getId(b);
+        return idA < idB ? `${idA}:${idB}` : `${idB}:${idA}`;
+    }
+
+    // [COL.6] Stable id per node
+    getId(node) {
+        let id = this.ids.get(node);
+        if (id === undefined) {
+            id = this.nextId++;
+            this.ids.set(node, id);
+        }
+        return id;
+    }
+}
+
+// [COL.6] Export for CollisionPlugin
+export default ContactTracker;
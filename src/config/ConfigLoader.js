@@ -6,7 +6,8 @@
  * @primary-tags [!CFG.1] Config loading system
  * @critical-tags [!CFG.1.1] Config validation affects all plugins
  *
- * @dependencies None (foundation class)
+ * @dependencies
+ *   - [CFG.1 -> CFG.4] SchemaValidator checks configs against config/schema.json
  *
  * @affects All plugins (all plugins read config)
  *
@@ -16,14 +17,27 @@
  * @created 2025-10-31
  */
 
+import SchemaValidator from './SchemaValidator.js';
+
+// [CFG.4] Schema used when config has no "$schema" (relative to index.html)
+const DEFAULT_SCHEMA_URL = './config/schema.json';
+
+// [CFG.4] Loaded schemas by URL
+const schemaCache = new Map();
+
+// [CFG.4.5] Config sections added by module manifests (key → schema)
+const sectionSchemas = new Map();
+
 // [!CFG.1] Configuration loading and management
 // Used by: ALL plugins (read configuration values)
 // Impact: Invalid config breaks plugin initialization
 class ConfigLoader {
     // [CFG.1] Load configuration from object or file
     // [CFG.1.2] Merges with defaults
-    // [CFG.1.1] Validates against schema (optional)
-    static async load(source) {
+    // [CFG.4] Validates against JSON schema - throws with a readable report if invalid
+    // options.schema: schema object, options.schemaUrl: schema location,
+    // options.validate: false to skip schema validation
+    static async load(source, options = {}) {
         let config = {};
 
         // [CFG.1] Load from object or use defaults
@@ -31,23 +45,29 @@ class ConfigLoader {
             config = source;
         } else if (typeof source === 'string') {
             // [CFG.1] Load from URL or file path using fetch
-            try {
-                const response = await fetch(source);
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-                config = await response.json();
-                console.log(`[CFG.1] Loaded config from ${source}`);
-            } catch (error) {
-                console.error(`[CFG.1] Error loading config from ${source}:`, error);
+            // Unreachable file: run on defaults. Broken file: fail (see [CFG.4])
+            const text = await ConfigLoader.fetchText(source);
+            if (text === null) {
                 console.warn('[CFG.1] Using default configuration');
-                config = {};
+            } else {
+                config = ConfigLoader.parse(text, source);
+                console.log(`[CFG.1] Loaded config from ${source}`);
             }
         } else {
             console.log('[CFG.1] No config provided, using defaults');
             config = {};
         }
 
+        // [CFG.4] Validate what the author wrote, before defaults are merged in
+        if (options.validate !== false) {
+            const schema = options.schema ||
+                await ConfigLoader.loadSchema(options.schemaUrl || ConfigLoader.resolveSchemaUrl(config, source));
+
+            if (schema) {
+                ConfigLoader.validateSchema(config, schema, typeof source === 'string' ? source : 'config object');
+            }
+        }
+
         // [CFG.1.2] Merge with default values
         // [CFG.1.2 -> defaults] Uses default configuration
         const merged = ConfigLoader.mergeDefaults(config);
@@ -60,6 +80,120 @@ class ConfigLoader {
         return validated;
     }
 
+    // [CFG.1] Fetch config file as text, null if unreachable
+    static async fetchText(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            return await response.text();
+        } catch (error) {
+            console.error(`[CFG.1] Error loading config from ${url}:`, error);
+            return null;
+        }
+    }
+
+    // [CFG.4] Parse JSON, failing with a config error on syntax errors
+    static parse(text, source = 'config') {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw ConfigLoader.createValidationError(source, {
+                valid: false,
+                errors: [{ path: '', keyword: 'syntax', message: `invalid JSON: ${error.message}`, severity: 'error' }],
+                warnings: []
+            });
+        }
+    }
+
+    // [CFG.4] Schema location: config's "$schema" (relative to the config file) or default
+    static resolveSchemaUrl(config, source) {
+        const base = typeof location !== 'undefined' ? location.href : undefined;
+
+        if (typeof config.$schema === 'string' && typeof source === 'string' && base) {
+            return new URL(config.$schema, new URL(source, base)).href;
+        }
+
+        return DEFAULT_SCHEMA_URL;
+    }
+
+    // [CFG.4] Load schema (cached), null if unavailable - validation is then skipped
+    static async loadSchema(url) {
+        if (!schemaCache.has(url)) {
+            const text = await ConfigLoader.fetchText(url);
+            let schema = null;
+
+            try {
+                schema = text === null ? null : JSON.parse(text);
+            } catch (error) {
+                console.error(`[CFG.4] Schema ${url} is not valid JSON:`, error);
+            }
+
+            if (!schema) {
+                console.warn(`[CFG.4] Schema ${url} unavailable - skipping schema validation`);
+            }
+
+            schemaCache.set(url, schema);
+        }
+
+        return schemaCache.get(url);
+    }
+
+    // [CFG.4.5] Register schema for a top-level config section owned by a module
+    // Called by LegozoLoader for module manifests with a "config" entry
+    // Section schemas must be self-contained (no $ref). Sections in config/schema.json win
+    static registerSection(key, schema) {
+        sectionSchemas.set(key, schema);
+    }
+
+    // [CFG.4.5] Add registered module sections to the top-level schema
+    static withSections(schema) {
+        if (sectionSchemas.size === 0 || !schema.properties) {
+            return schema;
+        }
+
+        return {
+            ...schema,
+            properties: {
+                ...Object.fromEntries(sectionSchemas),
+                ...schema.properties
+            }
+        };
+    }
+
+    // [CFG.4] Validate config against schema (plus registered module sections)
+    // Warnings (deprecated fields) are logged, errors throw
+    static validateSchema(config, schema, source = 'config') {
+        const result = new SchemaValidator(ConfigLoader.withSections(schema)).validate(config);
+
+        if (!result.valid) {
+            throw ConfigLoader.createValidationError(source, result);
+        }
+
+        if (result.warnings.length > 0) {
+            console.warn(`[CFG.4] ${SchemaValidator.formatReport(result, source)}`);
+        }
+
+        return result;
+    }
+
+    // [CFG.4] Error carrying the validation result and a readable report
+    static createValidationError(source, result) {
+        const report = SchemaValidator.formatReport(result, source);
+        const error = new Error(`[CFG.4] Invalid configuration ${source} (${result.errors.length} error(s))`);
+
+        error.name = 'ConfigValidationError';
+        error.source = source;
+        error.errors = result.errors;
+        error.warnings = result.warnings;
+        error.report = report;
+
+        console.error(`[CFG.4] ${report}`);
+
+        return error;
+    }
+
     // [CFG.1.2] Merge config with defaults
     // [CFG.1.2] Provides fallback values for missing properties
     static mergeDefaults(config) {
@@ -165,7 +299,7 @@ class ConfigLoader {
     }
 
     // [CFG.1.1] Validate configuration
-    // [CFG.1.1] Basic validation (can be extended with JSON schema)
+    // [CFG.1.1] Sanity checks on merged config (structure is checked by [CFG.4] schema)
     static validate(config) {
         const errors = [];
 
@@ -0,0 +1,364 @@
+/**
+ * @file SchemaValidator.js
+ * @description Minimal JSON Schema validator for engine and scene configs
+ *
+ * @tags [CFG.4.*] Schema validation
+ * @primary-tags [CFG.4] Config schema validation
+ *
+ * @dependencies None (plain JS - runs in browser and Node)
+ *
+ * @affects
+ *   - [CFG.4 -> CFG.1] ConfigLoader rejects configs that fail validation
+ *   - [CFG.4 -> tools] tools/validate-config.mjs lints configs from the command line
+ *
+ * @features
+ *   - Subset of JSON Schema 2019-09 used by config/schema.json:
+ *     type, enum, const, properties, required, additionalProperties, items,
+ *     uniqueItems, min/max(Items|Length), minimum/maximum (+exclusive), pattern,
+ *     anyOf/oneOf/allOf, local $ref, deprecated
+ *   - Errors carry JSON-pointer paths (RFC 6901), e.g. /demoObjects/2/position/x
+ *   - Unknown keys reported with "did you mean" suggestions
+ *   - Deprecated fields reported as warnings
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+// [CFG.4] Severity levels
+const ERROR = 'error';
+const WARNING = 'warning';
+
+// [CFG.4.2] Keywords that reject a value outright (used to pick the closest anyOf branch)
+const SHAPE_KEYWORDS = new Set(['type', 'const', 'enum']);
+
+// [CFG.4.4] Max edit distance for "did you mean" suggestions
+const SUGGESTION_DISTANCE = 2;
+
+// [CFG.4] Schema validator
+class SchemaValidator {
+    constructor(schema) {
+        this.schema = schema;
+    }
+
+    // [CFG.4.1] Validate data against schema
+    // Returns { valid, errors, warnings } - each entry { path, keyword, message, severity }
+    validate(data) {
+        const issues = [];
+        this.check(data, this.schema, '', issues);
+
+        const errors = issues.filter(issue => issue.severity === ERROR);
+        const warnings = issues.filter(issue => issue.severity === WARNING);
+
+        return {
+            valid: errors.length === 0,
+            errors,
+            warnings
+        };
+    }
+
+    // [CFG.4.1] Check value against (sub)schema, appending issues
+    check(value, schema, path, issues) {
+        if (schema === true || schema === undefined) return;
+        if (schema === false) {
+            issues.push(issue(path, 'false', 'is not allowed'));
+            return;
+        }
+
+        if (schema.$ref) {
+            this.check(value, this.resolveRef(schema.$ref), path, issues);
+        }
+
+        // [CFG.4.5] Deprecated fields still validate, but warn
+        if (schema.deprecated) {
+            const hint = schema.description ? ` ${schema.description}` : '';
+            issues.push(issue(path, 'deprecated', `is deprecated.${hint}`, WARNING));
+        }
+
+        // [CFG.4.2] Type first - other keywords only make sense for the right type
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => matchesType(value, type))) {
+                issues.push(issue(path, 'type', `must be ${types.join(' or ')}, got ${typeOf(value)}`));
+                return;
+            }
+        }
+
+        if (schema.const !== undefined && !deepEqual(value, schema.const)) {
+            issues.push(issue(path, 'const', `must be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`));
+        }
+
+        if (schema.enum && !schema.enum.some(option => deepEqual(value, option))) {
+            issues.push(issue(path, 'enum',
+                `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`));
+        }
+
+        this.checkNumber(value, schema, path, issues);
+        this.checkString(value, schema, path, issues);
+        this.checkArray(value, schema, path, issues);
+        this.checkObject(value, schema, path, issues);
+        this.checkCombinators(value, schema, path, issues);
+    }
+
+    // [CFG.4.2] Numeric bounds
+    checkNumber(value, schema, path, issues) {
+        if (typeof value !== 'number') return;
+
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            issues.push(issue(path, 'minimum', `must be >= ${schema.minimum}, got ${value}`));
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            issues.push(issue(path, 'maximum', `must be <= ${schema.maximum}, got ${value}`));
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            issues.push(issue(path, 'exclusiveMinimum', `must be > ${schema.exclusiveMinimum}, got ${value}`));
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            issues.push(issue(path, 'exclusiveMaximum', `must be < ${schema.exclusiveMaximum}, got ${value}`));
+        }
+    }
+
+    // [CFG.4.2] String length / pattern
+    checkString(value, schema, path, issues) {
+        if (typeof value !== 'string') return;
+
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            issues.push(issue(path, 'minLength', `must be at least ${schema.minLength} character(s)`));
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            issues.push(issue(path, 'maxLength', `must be at most ${schema.maxLength} character(s)`));
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            issues.push(issue(path, 'pattern', `must match ${schema.pattern}, got ${JSON.stringify(value)}`));
+        }
+    }
+
+    // [CFG.4.2] Array items
+    checkArray(value, schema, path, issues) {
+        if (!Array.isArray(value)) return;
+
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            issues.push(issue(path, 'minItems', `must have at least ${schema.minItems} item(s)`));
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            issues.push(issue(path, 'maxItems', `must have at most ${schema.maxItems} item(s)`));
+        }
+
+        if (schema.uniqueItems) {
+            value.forEach((item, i) => {
+                const first = value.findIndex(other => deepEqual(other, item));
+                if (first !== i) {
+                    issues.push(issue(`${path}/${i}`, 'uniqueItems', `duplicates item ${first} (${JSON.stringify(item)})`));
+                }
+            });
+        }
+
+        if (schema.items && typeof schema.items === 'object') {
+            value.forEach((item, i) => this.check(item, schema.items, `${path}/${i}`, issues));
+        }
+    }
+
+    // [CFG.4.3] Object properties, required and unknown keys
+    checkObject(value, schema, path, issues) {
+        if (!isObject(value)) return;
+
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (!hasOwn(value, key)) {
+                issues.push(issue(path, 'required', `is missing required key "${key}"`));
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            const childPath = `${path}/${escapePointer(key)}`;
+
+            if (hasOwn(properties, key)) {
+                this.check(value[key], properties[key], childPath, issues);
+                return;
+            }
+
+            // [CFG.4.4] Unknown key
+            if (schema.additionalProperties === false) {
+                const suggestion = suggest(key, Object.keys(properties));
+                const hint = suggestion ? ` (did you mean "${suggestion}"?)` : '';
+                issues.push(issue(childPath, 'additionalProperties', `unknown key "${key}"${hint}`));
+            } else if (isObject(schema.additionalProperties)) {
+                this.check(value[key], schema.additionalProperties, childPath, issues);
+            }
+        });
+    }
+
+    // [CFG.4.2] anyOf / oneOf / allOf
+    checkCombinators(value, schema, path, issues) {
+        if (schema.allOf) {
+            schema.allOf.forEach(subschema => this.check(value, subschema, path, issues));
+        }
+
+        [['anyOf', schema.anyOf], ['oneOf', schema.oneOf]].forEach(([keyword, branches]) => {
+            if (!branches) return;
+
+            const results = branches.map(subschema => {
+                const branchIssues = [];
+                this.check(value, subschema, path, branchIssues);
+                return branchIssues;
+            });
+
+            const matching = results.filter(branchIssues => !branchIssues.some(entry => entry.severity === ERROR));
+
+            if (keyword === 'oneOf' && matching.length > 1) {
+                issues.push(issue(path, 'oneOf', `matches ${matching.length} alternatives, expected exactly one`));
+                return;
+            }
+
+            if (matching.length > 0) {
+                issues.push(...matching[0]);
+                return;
+            }
+
+            // [CFG.4.2] No branch matched - report the closest branch that accepted the
+            // value's shape, or a summary if every branch rejected the value itself
+            const candidates = results.filter(branchIssues =>
+                !branchIssues.some(entry => entry.path === path && SHAPE_KEYWORDS.has(entry.keyword)));
+
+            if (candidates.length === 0) {
+                const expected = branches.map(subschema => this.describe(subschema)).join(' or ');
+                issues.push(issue(path, keyword, `must be ${expected}, got ${JSON.stringify(value)}`));
+            } else {
+                const closest = candidates.reduce((best, branchIssues) =>
+                    branchIssues.length < best.length ? branchIssues : best);
+                issues.push(...closest);
+            }
+        });
+    }
+
+    // [CFG.4.1] Resolve local reference (#/$defs/name or #/definitions/name)
+    resolveRef(ref) {
+        if (!ref.startsWith('#')) {
+            throw new Error(`[CFG.4] Only local $ref supported, got ${ref}`);
+        }
+
+        const target = ref.slice(1).split('/').slice(1).reduce((node, token) =>
+            node?.[unescapePointer(decodeURIComponent(token))], this.schema);
+
+        if (target === undefined) {
+            throw new Error(`[CFG.4] Unresolved $ref ${ref}`);
+        }
+
+        return target;
+    }
+
+    // [CFG.4.2] Short human description of a schema (for anyOf/oneOf summaries)
+    describe(schema) {
+        const resolved = schema.$ref ? this.resolveRef(schema.$ref) : schema;
+
+        if (resolved.const !== undefined) return JSON.stringify(resolved.const);
+        if (resolved.enum) return resolved.enum.map(option => JSON.stringify(option)).join(' | ');
+        if (resolved.type) return [].concat(resolved.type).join(' or ');
+        return 'a valid value';
+    }
+
+    // [CFG.4.6] Format result as readable multi-line report
+    static formatReport(result, source = 'config') {
+        const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+        const status = result.valid ? 'Valid' : 'Invalid';
+        const lines = [
+            `${status} config ${source} (${count(result.errors.length, 'error')}, ${count(result.warnings.length, 'warning')})`
+        ];
+
+        [...result.errors, ...result.warnings].forEach(entry => {
+            lines.push(`  ${entry.severity.padEnd(7)} ${entry.path || '(root)'}: ${entry.message}`);
+        });
+
+        return lines.join('\n');
+    }
+}
+
+// ============================================================
+// [CFG.4] Helpers (module-private)
+// ============================================================
+
+function issue(path, keyword, message, severity = ERROR) {
+    return { path, keyword, message, severity };
+}
+
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return isObject(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeof value === type;
+    }
+}
+
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+}
+
+// [CFG.4] RFC 6901 escaping
+function escapePointer(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointer(token) {
+    return token.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+// [CFG.4.4] Closest known key by edit distance (case-insensitive)
+function suggest(key, candidates) {
+    let best = null;
+    let bestDistance = SUGGESTION_DISTANCE + 1;
+
+    candidates.forEach(candidate => {
+        const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    });
+
+    return best;
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+// [CFG.4] Export for ConfigLoader and tools/validate-config.mjs
+export default SchemaValidator;
@@ -15,7 +15,7 @@
  * @affects All plugins (provides scene, events, config)
  *
  * @events
- *   - Emits: engine:initialized, engine:started, engine:stopped, plugin:registered
+ *   - Emits: engine:initialized, engine:started, engine:stopped, plugin:registered, plugin:unregistered
  *   - Also emits: render:frame (every frame), window:resize
  *
  * @author Development Team
@@ -27,6 +27,8 @@ import InputManager from '../input/InputManager.js';
 import KeyboardSource from '../input/sources/KeyboardSource.js';
 import MouseSource from '../input/sources/MouseSource.js';
 import TouchSource from '../input/sources/TouchSource.js';
+import GamepadSource from '../input/sources/GamepadSource.js';
+import VirtualJoystickSource from '../input/sources/VirtualJoystickSource.js';
 import ViewModeContext from '../input/contexts/ViewModeContext.js';
 import EditModeContext from '../input/contexts/EditModeContext.js';
 
@@ -57,6 +59,10 @@ class BabylonEngine {
         // Format: Map { 'pluginName' => pluginInstance }
         this.plugins = new Map();
 
+        // [ENG.2.3] Names of plugins whose start() has run
+        // Modules start their plugins in dependency order before engine.start()
+        this.startedPlugins = new Set();
+
         // [ENG.1.2] Create Babylon.js engine
         // [ENG.1.2] Anti-aliasing enabled for better visual quality
         const engineOptions = config.engineOptions || {
@@ -91,10 +97,18 @@ class BabylonEngine {
         const mouseSource = new MouseSource(this.inputManager, this.scene, this.canvas);
         this.inputManager.registerSource('mouse', mouseSource);
 
-        // [INP.3.3] Touch - gestures (tap, swipe, pinch, long-press), multi-touch
+        // [INP.3.3] Touch - gestures (tap, swipe, pinch, twist, long-press), multi-touch
         const touchSource = new TouchSource(this.inputManager, this.canvas);
         this.inputManager.registerSource('touch', touchSource);
 
+        // [INP.3.4] Gamepad - polled buttons and analog sticks, hot-plug events
+        const gamepadSource = new GamepadSource(this.inputManager, this.scene, this.canvas);
+        this.inputManager.registerSource('gamepad', gamepadSource);
+
+        // [INP.3.5] On-screen joysticks (driven by ui/virtual-joystick.js)
+        const joystickSource = new VirtualJoystickSource(this.inputManager);
+        this.inputManager.registerSource('joystick', joystickSource);
+
         // [INP.2] Register input contexts
         // [INP.2.1] View mode - camera controls, click-to-move, zoom
         const viewContext = new ViewModeContext();
@@ -104,15 +118,39 @@ class BabylonEngine {
         const editContext = new EditModeContext();
         this.inputManager.registerContext('edit', editContext);
 
-        // [INP.1] Set default context to view mode
-        this.inputManager.setContext('view');
+        // [INP.2.3] Project contexts from config (JSON definitions, may extend view/edit)
+        const inputConfig = this.config.input || {};
+        if (inputConfig.contexts?.length) {
+            this.inputManager.loadContexts(inputConfig.contexts);
+        }
+
+        // [INP.1] Context for a mode: input.modes can swap in a project context (view → kiosk)
+        const contextFor = (mode) => {
+            const name = inputConfig.modes?.[mode];
+            if (name && !this.inputManager.contexts.has(name)) {
+                console.warn(`[INP.1] input.modes.${mode}: unknown context '${name}', using ${mode}`);
+                return mode;
+            }
+            return name || mode;
+        };
+
+        // [INP.1] Set initial context from scene mode (view unless scene config says edit)
+        this.inputManager.setContext(contextFor(this.config.scene?.mode === 'edit' ? 'edit' : 'view'));
+
+        // [INP.1 -> EVT.1] Follow mode toggle (edit-only actions live in EditModeContext)
+        this.events.on('mode:changed', (data) => {
+            const contextName = contextFor(data.mode);
+            if (this.inputManager && this.inputManager.contexts.has(contextName)) {
+                this.inputManager.setContext(contextName);
+            }
+        });
 
         // [INP.1] Expose InputManager globally for debugging
         if (typeof window !== 'undefined') {
             window.__inputManager = this.inputManager;
         }
 
-        console.log('[INP.1] InputManager initialized with keyboard, mouse, touch sources');
+        console.log('[INP.1] InputManager initialized with keyboard, mouse, touch, gamepad sources');
         console.log('[INP.2] Registered contexts: view, edit');
 
         // [ENG.1] Engine state
@@ -132,7 +170,9 @@ class BabylonEngine {
     // [ENG.2.1] Validate plugin
     // [ENG.2.2] Initialize plugin with scene, events, config
     // [PLG.2] Manages plugin lifecycle
-    registerPlugin(name, plugin) {
+    // [ENG.2.2 -> EVT.8] options.events: event bus handed to the plugin instead of
+    // this.events (PluginModule passes a scoped emitter)
+    registerPlugin(name, plugin, options = {}) {
         // [ENG.2.1] Validate plugin name
         if (!name || typeof name !== 'string') {
             throw new Error('[ENG.2.1] Plugin name must be a non-empty string');
@@ -155,7 +195,7 @@ class BabylonEngine {
         // [ENG.2.2 -> PLG.1.2] Pass scene, events, config, inputManager to plugin
         // [PLG.1.2] Plugin stores these references
         // [INP.1 -> PLG.1.2] Plugins can access InputManager for listening to actions
-        plugin.init(this.scene, this.events, this.config, this.inputManager);
+        plugin.init(this.scene, options.events || this.events, this.config, this.inputManager);
 
         // [EVT.2] Emit plugin registered event
         this.events.emit('plugin:registered', {
@@ -168,6 +208,52 @@ class BabylonEngine {
         return this; // Allow chaining
     }
 
+    // [ENG.2.4] Unregister a plugin (does not dispose it - caller owns the instance)
+    // [ENG.2.4] Used by PluginModule when a module is disposed
+    unregisterPlugin(name) {
+        const plugin = this.plugins.get(name);
+        if (!plugin) {
+            return null;
+        }
+
+        this.plugins.delete(name);
+        this.startedPlugins.delete(name);
+
+        // [EVT.2] Emit plugin unregistered event
+        this.events.emit('plugin:unregistered', {
+            name,
+            plugin
+        });
+
+        console.log(`[ENG.2.4] Plugin unregistered: ${name}`);
+
+        return plugin;
+    }
+
+    // [ENG.2.3] Start a single plugin (once)
+    // [ENG.2.3] Errors propagate to the caller (module lifecycle handles them)
+    startPlugin(name) {
+        const plugin = this.plugins.get(name);
+        if (!plugin) {
+            throw new Error(`[ENG.2.3] Plugin '${name}' not registered`);
+        }
+
+        if (this.startedPlugins.has(name)) {
+            return;
+        }
+
+        // Mark first - a plugin that throws half way must not be started twice
+        this.startedPlugins.add(name);
+        plugin.start();
+
+        console.log(`[ENG.3] Plugin started: ${name}`);
+    }
+
+    // [ENG.2.3] Check if plugin start() has run
+    isPluginStarted(name) {
+        return this.startedPlugins.has(name);
+    }
+
     // [ENG.2.1] Get plugin by name
     // [ENG.2.1] Allows plugins to access other plugins
     getPlugin(name) {
@@ -193,16 +279,14 @@ class BabylonEngine {
             return;
         }
 
-        // [PLG.1.3] Start all plugins in registration order
+        // [PLG.1.3] Start remaining plugins in registration order
         // [PLG.1.3] Each plugin's start() called before render loop
-        for (const [name, plugin] of this.plugins) {
-            if (plugin.start && typeof plugin.start === 'function') {
-                try {
-                    plugin.start();
-                    console.log(`[ENG.3] Plugin started: ${name}`);
-                } catch (error) {
-                    console.error(`[ENG.3] Error starting plugin '${name}':`, error);
-                }
+        // [ENG.2.3] Plugins already started by their module are skipped
+        for (const name of this.plugins.keys()) {
+            try {
+                this.startPlugin(name);
+            } catch (error) {
+                console.error(`[ENG.3] Error starting plugin '${name}':`, error);
             }
         }
 
@@ -291,6 +375,7 @@ class BabylonEngine {
 
         // [ENG.4] Clear plugin map
         this.plugins.clear();
+        this.startedPlugins.clear();
 
         // [INP.1] Dispose InputManager
         // [INP.1] Removes all event listeners and cleans up input sources
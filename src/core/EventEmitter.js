@@ -14,10 +14,31 @@
  *   - Used by: ALL plugins for communication
  *   - Pattern: system:action:detail
  *
+ * @features
+ *   - Wildcard subscriptions: 'asset:*' (one segment), 'performance:**' / '**' (any depth)
+ *   - Listener priorities (higher runs first)
+ *   - Handlers can stop propagation to lower-priority listeners
+ *   - emitAsync() awaits handlers in order
+ *   - Scoped sub-emitters: remove all their listeners with one dispose()
+ *
+ * @example
+ * events.on('asset:*', (payload, meta) => log(meta.event, payload));
+ * events.on('interaction:selected', handler, { priority: 10 });
+ * events.on('input:key', (payload, meta) => meta.stopPropagation(), { priority: 100 });
+ * await events.emitAsync('scene:saving', { scene });
+ *
+ * const scoped = events.scope('weather');
+ * scoped.on('sky:**', handler);
+ * scoped.dispose(); // all 'weather' listeners removed
+ *
  * @author Development Team
  * @created 2025-10-31
  */
 
+// [EVT.4] Wildcard segments ('a:*' = one segment, 'a:**' = one or more)
+const WILDCARD = '*';
+const GLOBSTAR = '**';
+
 // [!EVT.1] CRITICAL: Event emitter core
 // Used by: ALL plugins (plugin communication backbone)
 // Impact: Breaking this breaks ALL plugin communication
@@ -26,35 +47,50 @@ class EventEmitter {
     constructor() {
         // [EVT.1] Event listeners storage
         // Format: { 'event:name': [handler1, handler2, ...] }
+        // Wildcard patterns are stored the same way ({ 'asset:*': [...] })
+        // Arrays are kept in priority order (highest first)
         this.listeners = {};
 
         // [EVT.1] One-time listeners storage
         this.onceListeners = {};
+
+        // [EVT.4] Compiled wildcard patterns (pattern → RegExp)
+        this.patterns = new Map();
+
+        // [EVT.9] Optional tracer (see EventTracer.attach) - sees every emit
+        this.tracer = null;
     }
 
     // [EVT.1.1] Register event listener
     // [EVT.2] Event naming: system:action:detail
     // Example: camera:created, collision:enabled, render:frame
-    on(event, handler) {
+    // [EVT.4] event may be a wildcard pattern: 'asset:*', 'performance:**', '**'
+    // [EVT.5] options.priority: higher runs first (default 0, ties keep registration order)
+    on(event, handler, options = {}) {
         if (typeof handler !== 'function') {
             throw new Error(`[EVT.1.1] Handler must be a function for event: ${event}`);
         }
 
-        // [EVT.1.1] Initialize array if first listener
-        if (!this.listeners[event]) {
-            this.listeners[event] = [];
+        const priority = options.priority || 0;
+
+        // [EVT.5] Prioritized handlers are wrapped so the same function can have
+        // different priorities on different events (off() still finds the original)
+        let listener = handler;
+        if (priority !== 0) {
+            listener = (payload, meta) => handler(payload, meta);
+            listener._originalHandler = handler;
+            listener._priority = priority;
         }
 
-        // [EVT.1.1] Add handler to listeners
-        this.listeners[event].push(handler);
+        this._addListener(event, listener);
 
-        // Return unsubscribe function
-        return () => this.off(event, handler);
+        // Return unsubscribe function (removes this registration only)
+        return () => this._removeListener(event, listener);
     }
 
     // [EVT.1.1] Register one-time event listener
     // [EVT.1.1] Automatically removed after first emission
-    once(event, handler) {
+    once(event, handler, options = {}) {
         if (typeof handler !== 'function') {
             throw new Error(`[EVT.1.1] Handler must be a function for event: ${event}`);
         }
@@ -62,13 +98,16 @@ class EventEmitter {
         // [EVT.1.1] Wrap handler to auto-remove after execution
         const wrappedHandler = (...args) => {
             this.off(event, wrappedHandler);
-            handler(...args);
+            return handler(...args);
         };
 
         // [EVT.1.1] Store original handler for removal
         wrappedHandler._originalHandler = handler;
+        wrappedHandler._priority = options.priority || 0;
 
-        return this.on(event, wrappedHandler);
+        this._addListener(event, wrappedHandler);
+
+        return () => this._removeListener(event, wrappedHandler);
     }
 
     // [EVT.1.3] Unregister event listener
@@ -87,11 +126,13 @@ class EventEmitter {
             // [EVT.1.3] Clean up empty arrays
             if (this.listeners[event].length === 0) {
                 delete this.listeners[event];
+                this.patterns.delete(event);
             }
         }
         // [EVT.1.3] Remove all handlers for event
         else {
             delete this.listeners[event];
+            this.patterns.delete(event);
         }
     }
 
@@ -100,42 +141,93 @@ class EventEmitter {
     // PERFORMANCE WARNING: Keep this lightweight
     // DO NOT add console.log or heavy operations here
     // [EVT.3] Event payload structure passed to handlers
+    // [EVT.6] Handlers get (payload, meta) - meta.event is the emitted name,
+    // meta.stopPropagation() skips the remaining (lower-priority) handlers
     emit(event, payload = {}) {
-        // [EVT.1.2] Execute all handlers for this event
-        const handlers = this.listeners[event];
-        if (!handlers || handlers.length === 0) {
+        // [EVT.1.2] Exact + wildcard handlers, in priority order
+        // (copy, so a handler can't disturb iteration by adding/removing listeners)
+        const handlers = this._handlersFor(event);
+
+        // [EVT.9] Trace before the no-listener early return (unheard events are traffic too)
+        if (this.tracer) {
+            this.tracer.record(this, event, payload, handlers.length);
+        }
+
+        if (handlers.length === 0) {
             return false; // No listeners
         }
 
+        const meta = this._createMeta(event);
+
         // [EVT.1.2] Call each handler with payload
-        // Using slice to avoid issues if handler modifies array
-        handlers.slice().forEach(handler => {
+        for (const handler of handlers) {
             try {
-                handler(payload);
+                handler(payload, meta);
             } catch (error) {
                 // [EVT.1.2] Log error but don't break other handlers
                 console.error(`[EVT.1.2] Error in handler for event '${event}':`, error);
             }
-        });
+
+            if (meta.stopped) break;
+        }
 
         return true; // Listeners executed
     }
 
+    // [EVT.7] Async emission - awaits each handler before calling the next
+    // Use when emitters must wait for listeners (e.g. save hooks, async loaders)
+    // Resolves to false when no listener ran, like emit()
+    async emitAsync(event, payload = {}) {
+        const handlers = this._handlersFor(event);
+
+        if (this.tracer) {
+            this.tracer.record(this, event, payload, handlers.length);
+        }
+
+        if (handlers.length === 0) {
+            return false;
+        }
+
+        const meta = this._createMeta(event);
+
+        for (const handler of handlers) {
+            try {
+                await handler(payload, meta);
+            } catch (error) {
+                console.error(`[EVT.7] Error in async handler for event '${event}':`, error);
+            }
+
+            if (meta.stopped) break;
+        }
+
+        return true;
+    }
+
+    // [EVT.8] Create a scoped sub-emitter
+    // Listeners added through it are removed together by scope.dispose()
+    // (ModuleBase gives every module one, so a disposed module can't leave listeners behind)
+    scope(owner) {
+        return new ScopedEmitter(this, owner);
+    }
+
     // [EVT.1.3] Clear all listeners for an event
     // [EVT.1.3] Useful for cleanup and testing
     clear(event) {
         if (event) {
             delete this.listeners[event];
+            this.patterns.delete(event);
         } else {
             // [EVT.1.3] Clear all events if no specific event given
             this.listeners = {};
+            this.patterns.clear();
         }
     }
 
     // [EVT.1] Get listener count for an event
     // [EVT.1] Useful for debugging and testing
+    // [EVT.4] Counts wildcard listeners that would receive the event too
     listenerCount(event) {
-        return this.listeners[event]?.length || 0;
+        return this._handlersFor(event).length;
     }
 
     // [EVT.1] Get all registered event names
@@ -148,6 +240,184 @@ class EventEmitter {
     hasListeners(event) {
         return this.listenerCount(event) > 0;
     }
+
+    // [EVT.5] Insert listener after all listeners with the same or higher priority
+    _addListener(event, listener) {
+        // [EVT.1.1] Initialize array if first listener
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+
+            if (EventEmitter.isPattern(event)) {
+                this.patterns.set(event, EventEmitter.compilePattern(event));
+            }
+        }
+
+        const list = this.listeners[event];
+        const priority = listener._priority || 0;
+
+        let index = list.length;
+        while (index > 0 && (list[index - 1]._priority || 0) < priority) {
+            index--;
+        }
+
+        // [EVT.1.1] Add handler to listeners
+        list.splice(index, 0, listener);
+    }
+
+    // [EVT.1.3] Remove one registration (the stored listener, not every copy of a handler)
+    _removeListener(event, listener) {
+        const list = this.listeners[event];
+        const index = list ? list.indexOf(listener) : -1;
+        if (index === -1) {
+            return;
+        }
+
+        list.splice(index, 1);
+
+        if (list.length === 0) {
+            delete this.listeners[event];
+            this.patterns.delete(event);
+        }
+    }
+
+    // [EVT.4] Handlers for an emitted event: exact listeners + matching patterns
+    // Fast path (no patterns registered) returns a copy of the exact list
+    _handlersFor(event) {
+        const exact = this.listeners[event] || [];
+        if (this.patterns.size === 0) {
+            return exact.slice();
+        }
+
+        const handlers = exact.slice();
+        let matched = false;
+
+        for (const [pattern, regex] of this.patterns) {
+            if (pattern !== event && regex.test(event)) {
+                handlers.push(...this.listeners[pattern]);
+                matched = true;
+            }
+        }
+
+        // [EVT.5] Merge by priority (stable: exact listeners first on ties)
+        if (matched) {
+            handlers.sort((a, b) => (b._priority || 0) - (a._priority || 0));
+        }
+
+        return handlers;
+    }
+
+    // [EVT.4] Check if an event name is a wildcard pattern
+    static isPattern(name) {
+        return name.split(':').some(segment => segment === WILDCARD || segment === GLOBSTAR);
+    }
+
+    // [EVT.4] 'asset:*' → /^asset:[^:]+$/, 'perf:**' → /^perf:.+$/
+    // Also used by EventTracer for its exclude/text filters
+    static compilePattern(pattern) {
+        const source = pattern.split(':').map(segment => {
+            if (segment === GLOBSTAR) return '.+';
+            if (segment === WILDCARD) return '[^:]+';
+            return segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        }).join(':');
+
+        return new RegExp(`^${source}$`);
+    }
+
+    // [EVT.6] Per-emit metadata passed as second handler argument
+    _createMeta(event) {
+        return {
+            event,
+            stopped: false,
+            stopPropagation() {
+                this.stopped = true;
+            }
+        };
+    }
+}
+
+// [EVT.8] Scoped sub-emitter
+// Shares the parent's listeners and emits on the parent, but keeps the parent's
+// unsubscribe functions so off() / dispose() remove exactly what it registered
+// (the same handler registered elsewhere stays)
+class ScopedEmitter {
+    constructor(parent, owner = 'scope') {
+        this.parent = parent;
+        this.owner = owner;
+        this.subscriptions = []; // [{ event, handler, unsubscribe }]
+        this.disposed = false;
+    }
+
+    // [EVT.8] Same signature as EventEmitter.on()
+    on(event, handler, options = {}) {
+        if (this.disposed) {
+            console.warn(`[EVT.8] ${this.owner}: on('${event}') after dispose ignored`);
+            return () => {};
+        }
+
+        return this.track(event, handler, this.parent.on(event, handler, options));
+    }
+
+    once(event, handler, options = {}) {
+        if (this.disposed) {
+            console.warn(`[EVT.8] ${this.owner}: once('${event}') after dispose ignored`);
+            return () => {};
+        }
+
+        return this.track(event, handler, this.parent.once(event, handler, options));
+    }
+
+    // [EVT.8] Remember a parent subscription, returning its scoped unsubscribe
+    track(event, handler, unsubscribe) {
+        const subscription = { event, handler, unsubscribe };
+        this.subscriptions.push(subscription);
+
+        return () => {
+            if (!this.subscriptions.includes(subscription)) return;
+            unsubscribe();
+            this.subscriptions = this.subscriptions.filter(s => s !== subscription);
+        };
+    }
+
+    // [EVT.8] Only removes listeners registered through this scope
+    off(event, handler) {
+        const owned = this.subscriptions.filter(s =>
+            s.event === event && (!handler || s.handler === handler)
+        );
+
+        owned.forEach(({ unsubscribe }) => unsubscribe());
+        this.subscriptions = this.subscriptions.filter(s => !owned.includes(s));
+    }
+
+    emit(event, payload) {
+        return this.parent.emit(event, payload);
+    }
+
+    emitAsync(event, payload) {
+        return this.parent.emitAsync(event, payload);
+    }
+
+    scope(owner) {
+        return this.parent.scope(owner);
+    }
+
+    listenerCount(event) {
+        return this.parent.listenerCount(event);
+    }
+
+    eventNames() {
+        return this.parent.eventNames();
+    }
+
+    hasListeners(event) {
+        return this.parent.hasListeners(event);
+    }
+
+    // [EVT.8] Remove every listener registered through this scope
+    dispose() {
+        this.subscriptions.forEach(({ unsubscribe }) => unsubscribe());
+        this.subscriptions = [];
+        this.disposed = true;
+    }
 }
 
 // [EVT.1] Export for use in engine and plugins
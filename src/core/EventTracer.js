@@ -0,0 +1,274 @@
+/**
+ * @file EventTracer.js
+ * @description Opt-in recorder for event bus traffic and input actions (ring buffer)
+ *
+ * @tags [EVT.9] Event tracing
+ * @primary-tags [EVT.9] Event tracer
+ *
+ * @dependencies
+ *   - [EVT.9 -> EVT.1] Hooks EventEmitter.emit()/emitAsync() via emitter.tracer
+ *   - [EVT.9 -> EVT.4] Exclude filter and inspector text filter accept wildcard patterns
+ *   - [EVT.9 -> INP.1] InputManager.triggerAction() records actions
+ *
+ * @affects
+ *   - [EVT.9 -> UI] EventInspector panel reads and exports the entries
+ *
+ * @features
+ *   - Records every emit (also ones nobody listens to) and every input action
+ *   - Entry: id, time, timestamp, kind, name, emitter, source, listeners, payload summary
+ *   - Payload summaries are JSON-safe (Babylon objects → 'Mesh(box1)', vectors → 'Vector3(0.00, 1.00, 0.00)')
+ *   - Fixed-size ring buffer - oldest entries are dropped
+ *   - Pause/resume, clear, export as JSON
+ *
+ * @example
+ * const tracer = new EventTracer({ capacity: 1000, exclude: ['render:frame'] });
+ * tracer.attach(engine.events, 'engine');
+ * tracer.attach(engine.inputManager, 'input');
+ * tracer.getEntries({ text: 'asset' });
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+import EventEmitter from './EventEmitter.js';
+
+// [EVT.9] Defaults (config: tracing.capacity / tracing.exclude)
+const DEFAULT_CAPACITY = 2000;
+const DEFAULT_EXCLUDE = ['render:frame']; // Fires every frame - drowns everything else
+const MAX_SUMMARY_KEYS = 8;
+const MAX_STRING_LENGTH = 80;
+
+// [EVT.9] Event tracer
+class EventTracer {
+    constructor(options = {}) {
+        // [EVT.9.1] Ring buffer
+        this.capacity = Math.max(10, options.capacity || DEFAULT_CAPACITY);
+        this.buffer = new Array(this.capacity);
+        this.next = 0;
+        this.size = 0;
+        this.sequence = 0; // Total recorded (id of the last entry)
+
+        // [EVT.9.2] Recording state
+        this.paused = false;
+        this.startTime = performance.now();
+        this.emitters = new Map(); // Emitter → label ('engine', 'input')
+        this.exclude = (options.exclude || DEFAULT_EXCLUDE).map(pattern => EventEmitter.compilePattern(pattern));
+
+        // [EVT.9.3] Change listeners (inspector panel)
+        this.subscribers = new Set();
+    }
+
+    // [EVT.9.2] Start tracing an emitter
+    attach(emitter, label) {
+        emitter.tracer = this;
+        this.emitters.set(emitter, label);
+        return this;
+    }
+
+    // [EVT.9.2] Stop tracing an emitter
+    detach(emitter) {
+        if (emitter.tracer === this) {
+            emitter.tracer = null;
+        }
+        this.emitters.delete(emitter);
+    }
+
+    // [EVT.9.2] Stop tracing all emitters
+    detachAll() {
+        Array.from(this.emitters.keys()).forEach(emitter => this.detach(emitter));
+    }
+
+    // [EVT.9.1] Record an emitted event
+    // Called by EventEmitter.emit() - keep cheap when paused/excluded
+    record(emitter, event, payload, listeners) {
+        if (this.paused || this.exclude.some(regex => regex.test(event))) {
+            return;
+        }
+
+        const label = this.emitters.get(emitter) || 'unknown';
+
+        this._push({
+            kind: 'event',
+            name: event,
+            emitter: label,
+            source: payload?.source || label,
+            listeners,
+            payload: this.summarize(payload)
+        });
+    }
+
+    // [EVT.9.1] Record an input action (InputManager.triggerAction)
+    recordAction(emitter, action) {
+        if (this.paused) {
+            return;
+        }
+
+        const { name, source, ...details } = action;
+
+        this._push({
+            kind: 'action',
+            name,
+            emitter: this.emitters.get(emitter) || 'input',
+            source: source || 'input',
+            listeners: null,
+            payload: this.summarize(details)
+        });
+    }
+
+    // [EVT.9.1] Entries oldest → newest, optionally filtered
+    // filter.kind: 'event' | 'action'
+    // filter.text: substring of name/source/emitter, or a wildcard pattern ('asset:*')
+    getEntries(filter = {}) {
+        const start = (this.next - this.size + this.capacity) % this.capacity;
+        let entries = [];
+
+        for (let i = 0; i < this.size; i++) {
+            entries.push(this.buffer[(start + i) % this.capacity]);
+        }
+
+        if (filter.kind) {
+            entries = entries.filter(entry => entry.kind === filter.kind);
+        }
+
+        const text = filter.text?.trim();
+        if (text) {
+            if (EventEmitter.isPattern(text)) {
+                const regex = EventEmitter.compilePattern(text);
+                entries = entries.filter(entry => regex.test(entry.name));
+            } else {
+                const needle = text.toLowerCase();
+                entries = entries.filter(entry =>
+                    entry.name.toLowerCase().includes(needle) ||
+                    String(entry.source).toLowerCase().includes(needle) ||
+                    entry.emitter.toLowerCase().includes(needle)
+                );
+            }
+        }
+
+        return entries;
+    }
+
+    // [EVT.9.2] Pause/resume recording
+    setPaused(paused) {
+        this.paused = paused;
+        this._notify();
+    }
+
+    // [EVT.9.1] Drop all entries
+    clear() {
+        this.buffer = new Array(this.capacity);
+        this.next = 0;
+        this.size = 0;
+        this._notify();
+    }
+
+    // [EVT.9.3] Subscribe to changes (new entry, clear, pause)
+    // Returns unsubscribe function
+    subscribe(callback) {
+        this.subscribers.add(callback);
+        return () => this.subscribers.delete(callback);
+    }
+
+    // [EVT.9.4] Export as JSON-serializable object
+    toJSON(filter = {}) {
+        const entries = this.getEntries(filter);
+
+        return {
+            exportedAt: new Date().toISOString(),
+            capacity: this.capacity,
+            recorded: this.sequence,
+            dropped: this.sequence - this.size,
+            filter,
+            entries
+        };
+    }
+
+    // [EVT.9.4] Summarize payload into a small JSON-safe value
+    // Top-level keys are kept (up to MAX_SUMMARY_KEYS), nested objects collapse
+    summarize(value, depth = 0) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+
+        switch (typeof value) {
+            case 'string':
+                return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…` : value;
+            case 'number':
+            case 'boolean':
+                return value;
+            case 'function':
+                return '[Function]';
+            case 'object':
+                break;
+            default:
+                return String(value);
+        }
+
+        if (value instanceof Error) {
+            return `${value.name}: ${value.message}`;
+        }
+
+        if (Array.isArray(value)) {
+            return depth > 0
+                ? `Array(${value.length})`
+                : value.slice(0, MAX_SUMMARY_KEYS).map(item => this.summarize(item, depth + 1));
+        }
+
+        // Class instances (Babylon objects, plugins): class name + name/coordinates
+        const prototype = Object.getPrototypeOf(value);
+        if (prototype !== Object.prototype && prototype !== null) {
+            const className = typeof value.getClassName === 'function'
+                ? value.getClassName()
+                : value.constructor?.name || 'Object';
+
+            if (typeof value.x === 'number' && typeof value.y === 'number') {
+                const coords = [value.x, value.y, value.z].filter(n => typeof n === 'number');
+                return `${className}(${coords.map(n => n.toFixed(2)).join(', ')})`;
+            }
+
+            return value.name ? `${className}(${value.name})` : className;
+        }
+
+        if (depth > 0) {
+            return '{…}';
+        }
+
+        const keys = Object.keys(value);
+        const summary = {};
+        for (const key of keys.slice(0, MAX_SUMMARY_KEYS)) {
+            summary[key] = this.summarize(value[key], depth + 1);
+        }
+        if (keys.length > MAX_SUMMARY_KEYS) {
+            summary['…'] = `+${keys.length - MAX_SUMMARY_KEYS} more`;
+        }
+
+        return summary;
+    }
+
+    // [EVT.9.1] Write entry into the ring buffer
+    _push(entry) {
+        entry.id = ++this.sequence;
+        entry.time = Math.round((performance.now() - this.startTime) * 10) / 10;
+        entry.timestamp = Date.now();
+
+        this.buffer[this.next] = entry;
+        this.next = (this.next + 1) % this.capacity;
+        this.size = Math.min(this.size + 1, this.capacity);
+
+        this._notify();
+    }
+
+    // [EVT.9.3] Tell subscribers something changed
+    _notify() {
+        for (const callback of this.subscribers) {
+            try {
+                callback(this);
+            } catch (error) {
+                console.error('[EVT.9] Tracer subscriber failed:', error);
+            }
+        }
+    }
+}
+
+// [EVT.9] Export for engine loader and inspector
+export default EventTracer;
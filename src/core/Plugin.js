@@ -15,7 +15,7 @@
  *
  * @events
  *   - Subscribes: Defined by child plugins
- *   - Emits: plugin:enabled, plugin:disabled, plugin:disposed
+ *   - Emits: plugin:enabled, plugin:disabled, plugin:disposed, plugin:error
  *
  * @author Development Team
  * @created 2025-10-31
@@ -168,6 +168,50 @@ class Plugin {
         this.started = false;
     }
 
+    // [PLG.1.6] Report an error the plugin recovered from
+    // [PLG.1.6 -> EVT.2] PluginModule records it in the module's errors (health report)
+    // For failures after start (texture/asset loads) that can't throw back to the loader
+    reportError(context, error) {
+        console.warn(`[PLG.1.6] ${this.name} ${context}:`, error);
+
+        if (this.events) {
+            this.events.emit('plugin:error', {
+                name: this.name,
+                plugin: this,
+                context,
+                error
+            });
+        }
+    }
+
+    // [PLG.1.7] Look up another plugin by name (null if not registered)
+    // [PLG.1.7 -> ENG.2.1] Through the engine's plugin registry
+    getPlugin(name) {
+        return window.engine?.plugins?.get(name) || null;
+    }
+
+    // [PLG.1.8 -> CTX.1] Add context menu entries whenever the context menu runs
+    // Registered now if it has started, and again each time it starts (load order, hot reload)
+    // Returns a function that removes them (call it in dispose)
+    addContextMenuEntries(entries) {
+        let unregisters = [];
+        const register = (contextMenu) => {
+            unregisters = entries.map(entry => contextMenu.registerEntry(entry));
+        };
+
+        const contextMenu = this.getPlugin('contextMenu');
+        if (contextMenu?.isStarted()) {
+            register(contextMenu);
+        }
+        const unsubscribe = this.events.on('contextmenu:ready', (data) => register(data.contextMenu));
+
+        return () => {
+            unsubscribe();
+            unregisters.forEach(unregister => unregister());
+            unregisters = [];
+        };
+    }
+
     // [PLG.1] Get plugin name
     getName() {
         return this.name;
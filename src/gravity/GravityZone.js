@@ -0,0 +1,276 @@
+/**
+ * @file GravityZone.js
+ * @description One region of non-uniform gravity: directional box, radial (planet) or cylindrical
+ *
+ * @tags [GRV.6.*] Gravity zones
+ * @primary-tags [GRV.6.1] Zone shapes, [GRV.6.2] Zone gravity
+ *
+ * @dependencies
+ *   - [GRV.6 -> GRV] Created, blended and queried by GravityPlugin
+ *
+ * @features
+ *   - directional: constant vector inside a box (mesh bounds, or center + size), everywhere without one
+ *   - radial: pulls towards a center (tiny planets), up to radius
+ *   - cylindrical: pulls towards an axis (tube worlds; negative strength = spinning station)
+ *   - Linear falloff between innerRadius (full strength) and radius (none)
+ *   - Edge blending: weight ramps from 0 at the boundary to 1 blend meters inside
+ *   - Centers and boxes follow a mesh (by name, resolved when the mesh exists)
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+// [GRV.6.1] Zone types
+export const ZONE_TYPES = ['directional', 'radial', 'cylindrical'];
+
+// [GRV.6.2] Falloff curves (radial / cylindrical)
+export const FALLOFF_TYPES = ['none', 'linear'];
+
+// [GRV.6] Definition keys accepted by addGravityZone / the "gravity.zones" config
+const DEFINITION_KEYS = new Set([
+    'name', 'type', 'mesh', 'center', 'size', 'gravity', 'strength', 'axis', 'radius',
+    'innerRadius', 'height', 'falloff', 'blend', 'priority', 'enabled'
+]);
+
+const isVector = (value) => !!value && ['x', 'y', 'z'].every(key => typeof value[key] === 'number');
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// [GRV.6] Gravity zone
+class GravityZone {
+    /**
+     * @param {Object} definition - Checked with GravityZone.validate() first
+     * @param {Function} resolveMesh - (name) => mesh or null, for mesh names
+     */
+    constructor(definition, resolveMesh) {
+        // [GRV.6] As given, for serialize() (mesh and enabled are added back from the zone)
+        const { mesh, enabled, ...rest } = definition;
+        this.definition = JSON.parse(JSON.stringify(rest));
+
+        this.name = definition.name;
+        this.type = definition.type;
+        this.enabled = definition.enabled ?? true;
+        this.priority = definition.priority ?? 0;
+        this.blend = definition.blend ?? 0;
+
+        // [GRV.6.1] Where: a mesh (or its name), else a fixed center / box
+        this.mesh = typeof definition.mesh === 'object' ? definition.mesh : null;
+        this.meshName = typeof definition.mesh === 'string' ? definition.mesh : definition.mesh?.name || null;
+        this.resolveMesh = resolveMesh;
+        this.center = new BABYLON.Vector3(definition.center?.x || 0, definition.center?.y || 0, definition.center?.z || 0);
+        this.size = definition.size ? { ...definition.size } : null;
+
+        // [GRV.6.2] How strong, which way
+        this.gravity = definition.gravity ? { ...definition.gravity } : null;
+        this.strength = definition.strength ?? 9.81;
+        this.axis = new BABYLON.Vector3(definition.axis?.x ?? 0, definition.axis?.y ?? 1, definition.axis?.z ?? 0).normalize();
+        this.radius = definition.radius ?? Infinity;
+        this.innerRadius = definition.innerRadius ?? 0;
+        this.height = definition.height ?? Infinity;
+        this.falloff = definition.falloff || 'none';
+    }
+
+    // [GRV.6] Problems with a definition (empty when valid)
+    static validate(definition) {
+        if (!definition || typeof definition !== 'object') {
+            return ['definition must be an object'];
+        }
+
+        const problems = [];
+        const { type } = definition;
+
+        for (const key of Object.keys(definition)) {
+            if (!DEFINITION_KEYS.has(key)) {
+                problems.push(`unknown key '${key}'`);
+            }
+        }
+
+        if (!ZONE_TYPES.includes(type)) {
+            problems.push(`type must be one of ${ZONE_TYPES.join(', ')}`);
+        }
+        if (definition.name !== undefined && typeof definition.name !== 'string') {
+            problems.push('name must be a string');
+        }
+        if (definition.mesh !== undefined && typeof definition.mesh !== 'string' && typeof definition.mesh?.getWorldMatrix !== 'function') {
+            problems.push('mesh must be a mesh or a mesh name');
+        }
+
+        for (const key of ['center', 'size', 'gravity', 'axis']) {
+            if (definition[key] !== undefined && !isVector(definition[key])) {
+                problems.push(`${key} must be {x, y, z}`);
+            }
+        }
+        for (const key of ['strength', 'priority']) {
+            if (definition[key] !== undefined && !isNumber(definition[key])) {
+                problems.push(`${key} must be a number`);
+            }
+        }
+        for (const key of ['radius', 'innerRadius', 'height', 'blend']) {
+            if (definition[key] !== undefined && !(isNumber(definition[key]) && definition[key] >= 0)) {
+                problems.push(`${key} must be a number >= 0`);
+            }
+        }
+
+        if (type === 'directional' && !definition.gravity) {
+            problems.push('directional zones need gravity');
+        }
+        if (type === 'cylindrical' && isVector(definition.axis) &&
+            definition.axis.x === 0 && definition.axis.y === 0 && definition.axis.z === 0) {
+            problems.push('axis must not be zero');
+        }
+        if (definition.falloff !== undefined && !FALLOFF_TYPES.includes(definition.falloff)) {
+            problems.push(`falloff must be one of ${FALLOFF_TYPES.join(', ')}`);
+        }
+        if (isNumber(definition.innerRadius) && isNumber(definition.radius) && definition.innerRadius > definition.radius) {
+            problems.push('innerRadius must not exceed radius');
+        }
+
+        return problems;
+    }
+
+    // ============================================================
+    // [GRV.6.1] Shape
+    // ============================================================
+
+    // [GRV.6.1] Mesh the zone follows (null: fixed, or its mesh doesn't exist yet / anymore)
+    getMesh() {
+        if (this.mesh?.isDisposed?.()) {
+            this.mesh = null;
+        }
+        if (!this.mesh && this.meshName) {
+            this.mesh = this.resolveMesh?.(this.meshName) || null;
+        }
+        return this.mesh;
+    }
+
+    // [GRV.6.1] World center (mesh position, else center)
+    getCenter() {
+        const mesh = this.getMesh();
+        return mesh ? mesh.getAbsolutePosition().clone() : this.center.clone();
+    }
+
+    // [GRV.6.1] World axis (cylindrical): the mesh's rotation turns it
+    getAxis() {
+        const mesh = this.getMesh();
+        if (!mesh) {
+            return this.axis.clone();
+        }
+        return BABYLON.Vector3.TransformNormal(this.axis, mesh.getWorldMatrix()).normalize();
+    }
+
+    // [GRV.6.1] How far inside the boundary a position is (m, negative outside)
+    // Infinity for zones without a boundary
+    getDepth(position) {
+        const offset = position.subtract(this.getCenter());
+
+        switch (this.type) {
+            case 'radial':
+                return this.radius - offset.length();
+
+            case 'cylindrical': {
+                const axis = this.getAxis();
+                const along = BABYLON.Vector3.Dot(offset, axis);
+                const distance = offset.subtract(axis.scale(along)).length();
+                return Math.min(this.radius - distance, this.height / 2 - Math.abs(along));
+            }
+
+            default:
+                return this.getBoxDepth(position, offset);
+        }
+    }
+
+    // [GRV.6.1] Depth inside the box: the mesh's oriented bounds, else center + size
+    getBoxDepth(position, offset) {
+        const mesh = this.getMesh();
+
+        if (mesh) {
+            const matrix = mesh.computeWorldMatrix(true);
+            const box = mesh.getBoundingInfo().boundingBox;
+            const local = position.subtract(box.centerWorld);
+            let depth = Infinity;
+
+            ['x', 'y', 'z'].forEach((key, index) => {
+                const direction = BABYLON.Vector3.TransformNormal(
+                    new BABYLON.Vector3(index === 0 ? 1 : 0, index === 1 ? 1 : 0, index === 2 ? 1 : 0),
+                    matrix
+                );
+                const scale = direction.length();
+                const half = box.extendSize[key] * scale;
+                const along = scale > 0 ? BABYLON.Vector3.Dot(local, direction) / scale : 0;
+                depth = Math.min(depth, half - Math.abs(along));
+            });
+
+            return depth;
+        }
+
+        if (!this.size) {
+            return Infinity;
+        }
+
+        return Math.min(
+            this.size.x / 2 - Math.abs(offset.x),
+            this.size.y / 2 - Math.abs(offset.y),
+            this.size.z / 2 - Math.abs(offset.z)
+        );
+    }
+
+    // [GRV.6.1] Influence at a position: 0 outside, ramping to 1 over blend meters inside
+    getWeight(position) {
+        if (!this.enabled || (this.meshName && !this.getMesh())) {
+            return 0;
+        }
+
+        const depth = this.getDepth(position);
+        if (depth < 0) {
+            return 0;
+        }
+
+        return this.blend > 0 ? Math.min(depth / this.blend, 1) : 1;
+    }
+
+    // ============================================================
+    // [GRV.6.2] Gravity
+    // ============================================================
+
+    // [GRV.6.2] Gravity vector of this zone at a position (ignores the boundary)
+    getGravity(position) {
+        if (this.type === 'directional') {
+            return new BABYLON.Vector3(this.gravity.x, this.gravity.y, this.gravity.z);
+        }
+
+        // [GRV.6.2] Towards the center (radial) / the axis (cylindrical)
+        const offset = this.getCenter().subtract(position);
+        if (this.type === 'cylindrical') {
+            const axis = this.getAxis();
+            offset.subtractInPlace(axis.scale(BABYLON.Vector3.Dot(offset, axis)));
+        }
+
+        const distance = offset.length();
+        if (distance < 1e-6) {
+            return BABYLON.Vector3.Zero();     // At the center: no direction to fall
+        }
+
+        return offset.scale(this.getStrength(distance) / distance);
+    }
+
+    // [GRV.6.2] Strength at a distance from the center / axis
+    getStrength(distance) {
+        if (this.falloff !== 'linear' || !Number.isFinite(this.radius) || distance <= this.innerRadius) {
+            return this.strength;
+        }
+
+        const span = this.radius - this.innerRadius;
+        return span > 0 ? this.strength * Math.max(0, 1 - (distance - this.innerRadius) / span) : 0;
+    }
+
+    // [GRV.6] Definition for the scene config (mesh by name, current enabled state)
+    serialize() {
+        return {
+            ...JSON.parse(JSON.stringify(this.definition)),
+            ...(this.meshName ? { mesh: this.meshName } : {}),
+            ...(this.enabled ? {} : { enabled: false })
+        };
+    }
+}
+
+// [GRV.6] Export for GravityPlugin
+export default GravityZone;
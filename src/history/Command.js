@@ -0,0 +1,71 @@
+/**
+ * @file Command.js
+ * @description Base class for reversible edit commands (undo/redo history)
+ *
+ * @tags [HIS.*] History system
+ * @primary-tags [HIS.2] Command base class
+ *
+ * @dependencies
+ *   - [HIS.2 -> HIS.1] Stored and replayed by HistoryPlugin
+ *
+ * @features
+ *   - undo()/redo() template methods with done/undone state
+ *   - Optional merging of consecutive commands (e.g. gizmo drags)
+ *   - discard() hook when command falls off the history stack
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+// [HIS.2] Reversible command
+// Commands are recorded AFTER the edit already happened (done = true),
+// so the first call made by HistoryPlugin is always undo()
+class Command {
+    // [HIS.2.1] Command constructor
+    constructor(type, label) {
+        this.type = type;            // 'transform', 'property', 'material', ...
+        this.label = label;          // Human readable ("Move Red Box")
+        this.timestamp = Date.now();
+        this.done = true;
+    }
+
+    // [HIS.2.2] Revert the edit
+    undo() {
+        this.revert();
+        this.done = false;
+    }
+
+    // [HIS.2.2] Re-apply the edit
+    redo() {
+        this.apply();
+        this.done = true;
+    }
+
+    // [HIS.2.2] Override: re-apply edit
+    apply() {
+        throw new Error(`[HIS.2] ${this.constructor.name}.apply() not implemented`);
+    }
+
+    // [HIS.2.2] Override: revert edit
+    revert() {
+        throw new Error(`[HIS.2] ${this.constructor.name}.revert() not implemented`);
+    }
+
+    // [HIS.2.3] Override: can next command be folded into this one
+    canMerge(command) {
+        return false;
+    }
+
+    // [HIS.2.3] Override: fold next command into this one
+    merge(command) {
+        this.timestamp = command.timestamp;
+    }
+
+    // [HIS.2.4] Override: release resources when dropped from history
+    // Called with current done state (e.g. deleted meshes can be disposed for good)
+    discard() {
+    }
+}
+
+// [HIS.2] Export for command implementations
+export default Command;
@@ -0,0 +1,45 @@
+/**
+ * @file DeleteCommand.js
+ * @description Reversible deletion of one or more meshes
+ *
+ * @tags [HIS.5] Delete command
+ *
+ * @dependencies
+ *   - [HIS.5 -> HIS.2] Extends Command
+ *   - [HIS.5 -> OPS.2] EditOperationsPlugin removeObjects/restoreObjects/disposeObjects
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+import Command from './Command.js';
+
+// [HIS.5] Delete command
+// Deleted meshes are detached, not disposed, until the command leaves history
+class DeleteCommand extends Command {
+    // [HIS.5.1] operations: object providing removeObjects/restoreObjects/disposeObjects
+    constructor(meshes, operations) {
+        super('delete', `Delete ${meshes.length === 1 ? meshes[0].name : `${meshes.length} objects`}`);
+
+        this.meshes = meshes;
+        this.operations = operations;
+    }
+
+    apply() {
+        this.operations.removeObjects(this.meshes);
+    }
+
+    revert() {
+        this.operations.restoreObjects(this.meshes);
+    }
+
+    // [HIS.5.2] Deletion can no longer be undone - dispose for good
+    discard() {
+        if (this.done) {
+            this.operations.disposeObjects(this.meshes);
+        }
+    }
+}
+
+// [HIS.5] Export for HistoryPlugin
+export default DeleteCommand;
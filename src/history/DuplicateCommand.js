@@ -0,0 +1,46 @@
+/**
+ * @file DuplicateCommand.js
+ * @description Reversible duplication of one or more meshes
+ *
+ * @tags [HIS.6] Duplicate command
+ *
+ * @dependencies
+ *   - [HIS.6 -> HIS.2] Extends Command
+ *   - [HIS.6 -> OPS.2] EditOperationsPlugin removeObjects/restoreObjects/disposeObjects
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+import Command from './Command.js';
+
+// [HIS.6] Duplicate command
+// Undo detaches the copies; they are disposed once redo is no longer possible
+class DuplicateCommand extends Command {
+    // [HIS.6.1] copies: meshes created by the duplication
+    constructor(sources, copies, operations) {
+        super('duplicate', `Duplicate ${sources.length === 1 ? sources[0].name : `${sources.length} objects`}`);
+
+        this.sources = sources;
+        this.copies = copies;
+        this.operations = operations;
+    }
+
+    apply() {
+        this.operations.restoreObjects(this.copies);
+    }
+
+    revert() {
+        this.operations.removeObjects(this.copies);
+    }
+
+    // [HIS.6.2] Copies were undone and can no longer be redone - dispose them
+    discard() {
+        if (!this.done) {
+            this.operations.disposeObjects(this.copies);
+        }
+    }
+}
+
+// [HIS.6] Export for HistoryPlugin
+export default DuplicateCommand;
@@ -0,0 +1,72 @@
+/**
+ * @file MaterialCommand.js
+ * @description Reversible material assignment on a mesh
+ *
+ * @tags [HIS.4] Material command
+ *
+ * @dependencies
+ *   - [HIS.4 -> HIS.2] Extends Command
+ *
+ * @affects
+ *   - [HIS.4 -> MAT] Swaps mesh.material between previous and applied material
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+import Command from './Command.js';
+
+// [HIS.4] Material command
+class MaterialCommand extends Command {
+    constructor(mesh, previousMaterial, material, options = {}) {
+        super('material', options.label || `Material ${options.preset || material?.name} on ${mesh.name}`);
+
+        this.mesh = mesh;
+        this.previousMaterial = previousMaterial;
+        this.material = material;
+        this.interactionPlugin = options.interactionPlugin || null;
+    }
+
+    apply() {
+        this.swap(this.material);
+    }
+
+    revert() {
+        this.swap(this.previousMaterial);
+    }
+
+    // [HIS.4.1] Swap material, moving selection highlight along
+    // [HIS.4.1 -> INT.4.1] InteractionPlugin tints emissiveColor of selected meshes
+    swap(to) {
+        if (!this.mesh || this.mesh.isDisposed()) return;
+
+        const interaction = this.interactionPlugin;
+        const selected = interaction ? interaction.isSelected(this.mesh) : false;
+
+        if (selected) {
+            interaction.removeSelectionVisual(this.mesh);
+        }
+
+        this.mesh.material = to;
+
+        if (selected) {
+            interaction.applySelectionVisual(this.mesh);
+        }
+    }
+
+    // [HIS.4.2] Dispose applied material if edit was undone and will never be redone
+    discard() {
+        if (!this.done && this.material && this.material !== this.previousMaterial) {
+            const stillUsed = this.material.getBindedMeshes
+                ? this.material.getBindedMeshes().length > 0
+                : false;
+
+            if (!stillUsed) {
+                this.material.dispose();
+            }
+        }
+    }
+}
+
+// [HIS.4] Export for HistoryPlugin
+export default MaterialCommand;
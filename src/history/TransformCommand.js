@@ -0,0 +1,123 @@
+/**
+ * @file TransformCommand.js
+ * @description Reversible transform (position/rotation/scaling) of one or more meshes
+ *
+ * @tags [HIS.3] Transform command
+ *
+ * @dependencies
+ *   - [HIS.3 -> HIS.2] Extends Command
+ *   - [HIS.3 -> COL] Syncs physics bodies of restored meshes
+ *
+ * @affects
+ *   - [HIS.3 -> GIZ] Records gizmo drags (consecutive drags merge)
+ *   - [HIS.3 -> PROPS] Records panel edits
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+import Command from './Command.js';
+
+// [HIS.3] Transform command
+class TransformCommand extends Command {
+    // [HIS.3.1] Create from meshes and their transforms before/after the edit
+    // before/after: Array of snapshots from TransformCommand.capture(), same order as meshes
+    constructor(meshes, before, after, options = {}) {
+        const label = options.label ||
+            `Transform ${meshes.length === 1 ? meshes[0].name : `${meshes.length} objects`}`;
+
+        super('transform', label);
+
+        this.meshes = meshes;
+        this.before = before;
+        this.after = after;
+        this.source = options.source || 'unknown';     // 'gizmo', 'modal', ...
+        this.mergeWindow = options.mergeWindow ?? 0;    // ms, 0 = never merge
+    }
+
+    // [HIS.3.2] Snapshot transform of mesh
+    static capture(mesh) {
+        return {
+            position: mesh.position.clone(),
+            rotation: mesh.rotation.clone(),
+            rotationQuaternion: mesh.rotationQuaternion ? mesh.rotationQuaternion.clone() : null,
+            scaling: mesh.scaling.clone()
+        };
+    }
+
+    // [HIS.3.2] Restore transform snapshot on mesh
+    static restore(mesh, snapshot) {
+        if (!mesh || mesh.isDisposed()) return;
+
+        mesh.position.copyFrom(snapshot.position);
+        mesh.scaling.copyFrom(snapshot.scaling);
+
+        if (snapshot.rotationQuaternion) {
+            mesh.rotationQuaternion = snapshot.rotationQuaternion.clone();
+        } else {
+            mesh.rotationQuaternion = null;
+            mesh.rotation.copyFrom(snapshot.rotation);
+        }
+
+        mesh.computeWorldMatrix(true);
+        TransformCommand.syncBody(mesh);
+    }
+
+    // [HIS.3.2 -> COL] Move the Havok body to the restored transform
+    // Bodies ignore the mesh while disablePreStep is set, so follow it for the next physics step only
+    static syncBody(mesh) {
+        const body = mesh.physicsBody;
+        if (!body || !body.disablePreStep) return;
+
+        body.disablePreStep = false;
+        mesh.getScene().onAfterPhysicsObservable.addOnce(() => {
+            if (mesh.physicsBody === body) {
+                body.disablePreStep = true;
+            }
+        });
+    }
+
+    // [HIS.3.3] Check if two snapshots are equal (no-op edit)
+    static equals(a, b) {
+        const quatEqual = (!a.rotationQuaternion && !b.rotationQuaternion) ||
+            (a.rotationQuaternion && b.rotationQuaternion &&
+             a.rotationQuaternion.equalsWithEpsilon(b.rotationQuaternion));
+
+        return a.position.equalsWithEpsilon(b.position) &&
+            a.rotation.equalsWithEpsilon(b.rotation) &&
+            a.scaling.equalsWithEpsilon(b.scaling) &&
+            quatEqual;
+    }
+
+    // [HIS.3.3] True if edit changed nothing
+    isEmpty() {
+        return this.meshes.every((mesh, i) => TransformCommand.equals(this.before[i], this.after[i]));
+    }
+
+    apply() {
+        this.meshes.forEach((mesh, i) => TransformCommand.restore(mesh, this.after[i]));
+    }
+
+    revert() {
+        this.meshes.forEach((mesh, i) => TransformCommand.restore(mesh, this.before[i]));
+    }
+
+    // [HIS.3.4] Merge consecutive edits of same meshes from same source within window
+    canMerge(command) {
+        return command instanceof TransformCommand &&
+            this.mergeWindow > 0 &&
+            command.source === this.source &&
+            command.timestamp - this.timestamp <= this.mergeWindow &&
+            command.meshes.length === this.meshes.length &&
+            command.meshes.every((mesh, i) => mesh === this.meshes[i]);
+    }
+
+    // [HIS.3.4] Keep our "before", take their "after"
+    merge(command) {
+        super.merge(command);
+        this.after = command.after;
+    }
+}
+
+// [HIS.3] Export for HistoryPlugin
+export default TransformCommand;
@@ -0,0 +1,838 @@
+/**
+ * BindingManager - User-remappable input bindings
+ *
+ * @class BindingManager
+ *
+ * @description
+ * Lets users rebind the actions of every input context. Contexts keep their
+ * hard-coded bindings as defaults; BindingManager layers user overrides on top
+ * and rebuilds `context.bindings` whenever an override changes.
+ *
+ * A binding is addressed as context → action → slot, where slot is the index
+ * among the context's default bindings for that action (moveForward has slot 0
+ * = KeyW and slot 1 = ArrowUp in view mode). An override replaces the input and
+ * modifiers of one slot (condition, filters and - for the same device - state
+ * are kept) or unbinds it (null).
+ *
+ * Features:
+ * - List every action and its bindings per context (with display labels)
+ * - Capture the next input (key, modifier combo, mouse button, wheel, touch gesture,
+ *   gamepad button or stick)
+ * - Conflict detection within a context (same input + modifiers + condition)
+ * - Overrides persist to localStorage
+ * - Export/import overrides as a JSON profile
+ * - Key labels follow the user's keyboard layout when the browser exposes it
+ *   (bindings use physical key codes, so WASD is ZQSD on AZERTY)
+ *
+ * Override Format:
+ * {
+ *     view: {
+ *         moveForward: { 0: { input: 'KeyI', source: 'keyboard' } },
+ *         moveUp: { 0: null }                                   // Unbound
+ *     }
+ * }
+ *
+ * @example
+ * const bindings = inputManager.bindings;
+ * const input = await bindings.captureInput();          // null if cancelled (Escape)
+ * if (input) bindings.setBinding('view', 'moveForward', 0, input);
+ * bindings.getConflicts('edit');
+ * const profile = bindings.exportProfile();
+ *
+ * @tags [INP.5]
+ * @version 1.0.0
+ */
+
+// [INP.5] Persistence and profile format
+const STORAGE_KEY = '3dcms_keyBindings';
+const PROFILE_FORMAT = 'legozo-keybindings';
+const PROFILE_VERSION = 1;
+
+// [INP.5] Modifier names as reported in event.modifiers, in display order
+const MODIFIERS = ['Ctrl', 'Shift', 'Alt', 'Meta'];
+const MODIFIER_KEYS = new Set([
+    'ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight',
+    'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'
+]);
+
+// [INP.5] Non-keyboard inputs (everything else is a key code; gamepad inputs start with
+// 'Gamepad', on-screen joystick inputs with 'Joystick')
+const MOUSE_INPUTS = new Set(['LeftClick', 'RightClick', 'MiddleClick', 'MouseMove', 'MouseWheel']);
+const TOUCH_INPUTS = new Set([
+    'Tap', 'LongPress', 'TouchSwipe', 'TouchPan', 'TouchPinch',
+    'TouchTwoFingerPan', 'TouchRotate', 'TouchThreeFingerSwipe', 'TouchEdgeSwipe'
+]);
+
+// [INP.5] Inputs that can be captured and the state that completes them
+const CAPTURE_STATES = {
+    mouse: { LeftClick: 'pressed', RightClick: 'pressed', MiddleClick: 'pressed', MouseWheel: 'scrolled' },
+    touch: {
+        Tap: 'completed', LongPress: 'completed', TouchSwipe: 'completed', TouchPan: 'moved', TouchPinch: 'changed',
+        TouchTwoFingerPan: 'moved', TouchRotate: 'changed', TouchThreeFingerSwipe: 'completed', TouchEdgeSwipe: 'completed'
+    }
+};
+
+const CAPTURE_TIMEOUT = 10000;
+
+// [INP.5] Label suffixes of triggered bindings (see InputContext)
+const TRIGGER_LABELS = {
+    hold: 'hold',
+    tap: 'tap',
+    releaseAfterHold: 'hold + release',
+    doubleTap: 'double-tap'
+};
+
+export default class BindingManager {
+    /**
+     * [INP.5] Constructor
+     *
+     * @param {InputManager} inputManager - Owner (contexts and 'bindings:changed' events)
+     * @param {Object} [options]
+     * @param {Storage|null} [options.storage] - Where overrides persist (default localStorage)
+     */
+    constructor(inputManager, options = {}) {
+        // [INP.5.1] Core references
+        this.inputManager = inputManager;
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+
+        // [INP.5.2] Overrides: { context: { action: { slot: binding|null } } }
+        this.overrides = this.load();
+
+        // [INP.5.3] Capture state (captureInput)
+        this.capture = null;
+        this.swallow = null;  // Rest of the captured gesture ({ input })
+
+        // [INP.5.4] Key labels from the keyboard layout (code → character)
+        this.layoutLabels = new Map();
+        this.loadLayoutLabels();
+    }
+
+    // =========================================================================
+    // Contexts
+    // =========================================================================
+
+    /**
+     * [INP.5] Take over a context's bindings (called by InputManager.registerContext)
+     *
+     * The context's current bindings become its defaults; stored overrides are applied.
+     *
+     * @param {InputContext} context - Context instance
+     */
+    registerContext(context) {
+        context.defaultBindings = [...context.bindings];
+        this.applyOverrides(context);
+    }
+
+    /**
+     * [INP.5] Rebuild context.bindings from defaults + overrides
+     *
+     * Order follows the defaults. A rebound Ctrl+W still beats a plain W listed
+     * earlier: InputContext prefers the more specific binding.
+     *
+     * @param {InputContext} context - Context instance
+     */
+    applyOverrides(context) {
+        context.bindings = this.getSlots(context)
+            .map(({ binding }) => binding)
+            .filter(Boolean);  // Unbound slots drop out
+    }
+
+    /**
+     * [INP.5] Apply overrides to every registered context
+     */
+    applyAll() {
+        this.inputManager.contexts.forEach(context => this.applyOverrides(context));
+    }
+
+    // =========================================================================
+    // Queries
+    // =========================================================================
+
+    /**
+     * [INP.5] List actions of a context with their binding slots
+     *
+     * @param {string} contextName - Context name
+     * @returns {Array<{action: string, slots: Array}>} Actions in default binding order
+     */
+    getActions(contextName) {
+        const actions = new Map();
+
+        for (const { action, slot, base, override, binding } of this.getSlots(this.getContext(contextName))) {
+            if (!actions.has(action)) {
+                actions.set(action, []);
+            }
+
+            actions.get(action).push({
+                slot,
+                source: this.getDevice(this.getInputs(base)[0]),
+                input: binding ? binding.input : null,
+                modifier: binding ? this.getModifiers(binding) : null,
+                condition: base.condition || null,
+                label: binding ? this.describe(binding) : '—',
+                defaultLabel: this.describe(base),
+                overridden: override !== undefined,
+                unbound: !binding
+            });
+        }
+
+        return Array.from(actions, ([action, slots]) => ({ action, slots }));
+    }
+
+    /**
+     * [INP.5] Find conflicting binding pairs in a context
+     *
+     * Two bindings conflict when the same input + modifiers + condition could
+     * trigger both (the later one would never fire).
+     *
+     * @param {string} contextName - Context name
+     * @returns {Array<{input: string, label: string, actions: string[]}>}
+     */
+    getConflicts(contextName) {
+        const context = this.getContext(contextName);
+        const conflicts = [];
+        const bindings = context.bindings;
+
+        for (let i = 0; i < bindings.length; i++) {
+            for (let j = i + 1; j < bindings.length; j++) {
+                const [a, b] = [bindings[i], bindings[j]];
+                if (a.action !== b.action && this.conflicts(a, b)) {
+                    conflicts.push({ input: a.input, label: this.describe(a), actions: [a.action, b.action] });
+                }
+            }
+        }
+
+        return conflicts;
+    }
+
+    /**
+     * [INP.5] Display label for a binding ('Ctrl+Shift+S', 'Left Click', 'G, X', 'A+S', 'Delete (hold)')
+     *
+     * @param {Object} binding - Binding or captured input
+     * @returns {string}
+     */
+    describe(binding) {
+        const modifiers = this.getModifiers(binding);
+        const inputs = this.getInputs(binding).map(input => this.labelFor(input));
+        const keys = binding.sequence ? inputs.join(', ') : inputs.join('+');
+        const label = [...modifiers, keys].join('+');
+
+        return TRIGGER_LABELS[binding.trigger] ? `${label} (${TRIGGER_LABELS[binding.trigger]})` : label;
+    }
+
+    /**
+     * [INP.5] Display label for an input identifier
+     *
+     * @param {string} input - Input identifier ('KeyW', 'Digit1', 'LeftClick')
+     * @returns {string}
+     */
+    labelFor(input) {
+        if (this.layoutLabels.has(input)) {
+            return this.layoutLabels.get(input).toUpperCase();
+        }
+
+        if (/^Key[A-Z]$/.test(input) || /^Digit\d$/.test(input)) {
+            return input.slice(-1);
+        }
+
+        if (input.startsWith('Arrow')) {
+            return `${input.slice(5)} Arrow`;
+        }
+
+        // 'LeftClick' → 'Left Click', 'ShiftLeft' → 'Shift Left'
+        return input.replace(/([a-z])([A-Z])/g, '$1 $2');
+    }
+
+    // =========================================================================
+    // Changes
+    // =========================================================================
+
+    /**
+     * [INP.5] Bind an action slot to a new input
+     *
+     * @param {string} contextName - Context name
+     * @param {string} action - Action name
+     * @param {number} slot - Binding slot (see getActions())
+     * @param {Object} input - Captured input ({ input, modifier, source })
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] - Unbind conflicting slots instead of failing
+     * @returns {{binding: Object, replaced: Array}} New binding and the slots it replaced
+     * @throws {Error} Unknown context/action/slot, or conflict (error.conflicts) without replace
+     */
+    setBinding(contextName, action, slot, input, options = {}) {
+        const context = this.getContext(contextName);
+        const base = this.getDefaultBinding(context, action, slot);
+
+        const override = {
+            input: input.input,
+            source: input.source || this.getDevice(input.input)
+        };
+        const modifiers = this.getModifiers(input);
+        if (modifiers.length > 0) {
+            override.modifier = modifiers.length === 1 ? modifiers[0] : modifiers;
+        }
+
+        const binding = this.buildBinding(base, override);
+
+        // [INP.5.1] Conflicts with other slots of this context
+        const conflicts = this.getSlots(context)
+            .filter(other => other.binding && !(other.action === action && other.slot === slot))
+            .filter(other => this.conflicts(binding, other.binding))
+            .map(other => ({ action: other.action, slot: other.slot, label: this.describe(other.binding) }));
+
+        if (conflicts.length > 0 && !options.replace) {
+            const error = new Error(`[INP.5] ${this.describe(binding)} is already bound to ` +
+                `${conflicts.map(c => c.action).join(', ')} in ${contextName}`);
+            error.code = 'BINDING_CONFLICT';
+            error.conflicts = conflicts;
+            throw error;
+        }
+
+        // [INP.5.2] Replace: conflicting slots become unbound
+        for (const conflict of conflicts) {
+            this.storeOverride(contextName, conflict.action, conflict.slot, null);
+        }
+
+        this.storeOverride(contextName, action, slot, override);
+        this.commit(context, action);
+
+        return { binding, replaced: conflicts };
+    }
+
+    /**
+     * [INP.5] Remove the input of an action slot
+     *
+     * @param {string} contextName - Context name
+     * @param {string} action - Action name
+     * @param {number} slot - Binding slot
+     */
+    unbind(contextName, action, slot) {
+        const context = this.getContext(contextName);
+        this.getDefaultBinding(context, action, slot);
+
+        this.storeOverride(contextName, action, slot, null);
+        this.commit(context, action);
+    }
+
+    /**
+     * [INP.5] Restore defaults
+     *
+     * @param {string} [contextName] - Only this context (all when omitted)
+     * @param {string} [action] - Only this action
+     */
+    reset(contextName, action) {
+        if (!contextName) {
+            this.overrides = {};
+            this.applyAll();
+            this.save();
+            this.inputManager.emit('bindings:changed', { context: null, action: null });
+            return;
+        }
+
+        const context = this.getContext(contextName);
+
+        if (action) {
+            delete this.overrides[contextName]?.[action];
+        } else {
+            delete this.overrides[contextName];
+        }
+
+        this.commit(context, action || null);
+    }
+
+    // =========================================================================
+    // Profiles
+    // =========================================================================
+
+    /**
+     * [INP.5] Export overrides as a JSON profile
+     *
+     * @returns {Object} Profile ({ format, overrides })
+     */
+    exportProfile() {
+        return {
+            format: {
+                name: PROFILE_FORMAT,
+                version: PROFILE_VERSION,
+                savedAt: new Date().toISOString()
+            },
+            overrides: JSON.parse(JSON.stringify(this.overrides))
+        };
+    }
+
+    /**
+     * [INP.5] Replace overrides with an exported profile
+     *
+     * Entries for contexts/actions/slots that don't exist here are skipped.
+     *
+     * @param {Object|string} profile - Profile object or JSON string
+     * @returns {{applied: number, skipped: string[], conflicts: Object}} Result (conflicts per context)
+     * @throws {Error} Not a key binding profile
+     */
+    importProfile(profile) {
+        const data = typeof profile === 'string' ? JSON.parse(profile) : profile;
+
+        if (data?.format?.name !== PROFILE_FORMAT || typeof data.overrides !== 'object' || data.overrides === null) {
+            throw new Error(`[INP.5] Not a key binding profile (expected format '${PROFILE_FORMAT}')`);
+        }
+        if (data.format.version > PROFILE_VERSION) {
+            throw new Error(`[INP.5] Profile version ${data.format.version} is newer than supported (${PROFILE_VERSION})`);
+        }
+
+        const overrides = {};
+        const skipped = [];
+        let applied = 0;
+
+        for (const [contextName, actions] of Object.entries(data.overrides)) {
+            const context = this.inputManager.contexts.get(contextName);
+
+            for (const [action, slots] of Object.entries(actions || {})) {
+                for (const [slot, override] of Object.entries(slots || {})) {
+                    const path = `${contextName}.${action}.${slot}`;
+                    const valid = context &&
+                        this.countSlots(context, action) > Number(slot) &&
+                        (override === null || typeof override?.input === 'string');
+
+                    if (!valid) {
+                        skipped.push(path);
+                        continue;
+                    }
+
+                    overrides[contextName] ??= {};
+                    overrides[contextName][action] ??= {};
+                    overrides[contextName][action][slot] = override;
+                    applied++;
+                }
+            }
+        }
+
+        this.overrides = overrides;
+        this.applyAll();
+        this.save();
+        this.inputManager.emit('bindings:changed', { context: null, action: null });
+
+        if (skipped.length > 0) {
+            console.warn(`[INP.5] Profile entries skipped (unknown here): ${skipped.join(', ')}`);
+        }
+
+        const conflicts = {};
+        for (const name of this.inputManager.contexts.keys()) {
+            const found = this.getConflicts(name);
+            if (found.length > 0) conflicts[name] = found;
+        }
+
+        return { applied, skipped, conflicts };
+    }
+
+    // =========================================================================
+    // Capture
+    // =========================================================================
+
+    /**
+     * [INP.5] Capture the next input for rebinding
+     *
+     * While capturing, input doesn't reach the contexts (no actions fire).
+     * Escape cancels. Modifier keys alone are captured on release, so Ctrl
+     * followed by S captures Ctrl+S.
+     *
+     * @param {Object} [options]
+     * @param {string[]} [options.devices] - Accepted devices (default keyboard, mouse, touch, gamepad)
+     * @param {number} [options.timeout=10000] - Give up after ms
+     * @returns {Promise<Object|null>} { source, input, modifier } or null (cancelled/timed out)
+     */
+    captureInput(options = {}) {
+        this.cancelCapture();
+
+        const devices = options.devices || ['keyboard', 'mouse', 'touch', 'gamepad'];
+        const timeout = options.timeout ?? CAPTURE_TIMEOUT;
+
+        return new Promise(resolve => {
+            this.capture = {
+                devices,
+                resolve,
+                pendingModifier: null,
+                timer: setTimeout(() => this.finishCapture(null), timeout)
+            };
+            this.inputManager.emit('bindings:capture', { capturing: true });
+        });
+    }
+
+    /**
+     * [INP.5] Cancel a running capture (resolves with null)
+     */
+    cancelCapture() {
+        if (this.capture) {
+            this.finishCapture(null);
+        }
+    }
+
+    /**
+     * [INP.5] Offer raw input to the capture (called by InputManager.handleInput)
+     *
+     * @param {Object} event - Raw input event
+     * @returns {boolean} True if consumed (don't map to an action)
+     */
+    handleCapture(event) {
+        // [INP.5.1] Swallow the rest of a captured press (its release/click)
+        if (this.swallow) {
+            if (event.input === this.swallow.input) {
+                if (event.state === 'released') this.swallow = null;
+                return true;
+            }
+            if (event.input === 'TouchStart') this.swallow = null;
+        }
+
+        if (!this.capture) {
+            return false;
+        }
+
+        const device = event.source;
+        const accepted = this.capture.devices.includes(device);
+
+        if (device === 'keyboard' && accepted) {
+            this.captureKey(event);
+        } else if (accepted && this.completesCapture(event)) {
+            this.swallow = { input: event.input };
+            this.finishCapture({
+                source: device,
+                input: event.input,
+                modifier: this.getActiveModifiers(event)
+            });
+        }
+
+        return true;
+    }
+
+    // =========================================================================
+    // Internals
+    // =========================================================================
+
+    /**
+     * [INP.5] Keyboard part of handleCapture
+     *
+     * @param {Object} event - Keyboard input event
+     * @private
+     */
+    captureKey(event) {
+        const capture = this.capture;
+
+        if (event.state === 'pressed') {
+            if (MODIFIER_KEYS.has(event.input)) {
+                capture.pendingModifier = event.input;
+                return;
+            }
+
+            capture.pendingModifier = null;
+            this.swallow = { input: event.input };
+
+            const modifiers = this.getActiveModifiers(event);
+            if (event.input === 'Escape' && modifiers.length === 0) {
+                this.finishCapture(null);
+                return;
+            }
+
+            this.finishCapture({ source: 'keyboard', input: event.input, modifier: modifiers });
+        } else if (event.state === 'released' && event.input === capture.pendingModifier) {
+            // Modifier pressed and released alone (e.g. Shift for moveDown)
+            this.finishCapture({ source: 'keyboard', input: event.input, modifier: [] });
+        }
+    }
+
+    /**
+     * [INP.5] Check if a (non-keyboard) input event can be captured
+     *
+     * @param {Object} event - Raw input event
+     * @returns {boolean}
+     * @private
+     */
+    completesCapture(event) {
+        if (event.source === 'gamepad') {
+            // Button press, or a stick pushed well past rest
+            return event.state === 'pressed' || (event.state === 'moved' && Math.abs(event.value) > 0.5);
+        }
+
+        return CAPTURE_STATES[event.source]?.[event.input] === event.state;
+    }
+
+    /**
+     * [INP.5] Resolve the capture promise
+     *
+     * @param {Object|null} result - Captured input
+     * @private
+     */
+    finishCapture(result) {
+        const capture = this.capture;
+        if (!capture) return;
+
+        clearTimeout(capture.timer);
+        this.capture = null;
+        this.inputManager.emit('bindings:capture', { capturing: false, input: result });
+        capture.resolve(result);
+    }
+
+    /**
+     * [INP.5] Apply an override to a default binding
+     *
+     * @param {Object} base - Default binding
+     * @param {Object} override - { input, modifier, source }
+     * @returns {Object} Effective binding
+     * @private
+     */
+    buildBinding(base, override) {
+        // A captured input is one input: it replaces a sequence/chord (the trigger type stays)
+        const binding = { ...base, input: override.input, overridden: true };
+        delete binding.modifier;
+        delete binding.sequence;
+        delete binding.chord;
+
+        if (override.modifier && this.getModifiers(override).length > 0) {
+            binding.modifier = override.modifier;
+        }
+
+        // State only carries over within a device ('clicked' means nothing for a key)
+        if (this.getDevice(this.getInputs(base)[0]) !== (override.source || this.getDevice(override.input))) {
+            delete binding.state;
+            if (CAPTURE_STATES.touch[override.input] === 'completed') {
+                binding.state = 'completed';
+            }
+        }
+
+        return binding;
+    }
+
+    /**
+     * [INP.5] Check if two bindings can be triggered by the same input
+     *
+     * @param {Object} a - Binding
+     * @param {Object} b - Binding
+     * @returns {boolean}
+     * @private
+     */
+    conflicts(a, b) {
+        return this.getTriggerKey(a) === this.getTriggerKey(b) &&
+            this.getModifiers(a).join('+') === this.getModifiers(b).join('+') &&
+            this.statesOverlap(a, b) &&
+            (a.condition || null) === (b.condition || null);
+    }
+
+    /**
+     * @param {Object} a - Binding
+     * @param {Object} b - Binding
+     * @returns {boolean} True if some input state matches both
+     * @private
+     */
+    statesOverlap(a, b) {
+        return !a.state || !b.state || a.state === b.state;
+    }
+
+    /**
+     * Inputs a binding involves (sequence/chord keys, or its single input)
+     *
+     * @param {Object} binding - Binding or captured input
+     * @returns {string[]}
+     * @private
+     */
+    getInputs(binding) {
+        return binding.sequence || binding.chord || [binding.input];
+    }
+
+    /**
+     * Identity of what fires a binding, without modifiers ('KeyG', 'sequence:KeyG,KeyX',
+     * 'chord:KeyA,KeyS', 'KeyX:hold'); chords ignore key order
+     *
+     * @param {Object} binding - Binding
+     * @returns {string}
+     * @private
+     */
+    getTriggerKey(binding) {
+        const inputs = binding.chord ? [...binding.chord].sort() : this.getInputs(binding);
+        const shape = binding.sequence ? 'sequence:' : binding.chord ? 'chord:' : '';
+        return `${shape}${inputs.join(',')}${binding.trigger ? `:${binding.trigger}` : ''}`;
+    }
+
+    /**
+     * [INP.5] Normalized modifier list of a binding ('Ctrl' → ['Ctrl'])
+     *
+     * @param {Object} binding - Binding or captured input
+     * @returns {string[]} Modifiers in display order
+     * @private
+     */
+    getModifiers(binding) {
+        const list = Array.isArray(binding.modifier)
+            ? binding.modifier
+            : (binding.modifier ? [binding.modifier] : []);
+
+        return MODIFIERS.filter(mod => list.includes(mod));
+    }
+
+    /**
+     * @param {Object} event - Raw input event
+     * @returns {string[]} Modifiers held during the event
+     * @private
+     */
+    getActiveModifiers(event) {
+        return MODIFIERS.filter(mod => event.modifiers?.[mod]);
+    }
+
+    /**
+     * @param {string} input - Input identifier
+     * @returns {string} 'keyboard' | 'mouse' | 'touch' | 'gamepad' | 'joystick'
+     * @private
+     */
+    getDevice(input) {
+        if (MOUSE_INPUTS.has(input)) return 'mouse';
+        if (TOUCH_INPUTS.has(input)) return 'touch';
+        if (input.startsWith('Gamepad')) return 'gamepad';
+        if (input.startsWith('Joystick')) return 'joystick';
+        return 'keyboard';
+    }
+
+    /**
+     * @param {string} contextName - Context name
+     * @returns {InputContext}
+     * @throws {Error} Unknown context
+     * @private
+     */
+    getContext(contextName) {
+        const context = this.inputManager.contexts.get(contextName);
+        if (!context) {
+            throw new Error(`[INP.5] Unknown input context: ${contextName}`);
+        }
+        return context;
+    }
+
+    /**
+     * @param {InputContext} context - Context
+     * @param {string} action - Action name
+     * @param {number} slot - Binding slot
+     * @returns {Object} Default binding of the slot
+     * @throws {Error} Unknown action or slot
+     * @private
+     */
+    getDefaultBinding(context, action, slot) {
+        const binding = context.defaultBindings.filter(b => b.action === action)[slot];
+        if (!binding) {
+            throw new Error(`[INP.5] ${context.name} has no binding slot ${slot} for action '${action}'`);
+        }
+        return binding;
+    }
+
+    /**
+     * @param {InputContext} context - Context
+     * @param {string} action - Action name
+     * @returns {number} Number of default slots
+     * @private
+     */
+    countSlots(context, action) {
+        return context.defaultBindings.filter(b => b.action === action).length;
+    }
+
+    /**
+     * [INP.5] Binding slots of a context, in default binding order
+     *
+     * @param {InputContext} context - Context
+     * @returns {Array<{action, slot, base, override, binding}>} binding is null when unbound
+     * @private
+     */
+    getSlots(context) {
+        const overrides = this.overrides[context.name] || {};
+        const counts = new Map();  // action → next slot
+
+        return context.defaultBindings.map(base => {
+            const slot = counts.get(base.action) || 0;
+            counts.set(base.action, slot + 1);
+
+            const override = overrides[base.action]?.[slot];
+            const binding = override === null ? null
+                : override ? this.buildBinding(base, override) : base;
+
+            return { action: base.action, slot, base, override, binding };
+        });
+    }
+
+    /**
+     * [INP.5] Record an override (null = unbound)
+     *
+     * @private
+     */
+    storeOverride(contextName, action, slot, override) {
+        this.overrides[contextName] ??= {};
+        this.overrides[contextName][action] ??= {};
+        this.overrides[contextName][action][slot] = override;
+    }
+
+    /**
+     * [INP.5] Apply, persist and announce a change
+     *
+     * @param {InputContext} context - Changed context
+     * @param {string|null} action - Changed action (null = several)
+     * @private
+     */
+    commit(context, action) {
+        this.applyOverrides(context);
+        this.save();
+        this.inputManager.emit('bindings:changed', { context: context.name, action });
+    }
+
+    /**
+     * [INP.5] Read overrides from storage
+     *
+     * @returns {Object} Overrides (empty when nothing stored or unreadable)
+     * @private
+     */
+    load() {
+        try {
+            const stored = this.storage?.getItem(STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.warn('[INP.5] Stored key bindings unreadable, using defaults:', error);
+            return {};
+        }
+    }
+
+    /**
+     * [INP.5] Write overrides to storage
+     *
+     * @private
+     */
+    save() {
+        try {
+            if (Object.keys(this.overrides).length > 0) {
+                this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.overrides));
+            } else {
+                this.storage?.removeItem(STORAGE_KEY);
+            }
+        } catch (error) {
+            // Private mode / quota - bindings still work for this session
+            console.warn('[INP.5] Could not save key bindings:', error);
+        }
+    }
+
+    /**
+     * [INP.5] Read key labels from the keyboard layout (Keyboard Map API)
+     *
+     * @private
+     */
+    async loadLayoutLabels() {
+        if (typeof navigator === 'undefined' || !navigator.keyboard?.getLayoutMap) {
+            return;
+        }
+
+        try {
+            const layout = await navigator.keyboard.getLayoutMap();
+            layout.forEach((label, code) => this.layoutLabels.set(code, label));
+            this.inputManager.emit('bindings:changed', { context: null, action: null });
+        } catch (error) {
+            // Not allowed (e.g. in iframes) - fall back to US labels
+        }
+    }
+
+    /**
+     * [INP.5] Dispose and cleanup
+     */
+    dispose() {
+        this.cancelCapture();
+        this.swallow = null;
+    }
+}
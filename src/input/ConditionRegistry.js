@@ -0,0 +1,260 @@
+/**
+ * ConditionRegistry - Named predicates for binding conditions
+ *
+ * @class ConditionRegistry
+ *
+ * @description
+ * Holds the predicates behind `binding.condition`. The common conditions
+ * (clickGround, clickMesh, leftClickHeld, ...) are built in; plugins register
+ * their own (InteractionPlugin: hasSelection, noSelection) so that contexts -
+ * including JSON ones - can refer to them by name.
+ *
+ * Features:
+ * - Register/replace predicates at runtime (register() returns an undo function)
+ * - Negation ('!hasSelection'), all/any/not composition
+ * - Event field checks, so JSON contexts can test what a click hit
+ * - Context-level named conditions (DataContext "conditions") shadow the registry
+ *
+ * Condition Format (binding.condition):
+ * 'hasSelection'                                   // Registered predicate
+ * '!hasSelection'                                  // Negated
+ * ['clickMesh', '!hasSelection']                   // All of them
+ * { any: ['clickGround', 'clickEmpty'] }           // At least one
+ * { not: 'clickGround' }
+ * { field: 'hitInfo.pickedMesh.metadata.exhibit', exists: true }
+ * { field: 'hitInfo.pickedMesh.name', startsWith: 'painting_' }
+ * { field: 'source', in: ['mouse', 'touch'] }
+ * (event) => event.value > 0.5                     // JS bindings only
+ *
+ * Predicates get (event, context) and return a boolean.
+ *
+ * @example
+ * const unregister = inputManager.conditions.register('transforming', () => plugin.active !== null);
+ * inputManager.conditions.evaluate(['clickMesh', '!transforming'], event);
+ * unregister();  // Restores the previous predicate (if any)
+ *
+ * @tags [INP.9]
+ * @version 1.0.0
+ */
+
+// [INP.9] Built-in conditions
+const BUILTIN_CONDITIONS = {
+    // Click on ground mesh
+    clickGround: (event) => event.hitInfo?.pickedMesh?.name === 'ground',
+
+    // Click on ground, infinite ground chunk or mesh flagged walkable
+    clickWalkable: (event) => {
+        const mesh = event.hitInfo?.pickedMesh;
+        return mesh?.name === 'ground' ||
+               mesh?.name?.startsWith('chunk_') === true ||
+               mesh?.metadata?.isGround === true ||
+               mesh?.metadata?.walkable === true;
+    },
+
+    // Click on any mesh except ground
+    clickMesh: (event) => !!event.hitInfo?.pickedMesh && event.hitInfo.pickedMesh.name !== 'ground',
+
+    // Click on nothing
+    clickEmpty: (event) => !event.hitInfo?.hit,
+
+    // Mouse button held during movement AND dragging has started
+    // (camera only rotates after the 5px drag threshold is exceeded)
+    rightClickHeld: (event) => event.heldButton === 'RightClick' && event.isDragging === true,
+    leftClickHeld: (event) => event.heldButton === 'LeftClick' && event.isDragging === true,
+    middleClickHeld: (event) => event.heldButton === 'MiddleClick' && event.isDragging === true
+};
+
+// [INP.9] Field check operators ({ field, <operator>: operand })
+const FIELD_OPERATORS = {
+    equals: (value, operand) => value === operand,
+    notEquals: (value, operand) => value !== operand,
+    in: (value, operand) => Array.isArray(operand) && operand.includes(value),
+    startsWith: (value, operand) => typeof value === 'string' && value.startsWith(operand),
+    exists: (value, operand) => (value !== undefined && value !== null) === operand
+};
+
+export default class ConditionRegistry {
+    /**
+     * [INP.9] Constructor - Registers the built-in conditions
+     */
+    constructor() {
+        // [INP.9.1] name → predicate(event, context)
+        this.conditions = new Map(Object.entries(BUILTIN_CONDITIONS));
+
+        // [INP.9.2] Unknown names already reported (warn once, not on every mouse move)
+        this.warned = new Set();
+    }
+
+    /**
+     * [INP.9] Register a condition
+     *
+     * Replaces a condition of the same name (a plugin can refine a built-in).
+     *
+     * @param {string} name - Condition name (no leading '!')
+     * @param {Function} predicate - (event, context) => boolean
+     * @returns {Function} Unregister (restores the replaced condition)
+     *
+     * @example
+     * this.actionSubscriptions.push(
+     *     inputManager.conditions.register('transforming', () => this.active !== null)
+     * );
+     */
+    register(name, predicate) {
+        if (typeof name !== 'string' || !name || name.startsWith('!')) {
+            throw new Error(`[INP.9] Invalid condition name: ${name}`);
+        }
+        if (typeof predicate !== 'function') {
+            throw new Error(`[INP.9] Condition '${name}' needs a predicate function`);
+        }
+
+        const previous = this.conditions.get(name);
+        this.conditions.set(name, predicate);
+        this.warned.delete(name);
+
+        return () => {
+            // Only undo if nobody replaced it since
+            if (this.conditions.get(name) !== predicate) return;
+
+            if (previous) {
+                this.conditions.set(name, previous);
+            } else {
+                this.conditions.delete(name);
+            }
+        };
+    }
+
+    /**
+     * [INP.9] Remove a condition
+     *
+     * @param {string} name - Condition name
+     * @returns {boolean} True if it existed
+     */
+    unregister(name) {
+        return this.conditions.delete(name);
+    }
+
+    /**
+     * [INP.9] Check if a condition is registered
+     *
+     * @param {string} name - Condition name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this.conditions.has(name);
+    }
+
+    /**
+     * [INP.9] Registered condition names
+     *
+     * @returns {Array<string>}
+     */
+    list() {
+        return [...this.conditions.keys()];
+    }
+
+    /**
+     * [INP.9] Evaluate a condition against an input event
+     *
+     * Unknown names pass (with a warning), like bindings without a condition.
+     *
+     * @param {string|Array|Object|Function} condition - See Condition Format
+     * @param {Object} event - Input event
+     * @param {InputContext} [context] - Context whose named conditions are checked first
+     * @param {Set<string>} [resolving] - Context conditions being expanded (cycle guard)
+     * @returns {boolean}
+     */
+    evaluate(condition, event, context = null, resolving = new Set()) {
+        // [INP.9.1] Inline predicate
+        if (typeof condition === 'function') {
+            return !!condition(event, context);
+        }
+
+        // [INP.9.2] List: all must hold
+        if (Array.isArray(condition)) {
+            return condition.every(part => this.evaluate(part, event, context, resolving));
+        }
+
+        // [INP.9.3] Composition and field checks
+        if (condition && typeof condition === 'object') {
+            if (condition.all) {
+                return condition.all.every(part => this.evaluate(part, event, context, resolving));
+            }
+            if (condition.any) {
+                return condition.any.some(part => this.evaluate(part, event, context, resolving));
+            }
+            if ('not' in condition) {
+                return !this.evaluate(condition.not, event, context, resolving);
+            }
+            if (condition.field) {
+                return this.checkField(condition, event);
+            }
+
+            console.warn('[INP.9] Unknown condition:', condition);
+            return true;
+        }
+
+        // [INP.9.4] Named condition, optionally negated
+        if (typeof condition === 'string') {
+            if (condition.startsWith('!')) {
+                return !this.evaluate(condition.slice(1), event, context, resolving);
+            }
+            return this.evaluateNamed(condition, event, context, resolving);
+        }
+
+        return true;
+    }
+
+    /**
+     * [INP.9] Evaluate a condition by name (context conditions, then registry)
+     *
+     * @param {string} name - Condition name
+     * @param {Object} event - Input event
+     * @param {InputContext|null} context - Context of the binding
+     * @param {Set<string>} resolving - Cycle guard
+     * @returns {boolean}
+     */
+    evaluateNamed(name, event, context, resolving) {
+        // [INP.9.1] Context-level definition (composed from other conditions)
+        const local = context?.conditions?.[name];
+        if (local !== undefined && !resolving.has(name)) {
+            resolving.add(name);
+            try {
+                return this.evaluate(local, event, context, resolving);
+            } finally {
+                resolving.delete(name);
+            }
+        }
+
+        // [INP.9.2] Registered predicate
+        const predicate = this.conditions.get(name);
+        if (predicate) {
+            return !!predicate(event, context);
+        }
+
+        if (!this.warned.has(name)) {
+            this.warned.add(name);
+            console.warn(`[INP.9] Unknown condition: ${name}`);
+        }
+        return true;
+    }
+
+    /**
+     * [INP.9] Check an event field ({ field: 'hitInfo.pickedMesh.name', equals: 'ground' })
+     *
+     * @param {Object} condition - Field check
+     * @param {Object} event - Input event
+     * @returns {boolean}
+     */
+    checkField(condition, event) {
+        const value = condition.field.split('.').reduce((target, key) => target?.[key], event);
+
+        for (const [operator, check] of Object.entries(FIELD_OPERATORS)) {
+            if (operator in condition) {
+                return check(value, condition[operator]);
+            }
+        }
+
+        // [INP.9.1] No operator: the field must be truthy
+        return !!value;
+    }
+}
@@ -14,6 +14,10 @@
  * - Priority-based (UI blocks 3D, modals block everything)
  * - Conflict-free (automatic conflict prevention)
  * - Query API (check action state, get values)
+ * - User-remappable bindings (this.bindings, see BindingManager)
+ * - Input recording and replay (this.recorder, see InputRecorder)
+ * - Binding conditions plugins can extend (this.conditions, see ConditionRegistry)
+ * - Contexts loaded from JSON definitions (loadContext, see DataContext)
  *
  * Architecture:
  * Hardware → InputSource → InputManager → InputContext → Action → Application
@@ -30,6 +34,13 @@
  */
 
 import EventEmitter from '../core/EventEmitter.js';
+import BindingManager from './BindingManager.js';
+import InputRecorder from './InputRecorder.js';
+import ConditionRegistry from './ConditionRegistry.js';
+import DataContext from './contexts/DataContext.js';
+
+// [INP.1] Sources whose inputs are sticks: analog values, ended by a 'released' with value 0
+export const ANALOG_SOURCES = new Set(['gamepad', 'joystick']);
 
 export default class InputManager extends EventEmitter {
     /**
@@ -90,8 +101,17 @@ export default class InputManager extends EventEmitter {
             enabled: true       // Enable/disable filtering
         };
 
+        // [INP.5] User binding overrides (remapping, conflicts, profiles)
+        this.bindings = new BindingManager(this);
+
+        // [INP.8] Input recording / deterministic replay
+        this.recorder = new InputRecorder(this);
+
+        // [INP.9] Binding conditions (built-ins + plugin-registered)
+        this.conditions = new ConditionRegistry();
+
         // [INP.1.7] Debug mode
-        this.debug = true;  // FORENSIC INVESTIGATION MODE
+        this.debug = false;  // Verbose console logging (enableDebug()); use EventTracer for action history
 
         // [INP.1.8] Statistics
         this.stats = {
@@ -101,6 +121,14 @@ export default class InputManager extends EventEmitter {
             contextSwitches: 0
         };
 
+        // [INP.1.9] Time source for timed triggers (hold, double-tap, sequences)
+        // InputRecorder swaps in a virtual clock while replaying
+        this.clock = {
+            now: () => (typeof performance !== 'undefined' ? performance.now() : Date.now()),
+            setTimeout: (callback, delay) => setTimeout(callback, delay),
+            clearTimeout: (timer) => clearTimeout(timer)
+        };
+
         console.log('[INP.1] InputManager initialized');
     }
 
@@ -127,9 +155,59 @@ export default class InputManager extends EventEmitter {
 
         this.contexts.set(name, context);
 
+        // [INP.5] Context bindings become defaults, user overrides applied on top
+        this.bindings.registerContext(context);
+
         console.log(`[INP.1] Context registered: ${name}`);
     }
 
+    /**
+     * [INP.1] Build a context from a JSON definition and register it
+     *
+     * The parent ("extends") must already be registered.
+     *
+     * @param {Object} definition - Context definition (see DataContext)
+     * @returns {DataContext} Registered context
+     * @throws {Error} error.code === 'INVALID_CONTEXT'
+     *
+     * @example
+     * inputManager.loadContext({ name: 'kiosk', extends: 'view', unbind: [{ action: 'toggleEditMode' }] });
+     */
+    loadContext(definition) {
+        const parent = definition?.extends ? this.getContext(definition.extends) : null;
+        const context = new DataContext(definition, parent);
+
+        this.registerContext(context.name, context);
+        return context;
+    }
+
+    /**
+     * [INP.1] Load several JSON definitions (parents first, whatever the list order)
+     *
+     * @param {Array<Object>} definitions - Context definitions
+     * @returns {Array<DataContext>} Registered contexts, in load order
+     * @throws {Error} error.code === 'INVALID_CONTEXT' (also for unknown or circular parents)
+     */
+    loadContexts(definitions) {
+        let pending = [...definitions];
+        const loaded = [];
+
+        // [INP.1.1] Each pass loads the definitions whose parent exists by now
+        while (pending.length > 0) {
+            const ready = pending.filter(definition => !definition?.extends || this.contexts.has(definition.extends));
+
+            if (ready.length === 0) {
+                // Throws the parent error of the first one left
+                this.loadContext(pending[0]);
+            }
+
+            ready.forEach(definition => loaded.push(this.loadContext(definition)));
+            pending = pending.filter(definition => !ready.includes(definition));
+        }
+
+        return loaded;
+    }
+
     /**
      * [INP.1] Switch to different context
      *
@@ -222,6 +300,11 @@ export default class InputManager extends EventEmitter {
      * });
      */
     handleInput(sourceName, event) {
+        // [INP.8] Record live input; drop it while a recording is replayed
+        if (!this.recorder.handleInput(sourceName, event)) {
+            return;
+        }
+
         // [INP.1.1] Update statistics
         this.stats.inputsProcessed++;
 
@@ -230,6 +313,11 @@ export default class InputManager extends EventEmitter {
             console.log(`[INP.1] Input from ${sourceName}:`, event.input, event.state);
         }
 
+        // [INP.5] Rebinding in progress: input goes to the capture, not to actions
+        if (this.bindings.handleCapture(event)) {
+            return;
+        }
+
         // [INP.1.3] Check if input blocked by higher priority layer
         if (this.isBlocked(event)) {
             this.stats.inputsBlocked++;
@@ -265,7 +353,7 @@ export default class InputManager extends EventEmitter {
      */
     isBlocked(event) {
         // [INP.1.1] UI elements block 3D input
-        const activeElement = document.activeElement;
+        const activeElement = typeof document !== 'undefined' ? document.activeElement : null;
         if (activeElement && (
             activeElement.tagName === 'INPUT' ||
             activeElement.tagName === 'TEXTAREA' ||
@@ -308,9 +396,9 @@ export default class InputManager extends EventEmitter {
      * @param {Object} [action.hitInfo] - Hit information (for picking actions)
      */
     triggerAction(action) {
-        // [FORENSIC] Log all actions, especially lookAround
-        if (action.name === 'lookAround') {
-            console.log(`[FORENSIC-ACTION] 🎯 lookAround triggered! | delta: (${action.delta?.x}, ${action.delta?.y}) | state: ${action.state}`);
+        // [EVT.9] Record raw action when tracing is enabled (this.tracer set by EventTracer.attach)
+        if (this.tracer) {
+            this.tracer.recordAction(this, action);
         }
 
         // [INP.1.1] Apply filters (dead zone, smoothing, etc.)
@@ -659,6 +747,12 @@ export default class InputManager extends EventEmitter {
         }
         this.sources.clear();
 
+        // [INP.5] Stop any running capture
+        this.bindings.dispose();
+
+        // [INP.8] Stop recording/replay
+        this.recorder.dispose();
+
         // [INP.1.2] Deactivate context
         if (this.activeContext) {
             this.activeContext.deactivate();
@@ -672,7 +766,7 @@ export default class InputManager extends EventEmitter {
         this.actionStates.clear();
 
         // [INP.1.5] Remove all event listeners
-        this.removeAllListeners();
+        this.clear();
 
         // [INP.1.6] Clear statistics
         this.resetStats();
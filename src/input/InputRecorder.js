@@ -0,0 +1,883 @@
+/**
+ * InputRecorder - Record and replay the normalized input stream
+ *
+ * @class InputRecorder
+ *
+ * @description
+ * Records every input event InputManager receives from its sources (after
+ * normalization, before blocking and context mapping) with the frame it
+ * arrived in, plus the actions it produced. A recording is plain JSON and
+ * replays through InputManager.handleInput on the same frames, so a QA
+ * session or a bug report runs through the same contexts, conditions and
+ * filters again.
+ *
+ * Frames are counted after each render (scene.onAfterRenderObservable, or
+ * requestAnimationFrame without a scene). Input that arrives between render
+ * N and N+1 is tagged frame N and replayed at the same point, so per-frame
+ * consumers (MovementPlugin) see it on the same frame as live.
+ *
+ * Timed triggers (hold, double-tap, sequences) read InputManager.clock. A
+ * replay swaps in a virtual clock that follows the recorded event and frame
+ * times, so they fire on the same frames as live, even headless.
+ *
+ * Features:
+ * - Records input events, context switches, priority layers and selection state
+ * - Meshes in hitInfo are stored by id/name and looked up again on replay
+ * - Records the resulting actions; replay compares them (mismatches)
+ * - Replay uses the recording's binding overrides and drops live input
+ * - Frame-by-frame stepping without a render loop (headless tests)
+ *
+ * Recording Format:
+ * {
+ *     format: { name: 'legozo-input-recording', version: 1, recordedAt },
+ *     label: string,
+ *     frames: number,                 // Frames recorded
+ *     frameTimes: number[],           // ms of each frame end (virtual clock on replay)
+ *     duration: number,               // ms
+ *     initial: { context, layers, selection, filters, bindings },
+ *     events: [
+ *         { frame, time, source, event: { input, state, value, modifiers, hitInfo, ... } },
+ *         { frame, time, context: 'edit' },
+ *         { frame, time, layer: 'ui', active: true },
+ *         { frame, time, selection: 1 }     // 1: hasSelection holds, 0: it doesn't
+ *     ],
+ *     actions: [{ frame, name, state, input, source, value }]
+ * }
+ *
+ * @example
+ * inputManager.recorder.startRecording({ label: 'grab jumps on undo' });
+ * // ... reproduce the bug ...
+ * const recording = inputManager.recorder.stopRecording();
+ * const json = InputRecorder.serialize(recording);
+ *
+ * // Later (or in another browser)
+ * const result = await inputManager.recorder.replay(InputRecorder.parse(json));
+ * if (!result.passed) console.table(result.mismatches);
+ *
+ * // Headless: no render loop, step through the frames
+ * inputManager.recorder.replay(recording, { autoplay: false });
+ * const result = inputManager.recorder.runToEnd((frame) => simulate(frame));
+ *
+ * @tags [INP.8]
+ * @version 1.0.0
+ */
+
+// [INP.8] Recording file format
+const RECORDING_FORMAT = 'legozo-input-recording';
+const RECORDING_VERSION = 1;
+
+// [INP.8] Event fields that never go into a recording (DOM objects)
+const SKIPPED_FIELDS = new Set(['originalEvent', 'target']);
+
+// [INP.8] Nesting kept when copying event values (deeper values are dropped)
+const MAX_DEPTH = 4;
+
+// [INP.8] Numeric tolerance when comparing replayed action values
+const VALUE_TOLERANCE = 1e-6;
+
+export default class InputRecorder {
+    /**
+     * [INP.8] Constructor
+     *
+     * @param {InputManager} inputManager - Manager whose input is recorded/replayed
+     */
+    constructor(inputManager) {
+        // [INP.8.1] Core references
+        this.inputManager = inputManager;
+
+        // [INP.8.2] Active recording ({ recording, startTime, frame, selection, stopTicker, unsubscribers })
+        this.session = null;
+
+        // [INP.8.3] Active replay (see replay())
+        this.playback = null;
+
+        // [INP.8.4] True while the replay feeds an event to InputManager
+        this.dispatching = false;
+    }
+
+    // =========================================================================
+    // Recording
+    // =========================================================================
+
+    /**
+     * [INP.8] Start recording input
+     *
+     * @param {Object} [options]
+     * @param {string} [options.label] - Description stored in the recording
+     * @throws {Error} While a replay is running
+     */
+    startRecording(options = {}) {
+        if (this.playback) {
+            throw new Error('[INP.8] Cannot record while a replay is running');
+        }
+        if (this.session) {
+            console.warn('[INP.8] Already recording - restarting');
+            this.stopTicker(this.session);
+        }
+
+        const manager = this.inputManager;
+        const session = {
+            startTime: this.now(),
+            frame: 0,
+            selection: this.getSelectionState(),
+            unsubscribers: [],
+            stopTicker: null,
+            recording: {
+                format: {
+                    name: RECORDING_FORMAT,
+                    version: RECORDING_VERSION,
+                    recordedAt: new Date().toISOString()
+                },
+                label: options.label || '',
+                frames: 0,
+                frameTimes: [],
+                duration: 0,
+                initial: {
+                    context: manager.getActiveContext()?.name || null,
+                    layers: Object.fromEntries(manager.getLayers().map(layer => [layer.name, layer.active])),
+                    selection: this.getSelectionState(),
+                    filters: this.toPlain(manager.getFilters()),
+                    bindings: manager.bindings.exportProfile().overrides
+                },
+                events: [],
+                actions: []
+            }
+        };
+
+        // [INP.8.1] Frame counter
+        session.stopTicker = this.startTicker(() => {
+            session.frame++;
+            session.recording.frameTimes.push(Math.round(this.now() - session.startTime));
+        });
+
+        // [INP.8.2] State changes that decide how input maps
+        session.unsubscribers.push(
+            manager.on('context:changed', ({ to }) => this.recordEntry(session, { context: to })),
+            manager.on('layer:changed', ({ layer, active }) => this.recordEntry(session, { layer, active })),
+            manager.on('action', (action) => {
+                session.recording.actions.push(this.describeAction(action, session.frame));
+            })
+        );
+
+        this.session = session;
+        manager.emit('recording:started', { label: session.recording.label });
+
+        console.log(`[INP.8] Recording input${session.recording.label ? `: ${session.recording.label}` : ''}`);
+    }
+
+    /**
+     * [INP.8] Stop recording
+     *
+     * @returns {Object|null} Recording (JSON-safe), null if not recording
+     */
+    stopRecording() {
+        const session = this.session;
+        if (!session) {
+            console.warn('[INP.8] Not recording');
+            return null;
+        }
+
+        this.stopTicker(session);
+        session.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.session = null;
+
+        const recording = session.recording;
+        recording.frames = session.frame;
+        recording.duration = Math.round(this.now() - session.startTime);
+
+        this.inputManager.emit('recording:stopped', {
+            label: recording.label,
+            events: recording.events.length,
+            frames: recording.frames
+        });
+
+        console.log(`[INP.8] Recorded ${recording.events.length} events over ${recording.frames} frames`);
+        return recording;
+    }
+
+    /**
+     * [INP.8] Check if recording
+     *
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.session !== null;
+    }
+
+    /**
+     * [INP.8] Gatekeeper for InputManager.handleInput
+     *
+     * Records live input while recording. While a replay runs with
+     * exclusive: true, live input is dropped so it can't change the result.
+     *
+     * @param {string} sourceName - Source that sent the event
+     * @param {Object} event - Normalized input event
+     * @returns {boolean} False if InputManager should ignore the event
+     */
+    handleInput(sourceName, event) {
+        if (this.dispatching) {
+            return true;  // Replayed event
+        }
+
+        if (this.playback?.exclusive) {
+            return false;
+        }
+
+        if (this.session) {
+            const selection = this.getSelectionState();
+            if (selection !== this.session.selection) {
+                this.session.selection = selection;
+                this.recordEntry(this.session, { selection });
+            }
+
+            this.recordEntry(this.session, { source: sourceName, event: this.serializeEvent(event) });
+        }
+
+        return true;
+    }
+
+    /**
+     * [INP.8] Append a timestamped entry to the recording
+     *
+     * @param {Object} session - Active recording session
+     * @param {Object} entry - Entry fields
+     */
+    recordEntry(session, entry) {
+        session.recording.events.push({
+            frame: session.frame,
+            time: Math.round(this.now() - session.startTime),
+            ...entry
+        });
+    }
+
+    // =========================================================================
+    // Replay
+    // =========================================================================
+
+    /**
+     * [INP.8] Replay a recording
+     *
+     * Restores the recorded context, layers and filters, then feeds each event
+     * to InputManager.handleInput on its frame. Actions produced are compared
+     * with the recorded ones.
+     *
+     * @param {Object|string} recording - Recording object or JSON string
+     * @param {Object} [options]
+     * @param {boolean} [options.autoplay=true] - Advance on rendered frames (false: call step()/runToEnd())
+     * @param {boolean} [options.exclusive=true] - Drop live input until the replay ends
+     * @param {boolean} [options.useBindings=true] - Use the recording's binding overrides during replay
+     * @param {boolean} [options.syncSelection=false] - Answer hasSelection / noSelection from the
+     *   recorded selection state (headless; in the app, replayed clicks select real objects)
+     * @param {Function} [options.onFrame] - Called with the frame number after its events were sent
+     * @returns {Promise<Object>} Result, see finishReplay()
+     * @throws {Error} Not a recording, or recording/replay already running
+     */
+    replay(recording, options = {}) {
+        const data = InputRecorder.parse(recording);
+
+        if (this.session) {
+            throw new Error('[INP.8] Cannot replay while recording');
+        }
+        if (this.playback) {
+            throw new Error('[INP.8] A replay is already running');
+        }
+
+        const manager = this.inputManager;
+        const playback = {
+            recording: data,
+            exclusive: options.exclusive !== false,
+            syncSelection: options.syncSelection === true,
+            selection: 0,     // Recorded selection state (syncSelection)
+            onFrame: options.onFrame || null,
+            frame: 0,
+            index: 0,
+            time: 0,          // Virtual clock (ms since recording start)
+            timers: [],       // Pending virtual timers [{ id, due, callback }]
+            nextTimer: 1,
+            actions: [],
+            unsubscribers: [],
+            stopTicker: null,
+            restore: { clock: manager.clock },
+            resolve: null
+        };
+
+        const finished = new Promise(resolve => {
+            playback.resolve = resolve;
+        });
+
+        // [INP.8.1] Same starting state as the recording
+        if (options.useBindings !== false) {
+            playback.restore.overrides = manager.bindings.overrides;
+            manager.bindings.overrides = JSON.parse(JSON.stringify(data.initial?.bindings || {}));
+            manager.bindings.applyAll();
+        }
+        if (data.initial?.filters) {
+            playback.restore.filters = manager.getFilters();
+            manager.filters = { ...manager.filters, ...data.initial.filters };
+        }
+
+        // [INP.8.2] Virtual time (pending live holds/sequences are dropped first)
+        this.resetContexts();
+        manager.clock = this.createClock(playback);
+
+        for (const [name, active] of Object.entries(data.initial?.layers || {})) {
+            this.applyState({ layer: name, active });
+        }
+        this.applyState({ context: data.initial?.context }, playback);
+
+        // [INP.8.1] Selection conditions follow the recording (restored by finishReplay)
+        if (playback.syncSelection) {
+            playback.unsubscribers.push(
+                manager.conditions.register('hasSelection', () => playback.selection > 0),
+                manager.conditions.register('noSelection', () => playback.selection === 0)
+            );
+        }
+        this.applyState({ selection: data.initial?.selection ?? 0 }, playback);
+        manager.clearAllActionStates();
+
+        // [INP.8.3] Collect actions for comparison
+        playback.unsubscribers.push(
+            manager.on('action', (action) => playback.actions.push(this.describeAction(action, playback.frame)))
+        );
+
+        this.playback = playback;
+        manager.emit('replay:started', { label: data.label, frames: data.frames });
+        console.log(`[INP.8] Replaying ${data.events.length} events over ${data.frames} frames` +
+            (data.label ? ` (${data.label})` : ''));
+
+        // [INP.8.4] Frame-0 events happened before the first render
+        this.dispatchFrame(playback);
+
+        if (options.autoplay !== false) {
+            playback.stopTicker = this.startTicker(() => this.step());
+
+            if (!playback.stopTicker) {
+                console.warn('[INP.8] No render loop - advance the replay with step() or runToEnd()');
+            }
+        }
+
+        return finished;
+    }
+
+    /**
+     * [INP.8] Advance the replay by one frame
+     *
+     * @returns {boolean} True while frames remain
+     */
+    step() {
+        const playback = this.playback;
+        if (!playback) {
+            return false;
+        }
+
+        playback.onFrame?.(playback.frame);
+
+        if (playback.frame >= playback.recording.frames && playback.index >= playback.recording.events.length) {
+            this.advanceClock(playback, playback.recording.duration || playback.time);
+            this.finishReplay();
+            return false;
+        }
+
+        playback.frame++;
+        this.dispatchFrame(playback);
+        return true;
+    }
+
+    /**
+     * [INP.8] Run the remaining frames synchronously (headless tests)
+     *
+     * @param {Function} [onFrame] - Called after each frame's events (replaces options.onFrame)
+     * @returns {Object|null} Result, see finishReplay()
+     */
+    runToEnd(onFrame) {
+        const playback = this.playback;
+        if (!playback) {
+            return null;
+        }
+
+        if (onFrame) {
+            playback.onFrame = onFrame;
+        }
+
+        while (this.step()) {
+            // Each step dispatches one frame
+        }
+
+        return playback.result;
+    }
+
+    /**
+     * [INP.8] Stop the replay early
+     *
+     * @returns {Object|null} Result, see finishReplay()
+     */
+    stopReplay() {
+        return this.playback ? this.finishReplay() : null;
+    }
+
+    /**
+     * [INP.8] Check if a replay is running
+     *
+     * @returns {boolean}
+     */
+    isReplaying() {
+        return this.playback !== null;
+    }
+
+    /**
+     * [INP.8] Send the events recorded up to the current frame
+     *
+     * @param {Object} playback - Active replay
+     */
+    dispatchFrame(playback) {
+        const events = playback.recording.events;
+
+        while (playback.index < events.length && events[playback.index].frame <= playback.frame) {
+            const entry = events[playback.index++];
+            this.advanceClock(playback, entry.time ?? playback.time);
+
+            if (!entry.event) {
+                this.applyState(entry, playback);
+                continue;
+            }
+
+            this.dispatching = true;
+            try {
+                this.inputManager.handleInput(entry.source, this.deserializeEvent(entry.event, entry.source));
+            } finally {
+                this.dispatching = false;
+            }
+        }
+
+        // [INP.8.1] Timers that ran out before the frame ended
+        const frameEnd = playback.recording.frameTimes?.[playback.frame];
+        if (frameEnd !== undefined) {
+            this.advanceClock(playback, frameEnd);
+        }
+    }
+
+    /**
+     * [INP.8] Virtual clock for InputManager.clock during a replay
+     *
+     * @param {Object} playback - Active replay
+     * @returns {Object} { now, setTimeout, clearTimeout }
+     */
+    createClock(playback) {
+        return {
+            now: () => playback.time,
+            setTimeout: (callback, delay) => {
+                const id = playback.nextTimer++;
+                playback.timers.push({ id, due: playback.time + delay, callback });
+                return id;
+            },
+            clearTimeout: (id) => {
+                playback.timers = playback.timers.filter(timer => timer.id !== id);
+            }
+        };
+    }
+
+    /**
+     * [INP.8] Move the virtual clock forward, firing due timers in order
+     *
+     * @param {Object} playback - Active replay
+     * @param {number} time - Target time (ms)
+     */
+    advanceClock(playback, time) {
+        for (;;) {
+            const due = playback.timers
+                .filter(timer => timer.due <= time)
+                .sort((a, b) => a.due - b.due || a.id - b.id)[0];
+
+            if (!due) break;
+
+            playback.timers = playback.timers.filter(timer => timer !== due);
+            playback.time = Math.max(playback.time, due.due);
+            due.callback();
+        }
+
+        playback.time = Math.max(playback.time, time);
+    }
+
+    /**
+     * [INP.8] Drop held inputs and pending timers of all contexts
+     */
+    resetContexts() {
+        for (const context of this.inputManager.contexts.values()) {
+            context.resetTriggers?.();
+        }
+    }
+
+    /**
+     * [INP.8] Apply a recorded context/layer/selection entry
+     *
+     * @param {Object} entry - { context } | { layer, active } | { selection }
+     * @param {Object} [playback] - Active replay (selection sync)
+     */
+    applyState(entry, playback) {
+        const manager = this.inputManager;
+
+        if (entry.context !== undefined) {
+            // The app usually switched already (toggleEditMode handler)
+            if (entry.context && manager.getActiveContext()?.name !== entry.context && manager.getContext(entry.context)) {
+                manager.setContext(entry.context);
+            }
+        } else if (entry.layer !== undefined) {
+            if (manager.getLayer(entry.layer) && manager.getLayer(entry.layer).active !== entry.active) {
+                manager.setLayerActive(entry.layer, entry.active);
+            }
+        } else if (entry.selection !== undefined && playback?.syncSelection) {
+            playback.selection = entry.selection;
+        }
+    }
+
+    /**
+     * [INP.8] End the replay, restore bindings and report
+     *
+     * @returns {Object} { label, frames, events, actions, mismatches, passed }
+     */
+    finishReplay() {
+        const playback = this.playback;
+        const manager = this.inputManager;
+
+        this.stopTicker(playback);
+        playback.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.playback = null;
+
+        this.resetContexts();
+        manager.clock = playback.restore.clock;
+
+        if (playback.restore.overrides) {
+            manager.bindings.overrides = playback.restore.overrides;
+            manager.bindings.applyAll();
+        }
+        if (playback.restore.filters) {
+            manager.filters = playback.restore.filters;
+        }
+
+        const recorded = playback.recording.actions;
+        const mismatches = recorded ? InputRecorder.compareActions(recorded, playback.actions) : [];
+
+        playback.result = {
+            label: playback.recording.label,
+            frames: playback.frame,
+            events: playback.index,
+            actions: playback.actions,
+            mismatches,
+            passed: mismatches.length === 0
+        };
+
+        manager.emit('replay:finished', {
+            label: playback.result.label,
+            passed: playback.result.passed,
+            mismatches: mismatches.length
+        });
+
+        if (mismatches.length > 0) {
+            console.warn(`[INP.8] Replay differs from recording: ${mismatches.length} action mismatches`);
+        } else {
+            console.log('[INP.8] Replay finished - actions match the recording');
+        }
+
+        playback.resolve(playback.result);
+        return playback.result;
+    }
+
+    // =========================================================================
+    // Serialization
+    // =========================================================================
+
+    /**
+     * [INP.8] Recording → JSON string
+     *
+     * @param {Object} recording - Recording from stopRecording()
+     * @returns {string}
+     */
+    static serialize(recording) {
+        return JSON.stringify(recording, null, 2);
+    }
+
+    /**
+     * [INP.8] Validate a recording (object or JSON string)
+     *
+     * @param {Object|string} recording - Recording or JSON string
+     * @returns {Object} Recording object
+     * @throws {Error} Not a recording, or from a newer version
+     */
+    static parse(recording) {
+        const data = typeof recording === 'string' ? JSON.parse(recording) : recording;
+
+        if (data?.format?.name !== RECORDING_FORMAT || !Array.isArray(data.events)) {
+            throw new Error(`[INP.8] Not an input recording (expected format '${RECORDING_FORMAT}')`);
+        }
+        if (data.format.version > RECORDING_VERSION) {
+            throw new Error(`[INP.8] Recording version ${data.format.version} is newer than supported (${RECORDING_VERSION})`);
+        }
+
+        return data;
+    }
+
+    /**
+     * [INP.8] Compare two action lists (recorded vs replayed)
+     *
+     * @param {Array} expected - Recorded actions
+     * @param {Array} actual - Replayed actions
+     * @returns {Array<{index, expected, actual}>} Differences (missing/extra actions are null)
+     */
+    static compareActions(expected, actual) {
+        const mismatches = [];
+        const length = Math.max(expected.length, actual.length);
+
+        for (let i = 0; i < length; i++) {
+            const a = expected[i] || null;
+            const b = actual[i] || null;
+
+            if (!a || !b || !InputRecorder.sameValue(a, b)) {
+                mismatches.push({ index: i, expected: a, actual: b });
+            }
+        }
+
+        return mismatches;
+    }
+
+    /**
+     * [INP.8] Deep equality with numeric tolerance
+     *
+     * @param {*} a
+     * @param {*} b
+     * @returns {boolean}
+     */
+    static sameValue(a, b) {
+        if (typeof a === 'number' && typeof b === 'number') {
+            return Math.abs(a - b) <= VALUE_TOLERANCE;
+        }
+        if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+            return a === b;
+        }
+
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        for (const key of keys) {
+            if (!InputRecorder.sameValue(a[key] ?? null, b[key] ?? null)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * [INP.8] Input event → JSON-safe copy (DOM events dropped, meshes by reference)
+     *
+     * @param {Object} event - Normalized input event
+     * @returns {Object}
+     */
+    serializeEvent(event) {
+        const copy = {};
+
+        for (const [key, value] of Object.entries(event)) {
+            if (SKIPPED_FIELDS.has(key) || key === 'source' || value === undefined) {
+                continue;
+            }
+
+            copy[key] = key === 'hitInfo' ? this.serializeHit(value) : this.toPlain(value);
+        }
+
+        return copy;
+    }
+
+    /**
+     * [INP.8] Recorded event → input event (meshes looked up in the scene)
+     *
+     * @param {Object} data - Recorded event
+     * @param {string} source - Source name
+     * @returns {Object}
+     */
+    deserializeEvent(data, source) {
+        const event = { source, ...JSON.parse(JSON.stringify(data)) };
+
+        if (event.hitInfo) {
+            event.hitInfo = this.deserializeHit(event.hitInfo);
+        }
+
+        return event;
+    }
+
+    /**
+     * [INP.8] hitInfo → JSON-safe copy
+     *
+     * @param {Object|null} hitInfo - Pick result
+     * @returns {Object|null}
+     */
+    serializeHit(hitInfo) {
+        if (!hitInfo) {
+            return null;
+        }
+
+        const mesh = hitInfo.pickedMesh;
+
+        return {
+            ...this.toPlain(hitInfo),
+            pickedMesh: mesh ? {
+                id: mesh.id,
+                name: mesh.name,
+                metadata: this.toPlain(mesh.metadata ?? null)
+            } : null
+        };
+    }
+
+    /**
+     * [INP.8] Recorded hitInfo → pick result
+     *
+     * The recorded mesh reference stays in place when the scene has no such
+     * mesh (headless), so name/metadata conditions still evaluate the same.
+     *
+     * @param {Object} data - Recorded hitInfo
+     * @returns {Object}
+     */
+    deserializeHit(data) {
+        const scene = this.inputManager.scene;
+        const ref = data.pickedMesh;
+        const mesh = ref && scene
+            ? (scene.getMeshById?.(ref.id) || scene.getMeshByName?.(ref.name))
+            : null;
+
+        const toVector = (v) => v && typeof BABYLON !== 'undefined' ? new BABYLON.Vector3(v.x, v.y, v.z) : v;
+
+        return {
+            ...data,
+            pickedMesh: mesh || ref,
+            pickedPoint: toVector(data.pickedPoint),
+            normal: toVector(data.normal)
+        };
+    }
+
+    /**
+     * [INP.8] Copy a value as plain JSON data
+     *
+     * Vectors become { x, y, z }, Babylon nodes become { id, name } and
+     * functions/DOM objects are dropped.
+     *
+     * @param {*} value - Value to copy
+     * @param {number} [depth=0] - Current nesting depth
+     * @returns {*}
+     */
+    toPlain(value, depth = 0) {
+        if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+            return value;
+        }
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? value : null;
+        }
+        if (typeof value !== 'object' || depth > MAX_DEPTH || value.nodeType !== undefined) {
+            return undefined;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.toPlain(item, depth + 1) ?? null);
+        }
+        if (typeof value.getScene === 'function') {
+            return { id: value.id, name: value.name };
+        }
+        if (typeof value.x === 'number' && typeof value.y === 'number' && value.constructor !== Object) {
+            return typeof value.z === 'number' ? { x: value.x, y: value.y, z: value.z } : { x: value.x, y: value.y };
+        }
+
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            const plain = this.toPlain(item, depth + 1);
+            if (plain !== undefined) {
+                copy[key] = plain;
+            }
+        }
+        return copy;
+    }
+
+    /**
+     * [INP.8] Action → comparable record
+     *
+     * @param {Object} action - Triggered action
+     * @param {number} frame - Current frame
+     * @returns {Object}
+     */
+    describeAction(action, frame) {
+        return {
+            frame,
+            name: action.name,
+            state: action.state,
+            input: action.input,
+            source: action.source,
+            value: this.toPlain(action.value ?? null) ?? null
+        };
+    }
+
+    // =========================================================================
+    // Helpers
+    // =========================================================================
+
+    /**
+     * [INP.8] Call back after every rendered frame
+     *
+     * @param {Function} callback - Frame callback
+     * @returns {Function|null} Stop function, null without render loop
+     */
+    startTicker(callback) {
+        const scene = this.inputManager.scene;
+
+        if (scene?.onAfterRenderObservable) {
+            const observer = scene.onAfterRenderObservable.add(() => callback());
+            return () => scene.onAfterRenderObservable.remove(observer);
+        }
+
+        if (typeof requestAnimationFrame !== 'undefined') {
+            let frameId = null;
+            const tick = () => {
+                frameId = requestAnimationFrame(tick);
+                callback();
+            };
+            frameId = requestAnimationFrame(tick);
+            return () => cancelAnimationFrame(frameId);
+        }
+
+        return null;
+    }
+
+    /**
+     * [INP.8] Stop the frame callback of a session/replay
+     *
+     * @param {Object} owner - Session or replay with stopTicker
+     */
+    stopTicker(owner) {
+        if (owner.stopTicker) {
+            owner.stopTicker();
+            owner.stopTicker = null;
+        }
+    }
+
+    /**
+     * [INP.8] Selection state as the hasSelection condition sees it
+     *
+     * @returns {number} 1 if something is selected, 0 otherwise (or without a hasSelection condition)
+     */
+    getSelectionState() {
+        const conditions = this.inputManager.conditions;
+        return conditions.has('hasSelection') && conditions.evaluate('hasSelection', {}) ? 1 : 0;
+    }
+
+    /**
+     * [INP.8] Milliseconds timestamp
+     *
+     * @returns {number}
+     */
+    now() {
+        return this.inputManager.clock.now();
+    }
+
+    /**
+     * [INP.8] Stop recording/replay
+     */
+    dispose() {
+        if (this.session) {
+            this.stopRecording();
+        }
+        if (this.playback) {
+            this.finishReplay();
+        }
+    }
+}
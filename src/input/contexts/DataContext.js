@@ -0,0 +1,254 @@
+/**
+ * DataContext - Input context defined as data (JSON)
+ *
+ * @class DataContext
+ * @extends InputContext
+ *
+ * @description
+ * Builds a context from a JSON-safe definition instead of a subclass, so a
+ * project (kiosk, presentation, game mode) can ship its control scheme as a
+ * file next to its scene config.
+ *
+ * Features:
+ * - Inherit the default bindings and named conditions of another context
+ * - Drop inherited bindings by action and/or input ("unbind")
+ * - Named conditions composed from registered ones (see ConditionRegistry)
+ * - Curve filters by name (functions don't survive JSON)
+ * - Definitions are checked up front: a typo fails loading, not the first key press
+ *
+ * Definition Format:
+ * {
+ *     "name": "kiosk",
+ *     "extends": "view",                                  // Optional parent context
+ *     "description": "Walk-only exhibit controls",        // Optional
+ *     "unbind": [                                         // Optional, inherited bindings to drop
+ *         { "action": "toggleEditMode" },
+ *         { "input": "KeyR" }
+ *     ],
+ *     "conditions": {                                     // Optional, name → condition
+ *         "clickExhibit": { "field": "hitInfo.pickedMesh.metadata.exhibit", "exists": true }
+ *     },
+ *     "bindings": [                                       // Same format as InputContext bindings
+ *         { "input": "LeftClick", "action": "showExhibit", "condition": "clickExhibit", "state": "clicked" },
+ *         { "input": "MouseWheel", "action": "zoom", "filters": { "curve": "quadratic", "scale": 0.01 } }
+ *     ]
+ * }
+ *
+ * Own bindings come before inherited ones, so they win ties (same priority and
+ * specificity). The parent's user overrides are not inherited - the new context
+ * gets its own entry in the key bindings panel.
+ *
+ * @example
+ * inputManager.loadContext(definition);           // Resolves "extends", registers it
+ * inputManager.setContext('kiosk');
+ *
+ * @tags [INP.2]
+ * @version 1.0.0
+ */
+
+import InputContext from './InputContext.js';
+
+// [INP.2] Named curve filters (value after dead zone and smoothing, scaled first)
+const CURVES = {
+    linear: (value) => value,
+    quadratic: (value) => value * Math.abs(value),
+    cubic: (value) => value * value * value,
+    sqrt: (value) => Math.sign(value) * Math.sqrt(Math.abs(value))
+};
+
+// [INP.2] Keys allowed in a definition / binding (anything else is a typo)
+const DEFINITION_KEYS = new Set(['name', 'extends', 'description', 'unbind', 'conditions', 'bindings']);
+const BINDING_KEYS = new Set([
+    'input', 'sequence', 'chord', 'action', 'condition', 'modifier', 'state', 'priority',
+    'trigger', 'duration', 'interval', 'timeout', 'filters'
+]);
+const TRIGGERS = new Set(['hold', 'tap', 'releaseAfterHold', 'doubleTap']);
+const FILTER_KEYS = new Set(['deadZone', 'smoothing', 'curve', 'scale']);
+
+export default class DataContext extends InputContext {
+    /**
+     * [INP.2] Constructor - Build bindings and conditions from a definition
+     *
+     * @param {Object} definition - Context definition (see Definition Format)
+     * @param {InputContext|null} [parent] - Context named by definition.extends
+     * @throws {Error} error.code === 'INVALID_CONTEXT' (error.problems lists what is wrong)
+     */
+    constructor(definition, parent = null) {
+        DataContext.validate(definition);
+
+        if (definition.extends && parent?.name !== definition.extends) {
+            throw DataContext.invalid(definition, [`parent context '${definition.extends}' is not registered`]);
+        }
+
+        super(definition.name);
+
+        // [INP.2.1] Keep the source (export, debugging)
+        this.definition = definition;
+        this.parentName = definition.extends || null;
+        this.description = definition.description || '';
+
+        // [INP.2.2] Own bindings first, then inherited defaults minus "unbind"
+        const unbind = definition.unbind || [];
+        const inherited = (parent ? parent.defaultBindings || parent.bindings : [])
+            .filter(binding => !unbind.some(rule => DataContext.matchesRule(binding, rule)))
+            .map(binding => ({ ...binding }));
+
+        this.bindings = [
+            ...(definition.bindings || []).map(binding => DataContext.createBinding(binding)),
+            ...inherited
+        ];
+
+        // [INP.2.3] Named conditions, own ones shadowing the parent's
+        this.conditions = { ...(parent?.conditions || {}), ...(definition.conditions || {}) };
+
+        console.log(`[INP.2] ${this.name} context built from data (${this.bindings.length} bindings` +
+            `${this.parentName ? `, extends ${this.parentName}` : ''})`);
+    }
+
+    /**
+     * [INP.2] Runtime binding from a JSON binding (named curve → function)
+     *
+     * @param {Object} binding - JSON binding
+     * @returns {Object} Binding
+     */
+    static createBinding(binding) {
+        const result = { ...binding };
+
+        if (binding.filters) {
+            const { curve, scale, ...filters } = binding.filters;
+
+            // [INP.2.1] Scale (e.g. wheel delta → -1..1) happens before the curve
+            if (curve || scale !== undefined) {
+                const shape = CURVES[curve || 'linear'];
+                const factor = scale ?? 1;
+                filters.curve = (value) => shape(value * factor);
+            }
+            result.filters = filters;
+        }
+
+        return result;
+    }
+
+    /**
+     * [INP.2] Check if a binding matches an "unbind" rule
+     *
+     * @param {Object} binding - Inherited binding
+     * @param {Object} rule - { action?, input? }
+     * @returns {boolean}
+     */
+    static matchesRule(binding, rule) {
+        if (rule.action && binding.action !== rule.action) return false;
+        if (rule.input && binding.input !== rule.input) return false;
+        return true;
+    }
+
+    /**
+     * [INP.2] Validate a definition
+     *
+     * @param {Object} definition - Context definition
+     * @throws {Error} error.code === 'INVALID_CONTEXT'
+     */
+    static validate(definition) {
+        const problems = [];
+
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            throw DataContext.invalid(definition, ['definition must be an object']);
+        }
+
+        // [INP.2.1] Top level
+        for (const key of Object.keys(definition)) {
+            if (!DEFINITION_KEYS.has(key)) problems.push(`unknown property '${key}'`);
+        }
+        if (typeof definition.name !== 'string' || !definition.name) {
+            problems.push('"name" must be a non-empty string');
+        }
+        if (definition.extends !== undefined && typeof definition.extends !== 'string') {
+            problems.push('"extends" must be a context name');
+        }
+        if (definition.extends && definition.extends === definition.name) {
+            problems.push('a context cannot extend itself');
+        }
+        if (definition.unbind !== undefined &&
+            (!Array.isArray(definition.unbind) || definition.unbind.some(rule => !rule?.action && !rule?.input))) {
+            problems.push('"unbind" must be a list of { action } / { input } rules');
+        }
+        if (definition.conditions !== undefined &&
+            (typeof definition.conditions !== 'object' || Array.isArray(definition.conditions))) {
+            problems.push('"conditions" must map names to conditions');
+        }
+
+        // [INP.2.2] Bindings
+        if (definition.bindings !== undefined && !Array.isArray(definition.bindings)) {
+            problems.push('"bindings" must be a list');
+        }
+        (Array.isArray(definition.bindings) ? definition.bindings : []).forEach((binding, index) => {
+            DataContext.validateBinding(binding).forEach(problem => problems.push(`bindings[${index}]: ${problem}`));
+        });
+
+        if (problems.length > 0) {
+            throw DataContext.invalid(definition, problems);
+        }
+    }
+
+    /**
+     * [INP.2] Problems of one JSON binding
+     *
+     * @param {Object} binding - JSON binding
+     * @returns {Array<string>}
+     */
+    static validateBinding(binding) {
+        if (!binding || typeof binding !== 'object') {
+            return ['must be an object'];
+        }
+
+        const problems = [];
+        for (const key of Object.keys(binding)) {
+            if (!BINDING_KEYS.has(key)) problems.push(`unknown property '${key}'`);
+        }
+
+        if (typeof binding.action !== 'string' || !binding.action) {
+            problems.push('"action" must be a non-empty string');
+        }
+
+        const inputs = ['input', 'sequence', 'chord'].filter(key => binding[key] !== undefined);
+        if (inputs.length !== 1) {
+            problems.push('needs exactly one of "input", "sequence" or "chord"');
+        }
+        for (const key of ['sequence', 'chord']) {
+            if (binding[key] !== undefined &&
+                (!Array.isArray(binding[key]) || binding[key].length < 2 || binding[key].some(i => typeof i !== 'string'))) {
+                problems.push(`"${key}" must list at least two inputs`);
+            }
+        }
+
+        if (binding.trigger !== undefined && !TRIGGERS.has(binding.trigger)) {
+            problems.push(`unknown trigger '${binding.trigger}'`);
+        }
+
+        if (binding.filters !== undefined) {
+            for (const key of Object.keys(binding.filters || {})) {
+                if (!FILTER_KEYS.has(key)) problems.push(`unknown filter '${key}'`);
+            }
+            if (binding.filters?.curve !== undefined && !CURVES[binding.filters.curve]) {
+                problems.push(`unknown curve '${binding.filters.curve}' (${Object.keys(CURVES).join(', ')})`);
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * [INP.2] Build the error for an invalid definition
+     *
+     * @param {Object} definition - Context definition
+     * @param {Array<string>} problems - What is wrong
+     * @returns {Error}
+     */
+    static invalid(definition, problems) {
+        const name = typeof definition?.name === 'string' ? ` '${definition.name}'` : '';
+        const error = new Error(`[INP.2] Invalid input context${name}: ${problems.join('; ')}`);
+        error.code = 'INVALID_CONTEXT';
+        error.problems = problems;
+        return error;
+    }
+}
@@ -15,6 +15,9 @@
  * - Deletion (Delete key)
  * - Duplication (Ctrl+D)
  * - Undo/Redo (Ctrl+Z, Ctrl+Y)
+ * - Context menu (right-click, long-press)
+ * - Gamepad (sticks move/look, A selects at screen center)
+ * - Touch: two-finger pan/twist, three-finger swipe undo/redo, on-screen joysticks
  * - Deselect (click ground)
  * - Mode toggle (E key)
  *
@@ -28,8 +31,10 @@
  * - scaleObject - S to scale selected
  * - deleteObject - Delete key
  * - duplicateObject - Ctrl+D
- * - undo - Ctrl+Z
- * - redo - Ctrl+Y
+ * - undo - Ctrl+Z, three-finger swipe left
+ * - redo - Ctrl+Y, three-finger swipe right
+ * - copyTransform / pasteTransform - Ctrl+Shift+C / Ctrl+Shift+V
+ * - showContextMenu - Right-click / long-press
  *
  * @example
  * const editContext = new EditModeContext();
@@ -51,6 +56,122 @@ export default class EditModeContext extends InputContext {
 
         // [INP.2.1] Define all input bindings for edit mode
         this.bindings = [
+            // =================================================================
+            // Modifier Chords
+            // =================================================================
+            // When several bindings match, the more specific one wins
+            // (Ctrl+Shift+Z over Ctrl+Z over Z), so Ctrl+D never moves right.
+            // Listed first for readability.
+
+            // Save as
+            {
+                input: 'KeyS',
+                action: 'saveSceneAs',
+                modifier: ['Ctrl', 'Shift']
+            },
+
+            // Save scene
+            {
+                input: 'KeyS',
+                action: 'saveScene',
+                modifier: 'Ctrl'
+            },
+
+            // Redo (Ctrl+Shift+Z - common alternative)
+            {
+                input: 'KeyZ',
+                action: 'redo',
+                modifier: ['Ctrl', 'Shift']
+            },
+
+            // Undo
+            {
+                input: 'KeyZ',
+                action: 'undo',
+                modifier: 'Ctrl'
+            },
+
+            // Redo (Ctrl+Y)
+            {
+                input: 'KeyY',
+                action: 'redo',
+                modifier: 'Ctrl'
+            },
+
+            // Duplicate selected object(s)
+            {
+                input: 'KeyD',
+                action: 'duplicateObject',
+                condition: 'hasSelection',
+                modifier: 'Ctrl'
+            },
+
+            // Select all
+            {
+                input: 'KeyA',
+                action: 'selectAll',
+                modifier: 'Ctrl'
+            },
+
+            // Copy / paste transform
+            {
+                input: 'KeyC',
+                action: 'copyTransform',
+                condition: 'hasSelection',
+                modifier: ['Ctrl', 'Shift']
+            },
+            {
+                input: 'KeyV',
+                action: 'pasteTransform',
+                condition: 'hasSelection',
+                modifier: ['Ctrl', 'Shift']
+            },
+
+            // Snapping toggles (Shift+G / Shift+A) before G grab / A moveLeft
+            { input: 'KeyG', action: 'toggleGridSnap', modifier: 'Shift' },
+            { input: 'KeyA', action: 'toggleAngleSnap', modifier: 'Shift' },
+
+            // Frame all (Shift+F) before F focusSelection
+            {
+                input: 'KeyF',
+                action: 'frameAll',
+                modifier: 'Shift'
+            },
+
+            // =================================================================
+            // Object Manipulation (before movement: S scales while selected)
+            // =================================================================
+
+            // G/R/S start a modal transform (ModalTransformPlugin); X/Y/Z axis
+            // locks and typed values are read by the plugin while it is active
+
+            // Grab (move) selected object
+            {
+                input: 'KeyG',
+                action: 'grabObject',
+                condition: 'hasSelection'
+            },
+
+            // Rotate selected object
+            {
+                input: 'KeyR',
+                action: 'rotateObject',
+                condition: 'hasSelection'
+            },
+
+            // Scale selected object
+            {
+                input: 'KeyS',
+                action: 'scaleObject',
+                condition: 'hasSelection'
+            },
+
+            // Confirm manipulation (Enter)
+            { input: 'Enter', action: 'confirmManipulation' },
+
+            // Cancel manipulation (Escape)
+            { input: 'Escape', action: 'cancelManipulation' },
+
             // =================================================================
             // Camera Movement (Same as View Mode)
             // =================================================================
@@ -130,37 +251,6 @@ export default class EditModeContext extends InputContext {
                 state: 'clicked'  // Only on actual tap
             },
 
-            // =================================================================
-            // Object Manipulation
-            // =================================================================
-
-            // Grab (move) selected object
-            {
-                input: 'KeyG',
-                action: 'grabObject',
-                condition: 'hasSelection'
-            },
-
-            // Rotate selected object
-            {
-                input: 'KeyR',
-                action: 'rotateObject',
-                condition: 'hasSelection'
-            },
-
-            // Scale selected object
-            {
-                input: 'KeyS',
-                action: 'scaleObject',
-                condition: 'hasSelection'
-            },
-
-            // Confirm manipulation (Enter)
-            { input: 'Enter', action: 'confirmManipulation' },
-
-            // Cancel manipulation (Escape)
-            { input: 'Escape', action: 'cancelManipulation' },
-
             // =================================================================
             // Object Operations
             // =================================================================
@@ -172,45 +262,7 @@ export default class EditModeContext extends InputContext {
                 condition: 'hasSelection'
             },
 
-            // Duplicate selected object(s)
-            {
-                input: 'KeyD',
-                action: 'duplicateObject',
-                condition: 'hasSelection',
-                modifier: 'Ctrl'
-            },
-
-            // Select all
-            {
-                input: 'KeyA',
-                action: 'selectAll',
-                modifier: 'Ctrl'
-            },
-
-            // =================================================================
-            // Edit History
-            // =================================================================
-
-            // Undo
-            {
-                input: 'KeyZ',
-                action: 'undo',
-                modifier: 'Ctrl'
-            },
-
-            // Redo (Ctrl+Y)
-            {
-                input: 'KeyY',
-                action: 'redo',
-                modifier: 'Ctrl'
-            },
-
-            // Redo (Ctrl+Shift+Z - common alternative)
-            {
-                input: 'KeyZ',
-                action: 'redo',
-                modifier: ['Ctrl', 'Shift']
-            },
+            // Duplicate (Ctrl+D) and select all (Ctrl+A): see Modifier Chords above
 
             // =================================================================
             // Gizmo Control (Transform Tools)
@@ -239,44 +291,109 @@ export default class EditModeContext extends InputContext {
                 condition: 'hasSelection'
             },
 
+            // Double-tap F: frame the whole scene (like Shift+F)
+            { input: 'KeyF', action: 'frameAll', trigger: 'doubleTap' },
+
             // Reset camera
             { input: 'KeyH', action: 'resetCamera' },
 
-            // Frame all objects
+            // =================================================================
+            // Gamepad
+            // =================================================================
+
+            // Sticks and bumpers: same as view mode
+            { input: 'GamepadLeftStickY', action: 'moveForward' },
+            { input: 'GamepadLeftStickX', action: 'moveRight' },
             {
-                input: 'KeyF',
-                action: 'frameAll',
-                modifier: 'Shift'
+                input: 'GamepadRightStick',
+                action: 'lookAround',
+                filters: {
+                    smoothing: 0.3,
+                    curve: (value) => value * value
+                }
+            },
+            { input: 'GamepadRB', action: 'moveUp' },
+            { input: 'GamepadLB', action: 'moveDown' },
+
+            // A: select the object at the screen center (GamepadSource picks there)
+            {
+                input: 'GamepadA',
+                action: 'selectObject',
+                condition: 'clickMesh',
+                state: 'pressed'
+            },
+
+            // B: cancel modal transform, Start: confirm it
+            {
+                input: 'GamepadB',
+                action: 'cancelManipulation',
+                state: 'pressed'
+            },
+            {
+                input: 'GamepadStart',
+                action: 'confirmManipulation',
+                state: 'pressed'
+            },
+
+            // X: focus selection
+            {
+                input: 'GamepadX',
+                action: 'focusSelection',
+                condition: 'hasSelection'
             },
 
             // =================================================================
-            // Snapping (Common in 3D editors)
+            // Touch Gestures
             // =================================================================
 
-            // Toggle grid snapping
-            { input: 'KeyG', action: 'toggleGridSnap', modifier: 'Shift' },
+            // Two fingers: slide the view and twist to turn (run alongside pinch zoom)
+            { input: 'TouchTwoFingerPan', action: 'panCamera' },
+            { input: 'TouchRotate', action: 'turnCamera' },
 
-            // Toggle angle snapping
-            { input: 'KeyA', action: 'toggleAngleSnap', modifier: 'Shift' },
+            // Three-finger swipe left/right: undo/redo (as on iPadOS)
+            {
+                input: 'TouchThreeFingerSwipe',
+                action: 'undo',
+                condition: { field: 'direction', equals: 'left' }
+            },
+            {
+                input: 'TouchThreeFingerSwipe',
+                action: 'redo',
+                condition: { field: 'direction', equals: 'right' }
+            },
+
+            // =================================================================
+            // Virtual Joystick (on-screen, touch devices)
+            // =================================================================
+
+            // Left pad walks, right pad looks (same values as the gamepad sticks)
+            { input: 'JoystickLeftY', action: 'moveForward' },
+            { input: 'JoystickLeftX', action: 'moveRight' },
+            {
+                input: 'JoystickRight',
+                action: 'lookAround',
+                filters: { smoothing: 0.3 }
+            },
 
             // =================================================================
             // Context Menu
             // =================================================================
 
-            // Right-click for context menu
+            // Right-click for context menu (objects and empty space)
+            // Opens on press: POINTERPICK ('clicked') only fires when a mesh is hit
             {
                 input: 'RightClick',
                 action: 'showContextMenu',
-                condition: 'clickMesh',
-                state: 'clicked'  // Only on actual click
+                state: 'pressed'
             },
 
             // Long press for context menu (mobile)
+            // TouchSource reports LongPress on release without hit info;
+            // ContextMenuPlugin picks at the touch position
             {
                 input: 'LongPress',
                 action: 'showContextMenu',
-                condition: 'clickMesh',
-                state: 'held'  // Long press uses 'held' state
+                state: 'completed'
             },
 
             // =================================================================
@@ -285,24 +402,7 @@ export default class EditModeContext extends InputContext {
 
             // Toggle back to view mode
             { input: 'KeyE', action: 'toggleEditMode' },
-
-            // =================================================================
-            // Quick Save
-            // =================================================================
-
-            // Save scene
-            {
-                input: 'KeyS',
-                action: 'saveScene',
-                modifier: 'Ctrl'
-            },
-
-            // Save as
-            {
-                input: 'KeyS',
-                action: 'saveSceneAs',
-                modifier: ['Ctrl', 'Shift']
-            }
+            { input: 'GamepadY', action: 'toggleEditMode' }
         ];
 
         console.log('[INP.2] EditModeContext initialized with', this.bindings.length, 'bindings');
@@ -18,8 +18,10 @@
  * {
  *     input: 'KeyW',                    // Hardware input identifier
  *     action: 'moveForward',            // Abstract action name
- *     condition: 'optional',            // Optional condition check
+ *     condition: 'optional',            // Optional condition (name, '!name', list, see ConditionRegistry)
  *     modifier: 'Ctrl',                 // Optional required modifier
+ *     state: 'pressed',                 // Optional required input state
+ *     priority: 0,                      // Optional, higher wins when several bindings match
  *     filters: {                        // Optional processing filters
  *         deadZone: 0.1,
  *         smoothing: 0.2,
@@ -27,6 +29,30 @@
  *     }
  * }
  *
+ * Multi-key bindings (instead of input; fire 'pressed' on the completing press,
+ * 'released' when that input is released):
+ * {
+ *     sequence: ['KeyG', 'KeyX'],       // G then X, each within timeout ms (default 1000)
+ *     timeout: 1000
+ * }
+ * {
+ *     chord: ['KeyA', 'KeyS']           // All held together, any press order
+ * }
+ *
+ * Triggers (trigger: ...):
+ * - 'hold'             - 'pressed' after duration ms held (default 500), 'released' on release
+ * - 'tap'              - 'pressed' + 'released' on release before duration ms
+ * - 'releaseAfterHold' - 'pressed' + 'released' on release after duration ms or more
+ * - 'doubleTap'        - 'pressed' on a second press within interval ms (default 300)
+ *
+ * Resolution: when several bindings match an input, the highest priority wins,
+ * then the most specific (more modifiers/keys), then the first in the list.
+ * Timed triggers (hold, tap, releaseAfterHold) don't compete: they run alongside
+ * whatever the press itself maps to.
+ *
+ * Contexts can also be plain data: see DataContext (JSON name, extends,
+ * bindings, conditions) and InputManager.loadContext().
+ *
  * @example
  * class ViewModeContext extends InputContext {
  *     constructor() {
@@ -42,6 +68,21 @@
  * @version 1.0.0
  */
 
+// [INP.2] Trigger timing defaults (ms)
+const HOLD_DURATION = 500;
+const DOUBLE_TAP_INTERVAL = 300;
+const SEQUENCE_TIMEOUT = 1000;
+
+// [INP.2] Triggers decided over time: the press starts them, a timer or the release ends them
+const TIMED_TRIGGERS = new Set(['hold', 'tap', 'releaseAfterHold']);
+
+// [INP.2] Presses remembered for sequences (modifier keys don't count: G, Shift+X works)
+const MAX_HISTORY = 8;
+const MODIFIER_KEYS = new Set([
+    'ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight',
+    'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'
+]);
+
 export default class InputContext {
     /**
      * [INP.2] Constructor
@@ -56,11 +97,25 @@ export default class InputContext {
 
         // [INP.2.2] Input bindings
         // Array of { input, action, condition, modifier, filters }
+        // Once registered, these are the effective bindings (defaults + user
+        // overrides); the defaults move to defaultBindings (see BindingManager)
         this.bindings = [];
+        this.defaultBindings = null;
 
         // [INP.2.3] Observers (for cleanup)
         this.observers = [];
 
+        // [INP.2.4] Trigger tracking (sequences, chords, hold, double-tap)
+        this.held = new Map();        // input → press time
+        this.history = [];            // Recent presses [{ input, time }]
+        this.lastPress = new Map();   // input → time of its previous press
+        this.timed = new Map();       // input → [{ binding, start, timer, fired }]
+        this.triggered = new Map();   // input → multi-key/double-tap binding its press fired
+
+        // [INP.2.5] Named conditions of this context (name → condition, see ConditionRegistry)
+        // Checked before the registry, so a context can compose or refine conditions
+        this.conditions = {};
+
         console.log(`[INP.2] ${this.name} context initialized`);
     }
 
@@ -83,39 +138,108 @@ export default class InputContext {
      */
     deactivate() {
         this.active = false;
+        this.resetTriggers();
         console.log(`[INP.2] ${this.name} context deactivated`);
     }
 
     /**
      * [INP.2] Map hardware input to abstract action
      *
-     * Finds matching binding and returns action if conditions met.
+     * Finds the matching bindings and returns the action of the winning one
+     * (priority, then specificity, then binding order). Timed triggers started
+     * or finished by this input fire their actions through InputManager directly.
      *
      * @param {Object} event - Standardized input event from source
      * @returns {Object|null} Action object or null
      */
     mapInputToAction(event) {
-        // [INP.2.1] Find matching bindings
-        for (const binding of this.bindings) {
-            if (this.matchesBinding(event, binding)) {
-                // [INP.2.2] Create action from binding
-                return {
-                    name: binding.action,
-                    value: event.value,
-                    state: event.state,
-                    source: event.source,
-                    input: event.input,
-                    position: event.position,
-                    delta: event.delta,
-                    hitInfo: event.hitInfo,
-                    modifiers: event.modifiers,
-                    filters: binding.filters,
-                    originalEvent: event.originalEvent
-                };
+        const time = this.now();
+        const previousPress = this.lastPress.get(event.input);
+
+        // [INP.2.1] Track held inputs and recent presses
+        if (event.state === 'pressed') {
+            this.held.set(event.input, time);
+            this.lastPress.set(event.input, time);
+
+            if (!MODIFIER_KEYS.has(event.input)) {
+                this.history.push({ input: event.input, time });
+                if (this.history.length > MAX_HISTORY) {
+                    this.history.shift();
+                }
             }
         }
 
-        return null;
+        // [INP.2.2] Release: finish timed triggers; a multi-key/double-tap press releases its own action
+        if (event.state === 'released') {
+            this.held.delete(event.input);
+            this.finishTimed(event, time);
+
+            const triggered = this.triggered.get(event.input);
+            if (triggered) {
+                this.triggered.delete(event.input);
+                return this.createAction(triggered, event, 'released');
+            }
+        }
+
+        // [INP.2.3] Find matching bindings; timed triggers start here and fire later
+        const matches = [];
+        this.bindings.forEach((binding, index) => {
+            if (!this.matchesBinding(event, binding, { time, previousPress })) {
+                return;
+            }
+
+            if (TIMED_TRIGGERS.has(binding.trigger)) {
+                this.startTimed(binding, event, time);
+            } else {
+                matches.push({ binding, index });
+            }
+        });
+
+        if (matches.length === 0) {
+            return null;
+        }
+
+        // [INP.2.4] Resolve: priority, then specificity, then binding order
+        matches.sort((a, b) =>
+            ((b.binding.priority || 0) - (a.binding.priority || 0)) ||
+            (this.getSpecificity(b.binding) - this.getSpecificity(a.binding)) ||
+            (a.index - b.index));
+
+        const { binding } = matches[0];
+
+        // [INP.2.5] Completed sequence/chord/double-tap: the release belongs to this action
+        if (binding.sequence || binding.chord || binding.trigger === 'doubleTap') {
+            this.triggered.set(event.input, binding);
+            this.history = [];
+            this.lastPress.delete(event.input);  // A third tap starts over
+        }
+
+        return this.createAction(binding, event, event.state);
+    }
+
+    /**
+     * [INP.2] Build the action for a binding
+     *
+     * @param {Object} binding - Matched binding
+     * @param {Object} event - Input event
+     * @param {string} state - Action state
+     * @returns {Object} Action
+     */
+    createAction(binding, event, state) {
+        return {
+            name: binding.action,
+            value: event.value,
+            state,
+            source: event.source,
+            input: event.input,
+            position: event.position,
+            delta: event.delta,
+            hitInfo: event.hitInfo,
+            modifiers: event.modifiers,
+            filters: binding.filters,
+            trigger: binding.trigger || (binding.sequence ? 'sequence' : binding.chord ? 'chord' : undefined),
+            originalEvent: event.originalEvent
+        };
     }
 
     /**
@@ -123,21 +247,16 @@ export default class InputContext {
      *
      * @param {Object} event - Input event
      * @param {Object} binding - Binding configuration
+     * @param {Object} [timing] - { time, previousPress } from mapInputToAction
      * @returns {boolean}
      */
-    matchesBinding(event, binding) {
-        // [INP.2.1] Check input matches
-        if (event.input !== binding.input) {
+    matchesBinding(event, binding, timing = {}) {
+        // [INP.2.1] Check input (single input, chord or sequence) and trigger
+        if (!this.matchesTrigger(event, binding, timing)) {
             return false;
         }
 
-        // [INP.2.2] Check state matches (if binding specifies a state)
-        // This prevents actions from triggering multiple times on press/clicked/released
-        if (binding.state && event.state !== binding.state) {
-            return false;
-        }
-
-        // [INP.2.3] Check required modifier
+        // [INP.2.2] Check required modifier
         if (binding.modifier) {
             // Modifier can be single string or array
             const requiredModifiers = Array.isArray(binding.modifier)
@@ -151,7 +270,7 @@ export default class InputContext {
             }
         }
 
-        // [INP.2.4] Check condition
+        // [INP.2.3] Check condition
         if (binding.condition) {
             const conditionMet = this.checkCondition(binding.condition, event);
             if (!conditionMet) {
@@ -163,58 +282,212 @@ export default class InputContext {
     }
 
     /**
-     * [INP.2] Check if condition is met
+     * [INP.2] Check the input side of a binding
      *
-     * Override in subclasses to add custom conditions.
+     * Multi-key and triggered bindings match on the press that completes them;
+     * plain bindings match their input and (if given) state.
      *
-     * @param {string} condition - Condition name
      * @param {Object} event - Input event
+     * @param {Object} binding - Binding configuration
+     * @param {Object} timing - { time, previousPress }
      * @returns {boolean}
      */
-    checkCondition(condition, event) {
-        switch (condition) {
-            // Common conditions
+    matchesTrigger(event, binding, { time = this.now(), previousPress } = {}) {
+        const isPress = event.state === 'pressed';
+
+        // [INP.2.1] Chord: this press completes the set of held inputs
+        if (binding.chord) {
+            return isPress && binding.chord.includes(event.input) &&
+                binding.chord.every(input => this.held.has(input));
+        }
+
+        // [INP.2.2] Sequence: this press ends the recent presses in order, each within timeout
+        if (binding.sequence) {
+            const keys = binding.sequence;
+            const recent = this.history.slice(-keys.length);
+            const timeout = binding.timeout ?? SEQUENCE_TIMEOUT;
+
+            return isPress && recent.length === keys.length &&
+                recent.every((press, i) => press.input === keys[i] &&
+                    (i === 0 || press.time - recent[i - 1].time <= timeout));
+        }
+
+        if (event.input !== binding.input) {
+            return false;
+        }
+
+        // [INP.2.3] Double tap: second press soon after the first
+        if (binding.trigger === 'doubleTap') {
+            return isPress && previousPress !== undefined &&
+                time - previousPress <= (binding.interval ?? DOUBLE_TAP_INTERVAL);
+        }
+
+        // [INP.2.4] Timed triggers start on the press
+        if (TIMED_TRIGGERS.has(binding.trigger)) {
+            return isPress;
+        }
+
+        // [INP.2.5] Check state matches (if binding specifies a state)
+        // This prevents actions from triggering multiple times on press/clicked/released
+        return !binding.state || event.state === binding.state;
+    }
+
+    /**
+     * [INP.2] Specificity of a binding (modifiers + keys involved)
+     *
+     * Ctrl+Shift+S beats Ctrl+S beats S, and a G→X sequence beats X.
+     *
+     * @param {Object} binding - Binding configuration
+     * @returns {number}
+     */
+    getSpecificity(binding) {
+        const modifiers = binding.modifier ? [].concat(binding.modifier).length : 0;
+        const inputs = (binding.sequence || binding.chord || [binding.input]).length;
+        return modifiers + inputs + (binding.trigger === 'doubleTap' ? 1 : 0);
+    }
+
+    // =========================================================================
+    // Timed Triggers
+    // =========================================================================
+
+    /**
+     * [INP.2] Start tracking a hold/tap/releaseAfterHold binding
+     *
+     * @param {Object} binding - Timed binding
+     * @param {Object} event - Press event
+     * @param {number} time - Press time
+     */
+    startTimed(binding, event, time) {
+        const entry = { binding, start: time, timer: null, fired: false };
+
+        // [INP.2.1] Hold fires while still held
+        if (binding.trigger === 'hold') {
+            entry.timer = this.schedule(() => {
+                entry.timer = null;
+                entry.fired = true;
+                this.emitAction(this.createAction(binding, event, 'pressed'));
+            }, binding.duration ?? HOLD_DURATION);
+        }
 
-            case 'clickGround':
-                // Click on ground mesh
-                return event.hitInfo?.pickedMesh?.name === 'ground';
+        if (!this.timed.has(event.input)) {
+            this.timed.set(event.input, []);
+        }
+        this.timed.get(event.input).push(entry);
+    }
 
-            case 'clickMesh':
-                // Click on any mesh except ground
-                return event.hitInfo?.pickedMesh &&
-                       event.hitInfo.pickedMesh.name !== 'ground';
+    /**
+     * [INP.2] Finish timed triggers of a released input
+     *
+     * @param {Object} event - Release event
+     * @param {number} time - Release time
+     */
+    finishTimed(event, time) {
+        const entries = this.timed.get(event.input);
+        if (!entries) {
+            return;
+        }
+        this.timed.delete(event.input);
+
+        for (const entry of entries) {
+            this.cancel(entry.timer);
+
+            const { binding } = entry;
+            const long = time - entry.start >= (binding.duration ?? HOLD_DURATION);
+
+            switch (binding.trigger) {
+                case 'hold':
+                    // [INP.2.1] End the held action (nothing if released too early)
+                    if (entry.fired) {
+                        this.emitAction(this.createAction(binding, event, 'released'));
+                    }
+                    break;
+
+                case 'tap':
+                case 'releaseAfterHold':
+                    // [INP.2.2] One press + release, depending on how long it was held
+                    if (long === (binding.trigger === 'releaseAfterHold')) {
+                        this.emitAction(this.createAction(binding, event, 'pressed'));
+                        this.emitAction(this.createAction(binding, event, 'released'));
+                    }
+                    break;
+            }
+        }
+    }
 
-            case 'clickEmpty':
-                // Click on nothing
-                return !event.hitInfo?.hit;
+    /**
+     * [INP.2] Forget held inputs, sequences and pending timers
+     *
+     * Called on deactivate (the next context sees fresh input).
+     */
+    resetTriggers() {
+        for (const entries of this.timed.values()) {
+            entries.forEach(entry => this.cancel(entry.timer));
+        }
 
-            case 'hasSelection':
-                // Has selected objects (check global state)
-                return window.selectedObjects?.length > 0;
+        this.held.clear();
+        this.history = [];
+        this.lastPress.clear();
+        this.timed.clear();
+        this.triggered.clear();
+    }
 
-            case 'noSelection':
-                // No selected objects
-                return !window.selectedObjects || window.selectedObjects.length === 0;
+    /**
+     * [INP.2] Send an action that isn't the return value of mapInputToAction
+     *
+     * @param {Object} action - Action
+     */
+    emitAction(action) {
+        this.inputManager?.triggerAction(action);
+    }
 
-            // Mouse button conditions (for drag operations)
+    /**
+     * [INP.2] Current time (InputManager clock, virtual during replays)
+     *
+     * @returns {number} ms
+     */
+    now() {
+        return this.inputManager ? this.inputManager.clock.now() : Date.now();
+    }
 
-            case 'rightClickHeld':
-                // Right mouse button is held during movement AND dragging has started
-                return event.heldButton === 'RightClick' && event.isDragging === true;
+    /**
+     * @param {Function} callback
+     * @param {number} delay - ms
+     * @returns {*} Timer id
+     */
+    schedule(callback, delay) {
+        return this.inputManager ? this.inputManager.clock.setTimeout(callback, delay) : setTimeout(callback, delay);
+    }
 
-            case 'leftClickHeld':
-                // Left mouse button is held during movement AND dragging has started
-                // This ensures camera only rotates AFTER the 5px drag threshold is exceeded
-                return event.heldButton === 'LeftClick' && event.isDragging === true;
+    /**
+     * @param {*} timer - Timer id from schedule()
+     */
+    cancel(timer) {
+        if (timer === null || timer === undefined) return;
 
-            case 'middleClickHeld':
-                // Middle mouse button is held during movement AND dragging has started
-                return event.heldButton === 'MiddleClick' && event.isDragging === true;
+        if (this.inputManager) {
+            this.inputManager.clock.clearTimeout(timer);
+        } else {
+            clearTimeout(timer);
+        }
+    }
 
-            default:
-                console.warn(`[INP.2] Unknown condition: ${condition}`);
-                return true;
+    /**
+     * [INP.2] Check if condition is met
+     *
+     * Conditions come from inputManager.conditions (ConditionRegistry): built-ins,
+     * plugin conditions and this context's named conditions.
+     *
+     * @param {string|Array|Object|Function} condition - Condition (see ConditionRegistry)
+     * @param {Object} event - Input event
+     * @returns {boolean}
+     */
+    checkCondition(condition, event) {
+        // Not registered yet: nothing to evaluate against
+        if (!this.inputManager) {
+            return true;
         }
+
+        return this.inputManager.conditions.evaluate(condition, event, this);
     }
 
     /**
@@ -223,7 +496,12 @@ export default class InputContext {
      * @param {Object} binding - Binding configuration
      */
     addBinding(binding) {
-        this.bindings.push(binding);
+        if (this.defaultBindings) {
+            this.defaultBindings.push(binding);
+            this.inputManager.bindings.applyOverrides(this);
+        } else {
+            this.bindings.push(binding);
+        }
     }
 
     /**
@@ -233,9 +511,14 @@ export default class InputContext {
      * @param {string} action - Action name
      */
     removeBinding(input, action) {
-        this.bindings = this.bindings.filter(
-            b => !(b.input === input && b.action === action)
-        );
+        const keep = b => !(b.input === input && b.action === action);
+
+        if (this.defaultBindings) {
+            this.defaultBindings = this.defaultBindings.filter(keep);
+            this.inputManager.bindings.applyOverrides(this);
+        } else {
+            this.bindings = this.bindings.filter(keep);
+        }
     }
 
     /**
@@ -271,7 +554,9 @@ export default class InputContext {
      */
     dispose() {
         this.active = false;
+        this.resetTriggers();
         this.bindings = [];
+        this.defaultBindings = null;
         this.observers = [];
 
         console.log(`[INP.2] ${this.name} context disposed`);
@@ -13,6 +13,8 @@
  * - Click-to-move (Click ground)
  * - Zoom (Mouse wheel, Pinch)
  * - Touch pan/swipe
+ * - Gamepad (left stick move, right stick look, buttons)
+ * - Two-finger pan/twist, on-screen joysticks (walk + look)
  * - Mode toggle (E key)
  *
  * Actions Mapped:
@@ -20,6 +22,7 @@
  * - lookAround - Mouse/touch camera rotation
  * - walkTo - Click-to-move on ground
  * - zoom - Mouse wheel / pinch zoom
+ * - panCamera / turnCamera - Two-finger pan / twist
  * - toggleEditMode - Switch to edit mode
  *
  * @example
@@ -92,20 +95,20 @@ export default class ViewModeContext extends InputContext {
             // Click-to-Move
             // =================================================================
 
-            // Click ground to walk there
+            // Click ground (or walkable surface) to walk there
             {
                 input: 'LeftClick',
                 action: 'walkTo',
-                condition: 'clickGround',
+                condition: 'clickWalkable',
                 state: 'clicked'  // Only on actual click, not press or release
             },
 
             // Tap ground to walk there (mobile)
+            // Tap carries no hitInfo - walkTo handler picks and checks walkability
             {
                 input: 'Tap',
                 action: 'walkTo',
-                condition: 'clickGround',
-                state: 'clicked'  // Only on actual tap
+                state: 'completed'
             },
 
             // =================================================================
@@ -131,12 +134,72 @@ export default class ViewModeContext extends InputContext {
                 action: 'zoom'
             },
 
+            // =================================================================
+            // Gamepad
+            // =================================================================
+
+            // Left stick: analog movement (value -1..1, InputManager dead zone applies)
+            { input: 'GamepadLeftStickY', action: 'moveForward' },
+            { input: 'GamepadLeftStickX', action: 'moveRight' },
+
+            // Right stick: look (value = deflection, delta = direction)
+            {
+                input: 'GamepadRightStick',
+                action: 'lookAround',
+                filters: {
+                    smoothing: 0.3,
+                    curve: (value) => value * value  // Fine aim near center
+                }
+            },
+
+            // Bumpers: up/down
+            { input: 'GamepadRB', action: 'moveUp' },
+            { input: 'GamepadLB', action: 'moveDown' },
+
+            // A: walk to the point at the screen center
+            {
+                input: 'GamepadA',
+                action: 'walkTo',
+                condition: 'clickWalkable',
+                state: 'pressed'
+            },
+
+            // X: focus selection, Back: reset camera
+            {
+                input: 'GamepadX',
+                action: 'focusSelection',
+                condition: 'hasSelection'
+            },
+            { input: 'GamepadBack', action: 'resetCamera' },
+
+            // =================================================================
+            // Touch Gestures
+            // =================================================================
+
+            // Two fingers: slide the view and twist to turn (run alongside pinch zoom)
+            { input: 'TouchTwoFingerPan', action: 'panCamera' },
+            { input: 'TouchRotate', action: 'turnCamera' },
+
+            // =================================================================
+            // Virtual Joystick (on-screen, touch devices)
+            // =================================================================
+
+            // Left pad walks, right pad looks (same values as the gamepad sticks)
+            { input: 'JoystickLeftY', action: 'moveForward' },
+            { input: 'JoystickLeftX', action: 'moveRight' },
+            {
+                input: 'JoystickRight',
+                action: 'lookAround',
+                filters: { smoothing: 0.3 }
+            },
+
             // =================================================================
             // Mode Switching
             // =================================================================
 
             // Toggle edit mode
             { input: 'KeyE', action: 'toggleEditMode' },
+            { input: 'GamepadY', action: 'toggleEditMode' },
 
             // =================================================================
             // Quick Actions
@@ -0,0 +1,373 @@
+/**
+ * GamepadSource - Gamepad input handler (Gamepad API)
+ *
+ * @class GamepadSource
+ * @extends InputSource
+ *
+ * @description
+ * Polls navigator.getGamepads() every frame and converts buttons and sticks
+ * to standardized input events. The Gamepad API has no button/axis events,
+ * so state changes are detected by comparing with the previous poll.
+ *
+ * Features:
+ * - Standard mapping button names (GamepadA, GamepadLB, GamepadUp, ...)
+ * - Left stick as two analog axes (moveForward / moveRight bindings)
+ * - Right stick as one 2D input with radial magnitude (lookAround binding)
+ * - Analog values go through InputManager filters (deadZone, smoothing, curve)
+ * - Hot-plug: gamepad:connected / gamepad:disconnected events on InputManager
+ * - Button presses carry hitInfo for the screen center (select what you look at)
+ * - Poll manually with poll() (tests, mocked navigator.getGamepads)
+ *
+ * Input Formats:
+ *
+ * Button:
+ * {
+ *     source: 'gamepad',
+ *     input: 'GamepadA',
+ *     state: 'pressed' | 'released',
+ *     value: number (0-1, analog triggers),
+ *     gamepadIndex: number,
+ *     hitInfo: { hit, pickedMesh, pickedPoint, distance }   // pressed only
+ * }
+ *
+ * Axis (left stick):
+ * {
+ *     source: 'gamepad',
+ *     input: 'GamepadLeftStickX' | 'GamepadLeftStickY',
+ *     state: 'moved' | 'released',
+ *     value: number (-1 to 1, Y is positive forward),
+ *     gamepadIndex: number
+ * }
+ *
+ * Stick (right stick):
+ * {
+ *     source: 'gamepad',
+ *     input: 'GamepadRightStick',
+ *     state: 'moved' | 'released',
+ *     value: number (0-1, deflection),
+ *     delta: { x, y } (raw axes, -1 to 1),
+ *     gamepadIndex: number
+ * }
+ *
+ * Sticks send 'moved' on every poll while deflected (so smoothing converges)
+ * and one 'released' with value 0 when they return to rest.
+ *
+ * @example
+ * const gamepadSource = new GamepadSource(inputManager, scene, canvas);
+ * inputManager.on('gamepad:connected', ({ id }) => console.log('Gamepad:', id));
+ *
+ * // Tests: no polling loop, mocked gamepads
+ * navigator.getGamepads = () => [mockPad];
+ * const source = new GamepadSource(inputManager, null, null, { autoPoll: false });
+ * source.poll();
+ *
+ * @tags [INP.3]
+ * @version 1.0.0
+ */
+
+import InputSource from './InputSource.js';
+
+// [INP.3] Standard mapping (https://w3c.github.io/gamepad/#remapping) button order
+const BUTTON_NAMES = [
+    'GamepadA', 'GamepadB', 'GamepadX', 'GamepadY',
+    'GamepadLB', 'GamepadRB', 'GamepadLT', 'GamepadRT',
+    'GamepadBack', 'GamepadStart', 'GamepadLS', 'GamepadRS',
+    'GamepadUp', 'GamepadDown', 'GamepadLeft', 'GamepadRight',
+    'GamepadHome'
+];
+
+export default class GamepadSource extends InputSource {
+    /**
+     * [INP.3] Constructor - Start polling connected gamepads
+     *
+     * @param {InputManager} inputManager - Reference to InputManager
+     * @param {BABYLON.Scene} [scene] - Scene for screen-center picking
+     * @param {HTMLCanvasElement} [canvas] - Render canvas
+     * @param {Object} [options]
+     * @param {boolean} [options.autoPoll=true] - Poll every animation frame
+     * @param {number} [options.restThreshold=0.05] - Axis values below this count as rest
+     * @param {number} [options.buttonThreshold=0.5] - Analog button value that counts as pressed
+     */
+    constructor(inputManager, scene = null, canvas = null, options = {}) {
+        super(inputManager, 'gamepad');
+
+        // [INP.3.1] Core references
+        this.scene = scene;
+        this.canvas = canvas;
+
+        // [INP.3.2] Thresholds
+        this.restThreshold = options.restThreshold ?? 0.05;
+        this.buttonThreshold = options.buttonThreshold ?? 0.5;
+
+        // [INP.3.3] Per-gamepad state from the previous poll
+        // Map<index, { id, buttons: boolean[], axes: Map<input, boolean> }>
+        this.pads = new Map();
+
+        // [INP.3.4] Polling loop
+        this.autoPoll = options.autoPoll !== false && typeof requestAnimationFrame !== 'undefined';
+        this.frameId = null;
+        this.poll = this.poll.bind(this);
+
+        // [INP.3.5] Hot-plug events (Gamepad API fires them after the first button press)
+        this.handleConnected = (e) => this.connect(e.gamepad);
+        this.handleDisconnected = (e) => this.disconnect(e.gamepad.index);
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('gamepadconnected', this.handleConnected);
+            window.addEventListener('gamepaddisconnected', this.handleDisconnected);
+        }
+
+        if (this.autoPoll) {
+            this.frameId = requestAnimationFrame(this.poll);
+        }
+
+        console.log('[INP.3] GamepadSource ready');
+    }
+
+    /**
+     * [INP.3] Read all gamepads and send changes
+     *
+     * Called every animation frame (autoPoll) or manually.
+     */
+    poll() {
+        if (this.autoPoll) {
+            this.frameId = requestAnimationFrame(this.poll);
+        }
+
+        const gamepads = this.getGamepads();
+        const seen = new Set();
+
+        for (const gamepad of gamepads) {
+            if (!gamepad || gamepad.connected === false) continue;
+
+            seen.add(gamepad.index);
+
+            // [INP.3.1] Hot-plug detection by polling (events aren't reliable everywhere)
+            if (!this.pads.has(gamepad.index)) {
+                this.connect(gamepad);
+            }
+
+            if (this.enabled) {
+                this.pollButtons(gamepad);
+                this.pollSticks(gamepad);
+            }
+        }
+
+        // [INP.3.2] Gamepads that vanished without a disconnect event
+        for (const index of Array.from(this.pads.keys())) {
+            if (!seen.has(index)) {
+                this.disconnect(index);
+            }
+        }
+    }
+
+    /**
+     * [INP.3] Detect button press/release edges
+     *
+     * @param {Gamepad} gamepad - Gamepad snapshot
+     */
+    pollButtons(gamepad) {
+        const state = this.pads.get(gamepad.index);
+
+        gamepad.buttons.forEach((button, index) => {
+            const pressed = button.pressed || button.value >= this.buttonThreshold;
+            if (pressed === state.buttons[index]) return;
+
+            state.buttons[index] = pressed;
+
+            this.sendInput({
+                source: 'gamepad',
+                input: this.getButtonName(index),
+                state: pressed ? 'pressed' : 'released',
+                value: button.value,
+                gamepadIndex: gamepad.index,
+                hitInfo: pressed ? this.pickCenter() : undefined
+            });
+        });
+    }
+
+    /**
+     * [INP.3] Send stick values
+     *
+     * @param {Gamepad} gamepad - Gamepad snapshot
+     */
+    pollSticks(gamepad) {
+        const [lx = 0, ly = 0, rx = 0, ry = 0] = gamepad.axes;
+
+        // [INP.3.1] Left stick: one input per axis (Y inverted: up = forward = positive)
+        this.sendAxis(gamepad.index, 'GamepadLeftStickX', lx, Math.abs(lx));
+        this.sendAxis(gamepad.index, 'GamepadLeftStickY', -ly, Math.abs(ly));
+
+        // [INP.3.2] Right stick: radial magnitude + direction (even dead zone in all directions)
+        this.sendAxis(gamepad.index, 'GamepadRightStick', Math.min(1, Math.hypot(rx, ry)), Math.hypot(rx, ry), {
+            delta: { x: rx, y: ry }
+        });
+    }
+
+    /**
+     * [INP.3] Send an analog input while deflected, and once on return to rest
+     *
+     * @param {number} index - Gamepad index
+     * @param {string} input - Input identifier
+     * @param {number} value - Value to send
+     * @param {number} magnitude - Deflection used for the rest check
+     * @param {Object} [extra] - Extra event fields
+     */
+    sendAxis(index, input, value, magnitude, extra = {}) {
+        const state = this.pads.get(index);
+        const active = magnitude >= this.restThreshold;
+
+        if (!active && !state.axes.get(input)) {
+            return;  // Resting, release already sent
+        }
+
+        state.axes.set(input, active);
+
+        this.sendInput({
+            source: 'gamepad',
+            input,
+            state: active ? 'moved' : 'released',
+            value: active ? value : 0,
+            gamepadIndex: index,
+            ...extra
+        });
+    }
+
+    /**
+     * [INP.3] Track a newly connected gamepad
+     *
+     * @param {Gamepad} gamepad - Gamepad
+     */
+    connect(gamepad) {
+        if (this.pads.has(gamepad.index)) return;
+
+        this.pads.set(gamepad.index, {
+            id: gamepad.id,
+            buttons: gamepad.buttons.map(() => false),
+            axes: new Map()
+        });
+
+        if (gamepad.mapping !== 'standard') {
+            console.warn(`[INP.3] Gamepad '${gamepad.id}' has no standard mapping - button names may not match`);
+        }
+
+        this.inputManager.emit('gamepad:connected', {
+            index: gamepad.index,
+            id: gamepad.id,
+            mapping: gamepad.mapping,
+            timestamp: Date.now()
+        });
+
+        console.log(`[INP.3] Gamepad connected: ${gamepad.id} (#${gamepad.index})`);
+    }
+
+    /**
+     * [INP.3] Forget a gamepad, releasing everything it held
+     *
+     * @param {number} index - Gamepad index
+     */
+    disconnect(index) {
+        const state = this.pads.get(index);
+        if (!state) return;
+
+        // [INP.3.1] Release held buttons/sticks so actions don't stay active
+        state.buttons.forEach((pressed, button) => {
+            if (pressed) {
+                this.sendInput({ source: 'gamepad', input: this.getButtonName(button), state: 'released', value: 0, gamepadIndex: index });
+            }
+        });
+        state.axes.forEach((active, input) => {
+            if (active) {
+                this.sendInput({ source: 'gamepad', input, state: 'released', value: 0, gamepadIndex: index });
+            }
+        });
+
+        this.pads.delete(index);
+
+        this.inputManager.emit('gamepad:disconnected', {
+            index,
+            id: state.id,
+            timestamp: Date.now()
+        });
+
+        console.log(`[INP.3] Gamepad disconnected: ${state.id} (#${index})`);
+    }
+
+    /**
+     * [INP.3] Current gamepad snapshots (read at poll time, so mocks can be swapped in)
+     *
+     * @returns {Array<Gamepad|null>}
+     */
+    getGamepads() {
+        if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') {
+            return [];
+        }
+
+        return Array.from(navigator.getGamepads() || []);
+    }
+
+    /**
+     * [INP.3] Name of a button index ('GamepadButton17' beyond the standard layout)
+     *
+     * @param {number} index - Button index
+     * @returns {string}
+     */
+    getButtonName(index) {
+        return BUTTON_NAMES[index] || `GamepadButton${index}`;
+    }
+
+    /**
+     * [INP.3] Pick at the screen center (gamepads have no pointer)
+     *
+     * @returns {Object|undefined} hitInfo in MouseSource format
+     */
+    pickCenter() {
+        if (!this.scene?.pick) {
+            return undefined;
+        }
+
+        const engine = this.scene.getEngine();
+        const pickInfo = this.scene.pick(engine.getRenderWidth() / 2, engine.getRenderHeight() / 2);
+
+        return {
+            hit: pickInfo.hit,
+            pickedMesh: pickInfo.pickedMesh,
+            pickedPoint: pickInfo.pickedPoint,
+            distance: pickInfo.distance
+        };
+    }
+
+    /**
+     * [INP.3] Check if a gamepad is connected
+     *
+     * @returns {boolean}
+     */
+    isConnected() {
+        return this.pads.size > 0;
+    }
+
+    /**
+     * [INP.3] Dispose and cleanup
+     */
+    dispose() {
+        // [INP.3.1] Stop polling
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.autoPoll = false;
+
+        // [INP.3.2] Remove event listeners
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('gamepadconnected', this.handleConnected);
+            window.removeEventListener('gamepaddisconnected', this.handleDisconnected);
+        }
+
+        this.pads.clear();
+
+        // [INP.3.3] Call parent dispose
+        super.dispose();
+
+        console.log('[INP.3] GamepadSource disposed');
+    }
+}
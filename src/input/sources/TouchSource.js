@@ -13,6 +13,13 @@
  * - Basic gesture recognition (tap, long-press, swipe)
  * - Touch state tracking
  * - Pinch/zoom detection (basic)
+ * - Two-finger pan and twist rotation (alongside pinch)
+ * - Three-finger swipe
+ * - Edge swipe (single-finger swipe starting at a canvas edge)
+ *
+ * Fingers of a multi-finger gesture never produce taps or swipes. Only touches
+ * on the canvas count (a thumb on the virtual joystick doesn't turn a one-finger
+ * pan into a two-finger gesture).
  *
  * Input Formats:
  *
@@ -77,6 +84,49 @@
  *     originalEvent: TouchEvent
  * }
  *
+ * Two-Finger Pan:
+ * {
+ *     source: 'touch',
+ *     input: 'TouchTwoFingerPan',
+ *     state: 'moved',
+ *     position: { x, y },                  // Midpoint
+ *     delta: { x, y },                     // Midpoint movement since the previous event
+ *     touchCount: 2
+ * }
+ *
+ * Rotate (twist):
+ * {
+ *     source: 'touch',
+ *     input: 'TouchRotate',
+ *     state: 'changed',
+ *     value: number,                       // Radians since the gesture started (clockwise > 0)
+ *     delta: number,                       // Radians since the previous event
+ *     position: { x, y },                  // Midpoint
+ *     touchCount: 2
+ * }
+ *
+ * Three-Finger Swipe:
+ * {
+ *     source: 'touch',
+ *     input: 'TouchThreeFingerSwipe',
+ *     state: 'completed',
+ *     direction: 'up' | 'down' | 'left' | 'right',
+ *     distance: number,                    // Centroid movement
+ *     duration: number (ms),
+ *     touchCount: 3
+ * }
+ *
+ * Edge Swipe:
+ * {
+ *     source: 'touch',
+ *     input: 'TouchEdgeSwipe',
+ *     state: 'completed',
+ *     edge: 'left' | 'right' | 'top' | 'bottom',   // Where it started
+ *     direction: 'up' | 'down' | 'left' | 'right',
+ *     distance: number,
+ *     duration: number (ms)
+ * }
+ *
  * @example
  * const touchSource = new TouchSource(inputManager, canvas);
  *
@@ -119,12 +169,23 @@ export default class TouchSource extends InputSource {
             },
             pinch: {
                 minDistance: 10     // pixels
+            },
+            threeFingerSwipe: {
+                minDistance: 50,    // pixels (centroid)
+                maxDuration: 500    // ms
+            },
+            edgeSwipe: {
+                margin: 24          // pixels from the canvas edge
             }
         };
 
         // [INP.3.4] Pinch tracking
         this.pinchStart = null;
 
+        // [INP.3.4] Two-finger pan/rotate ({ angle, startAngle, midX, midY }) and three-finger swipe
+        this.twoFinger = null;
+        this.threeFinger = null;
+
         // [INP.3.5] Bind event handlers
         this.handleTouchStart = this.handleTouchStart.bind(this);
         this.handleTouchMove = this.handleTouchMove.bind(this);
@@ -157,27 +218,42 @@ export default class TouchSource extends InputSource {
                 startY: touch.clientY,
                 currentX: touch.clientX,
                 currentY: touch.clientY,
-                startTime: Date.now()
+                startTime: Date.now(),
+                edge: this.getEdge(touch.clientX, touch.clientY),
+                multi: false    // Part of a multi-finger gesture (no tap/swipe)
             });
         }
 
-        // [INP.3.3] Send touch start event
-        if (event.touches.length === 1) {
+        const touches = this.getCanvasTouches(event);
+
+        // [INP.3.3] Several fingers down: none of them is a tap/swipe anymore
+        if (touches.length > 1) {
+            this.touches.forEach(tracked => { tracked.multi = true; });
+        }
+
+        // [INP.3.4] Send touch start event
+        if (touches.length === 1) {
             // Single touch
             this.sendInput({
                 source: 'touch',
                 input: 'TouchStart',
                 state: 'started',
                 position: {
-                    x: event.touches[0].clientX,
-                    y: event.touches[0].clientY
+                    x: touches[0].clientX,
+                    y: touches[0].clientY
                 },
                 touchCount: 1,
                 originalEvent: event
             });
-        } else if (event.touches.length === 2) {
-            // Two finger touch - start tracking pinch
-            this.startPinch(event.touches);
+        } else if (touches.length === 2) {
+            // Two finger touch - start tracking pinch, pan and rotation
+            this.startPinch(touches);
+            this.startTwoFinger(touches);
+        } else if (touches.length === 3) {
+            // Three fingers - possible swipe (two-finger gestures stop)
+            this.pinchStart = null;
+            this.twoFinger = null;
+            this.startThreeFinger();
         }
     }
 
@@ -199,9 +275,11 @@ export default class TouchSource extends InputSource {
             }
         }
 
+        const touches = this.getCanvasTouches(event);
+
         // [INP.3.3] Single finger - pan
-        if (event.touches.length === 1) {
-            const touch = event.touches[0];
+        if (touches.length === 1) {
+            const touch = touches[0];
             const tracked = this.touches.get(touch.identifier);
 
             if (tracked) {
@@ -223,9 +301,10 @@ export default class TouchSource extends InputSource {
             }
         }
 
-        // [INP.3.4] Two fingers - pinch/zoom
-        if (event.touches.length === 2) {
-            this.handlePinch(event.touches);
+        // [INP.3.4] Two fingers - pinch/zoom, pan, rotate
+        if (touches.length === 2) {
+            this.handlePinch(touches);
+            this.handleTwoFinger(touches);
         }
     }
 
@@ -235,11 +314,29 @@ export default class TouchSource extends InputSource {
      * @param {TouchEvent} event - Touch event
      */
     handleTouchEnd(event) {
+        // [INP.3.1] First finger of a three-finger gesture lifted: was it a swipe?
+        if (this.threeFinger) {
+            for (const touch of event.changedTouches) {
+                const tracked = this.touches.get(touch.identifier);
+                if (tracked) {
+                    tracked.currentX = touch.clientX;
+                    tracked.currentY = touch.clientY;
+                }
+            }
+            this.endThreeFinger(event);
+        }
+
         // [INP.3.1] Process each ended touch
         for (const touch of event.changedTouches) {
             const tracked = this.touches.get(touch.identifier);
             if (!tracked) continue;
 
+            // Fingers of a pinch/pan/three-finger swipe are not taps or swipes
+            if (tracked.multi) {
+                this.touches.delete(touch.identifier);
+                continue;
+            }
+
             const duration = Date.now() - tracked.startTime;
             const distance = Math.hypot(
                 touch.clientX - tracked.startX,
@@ -280,7 +377,7 @@ export default class TouchSource extends InputSource {
                 });
             }
 
-            // [INP.3.4] Detect swipe (fast movement)
+            // [INP.3.4] Detect swipe (fast movement); from a canvas edge it's an edge swipe
             else if (duration < this.thresholds.swipe.maxDuration &&
                      distance > this.thresholds.swipe.minDistance) {
 
@@ -291,8 +388,9 @@ export default class TouchSource extends InputSource {
 
                 this.sendInput({
                     source: 'touch',
-                    input: 'TouchSwipe',
+                    input: tracked.edge ? 'TouchEdgeSwipe' : 'TouchSwipe',
                     state: 'completed',
+                    ...(tracked.edge ? { edge: tracked.edge } : {}),
                     direction: this.getSwipeDirection(angle),
                     distance: distance,
                     duration: duration,
@@ -305,9 +403,10 @@ export default class TouchSource extends InputSource {
             this.touches.delete(touch.identifier);
         }
 
-        // [INP.3.6] Reset pinch if no more touches
-        if (event.touches.length < 2) {
+        // [INP.3.6] Reset pinch/pan/rotate if no more touches
+        if (this.getCanvasTouches(event).length < 2) {
             this.pinchStart = null;
+            this.twoFinger = null;
         }
     }
 
@@ -322,8 +421,10 @@ export default class TouchSource extends InputSource {
             this.touches.delete(touch.identifier);
         }
 
-        // [INP.3.2] Reset pinch
+        // [INP.3.2] Reset multi-finger gestures
         this.pinchStart = null;
+        this.twoFinger = null;
+        this.threeFinger = null;
     }
 
     /**
@@ -369,6 +470,173 @@ export default class TouchSource extends InputSource {
         });
     }
 
+    /**
+     * [INP.3] Start tracking two-finger pan and rotation
+     *
+     * @param {TouchList|Touch[]} touches - Two touches
+     */
+    startTwoFinger(touches) {
+        const angle = this.getAngle(touches);
+
+        this.twoFinger = {
+            startAngle: angle,
+            angle,
+            midX: (touches[0].clientX + touches[1].clientX) / 2,
+            midY: (touches[0].clientY + touches[1].clientY) / 2
+        };
+    }
+
+    /**
+     * [INP.3] Send two-finger pan and rotate events
+     *
+     * Both go out on every move; bindings pick what they need (they run alongside pinch).
+     *
+     * @param {TouchList|Touch[]} touches - Two touches
+     */
+    handleTwoFinger(touches) {
+        if (!this.twoFinger) return;
+
+        const midX = (touches[0].clientX + touches[1].clientX) / 2;
+        const midY = (touches[0].clientY + touches[1].clientY) / 2;
+        const position = { x: midX, y: midY };
+
+        // [INP.3.1] Pan: midpoint movement since the previous event
+        const dx = midX - this.twoFinger.midX;
+        const dy = midY - this.twoFinger.midY;
+        if (dx !== 0 || dy !== 0) {
+            this.sendInput({
+                source: 'touch',
+                input: 'TouchTwoFingerPan',
+                state: 'moved',
+                position,
+                delta: { x: dx, y: dy },
+                touchCount: 2,
+                originalEvent: null
+            });
+        }
+
+        // [INP.3.2] Rotate: angle of the line between the fingers (wrapped to -π..π)
+        const angle = this.getAngle(touches);
+        const change = this.wrapAngle(angle - this.twoFinger.angle);
+        if (change !== 0) {
+            this.sendInput({
+                source: 'touch',
+                input: 'TouchRotate',
+                state: 'changed',
+                value: this.wrapAngle(angle - this.twoFinger.startAngle),
+                delta: change,
+                position,
+                touchCount: 2,
+                originalEvent: null
+            });
+        }
+
+        this.twoFinger.angle = angle;
+        this.twoFinger.midX = midX;
+        this.twoFinger.midY = midY;
+    }
+
+    /**
+     * [INP.3] Start tracking a three-finger swipe (centroid of the tracked touches)
+     */
+    startThreeFinger() {
+        const { x, y } = this.getCentroid();
+        this.threeFinger = { startX: x, startY: y, startTime: Date.now() };
+    }
+
+    /**
+     * [INP.3] Send a three-finger swipe if the centroid moved far and fast enough
+     *
+     * Called when the first of the three fingers lifts.
+     *
+     * @param {TouchEvent} event - Touch end event
+     */
+    endThreeFinger(event) {
+        const gesture = this.threeFinger;
+        this.threeFinger = null;
+
+        const { x, y } = this.getCentroid();
+        const distance = Math.hypot(x - gesture.startX, y - gesture.startY);
+        const duration = Date.now() - gesture.startTime;
+        const limits = this.thresholds.threeFingerSwipe;
+
+        if (distance < limits.minDistance || duration > limits.maxDuration) {
+            return;
+        }
+
+        this.sendInput({
+            source: 'touch',
+            input: 'TouchThreeFingerSwipe',
+            state: 'completed',
+            direction: this.getSwipeDirection(Math.atan2(y - gesture.startY, x - gesture.startX)),
+            position: { x, y },
+            distance,
+            duration,
+            velocity: distance / Math.max(duration, 1),
+            touchCount: 3,
+            originalEvent: event
+        });
+    }
+
+    /**
+     * [INP.3] Touches on the canvas (touches elsewhere, e.g. on overlays, don't count)
+     *
+     * @param {TouchEvent} event - Touch event
+     * @returns {Touch[]}
+     */
+    getCanvasTouches(event) {
+        return Array.from(event.targetTouches || event.touches || []);
+    }
+
+    /**
+     * [INP.3] Canvas edge a touch starts on
+     *
+     * @param {number} x - Client X
+     * @param {number} y - Client Y
+     * @returns {string|null} 'left' | 'right' | 'top' | 'bottom' or null
+     */
+    getEdge(x, y) {
+        if (!this.canvas.getBoundingClientRect) return null;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const margin = this.thresholds.edgeSwipe.margin;
+
+        if (x - rect.left <= margin) return 'left';
+        if (rect.right - x <= margin) return 'right';
+        if (y - rect.top <= margin) return 'top';
+        if (rect.bottom - y <= margin) return 'bottom';
+        return null;
+    }
+
+    /**
+     * @param {TouchList|Touch[]} touches - Two touches
+     * @returns {number} Angle of the line from the first to the second touch (radians)
+     */
+    getAngle(touches) {
+        return Math.atan2(touches[1].clientY - touches[0].clientY, touches[1].clientX - touches[0].clientX);
+    }
+
+    /**
+     * @param {number} angle - Radians
+     * @returns {number} Same angle in -π..π
+     */
+    wrapAngle(angle) {
+        return Math.atan2(Math.sin(angle), Math.cos(angle));
+    }
+
+    /**
+     * @returns {{x: number, y: number}} Centroid of the tracked touches (current positions)
+     */
+    getCentroid() {
+        const tracked = Array.from(this.touches.values());
+        const count = Math.max(tracked.length, 1);
+
+        return {
+            x: tracked.reduce((sum, touch) => sum + touch.currentX, 0) / count,
+            y: tracked.reduce((sum, touch) => sum + touch.currentY, 0) / count
+        };
+    }
+
     /**
      * [INP.3] Get swipe direction from angle
      *
@@ -420,6 +688,8 @@ export default class TouchSource extends InputSource {
         // [INP.3.2] Clear touch tracking
         this.touches.clear();
         this.pinchStart = null;
+        this.twoFinger = null;
+        this.threeFinger = null;
 
         // [INP.3.3] Call parent dispose
         super.dispose();
@@ -0,0 +1,211 @@
+/**
+ * VirtualJoystickSource - On-screen dual joystick input
+ *
+ * @class VirtualJoystickSource
+ * @extends InputSource
+ *
+ * @description
+ * Turns the knob positions of an on-screen joystick pair into analog input,
+ * the same shape GamepadSource sends for its sticks. The overlay
+ * (ui/virtual-joystick.js) calls move()/release(); this class has no DOM, so
+ * it also runs headless.
+ *
+ * Features:
+ * - Left stick as two analog axes (moveForward / moveRight bindings)
+ * - Right stick as one 2D input with radial magnitude (lookAround binding)
+ * - 'moved' every animation frame while deflected, so holding the knob still
+ *   keeps walking/turning (and smoothing converges)
+ * - One 'released' with value 0 when the knob is let go
+ *
+ * Input Formats:
+ *
+ * Axis (left stick):
+ * {
+ *     source: 'joystick',
+ *     input: 'JoystickLeftX' | 'JoystickLeftY',
+ *     state: 'moved' | 'released',
+ *     value: number (-1 to 1, Y is positive forward)
+ * }
+ *
+ * Stick (right stick):
+ * {
+ *     source: 'joystick',
+ *     input: 'JoystickRight',
+ *     state: 'moved' | 'released',
+ *     value: number (0-1, deflection),
+ *     delta: { x, y } (-1 to 1, screen directions: y > 0 is down)
+ * }
+ *
+ * @example
+ * const joystickSource = new VirtualJoystickSource(inputManager);
+ * joystickSource.move('left', 0, -1);     // Knob pushed up: walk forward
+ * joystickSource.release('left');
+ *
+ * // Tests: no animation frames, send the held sticks yourself
+ * const source = new VirtualJoystickSource(inputManager, { autoPoll: false });
+ * source.move('right', 0.5, 0);
+ * source.poll();
+ *
+ * @tags [INP.3]
+ * @version 1.0.0
+ */
+
+import InputSource from './InputSource.js';
+
+// [INP.3] Stick names accepted by move()/release()
+const STICKS = ['left', 'right'];
+
+export default class VirtualJoystickSource extends InputSource {
+    /**
+     * [INP.3] Constructor
+     *
+     * @param {InputManager} inputManager - Reference to InputManager
+     * @param {Object} [options]
+     * @param {boolean} [options.autoPoll=true] - Repeat held sticks every animation frame
+     * @param {number} [options.restThreshold=0.05] - Deflection below this counts as rest
+     */
+    constructor(inputManager, options = {}) {
+        super(inputManager, 'joystick');
+
+        // [INP.3.1] Threshold
+        this.restThreshold = options.restThreshold ?? 0.05;
+
+        // [INP.3.2] Knob positions (-1..1, screen directions), null when let go
+        this.sticks = { left: null, right: null };
+
+        // [INP.3.3] Inputs currently deflected (a 'released' is owed when they rest)
+        this.active = new Set();
+
+        // [INP.3.4] Frame loop, only runs while a stick is held
+        this.autoPoll = options.autoPoll !== false && typeof requestAnimationFrame !== 'undefined';
+        this.frameId = null;
+        this.poll = this.poll.bind(this);
+
+        console.log('[INP.3] VirtualJoystickSource ready');
+    }
+
+    /**
+     * [INP.3] Set a knob position
+     *
+     * @param {string} stick - 'left' | 'right'
+     * @param {number} x - -1 (left) to 1 (right)
+     * @param {number} y - -1 (up) to 1 (down)
+     */
+    move(stick, x, y) {
+        if (!STICKS.includes(stick)) {
+            throw new Error(`[INP.3] Unknown joystick '${stick}' (left or right)`);
+        }
+
+        // [INP.3.1] Clamp to the unit circle (corners are not faster)
+        const length = Math.hypot(x, y);
+        const scale = length > 1 ? 1 / length : 1;
+        this.sticks[stick] = { x: x * scale, y: y * scale };
+
+        this.sendStick(stick);
+
+        if (this.autoPoll && this.frameId === null) {
+            this.frameId = requestAnimationFrame(this.poll);
+        }
+    }
+
+    /**
+     * [INP.3] Let go of a knob
+     *
+     * @param {string} stick - 'left' | 'right'
+     */
+    release(stick) {
+        if (!this.sticks[stick]) return;
+
+        this.sticks[stick] = { x: 0, y: 0 };
+        this.sendStick(stick);
+        this.sticks[stick] = null;
+    }
+
+    /**
+     * [INP.3] Let go of both knobs
+     */
+    releaseAll() {
+        STICKS.forEach(stick => this.release(stick));
+    }
+
+    /**
+     * [INP.3] Repeat the held sticks (every animation frame with autoPoll)
+     */
+    poll() {
+        this.frameId = null;
+
+        const held = STICKS.filter(stick => this.sticks[stick]);
+        held.forEach(stick => this.sendStick(stick));
+
+        if (this.autoPoll && held.length > 0) {
+            this.frameId = requestAnimationFrame(this.poll);
+        }
+    }
+
+    /**
+     * [INP.3] Send the inputs of one stick
+     *
+     * @param {string} stick - 'left' | 'right'
+     */
+    sendStick(stick) {
+        const { x, y } = this.sticks[stick];
+
+        if (stick === 'left') {
+            // [INP.3.1] One input per axis (Y inverted: up = forward = positive)
+            this.sendAxis('JoystickLeftX', x, Math.abs(x));
+            this.sendAxis('JoystickLeftY', -y, Math.abs(y));
+        } else {
+            // [INP.3.2] Radial magnitude + direction
+            const magnitude = Math.hypot(x, y);
+            this.sendAxis('JoystickRight', Math.min(1, magnitude), magnitude, { delta: { x, y } });
+        }
+    }
+
+    /**
+     * [INP.3] Send an analog input while deflected, and once on return to rest
+     *
+     * @param {string} input - Input identifier
+     * @param {number} value - Value to send
+     * @param {number} magnitude - Deflection used for the rest check
+     * @param {Object} [extra] - Extra event fields
+     */
+    sendAxis(input, value, magnitude, extra = {}) {
+        const deflected = magnitude >= this.restThreshold;
+
+        if (!deflected && !this.active.has(input)) {
+            return;  // Resting, release already sent
+        }
+
+        if (deflected) {
+            this.active.add(input);
+        } else {
+            this.active.delete(input);
+        }
+
+        this.sendInput({
+            source: 'joystick',
+            input,
+            state: deflected ? 'moved' : 'released',
+            value: deflected ? value : 0,
+            ...extra
+        });
+    }
+
+    /**
+     * [INP.3] Dispose and cleanup
+     */
+    dispose() {
+        // [INP.3.1] Stop the frame loop, release what is held
+        if (this.frameId !== null && typeof cancelAnimationFrame !== 'undefined') {
+            cancelAnimationFrame(this.frameId);
+        }
+        this.frameId = null;
+        this.releaseAll();
+        this.active.clear();
+
+        // [INP.3.2] Call parent dispose
+        super.dispose();
+
+        console.log('[INP.3] VirtualJoystickSource disposed');
+    }
+}
@@ -0,0 +1,698 @@
+/**
+ * @file CharacterController.js
+ * @description Kinematic character (capsule) that walks the camera: steps, slopes, jump, crouch
+ *
+ * @tags [CHR.*] Character controller
+ * @primary-tags [CHR.1] Capsule + camera, [CHR.3] Per-frame step
+ *
+ * @dependencies
+ *   - [CHR -> COL.2] Babylon collisions (moveWithCollisions against checkCollisions meshes)
+ *   - [CHR -> GRV.6] Gravity per position (gravityAt option, GravityPlugin.getGravityAtPosition)
+ *   - [CHR -> PHY] Pushes dynamic Havok bodies it walks into
+ *
+ * @affects
+ *   - Camera position (eye on top of the capsule)
+ *   - Camera orientation where up isn't world up (walls, planets): the view turns with the ground
+ *
+ * @events
+ *   - Emits: character:jumped, character:landed, character:crouched, character:stood
+ *
+ * @features
+ *   - Capsule collision (Babylon's collision ellipsoid around an invisible capsule mesh)
+ *   - Steps up to stepHeight, walks down them without falling
+ *   - Walkable slopes up to maxSlope, slides off steeper ones
+ *   - Jump with coyote time (late jump after leaving a ledge) and a short input buffer
+ *   - Crouch (lower capsule and eye, stays down under low ceilings)
+ *   - Rides moving and rotating platforms
+ *   - Pushes dynamic physics bodies
+ *   - Any gravity direction: "up" is against the gravity at the character's position,
+ *     and the view rolls over smoothly to match it
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+// [CHR.3] Collision tolerance (m): ground within this distance counts as touching
+const SKIN = 0.05;
+
+// [CHR.3] Longest frame simulated in one step (s) - tab switches must not fling the character
+const MAX_STEP = 0.1;
+
+// [CHR.2] Share of the remaining turn the view makes per frame when up changes
+const VIEW_EASE = 0.1;
+
+// [CHR] Kinematic character controller
+// Fed once per frame by MovementPlugin with the walking displacement of that frame
+class CharacterController {
+    constructor(scene, events, config = {}) {
+        this.scene = scene;
+        this.events = events;
+
+        // [CHR.1] Capsule size (m)
+        this.height = config.height ?? 1.8;
+        this.radius = config.radius ?? 0.35;
+        this.eyeHeight = config.eyeHeight ?? 1.6;         // Above the feet, standing
+        this.crouchHeight = config.crouchHeight ?? 1.0;
+
+        // [CHR.4] Terrain
+        this.stepHeight = config.stepHeight ?? 0.35;
+        this.maxSlope = (config.maxSlope ?? 45) * Math.PI / 180;
+
+        // [CHR.5] Jump
+        this.jumpHeight = config.jumpHeight ?? 1.0;
+        this.coyoteTime = config.coyoteTime ?? 0.15;      // s after leaving the ground
+        this.jumpBuffer = config.jumpBuffer ?? 0.1;       // s a press waits for the ground
+        this.maxFallSpeed = config.maxFallSpeed ?? 50;    // m/s
+
+        // [CHR.6] Crouch
+        this.crouchSpeed = config.crouchSpeed ?? 0.5;     // Walking speed factor while crouched
+
+        // [CHR.8] Pushing dynamic bodies (N while walking into them)
+        this.pushForce = config.pushForce ?? 40;
+
+        // [CHR.3] Gravity at a world position ({x, y, z}, m/s²)
+        this.gravityAt = config.gravityAt || (() => this.scene.gravity);
+
+        // [CHR.1] Capsule (created on attach)
+        this.capsule = null;
+        this.camera = null;
+        this.cameraSettings = null;       // Camera state restored on detach
+        this.lastCameraPosition = null;
+        this.enabled = false;
+
+        // [CHR.3] Motion state
+        this.up = new BABYLON.Vector3(0, 1, 0);
+        this.ellipsoidAxis = 'y';         // World axis the collision ellipsoid is stretched along
+        this.verticalSpeed = 0;           // m/s along up
+        this.currentHeight = this.height;
+        this.eye = this.eyeHeight;        // Smoothed eye height (crouch transition)
+        this.time = 0;                    // Simulated seconds (coyote time / buffer clock)
+
+        // [CHR.4] Ground
+        this.grounded = false;
+        this.ground = null;               // {mesh, normal, distance, point}
+        this.lastGroundedTime = -Infinity;
+
+        // [CHR.5] Jump input
+        this.jumpHeld = false;
+        this.jumpRequestedAt = -Infinity;
+
+        // [CHR.6] Crouch
+        this.crouching = false;
+
+        // [CHR.7] Platform under the feet and its world matrix last frame
+        this.platform = null;
+        this.platformMatrix = null;
+
+        // [CHR.8] Bodies hit while walking this frame
+        this.pushing = false;
+        this.pushed = new Set();
+        this.collideObserver = null;
+
+        // [CHR.2] View frame turned from world up to the local up (identity: world up)
+        // The camera's own rotation (mouse look) is applied inside it
+        this.viewRotation = BABYLON.Quaternion.Identity();
+        this.viewObserver = null;
+
+        // [CHR.4] Meshes the capsule stands on / bumps into
+        this.isSolid = (mesh) => mesh !== this.capsule &&
+            mesh.checkCollisions &&
+            mesh.isEnabled() &&
+            !mesh.metadata?.isTriggerZone &&
+            !mesh.metadata?.isGravityZone;
+    }
+
+    // ============================================================
+    // [CHR.1] Attach / detach
+    // ============================================================
+
+    // [CHR.1] Take over a camera: the capsule stands where the camera's eye is
+    attach(camera) {
+        if (this.enabled) {
+            this.detach();
+        }
+
+        this.camera = camera;
+        this.createCapsule();
+
+        // [CHR.1] The camera no longer moves itself (keys, own collisions, own gravity)
+        this.cameraSettings = {
+            checkCollisions: camera.checkCollisions,
+            applyGravity: camera.applyGravity,
+            rotationQuaternion: camera.rotationQuaternion || null,
+            upVector: camera.upVector?.clone() || null,
+            keys: ['keysUp', 'keysDown', 'keysLeft', 'keysRight', 'keysUpward', 'keysDownward']
+                .filter(key => Array.isArray(camera[key]))
+                .map(key => [key, camera[key]])
+        };
+        camera.checkCollisions = false;
+        camera.applyGravity = false;
+        this.cameraSettings.keys.forEach(([key]) => { camera[key] = []; });
+
+        // [CHR.2] Turn the view after the camera applied this frame's mouse look
+        this.viewObserver = camera.onAfterCheckInputsObservable?.add(() => this.updateView()) || null;
+
+        this.enabled = true;
+        this.updateUp();
+        this.teleportToCamera();
+
+        console.log('[CHR.1] Character controller attached');
+    }
+
+    // [CHR.1] Give the camera back
+    detach() {
+        if (!this.enabled) {
+            return;
+        }
+
+        const camera = this.camera;
+        if (camera && this.cameraSettings) {
+            camera.onAfterCheckInputsObservable?.remove(this.viewObserver);
+            this.resetView();
+            camera.checkCollisions = this.cameraSettings.checkCollisions;
+            camera.applyGravity = this.cameraSettings.applyGravity;
+            this.cameraSettings.keys.forEach(([key, value]) => { camera[key] = value; });
+        }
+
+        if (this.crouching) {
+            this.crouching = false;
+            this.currentHeight = this.height;
+        }
+
+        this.disposeCapsule();
+        this.viewObserver = null;
+        this.enabled = false;
+        this.camera = null;
+        this.cameraSettings = null;
+        this.platform = null;
+        this.platformMatrix = null;
+        this.grounded = false;
+
+        console.log('[CHR.1] Character controller detached');
+    }
+
+    // [CHR.1] Invisible capsule whose collision ellipsoid does the walking
+    createCapsule() {
+        this.capsule = BABYLON.MeshBuilder.CreateCapsule('characterCapsule', {
+            height: this.height,
+            radius: this.radius
+        }, this.scene);
+
+        this.capsule.isVisible = false;
+        this.capsule.isPickable = false;
+        this.capsule.checkCollisions = false;     // Others don't collide with the player
+        this.capsule.metadata = { isCharacter: true };
+        this.setEllipsoid(this.currentHeight);
+
+        // [CHR.8] Remember what the capsule runs into while walking
+        this.collideObserver = this.capsule.onCollideObservable.add((mesh) => {
+            if (this.pushing) {
+                this.pushed.add(mesh);
+            }
+        });
+    }
+
+    disposeCapsule() {
+        if (!this.capsule) {
+            return;
+        }
+
+        this.capsule.onCollideObservable.remove(this.collideObserver);
+        this.collideObserver = null;
+        this.capsule.dispose();
+        this.capsule = null;
+    }
+
+    // ============================================================
+    // [CHR.2] Position
+    // ============================================================
+
+    // [CHR.2] Feet position (bottom of the capsule)
+    getFeetPosition() {
+        return this.capsule.position.subtract(this.up.scale(this.currentHeight / 2));
+    }
+
+    // [CHR.2] Put the feet at a world position (no collision, vertical speed reset)
+    teleport(feetPosition) {
+        if (!this.capsule) {
+            return;
+        }
+
+        this.capsule.position.copyFrom(feetPosition.add(this.up.scale(this.currentHeight / 2)));
+        this.verticalSpeed = 0;
+        this.platform = null;
+        this.platformMatrix = null;
+        this.updateCamera(true);
+    }
+
+    // [CHR.2] Stand under the camera's current eye position
+    teleportToCamera() {
+        this.teleport(this.camera.position.subtract(this.up.scale(this.eye)));
+    }
+
+    // [CHR.2] Camera eye on top of the capsule
+    // snap: jump to the target eye height instead of easing into it (crouch)
+    updateCamera(snap = false) {
+        const targetEye = this.currentHeight - (this.height - this.eyeHeight);
+        this.eye = snap ? targetEye : this.eye + (targetEye - this.eye) * 0.25;
+
+        this.camera.position.copyFrom(this.getFeetPosition().addInPlace(this.up.scale(this.eye)));
+        this.lastCameraPosition = this.camera.position.clone();
+    }
+
+    // [CHR.2] Roll the view frame towards the local up, then look around inside it
+    // Runs after the camera's inputs, before its view matrix is built
+    updateView() {
+        const camera = this.camera;
+        const current = BABYLON.Vector3.Up().applyRotationQuaternion(this.viewRotation);
+        const cos = BABYLON.Vector3.Dot(current, this.up);
+        let axis = BABYLON.Vector3.Cross(current, this.up);
+
+        // Up flipped over completely: roll over sideways
+        if (axis.lengthSquared() < 1e-8 && cos < 0) {
+            axis = BABYLON.Vector3.Right().applyRotationQuaternion(this.viewRotation);
+        }
+
+        const angle = Math.atan2(axis.length(), cos);
+        if (angle > 1e-4) {
+            const turn = BABYLON.Quaternion.RotationAxis(axis.normalize(), angle * VIEW_EASE);
+            this.viewRotation = turn.multiply(this.viewRotation).normalize();
+        } else if (this.up.y > 1 - 1e-6) {
+            // Back on world up: the camera's own rotation takes over again
+            this.resetView();
+            return;
+        }
+
+        const look = BABYLON.Quaternion.RotationYawPitchRoll(camera.rotation.y, camera.rotation.x, camera.rotation.z);
+        camera.rotationQuaternion = this.viewRotation.multiply(look);
+        camera.upVector.copyFrom(BABYLON.Vector3.Up().applyRotationQuaternion(this.viewRotation));
+    }
+
+    // [CHR.2] Hand the view back to the camera's rotation
+    // A turn about world up left in the view frame is kept as yaw
+    resetView() {
+        const camera = this.camera;
+        const rotation = this.viewRotation;
+        if (rotation.x === 0 && rotation.y === 0 && rotation.z === 0) {
+            return;
+        }
+
+        camera.rotation.y += 2 * Math.atan2(rotation.y, rotation.w);
+        camera.rotationQuaternion = this.cameraSettings.rotationQuaternion;
+        if (this.cameraSettings.upVector) {
+            camera.upVector.copyFrom(this.cameraSettings.upVector);
+        }
+        this.viewRotation = BABYLON.Quaternion.Identity();
+    }
+
+    // ============================================================
+    // [CHR.3] Per-frame step
+    // ============================================================
+
+    // [CHR.3] Advance one frame
+    // displacement: walking movement of this frame (world units, vertical part ignored)
+    // intent: { jump, crouch } - held state of the jump / crouch inputs
+    step(displacement, intent = {}) {
+        if (!this.enabled || !this.camera) {
+            return;
+        }
+
+        const deltaTime = this.scene.getEngine().getDeltaTime() / 1000;
+        const dt = Math.min(deltaTime > 0 ? deltaTime : 1 / 60, MAX_STEP);
+        this.time += dt;
+
+        // [CHR.2] Camera moved by someone else (reset, framing, ground edge teleport): follow it
+        if (this.lastCameraPosition && BABYLON.Vector3.DistanceSquared(this.camera.position, this.lastCameraPosition) > 1e-6) {
+            this.teleportToCamera();
+        }
+
+        const gravity = this.updateUp();
+
+        // [CHR.7] Ride the platform first, then walk on it
+        this.followPlatform();
+
+        // [CHR.6] Crouch / stand up
+        this.updateCrouch(!!intent.crouch);
+
+        // [CHR.4] Walk (steps, slopes, pushes)
+        this.walk(displacement, dt);
+
+        // [CHR.5] Jump, then fall / rise
+        this.updateJump(!!intent.jump, gravity);
+        this.moveVertical(gravity, dt);
+
+        this.updateCamera();
+    }
+
+    // [CHR.3] Up = against gravity here (kept when gravity is zero); returns gravity strength
+    updateUp() {
+        const position = this.capsule?.position || this.camera?.position || BABYLON.Vector3.Zero();
+        const gravity = this.gravityAt(position) || { x: 0, y: 0, z: 0 };
+        const vector = new BABYLON.Vector3(gravity.x || 0, gravity.y || 0, gravity.z || 0);
+        const strength = vector.length();
+
+        if (strength > 1e-6) {
+            this.up = vector.scale(-1 / strength);
+        }
+
+        // [CHR.3] Stand the capsule along up
+        if (this.capsule) {
+            this.capsule.rotationQuaternion = this.capsule.rotationQuaternion || new BABYLON.Quaternion();
+            BABYLON.Quaternion.FromUnitVectorsToRef(BABYLON.Vector3.Up(), this.up, this.capsule.rotationQuaternion);
+
+            if (this.getUpAxis() !== this.ellipsoidAxis) {
+                this.setEllipsoid(this.currentHeight);
+            }
+        }
+
+        return strength;
+    }
+
+    // [CHR.3] World axis closest to up
+    getUpAxis() {
+        const x = Math.abs(this.up.x);
+        const y = Math.abs(this.up.y);
+        const z = Math.abs(this.up.z);
+        return x > y && x > z ? 'x' : (z > y ? 'z' : 'y');
+    }
+
+    // [CHR.3] moveWithCollisions, returns how far the capsule actually went
+    collide(displacement) {
+        const before = this.capsule.position.clone();
+        this.capsule.moveWithCollisions(displacement);
+        return this.capsule.position.subtract(before);
+    }
+
+    // [CHR.3] Part of a vector along the ground plane
+    horizontal(vector) {
+        return vector.subtract(this.up.scale(BABYLON.Vector3.Dot(vector, this.up)));
+    }
+
+    // ============================================================
+    // [CHR.4] Walking, steps and slopes
+    // ============================================================
+
+    // [CHR.4] Horizontal move with step-up and slope limits
+    walk(displacement, dt) {
+        let move = this.horizontal(displacement);
+        if (this.crouching) {
+            move.scaleInPlace(this.crouchSpeed);
+        }
+
+        // [CHR.4.2] Too steep to walk up: drop the part of the move that goes into the slope
+        if (this.ground && !this.isWalkable(this.ground.normal)) {
+            const downhill = this.horizontal(this.ground.normal);
+            if (downhill.lengthSquared() > 1e-6) {
+                downhill.normalize();
+                const into = BABYLON.Vector3.Dot(move, downhill);
+                if (into < 0) {
+                    move = move.subtract(downhill.scale(into));
+                }
+            }
+        }
+
+        const wanted = move.length();
+        if (wanted < 1e-6) {
+            return;
+        }
+
+        const start = this.capsule.position.clone();
+
+        // [CHR.8] Track what the capsule walks into
+        this.pushing = true;
+        this.pushed.clear();
+        const moved = this.horizontal(this.collide(move)).length();
+        this.pushing = false;
+
+        // [CHR.4.1] Blocked on the ground: maybe a step
+        if (moved < wanted * 0.9 && this.grounded && this.stepHeight > 0) {
+            this.tryStep(start, move, moved);
+        }
+
+        this.pushBodies(move, dt);
+    }
+
+    // [CHR.4.1] Step up: rise stepHeight, move, come back down onto walkable ground
+    // Kept only when it gets further than the blocked move did
+    tryStep(start, move, blockedDistance) {
+        const blocked = this.capsule.position.clone();
+
+        this.capsule.position.copyFrom(start);
+        const rise = BABYLON.Vector3.Dot(this.collide(this.up.scale(this.stepHeight)), this.up);
+        this.collide(move);
+        this.collide(this.up.scale(-(rise + SKIN)));
+
+        const advanced = this.horizontal(this.capsule.position.subtract(start)).length();
+        const ground = this.probeGround(SKIN * 2);
+
+        if (advanced > blockedDistance + 1e-3 && ground && this.isWalkable(ground.normal)) {
+            return true;
+        }
+
+        this.capsule.position.copyFrom(blocked);
+        return false;
+    }
+
+    // [CHR.4] Ground below the capsule within maxDistance of the feet (null if none)
+    probeGround(maxDistance) {
+        const halfHeight = this.currentHeight / 2;
+        const ray = new BABYLON.Ray(this.capsule.position.clone(), this.up.scale(-1), halfHeight + maxDistance);
+        const hit = this.scene.pickWithRay(ray, this.isSolid);
+
+        if (!hit?.hit) {
+            return null;
+        }
+
+        const normal = hit.getNormal(true, true) || this.up.clone();
+        return {
+            mesh: hit.pickedMesh,
+            normal: BABYLON.Vector3.Dot(normal, this.up) < 0 ? normal.scale(-1) : normal,
+            distance: hit.distance - halfHeight,
+            point: hit.pickedPoint
+        };
+    }
+
+    // [CHR.4.2] Slope angle within maxSlope
+    isWalkable(normal) {
+        return BABYLON.Vector3.Dot(normal, this.up) >= Math.cos(this.maxSlope) - 1e-6;
+    }
+
+    // ============================================================
+    // [CHR.5] Jump and gravity
+    // ============================================================
+
+    // [CHR.5] Jump on press (buffered), also shortly after walking off a ledge
+    updateJump(jumpHeld, gravity) {
+        if (jumpHeld && !this.jumpHeld) {
+            this.jumpRequestedAt = this.time;
+        }
+        this.jumpHeld = jumpHeld;
+
+        const requested = this.time - this.jumpRequestedAt <= this.jumpBuffer;
+        const onGround = this.grounded || this.time - this.lastGroundedTime <= this.coyoteTime;
+
+        if (!requested || !onGround || this.verticalSpeed > 0 || gravity <= 0) {
+            return;
+        }
+
+        this.verticalSpeed = Math.sqrt(2 * gravity * this.jumpHeight);
+        this.grounded = false;
+        this.lastGroundedTime = -Infinity;        // One jump per ground contact
+        this.jumpRequestedAt = -Infinity;
+
+        // [EVT.2] Emit jumped event
+        this.events?.emit('character:jumped', { position: this.getFeetPosition(), speed: this.verticalSpeed });
+    }
+
+    // [CHR.5] Fall / rise, then find out whether the capsule stands on something
+    moveVertical(gravity, dt) {
+        const wasGrounded = this.grounded;
+        let blockedBelow = false;
+
+        if (this.grounded && this.verticalSpeed <= 0) {
+            this.verticalSpeed = 0;
+        } else {
+            this.verticalSpeed = Math.max(this.verticalSpeed - gravity * dt, -this.maxFallSpeed);
+
+            const wanted = this.verticalSpeed * dt;
+            const moved = BABYLON.Vector3.Dot(this.collide(this.up.scale(wanted)), this.up);
+
+            if (Math.abs(moved) < Math.abs(wanted) * 0.5) {
+                if (wanted > 0) {
+                    this.verticalSpeed = 0;          // Head hit the ceiling
+                } else {
+                    blockedBelow = true;             // Landed (maybe on an edge the probe misses)
+                }
+            }
+        }
+
+        // [CHR.4] Ground check; walking down steps / slopes snaps to the ground below
+        const ground = this.probeGround(wasGrounded ? this.stepHeight : SKIN);
+        const walkable = ground && this.isWalkable(ground.normal);
+        const rising = this.verticalSpeed > 0;
+
+        if (!rising && walkable && ground.distance > SKIN && wasGrounded) {
+            this.collide(this.up.scale(-ground.distance));
+        }
+
+        this.ground = ground && (ground.distance <= SKIN || (wasGrounded && walkable)) ? ground : null;
+        this.grounded = !rising && (walkable || (blockedBelow && !ground)) && (this.ground !== null || blockedBelow);
+
+        if (this.grounded) {
+            this.lastGroundedTime = this.time;
+
+            if (!wasGrounded) {
+                // [EVT.2] Emit landed event
+                this.events?.emit('character:landed', {
+                    position: this.getFeetPosition(),
+                    speed: -this.verticalSpeed,
+                    mesh: this.ground?.mesh || null
+                });
+            }
+            this.verticalSpeed = 0;
+        }
+
+        // [CHR.7] What the feet stand on moves the character next frame
+        this.setPlatform(this.grounded ? this.ground?.mesh || null : null);
+    }
+
+    // ============================================================
+    // [CHR.6] Crouch
+    // ============================================================
+
+    // [CHR.6] Crouch while held; stand up when released and there is head room
+    updateCrouch(crouchHeld) {
+        if (crouchHeld && !this.crouching) {
+            this.setHeight(this.crouchHeight);
+            this.crouching = true;
+
+            // [EVT.2] Emit crouched event
+            this.events?.emit('character:crouched', { position: this.getFeetPosition() });
+        } else if (!crouchHeld && this.crouching && this.hasHeadroom()) {
+            this.setHeight(this.height);
+            this.crouching = false;
+
+            // [EVT.2] Emit stood event
+            this.events?.emit('character:stood', { position: this.getFeetPosition() });
+        }
+    }
+
+    // [CHR.6] Room above the crouched capsule to stand up
+    hasHeadroom() {
+        const halfHeight = this.currentHeight / 2;
+        const ray = new BABYLON.Ray(this.capsule.position.clone(), this.up.clone(), halfHeight + (this.height - this.currentHeight));
+        return !this.scene.pickWithRay(ray, this.isSolid)?.hit;
+    }
+
+    // [CHR.6] Change capsule height, feet stay where they are
+    setHeight(height) {
+        const feet = this.getFeetPosition();
+        this.currentHeight = height;
+        this.capsule.position.copyFrom(feet.add(this.up.scale(height / 2)));
+        this.setEllipsoid(height);
+    }
+
+    // [CHR.6] Collision ellipsoid for a height
+    // Babylon's ellipsoid doesn't rotate: the world axis closest to up gets the height
+    setEllipsoid(height) {
+        const axis = this.getUpAxis();
+        const half = height / 2;
+        this.capsule.ellipsoid = new BABYLON.Vector3(
+            axis === 'x' ? half : this.radius,
+            axis === 'y' ? half : this.radius,
+            axis === 'z' ? half : this.radius
+        );
+        this.ellipsoidAxis = axis;
+    }
+
+    // ============================================================
+    // [CHR.7] Moving platforms
+    // ============================================================
+
+    // [CHR.7] Move with the platform by as much as it moved since last frame
+    // (rotation included: a turning platform carries the character around its center)
+    followPlatform() {
+        if (!this.platform || this.platform.isDisposed()) {
+            this.platform = null;
+            return;
+        }
+
+        const current = this.platform.computeWorldMatrix(true).clone();
+        const delta = this.platformMatrix.clone().invert().multiply(current);
+        this.platformMatrix = current;
+
+        const feet = this.getFeetPosition();
+        const carried = BABYLON.Vector3.TransformCoordinates(feet, delta).subtract(feet);
+
+        // Moved directly: the platform already overlaps the feet when it rises
+        this.capsule.position.addInPlace(carried);
+    }
+
+    // [CHR.7] Remember the mesh under the feet
+    setPlatform(mesh) {
+        if (mesh === this.platform) {
+            return;
+        }
+
+        this.platform = mesh;
+        this.platformMatrix = mesh ? mesh.computeWorldMatrix(true).clone() : null;
+    }
+
+    // ============================================================
+    // [CHR.8] Pushing
+    // ============================================================
+
+    // [CHR.8] Push dynamic bodies the capsule walked into along the walking direction
+    pushBodies(move, dt) {
+        if (this.pushForce <= 0 || this.pushed.size === 0) {
+            return;
+        }
+
+        const direction = move.normalizeToNew();
+        const impulse = direction.scale(this.pushForce * dt);
+
+        this.pushed.forEach(mesh => {
+            const body = mesh.physicsBody;
+            if (!body || body.getMotionType?.() !== BABYLON.PhysicsMotionType.DYNAMIC) {
+                return;
+            }
+
+            // Push at the capsule's height on the body, not through the floor:
+            // the body center moved along up to the capsule center (kept within the body)
+            const box = mesh.getBoundingInfo().boundingBox;
+            const extent = box.extendSizeWorld;
+            const reach = Math.abs(extent.x * this.up.x) + Math.abs(extent.y * this.up.y) + Math.abs(extent.z * this.up.z);
+            const height = BABYLON.Vector3.Dot(this.capsule.position.subtract(box.centerWorld), this.up);
+            const point = box.centerWorld.add(this.up.scale(Math.max(-reach, Math.min(reach, height))));
+            body.applyImpulse(impulse, point);
+        });
+
+        this.pushed.clear();
+    }
+
+    // ============================================================
+    // [CHR] State
+    // ============================================================
+
+    // [CHR] Current state (debug panels, tests)
+    getState() {
+        return {
+            enabled: this.enabled,
+            grounded: this.grounded,
+            crouching: this.crouching,
+            verticalSpeed: this.verticalSpeed,
+            position: this.capsule ? this.getFeetPosition() : null,
+            ground: this.ground?.mesh?.name || null,
+            platform: this.platform?.name || null
+        };
+    }
+
+    // [CHR] Cleanup
+    dispose() {
+        this.detach();
+        this.events = null;
+    }
+}
+
+// [CHR] Export for CharacterPlugin
+export default CharacterController;
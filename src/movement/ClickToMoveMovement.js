@@ -9,14 +9,23 @@
  *   - [MOV.5 -> CAM] Requires active camera
  *   - [MOV.5 -> INT] Uses raycasting for click detection
  *   - [MOV.5 -> GRD] Ground must be pickable
+ *   - [MOV.5 -> NAV] NavMesh + Pathfinder route around obstacles
+ *   - [MOV.5 -> INP] Driven by walkTo action (click / tap)
  *
  * @affects
  *   - Camera position (moves to clicked point)
  *
+ * @events
+ *   - Emits: movement:target:set, movement:target:reached, movement:waypoint:reached,
+ *            movement:path:replanned, movement:path:failed
+ *   - Listens: ground:*, collision:*, object:*, gizmo:drag:end, transform:modal:confirm,
+ *              history:undo/redo, properties:changed (navmesh invalidation)
+ *
  * @features
- *   - Click-to-move with pathfinding-ready
- *   - Visual markers at click points
- *   - Height-locked movement (stays at camera Y)
+ *   - Click / tap-to-move with A* pathfinding around colliders
+ *   - Path smoothing, re-planning when obstacles move
+ *   - Visual markers at click points and waypoints
+ *   - Height-locked movement (stays at camera Y), or floor-following with a character controller
  *   - Speed control
  *   - Double-click for speed boost
  *
@@ -24,6 +33,29 @@
  * @created 2025-10-31
  */
 
+import NavMesh from './NavMesh.js';
+import Pathfinder from './Pathfinder.js';
+
+// [MOV.5.5] Events that change walkable area or obstacles
+const NAVMESH_INVALIDATING_EVENTS = [
+    'ground:created',
+    'ground:heightmap:ready',
+    'ground:rotation:changed',
+    'collision:simple:enabled',
+    'collision:physics:enabled',
+    'collision:physics:disabled',
+    'collision:unregistered',
+    'object:deleted',
+    'object:duplicated',
+    'object:restored',
+    'object:transform:pasted',
+    'gizmo:drag:end',
+    'transform:modal:confirm',
+    'history:undo',
+    'history:redo',
+    'properties:changed'
+];
+
 // [MOV.5] Click-to-move movement mode
 // [MOV.5 -> GRD.2.3] Requires ground to be pickable
 class ClickToMoveMovement {
@@ -48,19 +80,41 @@ class ClickToMoveMovement {
         this.lastClickTime = 0;
         this.doubleClickWindow = config.doubleClickWindow || 400; // ms
 
+        // [MOV.5.1] One touch fires both LeftClick and Tap - ignore the second
+        this.duplicateWindow = config.duplicateWindow || 100; // ms
+
         // [MOV.5] Visual markers
         this.showMarkers = config.showMarkers !== false;
         this.markerDuration = config.markerDuration || 1000; // ms
 
+        // [MOV.5.2] Floor-following (a character controller handles height): aim and
+        // measure distances on the ground plane only
+        this.followGround = false;
+        this.groundUp = null;
+
         // [MOV.5.4] Camera rotation settings
         // USER REQUIREMENT: Camera should face direction of movement
         this.rotateCameraToDirection = config.rotateCameraToDirection !== false;
         this.rotationSpeed = config.rotationSpeed || 0.1;
 
+        // [MOV.5.5] Navigation (pathfinding around obstacles)
+        const navConfig = config.navigation || {};
+        this.navigationEnabled = navConfig.enabled !== false;
+        this.navMesh = new NavMesh(scene, navConfig);
+        this.pathfinder = new Pathfinder(this.navMesh, navConfig);
+        this.showWaypoints = navConfig.showWaypoints !== false;
+        this.replanInterval = navConfig.replanInterval || 500; // ms between obstacle checks
+
+        // [MOV.5.5] Path state
+        this.destination = null;    // Final clicked point
+        this.path = [];             // Remaining waypoints after current target
+        this.waypointMarkers = [];  // Aligned with [target, ...path]
+        this.lastReplanCheck = 0;
+
         // [MOV.5] State
         this.enabled = false;
         this.camera = null;
-        this.observer = null;
+        this.navSubscriptions = [];
     }
 
     // [MOV.2.2] Activate movement mode
@@ -69,11 +123,10 @@ class ClickToMoveMovement {
         this.camera = camera;
         this.scene = scene;
 
-        // [MOV.5.1] Listen for pointer clicks
-        // [INT.2] Uses Babylon's pointer observable
-        this.observer = scene.onPointerObservable.add(
-            this.onClick.bind(this),
-            BABYLON.PointerEventTypes.POINTERPICK
+        // [MOV.5.5] Rebuild navmesh when scene layout changes
+        // Clicks arrive as walkTo actions via MovementPlugin
+        this.navSubscriptions = NAVMESH_INVALIDATING_EVENTS.map(event =>
+            this.events.on(event, () => this.navMesh.markDirty())
         );
 
         console.log('[MOV.5] Click-to-move activated');
@@ -83,82 +136,222 @@ class ClickToMoveMovement {
     deactivate() {
         this.enabled = false;
 
-        // Remove pointer observer
-        if (this.observer) {
-            this.scene.onPointerObservable.remove(this.observer);
-            this.observer = null;
-        }
+        // Stop listening for scene changes
+        this.navSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.navSubscriptions = [];
 
-        // Clear target
-        this.target = null;
+        // Clear target and path
+        this.clearTarget();
 
         console.log('[MOV.5] Click-to-move deactivated');
     }
 
-    // [MOV.5.1] Handle pointer click
-    // [MOV.5.1 -> GRD.2.3] Picks ground mesh
-    onClick(pointerInfo) {
-        if (!this.enabled) {
+    // [MOV.5.1] Handle walkTo action (LeftClick / Tap)
+    // [MOV.5.1 -> INP.2] Bound in ViewModeContext
+    walkTo(action) {
+        if (!this.enabled || !this.camera) {
             return;
         }
 
-        const event = pointerInfo.event;
+        const now = performance.now();
+        if (now - this.lastClickTime < this.duplicateWindow) {
+            return;
+        }
 
-        // [MOV.5.1] Only handle left clicks
-        if (event.button !== 0) {
+        const hit = this.resolveHit(action);
+        if (!hit) {
             return;
         }
 
-        const pick = pointerInfo.pickInfo;
+        // [MOV.5.1] Only move to ground or walkable surfaces
+        if (!this.navMesh.isWalkableSurface(hit.pickedMesh)) {
+            console.log(`[MOV.5.1] Clicked ${hit.pickedMesh.name} - not walkable, ignoring`);
+            return;
+        }
 
-        // [MOV.5.1] Check if click hit something pickable
-        if (pick && pick.hit && pick.pickedPoint && pick.pickedMesh) {
-            // [MOV.5.1] Only move to ground or walkable surfaces
-            // Check if mesh is ground or marked as walkable
-            const mesh = pick.pickedMesh;
-            const isGround = mesh.name === 'ground' || mesh.name.startsWith('chunk_');
-            const isWalkable = mesh.metadata && mesh.metadata.walkable === true;
+        // [MOV.5] Double-click detection
+        const isDoubleClick = (now - this.lastClickTime) < this.doubleClickWindow;
+        this.lastClickTime = now;
 
-            if (!isGround && !isWalkable) {
-                console.log(`[MOV.5.1] Clicked ${mesh.name} - not walkable, ignoring`);
-                return; // Don't move to non-walkable objects
-            }
+        // [MOV.5] Speed boost on double-click
+        if (isDoubleClick) {
+            this.speedMultiplier = 2.0;
+            setTimeout(() => {
+                this.speedMultiplier = 1.0;
+            }, 1000);
 
-            // [MOV.5.2] Set target position
-            this.target = pick.pickedPoint.clone();
+            console.log('[MOV.5] Double-click: speed boost!');
+        }
 
-            // [MOV.5.2] Lock to camera's current Y height
-            // Prevents camera from diving into ground or flying
-            this.target.y = this.camera.position.y;
+        this.moveTo(hit.pickedPoint, hit.pickedMesh);
+    }
 
-            // [MOV.5] Double-click detection
-            const now = performance.now();
-            const isDoubleClick = (now - this.lastClickTime) < this.doubleClickWindow;
-            this.lastClickTime = now;
+    // [MOV.5.1] Pick info for action (mouse sends hitInfo, touch only a position)
+    resolveHit(action) {
+        if (action.hitInfo?.hit && action.hitInfo.pickedPoint) {
+            return action.hitInfo;
+        }
 
-            // [MOV.5] Speed boost on double-click
-            if (isDoubleClick) {
-                this.speedMultiplier = 2.0;
-                setTimeout(() => {
-                    this.speedMultiplier = 1.0;
-                }, 1000);
+        if (!action.position) {
+            return null;
+        }
+
+        // MouseSource reports canvas coordinates, TouchSource reports client coordinates
+        let x = action.position.x;
+        let y = action.position.y;
+        if (action.source !== 'mouse') {
+            const rect = this.scene.getEngine().getRenderingCanvas().getBoundingClientRect();
+            x -= rect.left;
+            y -= rect.top;
+        }
+
+        const pick = this.scene.pick(x, y);
+        return pick && pick.hit && pick.pickedPoint && pick.pickedMesh ? pick : null;
+    }
 
-                console.log('[MOV.5] Double-click: speed boost!');
+    // [MOV.5.5] Walk to world point, following navmesh path
+    // RUNTIME: Usable by tours, scripted cameras, external control
+    // Returns false if the point cannot be reached
+    moveTo(point, pickedMesh = null) {
+        if (!this.camera) {
+            return false;
+        }
+
+        this.clearTarget();
+
+        let waypoints = null;
+
+        if (this.navigationEnabled) {
+            this.navMesh.update();
+
+            if (this.navMesh.isReady()) {
+                waypoints = this.pathfinder.findPath(this.camera.position, point);
+
+                if (!waypoints) {
+                    console.warn('[MOV.5.5] No path to target');
+                    this.events.emit('movement:path:failed', {
+                        destination: point.clone()
+                    });
+                    return false;
+                }
             }
+        }
+
+        // [MOV.5.5] No navmesh - straight line (original behaviour)
+        if (!waypoints) {
+            waypoints = [point.clone()];
+        }
+
+        if (waypoints.length === 0) {
+            console.log('[MOV.5.5] Already at closest reachable point');
+            return true;
+        }
+
+        this.destination = waypoints[waypoints.length - 1].clone();
+        this.setPath(waypoints);
+
+        // [MOV.5] Show visual marker
+        if (this.showMarkers) {
+            this.createMarker(waypoints.snapped ? this.destination : point);
+        }
+
+        // [EVT.2] Emit target set event
+        this.events.emit('movement:target:set', {
+            target: this.target,
+            destination: this.destination.clone(),
+            waypoints: waypoints.map(waypoint => waypoint.clone()),
+            pickedMesh
+        });
+
+        console.log(`[MOV.5.2] Move target set: (${this.destination.x.toFixed(1)}, ${this.destination.z.toFixed(1)}) via ${waypoints.length} waypoint(s)`);
+        return true;
+    }
+
+    // [MOV.5.5] Start following waypoints (replaces current path)
+    setPath(waypoints) {
+        this.clearPath();
+
+        this.path = waypoints.map(waypoint => waypoint.clone());
+
+        // [MOV.5.5] Waypoint markers (final point gets the click marker instead)
+        if (this.showWaypoints) {
+            this.waypointMarkers = this.path.map((waypoint, i) =>
+                i < this.path.length - 1
+                    ? this.createMarker(waypoint, { color: new BABYLON.Color3(0.2, 0.6, 1), radius: 0.2, duration: 0 })
+                    : null
+            );
+        }
+
+        this.advanceWaypoint();
+        this.lastReplanCheck = performance.now();
+    }
 
-            // [MOV.5] Show visual marker
-            if (this.showMarkers) {
-                this.createMarker(pick.pickedPoint);
+    // [MOV.5.5] Move on to next waypoint, returns false when path is done
+    advanceWaypoint() {
+        if (this.target) {
+            const marker = this.waypointMarkers.shift();
+            if (marker) {
+                marker.dispose(false, true);
             }
+        }
+
+        const next = this.path.shift();
+        if (!next) {
+            this.target = null;
+            return false;
+        }
+
+        // [MOV.5.2] Lock to camera's current Y height
+        // Prevents camera from diving into ground or flying
+        // (a character follows the ground itself, on walls too)
+        if (!this.followGround) {
+            next.y = this.camera.position.y;
+        }
+        this.target = next;
+        return true;
+    }
+
+    // [MOV.5.5] Re-plan if obstacles changed (throttled while walking)
+    checkReplan() {
+        const now = performance.now();
+        if (!this.navMesh.dirty && now - this.lastReplanCheck < this.replanInterval) {
+            return;
+        }
+        this.lastReplanCheck = now;
 
-            // [EVT.2] Emit target set event
-            this.events.emit('movement:target:set', {
-                target: this.target,
-                pickedMesh: pick.pickedMesh
+        if (!this.navMesh.update()) {
+            return;
+        }
+
+        const destination = this.destination;
+        const waypoints = this.navMesh.isReady()
+            ? this.pathfinder.findPath(this.camera.position, destination)
+            : [destination.clone()];
+
+        if (!waypoints) {
+            console.warn('[MOV.5.5] Path blocked - stopping');
+            this.clearTarget();
+            this.events.emit('movement:path:failed', {
+                destination: destination.clone()
             });
+            return;
+        }
 
-            console.log(`[MOV.5.2] Move target set: (${this.target.x.toFixed(1)}, ${this.target.y.toFixed(1)}, ${this.target.z.toFixed(1)})`);
+        if (waypoints.length === 0) {
+            this.clearTarget();
+            return;
         }
+
+        this.setPath(waypoints);
+        this.destination = waypoints[waypoints.length - 1].clone();
+
+        // [EVT.2] Emit path replanned
+        this.events.emit('movement:path:replanned', {
+            destination: this.destination.clone(),
+            waypoints: waypoints.map(waypoint => waypoint.clone())
+        });
+
+        console.log(`[MOV.5.5] Path re-planned: ${waypoints.length} waypoint(s)`);
     }
 
     // [MOV.3.1] Calculate velocity toward target
@@ -168,20 +361,41 @@ class ClickToMoveMovement {
             return BABYLON.Vector3.Zero();
         }
 
+        // [MOV.5.5] Obstacles may have moved since path was planned
+        if (this.destination && this.navigationEnabled) {
+            this.checkReplan();
+            if (!this.target) {
+                return BABYLON.Vector3.Zero();
+            }
+        }
+
         // [MOV.5.3] Calculate direction to target
-        const direction = this.target.subtract(this.camera.position);
-        const distance = direction.length();
+        let direction = this.getDirectionTo(this.target);
+        let distance = direction.length();
 
-        // [MOV.5.3] Stop if close enough
+        // [MOV.5.3] Next waypoint / stop if close enough
         if (distance < this.threshold) {
-            this.target = null;
-
-            // [EVT.2] Emit target reached
-            this.events.emit('movement:target:reached', {
-                position: this.camera.position.clone()
-            });
-
-            return BABYLON.Vector3.Zero();
+            const reached = this.target.clone();
+
+            if (this.advanceWaypoint()) {
+                // [EVT.2] Emit waypoint reached
+                this.events.emit('movement:waypoint:reached', {
+                    waypoint: reached,
+                    remaining: this.path.length + 1
+                });
+
+                direction = this.getDirectionTo(this.target);
+                distance = direction.length();
+            } else {
+                this.clearTarget();
+
+                // [EVT.2] Emit target reached
+                this.events.emit('movement:target:reached', {
+                    position: this.camera.position.clone()
+                });
+
+                return BABYLON.Vector3.Zero();
+            }
         }
 
         // [MOV.5.4] Rotate camera to face direction of movement
@@ -212,12 +426,33 @@ class ClickToMoveMovement {
         return direction.scale(effectiveSpeed);
     }
 
+    // [MOV.5.3] Camera → point (flat when following the ground: stairs and ramps change height)
+    // Flat means across the ground's up, which walls and planets turn
+    getDirectionTo(point) {
+        const direction = point.subtract(this.camera.position);
+        if (this.followGround) {
+            direction.subtractInPlace(this.groundUp.scale(BABYLON.Vector3.Dot(direction, this.groundUp)));
+        }
+        return direction;
+    }
+
+    // [MOV.5.2] RUNTIME: Follow the floor instead of holding the camera height
+    // up: the ground's up where the walker stands (default world up)
+    setFollowGround(enabled, up = null) {
+        this.followGround = enabled;
+        this.groundUp = up || BABYLON.Vector3.Up();
+    }
+
     // [MOV.5] Create visual marker at click point
-    createMarker(position) {
+    // options.duration: ms until disposed, 0 = caller disposes
+    createMarker(position, options = {}) {
+        const color = options.color || new BABYLON.Color3(0, 1, 0); // Green
+        const duration = options.duration !== undefined ? options.duration : this.markerDuration;
+
         // [MOV.5] Create disc marker
         const disc = BABYLON.MeshBuilder.CreateDisc(
             'clickMarker',
-            { radius: 0.5 },
+            { radius: options.radius || 0.5 },
             this.scene
         );
 
@@ -227,28 +462,37 @@ class ClickToMoveMovement {
 
         // [MOV.5] Create material
         const material = new BABYLON.StandardMaterial('markerMat', this.scene);
-        material.diffuseColor = new BABYLON.Color3(0, 1, 0); // Green
-        material.emissiveColor = new BABYLON.Color3(0, 0.5, 0);
+        material.diffuseColor = color;
+        material.emissiveColor = color.scale(0.5);
         disc.material = material;
 
         // [MOV.5] Not pickable (don't interfere with clicks)
         disc.isPickable = false;
 
-        // [MOV.5] Fade out and dispose
-        setTimeout(() => {
-            disc.dispose();
-        }, this.markerDuration);
+        // [MOV.5] Fade out and dispose (with material)
+        if (duration > 0) {
+            setTimeout(() => {
+                disc.dispose(false, true);
+            }, duration);
+        }
+
+        return disc;
     }
 
     // [MOV.5.2] RUNTIME: Set target position manually
     // EXTENSIBILITY: AI pathfinding, waypoints, external control
+    // Straight line, no pathfinding - use moveTo() to route around obstacles
     setTarget(position) {
+        this.clearTarget();
+
         this.target = position instanceof BABYLON.Vector3
             ? position.clone()
             : new BABYLON.Vector3(position.x, position.y, position.z);
 
-        // Lock Y to camera height
-        this.target.y = this.camera.position.y;
+        // Lock Y to camera height (unless a character follows the ground)
+        if (!this.followGround) {
+            this.target.y = this.camera.position.y;
+        }
 
         console.log('[MOV.5.2] Manual target set');
     }
@@ -270,6 +514,9 @@ class ClickToMoveMovement {
             enabled: this.enabled,
             hasTarget: this.target !== null,
             target: this.target ? this.target.clone() : null,
+            destination: this.destination ? this.destination.clone() : null,
+            waypoints: this.path.map(waypoint => waypoint.clone()),
+            navigationReady: this.navMesh.isReady(),
             speed: this.speed,
             speedMultiplier: this.speedMultiplier
         };
@@ -277,8 +524,22 @@ class ClickToMoveMovement {
 
     // [MOV.5.2] Clear target (stop movement)
     clearTarget() {
+        this.clearPath();
+        this.destination = null;
+    }
+
+    // [MOV.5.5] Drop current waypoints and their markers
+    clearPath() {
+        this.waypointMarkers.forEach(marker => marker && marker.dispose(false, true));
+        this.waypointMarkers = [];
+        this.path = [];
         this.target = null;
     }
+
+    // [MOV.5.5] RUNTIME: Force navmesh rebuild (e.g. after scripted scene changes)
+    invalidateNavigation() {
+        this.navMesh.markDirty();
+    }
 }
 
 // [MOV.5] Export for use in MovementPlugin
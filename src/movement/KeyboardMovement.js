@@ -7,14 +7,17 @@
  *
  * @dependencies
  *   - [MOV.4 -> CAM] Requires active camera
+ *   - [MOV.4 -> INP.5] Reads moveForward/.../moveDown actions (remappable bindings)
  *
  * @affects
  *   - Camera position (moves camera based on key input)
  *
  * @features
  *   - WASD + Arrow key support
- *   - Q/E for up/down movement
- *   - Customizable key bindings
+ *   - Space/Shift for up/down movement (Q/E without InputManager)
+ *   - Key bindings come from the input contexts, so user remapping applies
+ *   - Analog moveForward/moveRight values (gamepad stick, on-screen joystick) scale the speed
+ *   - Legacy raw-key mode (own key codes) when no InputManager is given
  *   - Speed multipliers
  *   - Camera-relative movement
  *
@@ -22,11 +25,44 @@
  * @created 2025-10-31
  */
 
+import { ANALOG_SOURCES } from '../input/InputManager.js';
+
+// [MOV.4.1] Movement direction → input action (ViewModeContext / EditModeContext)
+const DIRECTION_ACTIONS = {
+    forward: 'moveForward',
+    backward: 'moveBackward',
+    left: 'moveLeft',
+    right: 'moveRight',
+    up: 'moveUp',
+    down: 'moveDown'
+};
+
+// [MOV.4.1] Legacy numeric key codes (movement.keyboard.*Keys, setKeyBinding) → input key codes
+const LEGACY_KEY_CODES = {
+    8: 'Backspace', 9: 'Tab', 13: 'Enter', 16: 'ShiftLeft', 17: 'ControlLeft', 18: 'AltLeft',
+    27: 'Escape', 32: 'Space', 37: 'ArrowLeft', 38: 'ArrowUp', 39: 'ArrowRight', 40: 'ArrowDown'
+};
+
+// [MOV.4.1] Input key code for a legacy numeric key code (letters, digits, table above), null if unknown
+function toKeyCode(keyCode) {
+    if (keyCode >= 65 && keyCode <= 90) {
+        return `Key${String.fromCharCode(keyCode)}`;
+    }
+    if (keyCode >= 48 && keyCode <= 57) {
+        return `Digit${keyCode - 48}`;
+    }
+    return LEGACY_KEY_CODES[keyCode] || null;
+}
+
 // [MOV.4] Keyboard movement mode
 // [MOV.4 -> CAM.1] Requires camera for movement
 class KeyboardMovement {
-    constructor(config = {}) {
-        // [MOV.4.1] Key binding configuration
+    constructor(config = {}, inputManager = null) {
+        // [MOV.4 -> INP.1] Actions instead of raw keys when available
+        // One binding system: what the user remaps is what moves the camera
+        this.inputManager = inputManager;
+
+        // [MOV.4.1] Key binding configuration (legacy raw-key mode only)
         // Customizable - can be changed per scene/preference
         this.keys = {
             forward: config.forwardKeys || [87, 38],   // W, Up Arrow
@@ -48,6 +84,18 @@ class KeyboardMovement {
         // [MOV.4.2] Track pressed keys
         this.keysPressed = new Set();
 
+        // [MOV.4.2] Track active movement actions: action → inputs holding it
+        // (per input, so releasing ArrowUp doesn't stop W)
+        this.actionsPressed = new Map();
+        this.unsubscribers = [];
+
+        // [MOV.4.2] Analog movement values (gamepad stick): action → -1..1
+        this.analog = new Map();
+
+        if (inputManager && Object.keys(DIRECTION_ACTIONS).some(direction => config[`${direction}Keys`])) {
+            console.warn('[MOV.4.1] movement.keyboard.*Keys ignored - keys come from input bindings (inputManager.bindings)');
+        }
+
         // [MOV.4] Movement mode state
         this.enabled = false;
         this.camera = null;
@@ -61,6 +109,21 @@ class KeyboardMovement {
         this.camera = camera;
         this.scene = scene;
 
+        // [MOV.4.2 -> INP.1] Listen for movement actions
+        if (this.inputManager) {
+            this.unsubscribers.push(
+                this.inputManager.on('action', (action) => this.handleAction(action)),
+                // Release events arrive in the new context, where the key may mean something else
+                this.inputManager.on('context:changed', () => {
+                    this.actionsPressed.clear();
+                    this.analog.clear();
+                })
+            );
+
+            console.log('[MOV.4] Keyboard movement activated (input actions)');
+            return;
+        }
+
         // [MOV.4.2] Listen for key events
         this.onKeyDown = this.handleKeyDown.bind(this);
         this.onKeyUp = this.handleKeyUp.bind(this);
@@ -77,11 +140,15 @@ class KeyboardMovement {
         this.enabled = false;
 
         // Remove event listeners
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
         window.removeEventListener('keydown', this.onKeyDown);
         window.removeEventListener('keyup', this.onKeyUp);
 
         // Clear pressed keys
         this.keysPressed.clear();
+        this.actionsPressed.clear();
+        this.analog.clear();
 
         console.log('[MOV.4] Keyboard movement deactivated');
     }
@@ -96,6 +163,43 @@ class KeyboardMovement {
         this.keysPressed.delete(e.keyCode);
     }
 
+    // [MOV.4.2 -> INP.1] Track movement action press/release per input
+    handleAction(action) {
+        if (!Object.values(DIRECTION_ACTIONS).includes(action.name)) {
+            return;
+        }
+
+        // [MOV.4.2 -> INP.3] Analog axis: value (already dead-zoned/filtered) replaces on/off
+        if (action.state === 'moved' && typeof action.value === 'number') {
+            this.analog.set(action.name, action.value);
+            return;
+        }
+        if (this.analog.has(action.name) && action.state === 'released' && ANALOG_SOURCES.has(action.source)) {
+            this.analog.delete(action.name);
+            return;
+        }
+
+        if (!this.actionsPressed.has(action.name)) {
+            this.actionsPressed.set(action.name, new Set());
+        }
+
+        const inputs = this.actionsPressed.get(action.name);
+        if (action.state === 'released') {
+            inputs.delete(action.input);
+        } else if (action.state === 'pressed' || action.state === 'held') {
+            inputs.add(action.input);
+        }
+    }
+
+    // [MOV.4.2] Check if a movement direction is active
+    isDirectionActive(direction) {
+        if (this.inputManager) {
+            return this.actionsPressed.get(DIRECTION_ACTIONS[direction])?.size > 0;
+        }
+
+        return this.isKeyPressed(this.keys[direction]);
+    }
+
     // [MOV.3.1] Calculate velocity from key input
     // [MOV.4.3] Keyboard-specific velocity calculation
     // [MOV.4.3 -> CAM.1] Movement relative to camera direction
@@ -104,46 +208,66 @@ class KeyboardMovement {
             return BABYLON.Vector3.Zero();
         }
 
+        const { x, y, z } = this.getInputVector();
+        const velocity = new BABYLON.Vector3(x, y, z);
+
+        // [MOV.4.3] Transform to camera space
+        // Movement is relative to where camera is facing
+        if (this.camera.getViewMatrix) {
+            const camMatrix = this.camera.getViewMatrix().clone().invert();
+            const worldVelocity = BABYLON.Vector3.TransformNormal(velocity, camMatrix);
+
+            // Keep Y component for vertical movement
+            // (along the camera's up: walking on walls / planets turns it)
+            const up = this.camera.upVector || BABYLON.Vector3.Up();
+            const along = BABYLON.Vector3.Dot(worldVelocity, up);
+            worldVelocity.addInPlace(up.scale(velocity.y - along));
+
+            return worldVelocity;
+        }
+
+        return velocity;
+    }
+
+    // [MOV.4.3] Camera-local movement vector from active directions (per frame, speed applied)
+    // Plain object: no camera or Babylon needed (headless input replays, see tools/replay-input.mjs)
+    getInputVector() {
+        if (!this.enabled) {
+            return { x: 0, y: 0, z: 0 };
+        }
+
         // [MOV.4.3] Calculate movement vector
-        const velocity = new BABYLON.Vector3(0, 0, 0);
+        const velocity = { x: 0, y: 0, z: 0 };
         const effectiveSpeed = this.speed * this.speedMultiplier;
 
         // [MOV.4.3] Forward/backward movement
-        if (this.isKeyPressed(this.keys.forward)) {
+        if (this.isDirectionActive('forward')) {
             velocity.z += effectiveSpeed;
         }
-        if (this.isKeyPressed(this.keys.backward)) {
+        if (this.isDirectionActive('backward')) {
             velocity.z -= effectiveSpeed;
         }
 
+        // [MOV.4.3] Analog stick (forward/right axes, negative = backward/left)
+        velocity.z += effectiveSpeed * (this.analog.get(DIRECTION_ACTIONS.forward) || 0);
+        velocity.x += effectiveSpeed * (this.analog.get(DIRECTION_ACTIONS.right) || 0);
+
         // [MOV.4.3] Left/right strafe
-        if (this.isKeyPressed(this.keys.left)) {
+        if (this.isDirectionActive('left')) {
             velocity.x -= effectiveSpeed;
         }
-        if (this.isKeyPressed(this.keys.right)) {
+        if (this.isDirectionActive('right')) {
             velocity.x += effectiveSpeed;
         }
 
-        // [MOV.4.3] Up/down movement (Q/E keys)
-        if (this.isKeyPressed(this.keys.up)) {
+        // [MOV.4.3] Up/down movement (moveUp/moveDown actions, Q/E in raw-key mode)
+        if (this.isDirectionActive('up')) {
             velocity.y += effectiveSpeed;
         }
-        if (this.isKeyPressed(this.keys.down)) {
+        if (this.isDirectionActive('down')) {
             velocity.y -= effectiveSpeed;
         }
 
-        // [MOV.4.3] Transform to camera space
-        // Movement is relative to where camera is facing
-        if (this.camera.getViewMatrix) {
-            const camMatrix = this.camera.getViewMatrix().clone().invert();
-            const worldVelocity = BABYLON.Vector3.TransformNormal(velocity, camMatrix);
-
-            // Keep Y component for vertical movement
-            worldVelocity.y = velocity.y;
-
-            return worldVelocity;
-        }
-
         return velocity;
     }
 
@@ -168,11 +292,50 @@ class KeyboardMovement {
 
     // [MOV.4.1] RUNTIME: Customize key bindings
     // EXTENSIBILITY: User preferences, different control schemes
+    // [MOV.4.1 -> INP.5] With InputManager: rebinds the action's keyboard slots in every context
+    // (gamepad / joystick slots stay; keyCodes are key codes like 'KeyI' or legacy numbers like 87;
+    // throws on unknown numbers and on conflicts, see BindingManager.setBinding)
     setKeyBinding(action, keyCodes) {
-        if (this.keys.hasOwnProperty(action)) {
-            this.keys[action] = Array.isArray(keyCodes) ? keyCodes : [keyCodes];
-            console.log(`[MOV.4.1] Key binding updated: ${action}`, keyCodes);
+        if (!this.keys.hasOwnProperty(action)) {
+            return;
+        }
+
+        const codes = Array.isArray(keyCodes) ? keyCodes : [keyCodes];
+
+        if (this.inputManager) {
+            const actionName = DIRECTION_ACTIONS[action];
+            const bindings = this.inputManager.bindings;
+            const inputs = codes.map(code => {
+                if (typeof code !== 'number') {
+                    return code;
+                }
+                const input = toKeyCode(code);
+                if (!input) {
+                    throw new Error(`[MOV.4.1] Unknown key code ${code} for ${actionName}`);
+                }
+                return input;
+            });
+
+            for (const contextName of this.inputManager.contexts.keys()) {
+                const entry = bindings.getActions(contextName).find(a => a.action === actionName);
+                const keyboardSlots = entry?.slots.filter(({ source }) => source === 'keyboard') || [];
+
+                // [MOV.4.1] n-th key → n-th keyboard slot, leftover keyboard slots are unbound
+                keyboardSlots.forEach(({ slot }, index) => {
+                    if (inputs[index]) {
+                        bindings.setBinding(contextName, actionName, slot, { source: 'keyboard', input: inputs[index] });
+                    } else {
+                        bindings.unbind(contextName, actionName, slot);
+                    }
+                });
+            }
+
+            console.log(`[MOV.4.1] Key binding updated: ${actionName}`, inputs);
+            return;
         }
+
+        this.keys[action] = codes;
+        console.log(`[MOV.4.1] Key binding updated: ${action}`, keyCodes);
     }
 
     // [MOV.4] Get current state
@@ -181,7 +344,10 @@ class KeyboardMovement {
             enabled: this.enabled,
             speed: this.speed,
             speedMultiplier: this.speedMultiplier,
-            keysPressed: Array.from(this.keysPressed)
+            keysPressed: Array.from(this.keysPressed),
+            actionsPressed: Array.from(this.actionsPressed)
+                .filter(([, inputs]) => inputs.size > 0)
+                .map(([name]) => name)
         };
     }
 }
@@ -0,0 +1,374 @@
+/**
+ * @file NavMesh.js
+ * @description Grid navigation mesh built from walkable ground and static colliders
+ *
+ * @tags [NAV.1.*] Navigation mesh
+ * @primary-tags [NAV.1] Walkability grid
+ *
+ * @dependencies
+ *   - [NAV.1 -> GRD] Ground / walkable meshes define the navigable area
+ *   - [NAV.1 -> COL] Meshes with checkCollisions or a physics body are obstacles
+ *
+ * @affects
+ *   - [NAV.1 -> NAV.2] Pathfinder searches this grid
+ *   - [NAV.1 -> MOV.5] Click-to-move follows paths on this grid
+ *
+ * @features
+ *   - Walkable area = union of ground / walkable mesh footprints
+ *   - Obstacles rasterized from oriented bounding boxes, inflated by agent radius
+ *   - Only obstacles within the agent's height band block (low rugs, high beams pass)
+ *   - Change detection for moved / added / removed obstacles (re-planning)
+ *   - Line-of-sight test for path smoothing
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+// [NAV.1] Cell states
+const BLOCKED = 0;
+const WALKABLE = 1;
+
+// [NAV.1] Navigation grid
+class NavMesh {
+    constructor(scene, config = {}) {
+        this.scene = scene;
+
+        // [NAV.1.1] Grid resolution (world units per cell)
+        this.cellSize = config.cellSize || 0.5;
+
+        // [NAV.1.1] Cell budget - large grounds get coarser cells
+        this.maxCells = config.maxCells || 250000;
+
+        // [NAV.1.2] Agent size (camera collision ellipsoid)
+        this.agentRadius = config.agentRadius !== undefined ? config.agentRadius : 0.5;
+        this.agentHeight = config.agentHeight || 2;
+        this.stepHeight = config.stepHeight !== undefined ? config.stepHeight : 0.3;
+
+        // [NAV.1.3] Grid data (set by build())
+        this.cells = null;       // Uint8Array, BLOCKED / WALKABLE
+        this.cols = 0;
+        this.rows = 0;
+        this.originX = 0;
+        this.originZ = 0;
+        this.floorY = 0;
+
+        // [NAV.1.4] Obstacle snapshot for change detection: mesh -> center
+        this.obstacleSnapshot = new Map();
+
+        // [NAV.1.4] Set when scene changed and grid must be rebuilt
+        this.dirty = true;
+    }
+
+    // ============================================================
+    // [NAV.1.1] Build
+    // ============================================================
+
+    // [NAV.1.1] Rebuild grid from current scene
+    build() {
+        const surfaces = this.scene.meshes.filter(mesh => this.isWalkableSurface(mesh));
+
+        if (surfaces.length === 0) {
+            console.warn('[NAV.1] No walkable surfaces found - navigation disabled');
+            this.cells = null;
+            this.dirty = false;
+            return false;
+        }
+
+        // [NAV.1.1] Grid bounds = union of surface footprints
+        let minX = Infinity, minZ = Infinity, maxX = -Infinity, maxZ = -Infinity;
+        let floorY = -Infinity;
+        const footprints = surfaces.map(mesh => {
+            mesh.computeWorldMatrix(true);
+            const box = mesh.getBoundingInfo().boundingBox;
+
+            minX = Math.min(minX, box.minimumWorld.x);
+            minZ = Math.min(minZ, box.minimumWorld.z);
+            maxX = Math.max(maxX, box.maximumWorld.x);
+            maxZ = Math.max(maxZ, box.maximumWorld.z);
+            floorY = Math.max(floorY, box.maximumWorld.y);
+
+            return box;
+        });
+
+        // [NAV.1.1] Keep cell count within budget
+        const area = (maxX - minX) * (maxZ - minZ);
+        let cellSize = this.cellSize;
+        if (area / (cellSize * cellSize) > this.maxCells) {
+            cellSize = Math.sqrt(area / this.maxCells);
+            console.warn(`[NAV.1] Navigation area too large, using cell size ${cellSize.toFixed(2)}`);
+        }
+
+        this.activeCellSize = cellSize;
+        this.originX = minX;
+        this.originZ = minZ;
+        this.floorY = floorY;
+        this.cols = Math.max(1, Math.ceil((maxX - minX) / cellSize));
+        this.rows = Math.max(1, Math.ceil((maxZ - minZ) / cellSize));
+        this.cells = new Uint8Array(this.cols * this.rows);
+
+        // [NAV.1.1] Mark cells over a walkable footprint
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const x = this.originX + (col + 0.5) * cellSize;
+                const z = this.originZ + (row + 0.5) * cellSize;
+
+                const walkable = footprints.some(box =>
+                    x >= box.minimumWorld.x && x <= box.maximumWorld.x &&
+                    z >= box.minimumWorld.z && z <= box.maximumWorld.z
+                );
+
+                this.cells[row * this.cols + col] = walkable ? WALKABLE : BLOCKED;
+            }
+        }
+
+        // [NAV.1.2] Carve obstacles
+        this.obstacleSnapshot.clear();
+        const obstacles = this.getObstacles();
+        obstacles.forEach(mesh => {
+            this.rasterizeObstacle(mesh);
+            this.obstacleSnapshot.set(mesh, this.getObstacleKey(mesh));
+        });
+
+        this.dirty = false;
+
+        console.log(`[NAV.1] Navigation grid built: ${this.cols}x${this.rows} cells, ${obstacles.length} obstacle(s)`);
+        return true;
+    }
+
+    // [NAV.1.2] Block cells within agentRadius of obstacle's oriented box
+    rasterizeObstacle(mesh) {
+        const box = mesh.getBoundingInfo().boundingBox;
+        const reach = this.agentRadius;
+
+        // [NAV.1.2] Oriented box axes/half-extents (extendSizeWorld is axis-aligned)
+        const world = mesh.getWorldMatrix();
+        const local = [box.extendSize.x, box.extendSize.y, box.extendSize.z];
+        const obb = {
+            center: box.centerWorld,
+            directions: [],
+            extents: []
+        };
+        [BABYLON.Axis.X, BABYLON.Axis.Y, BABYLON.Axis.Z].forEach((axis, i) => {
+            const direction = BABYLON.Vector3.TransformNormal(axis, world);
+            obb.extents.push(direction.length() * local[i]);
+            obb.directions.push(direction.normalize());
+        });
+
+        const minCell = this.worldToCell(box.minimumWorld.x - reach, box.minimumWorld.z - reach, true);
+        const maxCell = this.worldToCell(box.maximumWorld.x + reach, box.maximumWorld.z + reach, true);
+
+        const point = new BABYLON.Vector3(0, box.centerWorld.y, 0);
+
+        for (let row = minCell.row; row <= maxCell.row; row++) {
+            for (let col = minCell.col; col <= maxCell.col; col++) {
+                const center = this.cellToWorld(col, row);
+                point.x = center.x;
+                point.z = center.z;
+
+                if (this.distanceToBox(point, obb) <= reach) {
+                    this.cells[row * this.cols + col] = BLOCKED;
+                }
+            }
+        }
+    }
+
+    // [NAV.1.2] Distance from point to oriented box (0 inside)
+    distanceToBox(point, obb) {
+        const offset = point.subtract(obb.center);
+        let distanceSquared = 0;
+
+        for (let axis = 0; axis < 3; axis++) {
+            const projection = BABYLON.Vector3.Dot(offset, obb.directions[axis]);
+            const excess = Math.abs(projection) - obb.extents[axis];
+
+            if (excess > 0) {
+                distanceSquared += excess * excess;
+            }
+        }
+
+        return Math.sqrt(distanceSquared);
+    }
+
+    // ============================================================
+    // [NAV.1.3] Scene classification
+    // ============================================================
+
+    // [NAV.1.3] Ground, infinite ground chunks, or meshes flagged walkable
+    isWalkableSurface(mesh) {
+        if (!mesh.isEnabled() || mesh.isDisposed()) return false;
+
+        return mesh.name === 'ground' ||
+            mesh.name.startsWith('chunk_') ||
+            mesh.metadata?.isGround === true ||
+            mesh.metadata?.walkable === true;
+    }
+
+    // [NAV.1.3] Colliders that stand in the agent's height band
+    isObstacle(mesh) {
+        if (!mesh.isEnabled() || mesh.isDisposed()) return false;
+        if (this.isWalkableSurface(mesh)) return false;
+        if (mesh.infiniteDistance || mesh.metadata?.isTriggerZone) return false;
+        if (!mesh.checkCollisions && !mesh.physicsBody) return false;
+
+        mesh.computeWorldMatrix(true);
+        const box = mesh.getBoundingInfo().boundingBox;
+
+        return box.maximumWorld.y > this.floorY + this.stepHeight &&
+            box.minimumWorld.y < this.floorY + this.agentHeight;
+    }
+
+    getObstacles() {
+        return this.scene.meshes.filter(mesh => this.isObstacle(mesh));
+    }
+
+    // [NAV.1.4] Quantized obstacle placement (moves below half a cell are ignored)
+    getObstacleKey(mesh) {
+        const box = mesh.getBoundingInfo().boundingBox;
+        const step = (this.activeCellSize || this.cellSize) / 2;
+        const q = (value) => Math.round(value / step);
+
+        return `${q(box.minimumWorld.x)},${q(box.minimumWorld.z)},${q(box.maximumWorld.x)},${q(box.maximumWorld.z)},${q(box.minimumWorld.y)}`;
+    }
+
+    // [NAV.1.4] True if any obstacle moved, appeared or disappeared since build()
+    hasObstaclesChanged() {
+        if (!this.cells) return this.dirty;
+
+        const obstacles = this.getObstacles();
+        if (obstacles.length !== this.obstacleSnapshot.size) return true;
+
+        return obstacles.some(mesh => this.obstacleSnapshot.get(mesh) !== this.getObstacleKey(mesh));
+    }
+
+    // [NAV.1.4] Request rebuild on next use
+    markDirty() {
+        this.dirty = true;
+    }
+
+    // [NAV.1.4] Rebuild if marked dirty or obstacles changed
+    // Returns true if the grid was rebuilt
+    update() {
+        if (this.dirty || this.hasObstaclesChanged()) {
+            this.build();
+            return true;
+        }
+        return false;
+    }
+
+    // ============================================================
+    // [NAV.1.5] Grid queries
+    // ============================================================
+
+    isReady() {
+        return this.cells !== null;
+    }
+
+    // [NAV.1.5] World XZ -> cell (clamp keeps result inside grid)
+    worldToCell(x, z, clamp = false) {
+        const size = this.activeCellSize || this.cellSize;
+        let col = Math.floor((x - this.originX) / size);
+        let row = Math.floor((z - this.originZ) / size);
+
+        if (clamp) {
+            col = Math.min(this.cols - 1, Math.max(0, col));
+            row = Math.min(this.rows - 1, Math.max(0, row));
+        }
+
+        return { col, row };
+    }
+
+    // [NAV.1.5] Cell center in world space (at floor height)
+    cellToWorld(col, row) {
+        const size = this.activeCellSize || this.cellSize;
+        return new BABYLON.Vector3(
+            this.originX + (col + 0.5) * size,
+            this.floorY,
+            this.originZ + (row + 0.5) * size
+        );
+    }
+
+    isInside(col, row) {
+        return col >= 0 && row >= 0 && col < this.cols && row < this.rows;
+    }
+
+    isWalkable(col, row) {
+        return this.isInside(col, row) && this.cells[row * this.cols + col] === WALKABLE;
+    }
+
+    // [NAV.1.5] Closest walkable cell (ring search), or null
+    findNearestWalkable(col, row, maxRadius = 20) {
+        const start = {
+            col: Math.min(this.cols - 1, Math.max(0, col)),
+            row: Math.min(this.rows - 1, Math.max(0, row))
+        };
+
+        if (this.isWalkable(start.col, start.row)) return start;
+
+        for (let radius = 1; radius <= maxRadius; radius++) {
+            let best = null;
+            let bestDistance = Infinity;
+
+            for (let dr = -radius; dr <= radius; dr++) {
+                for (let dc = -radius; dc <= radius; dc++) {
+                    // Only the ring at this radius
+                    if (Math.abs(dr) !== radius && Math.abs(dc) !== radius) continue;
+
+                    const c = start.col + dc;
+                    const r = start.row + dr;
+                    if (!this.isWalkable(c, r)) continue;
+
+                    const distance = dc * dc + dr * dr;
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = { col: c, row: r };
+                    }
+                }
+            }
+
+            if (best) return best;
+        }
+
+        return null;
+    }
+
+    // [NAV.1.5] Straight walk between two cells crosses only walkable cells
+    // Supercover traversal: corners count, so smoothed paths never clip obstacles
+    hasLineOfSight(from, to) {
+        let col = from.col;
+        let row = from.row;
+        const dc = Math.abs(to.col - from.col);
+        const dr = Math.abs(to.row - from.row);
+        const stepC = to.col > from.col ? 1 : -1;
+        const stepR = to.row > from.row ? 1 : -1;
+
+        let error = dc - dr;
+        const dc2 = dc * 2;
+        const dr2 = dr * 2;
+
+        for (let i = 0; i < dc + dr; i++) {
+            if (!this.isWalkable(col, row)) return false;
+
+            if (error > 0) {
+                col += stepC;
+                error -= dr2;
+            } else if (error < 0) {
+                row += stepR;
+                error += dc2;
+            } else {
+                // Exactly through a corner - both neighbours must be free
+                if (!this.isWalkable(col + stepC, row) || !this.isWalkable(col, row + stepR)) {
+                    return false;
+                }
+                col += stepC;
+                row += stepR;
+                error += dc2 - dr2;
+                i++;
+            }
+        }
+
+        return this.isWalkable(to.col, to.row);
+    }
+}
+
+// [NAV.1] Export for ClickToMoveMovement / Pathfinder
+export default NavMesh;
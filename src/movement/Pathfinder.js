@@ -0,0 +1,242 @@
+/**
+ * @file Pathfinder.js
+ * @description A* pathfinding with path smoothing on a NavMesh grid
+ *
+ * @tags [NAV.2.*] Pathfinding
+ * @primary-tags [NAV.2] A* search
+ *
+ * @dependencies
+ *   - [NAV.2 -> NAV.1] Searches NavMesh walkability grid
+ *
+ * @affects
+ *   - [NAV.2 -> MOV.5] Provides waypoints for click-to-move
+ *
+ * @features
+ *   - 8-way A* with octile heuristic
+ *   - No corner cutting past obstacles
+ *   - Line-of-sight smoothing (string pulling) removes zig-zags
+ *   - Unreachable targets snap to nearest walkable cell
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+const SQRT2 = Math.SQRT2;
+
+// [NAV.2.1] 8-way neighbour offsets [dc, dr, cost]
+const NEIGHBOURS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, SQRT2], [1, -1, SQRT2], [-1, 1, SQRT2], [-1, -1, SQRT2]
+];
+
+// [NAV.2.1] Binary min-heap of node indices keyed by f-score
+class OpenList {
+    constructor(scores) {
+        this.scores = scores;
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(index) {
+        const items = this.items;
+        items.push(index);
+
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.scores[items[parent]] <= this.scores[items[i]]) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length > 0) {
+            items[0] = last;
+
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+
+                if (left < items.length && this.scores[items[left]] < this.scores[items[smallest]]) smallest = left;
+                if (right < items.length && this.scores[items[right]] < this.scores[items[smallest]]) smallest = right;
+                if (smallest === i) break;
+
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+
+        return top;
+    }
+}
+
+// [NAV.2] Grid pathfinder
+class Pathfinder {
+    constructor(navMesh, config = {}) {
+        this.navMesh = navMesh;
+
+        // [NAV.2.1] Safety cap on expanded nodes per search
+        this.maxIterations = config.maxIterations || 50000;
+
+        // [NAV.2.2] Smooth path with line-of-sight checks
+        this.smoothing = config.smoothing !== false;
+    }
+
+    // [NAV.2] Find path between two world positions
+    // Returns array of world-space waypoints (excluding start), or null if unreachable
+    // result.snapped is true when the goal was moved to the nearest walkable cell
+    findPath(from, to) {
+        const nav = this.navMesh;
+        if (!nav.isReady()) return null;
+
+        const startRaw = nav.worldToCell(from.x, from.z);
+        const goalRaw = nav.worldToCell(to.x, to.z);
+
+        // [NAV.2.3] Start inside obstacle inflation (e.g. after an object moved) - step out
+        const start = nav.findNearestWalkable(startRaw.col, startRaw.row);
+        const goal = nav.findNearestWalkable(goalRaw.col, goalRaw.row);
+        if (!start || !goal) return null;
+
+        const snapped = goal.col !== goalRaw.col || goal.row !== goalRaw.row;
+
+        const cells = this.search(start, goal);
+        if (!cells) return null;
+
+        const smoothed = this.smoothing ? this.smooth(cells) : cells;
+
+        // [NAV.2] Convert to world space, first cell is where we stand
+        const waypoints = smoothed.slice(1).map(cell => nav.cellToWorld(cell.col, cell.row));
+
+        // [NAV.2] Use exact goal point when it is directly reachable
+        if (!snapped && waypoints.length > 0) {
+            const last = waypoints[waypoints.length - 1];
+            last.x = to.x;
+            last.z = to.z;
+        } else if (!snapped && waypoints.length === 0) {
+            waypoints.push(new BABYLON.Vector3(to.x, nav.floorY, to.z));
+        }
+
+        waypoints.snapped = snapped;
+        return waypoints;
+    }
+
+    // [NAV.2.1] A* over grid cells, returns cell list from start to goal
+    search(start, goal) {
+        const nav = this.navMesh;
+        const cols = nav.cols;
+        const count = nav.cols * nav.rows;
+
+        const startIndex = start.row * cols + start.col;
+        const goalIndex = goal.row * cols + goal.col;
+
+        if (startIndex === goalIndex) return [start];
+
+        const gScore = new Float32Array(count).fill(Infinity);
+        const fScore = new Float32Array(count).fill(Infinity);
+        const cameFrom = new Int32Array(count).fill(-1);
+        const closed = new Uint8Array(count);
+
+        // [NAV.2.1] Octile distance
+        const heuristic = (col, row) => {
+            const dc = Math.abs(col - goal.col);
+            const dr = Math.abs(row - goal.row);
+            return Math.max(dc, dr) + (SQRT2 - 1) * Math.min(dc, dr);
+        };
+
+        const open = new OpenList(fScore);
+        gScore[startIndex] = 0;
+        fScore[startIndex] = heuristic(start.col, start.row);
+        open.push(startIndex);
+
+        let iterations = 0;
+
+        while (open.size > 0) {
+            if (++iterations > this.maxIterations) {
+                console.warn('[NAV.2] Pathfinding aborted - iteration limit reached');
+                return null;
+            }
+
+            const current = open.pop();
+            if (current === goalIndex) {
+                return this.reconstruct(cameFrom, current);
+            }
+
+            // Heap may contain stale duplicates
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            const col = current % cols;
+            const row = (current - col) / cols;
+
+            for (const [dc, dr, cost] of NEIGHBOURS) {
+                const nc = col + dc;
+                const nr = row + dr;
+                if (!nav.isWalkable(nc, nr)) continue;
+
+                // [NAV.2.1] No corner cutting - both orthogonal cells must be free
+                if (dc !== 0 && dr !== 0 &&
+                    (!nav.isWalkable(col + dc, row) || !nav.isWalkable(col, row + dr))) {
+                    continue;
+                }
+
+                const neighbour = nr * cols + nc;
+                if (closed[neighbour]) continue;
+
+                const tentative = gScore[current] + cost;
+                if (tentative < gScore[neighbour]) {
+                    cameFrom[neighbour] = current;
+                    gScore[neighbour] = tentative;
+                    fScore[neighbour] = tentative + heuristic(nc, nr);
+                    open.push(neighbour);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    reconstruct(cameFrom, index) {
+        const cols = this.navMesh.cols;
+        const path = [];
+
+        while (index !== -1) {
+            const col = index % cols;
+            path.push({ col, row: (index - col) / cols });
+            index = cameFrom[index];
+        }
+
+        return path.reverse();
+    }
+
+    // [NAV.2.2] String pulling - keep only cells where line of sight breaks
+    smooth(cells) {
+        if (cells.length <= 2) return cells;
+
+        const nav = this.navMesh;
+        const result = [cells[0]];
+        let anchor = cells[0];
+
+        for (let i = 2; i < cells.length; i++) {
+            if (!nav.hasLineOfSight(anchor, cells[i])) {
+                anchor = cells[i - 1];
+                result.push(anchor);
+            }
+        }
+
+        result.push(cells[cells.length - 1]);
+        return result;
+    }
+}
+
+// [NAV.2] Export for ClickToMoveMovement
+export default Pathfinder;
@@ -10,6 +10,9 @@
  *   - [CAM -> COL] Collision system for camera collision
  *   - [CAM -> GRV] Gravity system for camera gravity
  *   - [CAM -> MOV] Movement system uses camera
+ *   - [CAM -> INP] Listens to action:focusSelection / action:frameAll
+ *   - [CAM -> INP] Listens to action:lookAround (sticks), action:panCamera / action:turnCamera (touch)
+ *   - [CAM -> INT] Frames InteractionPlugin selection
  *
  * @affects
  *   - MovementPlugin (camera position)
@@ -17,7 +20,7 @@
  *   - Rendering (active camera)
  *
  * @events
- *   - Emits: camera:created, camera:changed, camera:moved, camera:rotated
+ *   - Emits: camera:created, camera:changed, camera:moved, camera:rotated, camera:framed
  *   - Listens: (none - but external systems can request changes)
  *
  * @features
@@ -26,12 +29,18 @@
  *   - Smooth transitions and animations
  *   - Per-scene camera settings with runtime overrides
  *   - Action hooks for zones, triggers, external APIs
+ *   - Frame selection / whole scene (F, Shift+F) to fit the field of view
+ *   - Stick look (gamepad, on-screen joystick), two-finger pan and twist
  *
  * @author Development Team
  * @created 2025-10-31
  */
 
 import Plugin from '../core/Plugin.js';
+import { ANALOG_SOURCES } from '../input/InputManager.js';
+
+// [CAM.7] Pitch limit for first-person cameras (just under straight up/down)
+const MAX_PITCH = Math.PI / 2 - 0.05;
 
 // [CAM] Camera management system
 // [!CAM.2] CRITICAL: Active camera determines what user sees
@@ -48,6 +57,17 @@ class CameraPlugin extends Plugin {
 
         // [CAM.2.2] Current camera transition animation
         this.currentTransition = null;
+
+        // [CAM.6] Framing settings
+        this.framingDuration = 0.5;  // seconds
+        this.framingPadding = 1.2;   // >1 leaves margin around framed objects
+
+        // [CAM.7] Stick / touch camera control settings
+        this.lookSpeed = 2.5;        // radians per second at full stick deflection
+        this.panSpeed = 0.01;        // world units per pixel of two-finger drag
+
+        // [CAM.6] Action subscriptions (unsubscribe functions)
+        this.actionSubscriptions = [];
     }
 
     // [CAM.1] Initialize camera system
@@ -65,6 +85,32 @@ class CameraPlugin extends Plugin {
         // [CAM.2.1] Set as active camera
         this.setActiveCamera('main');
 
+        // [CAM.6] Framing configuration
+        const framingConfig = cameraConfig.framing || {};
+        this.framingDuration = framingConfig.duration ?? this.framingDuration;
+        this.framingPadding = framingConfig.padding ?? this.framingPadding;
+
+        // [CAM.7] Stick / touch configuration
+        this.lookSpeed = cameraConfig.lookSpeed ?? this.lookSpeed;
+        this.panSpeed = cameraConfig.panSpeed ?? this.panSpeed;
+
+        // [CAM.6 -> INP.4] Framing actions (F / Shift+F, context menu)
+        if (this.inputManager) {
+            this.actionSubscriptions.push(
+                this.inputManager.on('action:focusSelection', (action) => {
+                    if (action.state === 'pressed') this.frameSelection();
+                }),
+                this.inputManager.on('action:frameAll', (action) => {
+                    if (action.state === 'pressed') this.frameAll();
+                }),
+
+                // [CAM.7 -> INP.4] Stick look, two-finger pan / twist
+                this.inputManager.on('action:lookAround', (action) => this.handleLook(action)),
+                this.inputManager.on('action:panCamera', (action) => this.panCamera(action.delta)),
+                this.inputManager.on('action:turnCamera', (action) => this.turnCamera(action.delta))
+            );
+        }
+
         console.log(`[CAM.1] Camera system initialized: ${defaultType}`);
     }
 
@@ -387,6 +433,233 @@ class CameraPlugin extends Plugin {
         return animation;
     }
 
+    // ============================================================
+    // [CAM.6] Framing
+    // ============================================================
+
+    // [CAM.6] Frame selected meshes
+    frameSelection(duration = this.framingDuration) {
+        const interactionPlugin = this.getPlugin('interaction');
+        const meshes = interactionPlugin
+            ? interactionPlugin.getSelectedMeshes().filter(mesh => this.isFramingCandidate(mesh))
+            : [];
+
+        if (meshes.length === 0) {
+            console.log('[CAM.6] Nothing selected to frame');
+            return null;
+        }
+
+        return this.frameMeshes(meshes, duration);
+    }
+
+    // [CAM.6] Frame every visible scene object (ground and sky excluded)
+    frameAll(duration = this.framingDuration) {
+        const meshes = this.scene.meshes.filter(mesh => this.isFramingCandidate(mesh));
+
+        if (meshes.length === 0) {
+            console.log('[CAM.6] Nothing in scene to frame');
+            return null;
+        }
+
+        return this.frameMeshes(meshes, duration);
+    }
+
+    // [CAM.6] Animate active camera so meshes' bounding sphere fits the view
+    // Keeps the current viewing direction (ArcRotate keeps alpha/beta)
+    frameMeshes(meshes, duration = this.framingDuration) {
+        const camera = this.scene.activeCamera;
+        if (!camera) {
+            console.warn('[CAM.6] No active camera to frame with');
+            return null;
+        }
+
+        const sphere = this.getBoundingSphere(meshes);
+        if (!sphere) {
+            return null;
+        }
+
+        const distance = this.getFramingDistance(camera, sphere.radius);
+
+        if (camera instanceof BABYLON.ArcRotateCamera) {
+            // [CAM.6.1] Orbit camera: move pivot, zoom radius
+            const radius = Math.max(distance, camera.lowerRadiusLimit || 0);
+            if (camera.upperRadiusLimit && radius > camera.upperRadiusLimit) {
+                camera.upperRadiusLimit = radius;
+            }
+
+            this.animateProperty(camera, 'target', camera.target.clone(), sphere.center, duration);
+            this.animateProperty(camera, 'radius', camera.radius, radius, duration);
+        } else if (camera instanceof BABYLON.FollowCamera) {
+            console.warn('[CAM.6] Follow camera is driven by its target, framing skipped');
+            return null;
+        } else {
+            // [CAM.6.2] Universal / Free camera: back off along view direction
+            const direction = camera.getDirection(BABYLON.Axis.Z);
+            const position = sphere.center.subtract(direction.scale(distance));
+
+            if (duration > 0) {
+                this.moveCameraTo(position, duration);
+            } else {
+                camera.position.copyFrom(position);
+            }
+        }
+
+        // [EVT.2] Emit framed event
+        this.events.emit('camera:framed', {
+            camera,
+            center: sphere.center.clone(),
+            radius: sphere.radius,
+            distance,
+            count: meshes.length
+        });
+
+        console.log(`[CAM.6] Framing ${meshes.length} object(s) (radius ${sphere.radius.toFixed(2)})`);
+
+        return sphere;
+    }
+
+    // [CAM.6] Combined world-space bounding sphere of meshes
+    getBoundingSphere(meshes) {
+        let min = null;
+        let max = null;
+
+        meshes.forEach(mesh => {
+            mesh.computeWorldMatrix(true);
+            const box = mesh.getBoundingInfo().boundingBox;
+
+            min = min ? BABYLON.Vector3.Minimize(min, box.minimumWorld) : box.minimumWorld.clone();
+            max = max ? BABYLON.Vector3.Maximize(max, box.maximumWorld) : box.maximumWorld.clone();
+        });
+
+        if (!min) {
+            return null;
+        }
+
+        const center = BABYLON.Vector3.Center(min, max);
+        // Flat or point-sized objects still get some room
+        const radius = Math.max(BABYLON.Vector3.Distance(min, max) / 2, 0.5);
+
+        return { center, radius };
+    }
+
+    // [CAM.6] Distance at which a sphere fills the narrower field of view
+    getFramingDistance(camera, radius) {
+        const engine = this.scene.getEngine();
+        const verticalFov = camera.fov || 0.8;
+        const horizontalFov = 2 * Math.atan(Math.tan(verticalFov / 2) * engine.getAspectRatio(camera));
+        const fov = Math.min(verticalFov, horizontalFov);
+
+        const distance = (radius * this.framingPadding) / Math.sin(fov / 2);
+
+        // Never end up with the near plane cutting into the object
+        return Math.max(distance, radius + camera.minZ);
+    }
+
+    // [CAM.6] Meshes that count as scene content
+    isFramingCandidate(mesh) {
+        return mesh.isEnabled() &&
+            mesh.isVisible &&
+            !mesh.isDisposed() &&
+            mesh.getTotalVertices() > 0 &&
+            !mesh.infiniteDistance &&          // skybox
+            !mesh.metadata?.isGround &&
+            mesh.name !== 'ground' &&
+            mesh.name !== 'skybox' &&
+            !mesh.name.startsWith('chunk_') &&          // infinite ground
+            !mesh.name.startsWith('boundaryWall_');    // ground edge walls
+    }
+
+    // [CAM.6] Animate single camera property (same easing as moveCameraTo)
+    animateProperty(camera, property, from, to, duration) {
+        if (duration <= 0) {
+            camera[property] = to;
+            return null;
+        }
+
+        return BABYLON.Animation.CreateAndStartAnimation(
+            `cameraFrame_${property}`,
+            camera,
+            property,
+            60,
+            duration * 60,
+            from,
+            to,
+            BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT,
+            new BABYLON.QuadraticEase()
+        );
+    }
+
+    // ============================================================
+    // [CAM.7] Stick and touch control
+    // ============================================================
+
+    // [CAM.7] Rotate the active camera from a stick (gamepad right stick, on-screen joystick)
+    // Mouse/touch drags also map to lookAround, but Babylon's attached controls already
+    // turn the camera for those - only analog sources are handled here
+    handleLook(action) {
+        if (action.state !== 'moved' || !ANALOG_SOURCES.has(action.source) || !action.delta) {
+            return;
+        }
+
+        const length = Math.hypot(action.delta.x, action.delta.y);
+        if (length === 0) return;
+
+        // [CAM.7.1] Direction from the raw stick, amount from the filtered value (curve, smoothing)
+        const dt = Math.min(this.scene.getEngine().getDeltaTime() / 1000, 0.1);
+        const amount = action.value * this.lookSpeed * dt;
+
+        this.rotateCamera((action.delta.x / length) * amount, (action.delta.y / length) * amount);
+    }
+
+    // [CAM.7] Yaw / pitch the active camera by radians (pitch > 0 looks down)
+    rotateCamera(yaw, pitch) {
+        const camera = this.scene.activeCamera;
+        if (!camera) return;
+
+        if (camera instanceof BABYLON.ArcRotateCamera) {
+            // [CAM.7.1] Orbit camera: swing around the target (beta stays within its limits)
+            camera.alpha -= yaw;
+            camera.beta = this.clampBeta(camera, camera.beta - pitch);
+        } else if (camera.rotation) {
+            // [CAM.7.2] First-person cameras: stop short of looking straight up/down
+            camera.rotation.y += yaw;
+            camera.rotation.x = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, camera.rotation.x + pitch));
+        }
+    }
+
+    // [CAM.7] Move the active camera sideways/up with a two-finger drag
+    // The scene follows the fingers: dragging right moves the camera left
+    panCamera(delta) {
+        const camera = this.scene.activeCamera;
+        if (!camera || !delta) return;
+
+        const right = camera.getDirection(BABYLON.Axis.X);
+        const up = camera.getDirection(BABYLON.Axis.Y);
+        const offset = right.scale(-delta.x * this.panSpeed).add(up.scale(delta.y * this.panSpeed));
+
+        if (camera instanceof BABYLON.ArcRotateCamera) {
+            // [CAM.7.1] Orbit camera: move the pivot, the camera follows
+            camera.target = camera.target.add(offset);
+        } else {
+            camera.position.addInPlace(offset);
+        }
+    }
+
+    // [CAM.7] Turn the active camera with a two-finger twist (radians, clockwise > 0)
+    turnCamera(radians) {
+        if (typeof radians !== 'number') return;
+
+        // The scene follows the fingers: a clockwise twist turns the view left
+        this.rotateCamera(-radians, 0);
+    }
+
+    // [CAM.7] ArcRotate beta within the camera's own limits (never through the poles)
+    clampBeta(camera, beta) {
+        const lower = camera.lowerBetaLimit ?? 0.01;
+        const upper = camera.upperBetaLimit ?? Math.PI - 0.01;
+        return Math.max(lower, Math.min(upper, beta));
+    }
+
     // [CAM.4] RUNTIME: Set camera properties
     // EXTENSIBILITY: External systems can adjust camera settings
     setCameraProperty(property, value) {
@@ -498,6 +771,15 @@ class CameraPlugin extends Plugin {
 
         console.log(`[CAM.4] Camera state restored: ${name}`);
     }
+
+    // [PLG.4] Dispose plugin
+    dispose() {
+        // [CAM.6] Remove action listeners
+        this.actionSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.actionSubscriptions = [];
+
+        super.dispose();
+    }
 }
 
 // [CAM] Export for registration with engine
@@ -0,0 +1,176 @@
+/**
+ * @file CharacterPlugin.js
+ * @description Walks the active camera with a kinematic character controller in view mode
+ *
+ * @tags [CHR.*] Character tags
+ * @primary-tags [CHR.9] Activation
+ *
+ * @dependencies
+ *   - [CHR -> PLG] Extends Plugin base class
+ *   - [CHR -> MOV] MovementPlugin feeds the controller every frame (keyboard, click-to-move)
+ *   - [CHR -> COL.6] The capsule is the collision / trigger player while walking
+ *   - [CHR -> GRV.6] Gravity per position from GravityPlugin (optional)
+ *
+ * @affects
+ *   - Active camera (no own collisions / gravity / keys while the character walks it)
+ *
+ * @events
+ *   - Subscribes: mode:changed, camera:changed
+ *   - Emits: character:enabled, character:disabled (controller: character:jumped,
+ *     character:landed, character:crouched, character:stood)
+ *
+ * @features
+ *   - Replaces camera-ellipsoid walking with a capsule character
+ *   - Active in the configured modes only (view by default), flying camera otherwise
+ *   - Follows camera switches (orbit cameras are never walked)
+ *   - Runtime walk/fly switch (setWalkEnabled); disabling the plugin (module stop) flies too
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+import Plugin from '../core/Plugin.js';
+import CharacterController from '../movement/CharacterController.js';
+
+// [CHR] Character plugin
+class CharacterPlugin extends Plugin {
+    constructor() {
+        super('character');
+
+        // [CHR.9] Settings (walkEnabled: walk or fly; the Plugin enabled flag also has to be on)
+        this.walkEnabled = true;
+        this.modes = ['view'];
+        this.settings = {};   // Controller settings (character config minus enabled / modes)
+
+        // [CHR.9] Runtime state
+        this.controller = null;
+        this.mode = 'edit';
+
+        this.eventSubscriptions = [];
+    }
+
+    // [PLG.1.2] Initialize plugin
+    init(scene, events, config, inputManager) {
+        super.init(scene, events, config, inputManager);
+
+        // [CFG.2] Read character config
+        const { enabled, modes, ...settings } = config.character || {};
+        this.walkEnabled = enabled ?? this.walkEnabled;
+        this.modes = modes || this.modes;
+        this.settings = settings;
+
+        console.log('[CHR] Character configuration loaded');
+    }
+
+    // [PLG.2.1] Start plugin
+    start() {
+        super.start();
+
+        // [CHR.3 -> GRV.6] "Up" follows the gravity where the character stands
+        this.controller = new CharacterController(this.scene, this.events, {
+            ...this.settings,
+            gravityAt: (position) => this.getPlugin('gravity')?.getGravityAtPosition(position) || this.scene.gravity
+        });
+
+        // [CHR -> MOV.7] Movement steps the controller instead of moving the camera
+        this.getPlugin('movement')?.setCharacter(this.controller);
+
+        this.mode = this.scene.metadata?.mode || 'edit';
+
+        this.eventSubscriptions.push(
+            this.events.on('mode:changed', (data) => {
+                this.mode = data.mode;
+                this.updateActivation();
+            }),
+
+            // [CHR.9] Walk the new camera (or stop, for orbit cameras)
+            this.events.on('camera:changed', () => this.updateActivation())
+        );
+
+        this.updateActivation();
+
+        console.log('[CHR] Character controller ready');
+    }
+
+    // ============================================================
+    // [CHR.9] Activation
+    // ============================================================
+
+    // [CHR.9] Attach to / detach from the active camera to match enabled, walk switch, mode and camera type
+    updateActivation() {
+        const controller = this.controller;
+        if (!controller) {
+            return;
+        }
+
+        const camera = this.scene.activeCamera;
+        const walkable = camera && !(camera instanceof BABYLON.ArcRotateCamera);
+        const active = this.enabled && this.walkEnabled && this.modes.includes(this.mode) && walkable;
+
+        if (active && controller.enabled && controller.camera === camera) {
+            return;
+        }
+
+        if (active) {
+            controller.attach(camera);
+
+            // [CHR -> COL.6] Collision / trigger events are about the capsule now
+            this.getPlugin('collision')?.setPlayer(controller.capsule);
+
+            // [EVT.2] Emit enabled event
+            this.events.emit('character:enabled', { camera, capsule: controller.capsule });
+        } else if (controller.enabled) {
+            controller.detach();
+            this.getPlugin('collision')?.setPlayer(null);
+
+            // [EVT.2] Emit disabled event
+            this.events.emit('character:disabled', {});
+        }
+    }
+
+    // [CHR.9] RUNTIME: Walk (true) or fly (false) in the configured modes
+    setWalkEnabled(enabled) {
+        this.walkEnabled = enabled;
+        this.updateActivation();
+
+        console.log(`[CHR.9] Character walking ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    // [PLG.1.4] Enable plugin (module start): walk again if the walk switch is on
+    enable() {
+        super.enable();
+        this.updateActivation();
+    }
+
+    // [PLG.1.4] Disable plugin (module stop): give the camera back
+    disable() {
+        super.disable();
+        this.updateActivation();
+    }
+
+    // [CHR.9] Controller (state, teleport, settings)
+    getController() {
+        return this.controller;
+    }
+
+    // [PLG.3] Dispose plugin
+    dispose() {
+        this.eventSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.eventSubscriptions = [];
+
+        if (this.controller) {
+            if (this.controller.enabled) {
+                this.getPlugin('collision')?.setPlayer(null);
+            }
+            this.getPlugin('movement')?.setCharacter(null);
+            this.controller.dispose();
+            this.controller = null;
+        }
+
+        super.dispose();
+        console.log('[CHR] Character plugin disposed');
+    }
+}
+
+// [CHR] Export for registration with engine
+export default CharacterPlugin;
@@ -10,6 +10,9 @@
  *   - [COL -> PHY] Physics engine (Havok)
  *   - [COL -> GRV] Gravity system for physics bodies
  *   - [COL -> CAM] Camera collision detection
+ *   - [COL -> INP] Listens to action:togglePhysics
+ *   - [COL -> CTX] Registers "Enable/Disable Physics" context menu entry
+ *   - [COL.6] ContactTracker (src/collision) for enter/stay/exit bookkeeping
  *
  * @affects
  *   - CameraPlugin (camera collision)
@@ -18,6 +21,8 @@
  *
  * @events
  *   - Emits: collision:ready, collision:enabled, physics:enabled, collision:object:configured
+ *   - Emits: collision:enter, collision:stay, collision:exit (contacts)
+ *   - Emits: trigger:enter, trigger:stay, trigger:exit (trigger zones)
  *   - Listens: (none - but external systems can request changes)
  *
  * @features
@@ -25,13 +30,15 @@
  *   - Per-object collision properties
  *   - Runtime enable/disable per mesh
  *   - Custom physics materials per object
- *   - Future-ready for collision events, triggers
+ *   - Collision enter/stay/exit events (simple checkCollisions and Havok bodies)
+ *   - Trigger zones with enter/stay/exit (camera/player, tracked meshes, physics bodies)
  *
  * @author Development Team
  * @created 2025-10-31
  */
 
 import Plugin from '../core/Plugin.js';
+import ContactTracker from '../collision/ContactTracker.js';
 
 // [COL] Collision system with runtime flexibility
 // [!COL.1] CRITICAL: Must initialize before creating meshes with collision
@@ -50,6 +57,30 @@ class CollisionPlugin extends Plugin {
 
         // [COL.5] Per-object collision tracking
         this.objectCollisionSettings = new WeakMap();
+
+        // [COL.7] Action subscriptions / menu entries (unsubscribe functions)
+        this.unsubscribers = [];
+
+        // [COL.6] Contact events (trackers are created in start() unless collision.events is false)
+        this.contacts = null;             // ContactTracker: collisions
+        this.occupancy = null;            // ContactTracker: trigger zone (a) / occupant (b)
+        this.emitStay = true;             // collision:stay / trigger:stay on the event bus
+        this.frameObserver = null;
+
+        // [COL.6.1] Per-node collision callbacks: node -> Set<callback>
+        this.collisionCallbacks = new Map();
+
+        // [COL.6.2] Trigger zones: mesh -> { onEnter, onStay, onExit, aggregate }
+        this.triggerZones = new Map();
+
+        // [COL.6.3] Participants: the player (active camera unless setPlayer()) + tracked meshes
+        this.player = null;
+        this.hookedPlayer = null;         // { node, previousOnCollide }
+        this.participants = new Set();
+        this.meshObservers = new Map();   // mesh -> onCollideObservable observer
+
+        // [COL.6.4] Havok observers: [observable, observer]
+        this.physicsObservers = [];
     }
 
     // [!COL.1] Initialize collision system
@@ -62,10 +93,18 @@ class CollisionPlugin extends Plugin {
         const collisionConfig = this.config.collision || {};
         this.mode = collisionConfig.mode || 'hybrid';
 
+        // [COL.7] Physics toggle from context menu
+        this.setupPhysicsToggle();
+
         // [!COL.1.1] Enable scene-level Babylon collision
         // [COL.1.1 -> CAM.5] Required for camera collision
         this.scene.collisionsEnabled = true;
 
+        // [COL.6] Collision / trigger events (before physics, so its observers attach)
+        if (collisionConfig.events !== false) {
+            this.setupContactEvents(collisionConfig.events || {});
+        }
+
         // [!COL.1.2] Initialize physics if needed
         // [COL.1.2 -> PHY.1] Loads physics engine
         if (this.mode === 'physics' || this.mode === 'hybrid') {
@@ -107,6 +146,11 @@ class CollisionPlugin extends Plugin {
 
             this.physicsEnabled = true;
 
+            // [COL.6.4] Havok collision / trigger reports
+            if (this.contacts) {
+                this.hookPhysicsEvents(plugin);
+            }
+
             // [EVT.2] Emit physics enabled
             this.events.emit('physics:enabled', {
                 engine: 'havok',
@@ -143,8 +187,10 @@ class CollisionPlugin extends Plugin {
         mesh.isPickable = options.pickable !== false;
 
         // [COL.2.3] Move with collisions (for dynamic movement)
+        // [COL.2.3 -> COL.6.3] Such meshes report their own collisions and can enter triggers
         if (options.moveWithCollisions) {
             mesh.moveWithCollisions = true;
+            this.trackParticipant(mesh);
         }
 
         // [COL.5] Store settings in metadata
@@ -203,6 +249,12 @@ class CollisionPlugin extends Plugin {
             this.scene
         );
 
+        // [COL.6.4] Ask Havok to report this body's contacts
+        if (this.contacts) {
+            aggregate.body.setCollisionCallbackEnabled?.(true);
+            aggregate.body.setCollisionEndedCallbackEnabled?.(true);
+        }
+
         // [COL.5] Store physics settings in metadata
         mesh.metadata = mesh.metadata || {};
         mesh.metadata.collisionType = 'physics';
@@ -310,6 +362,59 @@ class CollisionPlugin extends Plugin {
         console.log(`[COL.5] Physics properties updated: ${mesh.name}`);
     }
 
+    // [COL.3] Remove physics body from mesh
+    // Keeps metadata.physicsSettings so the body can be re-created with enablePhysicsBody()
+    removePhysicsBody(mesh) {
+        if (!mesh) {
+            return;
+        }
+
+        const settings = this.objectCollisionSettings.get(mesh);
+
+        // [PHY.2] Dispose aggregate (body + shape)
+        if (settings?.aggregate) {
+            settings.aggregate.dispose();
+        } else if (mesh.physicsBody) {
+            mesh.physicsBody.dispose();
+        }
+
+        this.objectCollisionSettings.delete(mesh);
+
+        // [COL.6] Havok won't report the end of this body's contacts any more
+        this.contacts?.endAll(mesh, contact => contact.persistent);
+        this.occupancy?.endAll(mesh, contact => contact.persistent);
+
+        // [EVT.2] Emit physics body disabled
+        this.events.emit('collision:physics:disabled', { mesh });
+
+        console.log(`[COL.3] Physics body removed: ${mesh.name}`);
+    }
+
+    // [COL.5] Unregister mesh from collision system (before mesh is deleted)
+    // Metadata is kept so the mesh can be registered again (undo delete)
+    unregisterMesh(mesh) {
+        if (!mesh) {
+            return;
+        }
+
+        if (mesh.physicsBody || this.objectCollisionSettings.get(mesh)?.aggregate) {
+            this.removePhysicsBody(mesh);
+        }
+
+        mesh.checkCollisions = false;
+        this.objectCollisionSettings.delete(mesh);
+
+        // [COL.6] Contacts end now (exit events), not when the mesh is disposed
+        this.untrackParticipant(mesh);
+        this.contacts?.endAll(mesh);
+        this.occupancy?.endAll(mesh);
+
+        // [EVT.2] Emit unregistered event
+        this.events.emit('collision:unregistered', { mesh });
+
+        console.log(`[COL.5] Collision unregistered: ${mesh.name}`);
+    }
+
     // [COL.5] Get collision settings for mesh
     getCollisionSettings(mesh) {
         return this.objectCollisionSettings.get(mesh) || null;
@@ -350,36 +455,588 @@ class CollisionPlugin extends Plugin {
         console.log(`[COL.5] Collision enabled: ${mesh.name}`);
     }
 
-    // [COL.6] FUTURE: Collision events/triggers
-    // Placeholder for collision detection events (Phase 3+)
-    // Example: onCollisionEnter, onCollisionExit, onTriggerEnter
+    // [COL.7] Add or remove physics bodies on meshes
+    // Enables when any mesh lacks a body, otherwise removes all bodies.
+    // Stored physicsSettings are reused so a removed body comes back unchanged.
+    togglePhysics(meshes) {
+        if (!this.physicsEnabled) {
+            console.warn('[COL.7] Physics not enabled. Use mode: "physics" or "hybrid"');
+            return false;
+        }
+
+        const enable = meshes.some(mesh => !mesh.physicsBody);
+
+        meshes.forEach(mesh => {
+            if (enable && !mesh.physicsBody) {
+                const checkCollisions = mesh.checkCollisions;
+                this.enablePhysicsBody(mesh, { mass: 1, ...(mesh.metadata?.physicsSettings || {}) });
+
+                // Physics bodies can override this (camera collision)
+                mesh.checkCollisions = checkCollisions;
+            } else if (!enable && mesh.physicsBody) {
+                this.removePhysicsBody(mesh);
+
+                const options = mesh.metadata.collisionSettings || {};
+                mesh.metadata.collisionType = 'simple';
+                this.objectCollisionSettings.set(mesh, { type: 'simple', options });
+            }
+        });
+
+        console.log(`[COL.7] Physics ${enable ? 'enabled' : 'disabled'} on ${meshes.length} object(s)`);
+        return true;
+    }
+
+    // [COL.7] action:togglePhysics + context menu entry
+    setupPhysicsToggle() {
+        const getSelection = () => {
+            const interactionPlugin = this.getPlugin('interaction');
+            return interactionPlugin
+                ? interactionPlugin.getSelectedMeshes().filter(mesh => mesh.name !== 'ground')
+                : [];
+        };
+
+        if (this.inputManager) {
+            this.unsubscribers.push(
+                this.inputManager.on('action:togglePhysics', (action) => {
+                    if (action.state === 'pressed') this.togglePhysics(getSelection());
+                })
+            );
+        }
+
+        this.unsubscribers.push(this.addContextMenuEntries([
+            {
+                id: 'togglePhysics',
+                label: (context) => !context.hasSelection || context.selection.some(mesh => !mesh.physicsBody)
+                    ? 'Enable Physics'
+                    : 'Disable Physics',
+                group: 'object',
+                order: 20,
+                action: 'togglePhysics',
+                visible: () => this.physicsEnabled,
+                enabled: (context) => context.hasSelection
+            }
+        ]));
+    }
+
+    // ============================================================
+    // [COL.6] Collision and trigger events
+    // ============================================================
+    //
+    // Collision payload (collision:enter / stay / exit, onCollision callbacks):
+    //   { mesh, other, point, normal, impulse, source, isPlayer }
+    //   - source 'simple': Babylon checkCollisions (camera / moveWithCollisions mesh ran into
+    //     other); point and normal come from the collider, normal points away from other,
+    //     impulse is 0 (no masses). Lasts while the mover keeps pushing against other.
+    //   - source 'physics': Havok contact between two bodies; point, normal and impulse as
+    //     reported by Havok. Lasts until Havok reports the bodies apart.
+    //   - isPlayer: mesh is the player (camera unless setPlayer())
+    //
+    // Trigger payload (trigger:enter / stay / exit, zone callbacks):
+    //   { zone, mesh, source, isPlayer }
+    //   - source 'overlap': bounding box test against the player and tracked meshes
+    //   - source 'physics': Havok trigger shape (bodies entering a zone with a physics body)
+
+    // [COL.6] Create trackers and the per-frame update
+    setupContactEvents(eventsConfig = {}) {
+        this.emitStay = eventsConfig.stay !== false;
+
+        // [COL.6.1] Collisions: Babylon reports only while moving into a mesh, so a contact
+        // survives a few silent frames (walking along a wall doesn't flicker enter/exit)
+        this.contacts = new ContactTracker({
+            graceFrames: eventsConfig.graceFrames ?? 3,
+            onEnter: (contact) => this.dispatchCollision('enter', contact),
+            onStay: (contact) => this.dispatchCollision('stay', contact),
+            onExit: (contact) => this.dispatchCollision('exit', contact)
+        });
+
+        // [COL.6.2] Triggers: overlaps are tested every frame, no grace needed
+        this.occupancy = new ContactTracker({
+            onEnter: (contact) => this.dispatchTrigger('enter', contact),
+            onStay: (contact) => this.dispatchTrigger('stay', contact),
+            onExit: (contact) => this.dispatchTrigger('exit', contact)
+        });
+
+        // [COL.6.3] After render: camera movement and physics step have reported by then
+        this.frameObserver = this.scene.onAfterRenderObservable.add(() => this.updateContacts());
+    }
+
+    // [COL.6] Per-frame update
+    // PERFORMANCE: Runs every frame - one AABB test per zone and participant
+    updateContacts() {
+        // [COL.6.3] Player follows the active camera
+        this.syncPlayer();
+
+        // [COL.6.2] Overlap triggers
+        this.checkTriggerZones();
+
+        // [COL.6.1] Removed / hidden nodes (deleted objects are disabled, then disposed)
+        const isGone = (node) => node.isDisposed?.() || (node.isEnabled && !node.isEnabled());
+        this.contacts.prune(isGone);
+        this.occupancy.prune(isGone);
+
+        // [COL.6.1] Stay / expire
+        this.contacts.update();
+        this.occupancy.update();
+    }
+
+    // [COL.6] Register a callback for one mesh's (or the camera's) collisions
+    // callback(payload) gets payload.phase 'enter' | 'stay' | 'exit', mesh = this mesh
+    // Returns an unsubscribe function
     onCollision(mesh, callback) {
-        mesh.metadata = mesh.metadata || {};
-        mesh.metadata.onCollision = callback;
+        if (!mesh || typeof callback !== 'function') {
+            console.warn('[COL.6] onCollision needs a mesh and a callback');
+            return () => {};
+        }
 
-        // Note: Actual collision detection would be in update loop
-        // Or using Babylon's collision observables
-        // This is a hook for future implementation
+        if (!this.collisionCallbacks.has(mesh)) {
+            this.collisionCallbacks.set(mesh, new Set());
+        }
+        this.collisionCallbacks.get(mesh).add(callback);
 
         console.log(`[COL.6] Collision callback registered: ${mesh.name}`);
+
+        return () => {
+            const callbacks = this.collisionCallbacks.get(mesh);
+            callbacks?.delete(callback);
+            if (callbacks?.size === 0) {
+                this.collisionCallbacks.delete(mesh);
+            }
+        };
     }
 
-    // [COL.6] FUTURE: Trigger zones
-    // Placeholder for trigger volumes (Phase 3+)
-    // Example: onEnterZone, onExitZone
-    createTriggerZone(mesh, onEnter, onExit) {
+    // [COL.6] Turn a mesh into a trigger zone (pass-through volume with enter/stay/exit)
+    // With physics, a static trigger body is added so Havok bodies are reported too
+    // options.onStay: callback every frame while occupied
+    // options.physics: false to skip the trigger body
+    // Returns a function that removes the zone again
+    createTriggerZone(mesh, onEnter = null, onExit = null, options = {}) {
+        if (!mesh) {
+            console.warn('[COL.6] Cannot create trigger zone: mesh is null');
+            return () => {};
+        }
+
+        if (this.triggerZones.has(mesh)) {
+            this.removeTriggerZone(mesh);
+        }
+
         mesh.metadata = mesh.metadata || {};
         mesh.metadata.isTriggerZone = true;
-        mesh.metadata.onEnter = onEnter;
-        mesh.metadata.onExit = onExit;
 
         // Disable physical collision (pass-through)
         mesh.checkCollisions = false;
+
+        // [COL.6.2] Havok trigger shape (existing body, or a static one for the zone)
+        let aggregate = null;
         if (mesh.physicsBody) {
             mesh.physicsBody.shape.isTrigger = true;
+        } else if (this.physicsEnabled && options.physics !== false) {
+            aggregate = new BABYLON.PhysicsAggregate(mesh, BABYLON.PhysicsShapeType.BOX, { mass: 0 }, this.scene);
+            aggregate.shape.isTrigger = true;
         }
 
+        this.triggerZones.set(mesh, {
+            onEnter,
+            onStay: options.onStay || null,
+            onExit,
+            aggregate
+        });
+
         console.log(`[COL.6] Trigger zone created: ${mesh.name}`);
+
+        return () => this.removeTriggerZone(mesh);
+    }
+
+    // [COL.6] Remove a trigger zone (occupants get their exit)
+    removeTriggerZone(mesh) {
+        const zone = this.triggerZones.get(mesh);
+        if (!zone) {
+            return;
+        }
+
+        this.occupancy?.endAll(mesh);
+        this.triggerZones.delete(mesh);
+
+        if (zone.aggregate && !mesh.isDisposed?.()) {
+            zone.aggregate.dispose();
+        }
+        if (mesh.metadata) {
+            delete mesh.metadata.isTriggerZone;
+        }
+
+        console.log(`[COL.6] Trigger zone removed: ${mesh.name}`);
+    }
+
+    // [COL.6] Track a mesh as participant: its moveWithCollisions hits are reported and it
+    // can enter overlap triggers (the player always is one)
+    // Returns an untrack function
+    trackParticipant(mesh) {
+        if (!mesh || this.participants.has(mesh)) {
+            return () => this.untrackParticipant(mesh);
+        }
+
+        this.participants.add(mesh);
+        this.hookMeshCollisions(mesh);
+
+        return () => this.untrackParticipant(mesh);
+    }
+
+    // [COL.6] Stop tracking a mesh (its contacts end on their own)
+    untrackParticipant(mesh) {
+        if (!this.participants.delete(mesh)) {
+            return;
+        }
+
+        if (this.hookedPlayer?.node !== mesh) {
+            this.unhookMeshCollisions(mesh);
+        }
+    }
+
+    // [COL.6] Use a mesh (character capsule) or camera as the player, null for the active camera
+    setPlayer(node) {
+        this.player = node || null;
+        this.syncPlayer();
+    }
+
+    // [COL.6] Current player node
+    getPlayer() {
+        return this.player || this.scene?.activeCamera || null;
+    }
+
+    // [COL.6] Contacts of a node: [{ other, point, normal, impulse, source }]
+    getContacts(node) {
+        if (!this.contacts) {
+            return [];
+        }
+
+        return this.contacts.getContacts(node).map(contact => ({
+            other: contact.a === node ? contact.b : contact.a,
+            ...contact.data
+        }));
+    }
+
+    // [COL.6] Nodes currently inside a trigger zone
+    getZoneOccupants(zone) {
+        return this.occupancy ? this.occupancy.getContacts(zone).map(contact => contact.b) : [];
+    }
+
+    // [COL.6.3] Hook the current player's collisions (re-hooks when the active camera changes)
+    syncPlayer() {
+        const player = this.getPlayer();
+        if (this.hookedPlayer?.node === player) {
+            return;
+        }
+
+        // [COL.6.3] Previous player leaves everything it touched
+        this.unhookPlayer();
+
+        if (!player) {
+            return;
+        }
+
+        if (player instanceof BABYLON.Camera) {
+            // [COL.6.3] Cameras have a single onCollide callback - chain it
+            const previousOnCollide = player.onCollide;
+            player.onCollide = (collidedMesh) => {
+                previousOnCollide?.(collidedMesh);
+                this.reportSimpleCollision(player, collidedMesh, player._collider);
+            };
+            this.hookedPlayer = { node: player, previousOnCollide };
+        } else {
+            this.hookMeshCollisions(player);
+            this.hookedPlayer = { node: player, previousOnCollide: null };
+        }
+    }
+
+    // [COL.6.3] Release the hooked player
+    unhookPlayer() {
+        if (!this.hookedPlayer) {
+            return;
+        }
+
+        const { node, previousOnCollide } = this.hookedPlayer;
+        this.hookedPlayer = null;
+
+        if (node instanceof BABYLON.Camera) {
+            node.onCollide = previousOnCollide;
+        } else if (!this.participants.has(node)) {
+            this.unhookMeshCollisions(node);
+        }
+
+        this.contacts?.endAll(node);
+        this.occupancy?.endAll(node);
+    }
+
+    // [COL.6.3] Report a mesh's moveWithCollisions hits
+    hookMeshCollisions(mesh) {
+        if (this.meshObservers.has(mesh) || !mesh.onCollideObservable) {
+            return;
+        }
+
+        const observer = mesh.onCollideObservable.add((collidedMesh) => {
+            this.reportSimpleCollision(mesh, collidedMesh, mesh.collider);
+        });
+        this.meshObservers.set(mesh, observer);
+    }
+
+    // [COL.6.3] Stop reporting a mesh's hits
+    unhookMeshCollisions(mesh) {
+        const observer = this.meshObservers.get(mesh);
+        if (observer) {
+            mesh.onCollideObservable.remove(observer);
+            this.meshObservers.delete(mesh);
+        }
+    }
+
+    // [COL.6.1] Babylon collision of a moving node (camera / mesh) with another mesh
+    // The collider works in ellipsoid space (units of the ellipsoid radius): scale back
+    reportSimpleCollision(node, other, collider) {
+        if (!this.contacts || !other) {
+            return;
+        }
+
+        let point = null;
+        let normal = null;
+        const radius = node.ellipsoid;
+
+        if (collider?.intersectionPoint && radius) {
+            point = collider.intersectionPoint.multiply(radius);
+            normal = collider.slidePlaneNormal?.divide(radius).normalize() || null;
+        }
+
+        this.contacts.touch(node, other, {
+            point,
+            normal,
+            impulse: 0,
+            source: 'simple',
+            player: node === this.hookedPlayer?.node ? node : null
+        });
+    }
+
+    // [COL.6.4] Subscribe to Havok's collision and trigger reports
+    hookPhysicsEvents(plugin) {
+        const observe = (observable, handler) => {
+            if (observable) {
+                this.physicsObservers.push([observable, observable.add(handler)]);
+            }
+        };
+
+        observe(plugin.onCollisionObservable, (event) => this.reportPhysicsCollision(event));
+        observe(plugin.onCollisionEndedObservable, (event) => this.reportPhysicsCollision(event, true));
+        observe(plugin.onTriggerCollisionObservable, (event) => this.reportPhysicsTrigger(event));
+    }
+
+    // [COL.6.4] Havok contact started / continued / finished
+    reportPhysicsCollision(event, ended = false) {
+        const mesh = event.collider?.transformNode;
+        const other = event.collidedAgainst?.transformNode;
+        if (!mesh || !other) {
+            return;
+        }
+
+        if (ended || event.type === 'COLLISION_FINISHED') {
+            this.contacts.end(mesh, other);
+            return;
+        }
+
+        // [COL.6.4] Havok may report a pair from either body: keep the normal relative to
+        // the contact's first mesh
+        const existing = this.contacts.get(mesh, other);
+        let normal = event.normal ? event.normal.clone() : null;
+        if (normal && existing && existing.a !== mesh) {
+            normal.scaleInPlace(-1);
+        }
+
+        this.contacts.touch(mesh, other, {
+            point: event.point ? event.point.clone() : null,
+            normal,
+            impulse: event.impulse ?? 0,
+            source: 'physics',
+            player: null
+        }, true);
+    }
+
+    // [COL.6.4] Havok trigger entered / exited (one side is a zone's trigger body)
+    reportPhysicsTrigger(event) {
+        const a = event.collider?.transformNode;
+        const b = event.collidedAgainst?.transformNode;
+        const zone = this.triggerZones.has(a) ? a : (this.triggerZones.has(b) ? b : null);
+        if (!zone) {
+            return;
+        }
+
+        const occupant = zone === a ? b : a;
+        if (!occupant) {
+            return;
+        }
+
+        if (event.type === 'TRIGGER_EXITED') {
+            this.occupancy.end(zone, occupant);
+        } else {
+            this.occupancy.touch(zone, occupant, { source: 'physics', player: null }, true);
+        }
+    }
+
+    // [COL.6.2] Overlap test of every zone against the player and tracked meshes
+    checkTriggerZones() {
+        if (this.triggerZones.size === 0) {
+            return;
+        }
+
+        const player = this.hookedPlayer?.node || null;
+        const participants = player ? [player, ...this.participants] : [...this.participants];
+
+        for (const zone of [...this.triggerZones.keys()]) {
+            if (zone.isDisposed?.()) {
+                this.removeTriggerZone(zone);
+                continue;
+            }
+            if (!zone.isEnabled()) {
+                continue;
+            }
+
+            const box = zone.getBoundingInfo().boundingBox;
+
+            for (const node of participants) {
+                if (node === zone || node.isDisposed?.()) {
+                    continue;
+                }
+
+                const bounds = this.getParticipantBounds(node);
+                if (bounds && this.boxesOverlap(box.minimumWorld, box.maximumWorld, bounds.min, bounds.max)) {
+                    this.occupancy.touch(zone, node, { source: 'overlap', player: node === player ? node : null });
+                }
+            }
+        }
+    }
+
+    // [COL.6.2] World AABB of a participant (cameras: their collision ellipsoid)
+    getParticipantBounds(node) {
+        if (node instanceof BABYLON.Camera) {
+            // Babylon centers the camera ellipsoid ellipsoid.y below the eye
+            const ellipsoid = node.ellipsoid || new BABYLON.Vector3(0.5, 1, 0.5);
+            const center = (node.globalPosition || node.position)
+                .subtract(new BABYLON.Vector3(0, ellipsoid.y, 0))
+                .addInPlace(node.ellipsoidOffset || BABYLON.Vector3.Zero());
+            return { min: center.subtract(ellipsoid), max: center.add(ellipsoid) };
+        }
+
+        const box = node.getBoundingInfo?.()?.boundingBox;
+        return box ? { min: box.minimumWorld, max: box.maximumWorld } : null;
+    }
+
+    // [COL.6.2] Axis-aligned box overlap
+    boxesOverlap(minA, maxA, minB, maxB) {
+        return minA.x <= maxB.x && maxA.x >= minB.x &&
+            minA.y <= maxB.y && maxA.y >= minB.y &&
+            minA.z <= maxB.z && maxA.z >= minB.z;
+    }
+
+    // [COL.6.1] Collision contact -> event bus + callbacks of both meshes
+    dispatchCollision(phase, contact) {
+        const { a, b, data } = contact;
+        const payload = {
+            mesh: a,
+            other: b,
+            point: data.point || null,
+            normal: data.normal || null,
+            impulse: data.impulse ?? 0,
+            source: data.source,
+            isPlayer: a === data.player
+        };
+
+        if (phase !== 'stay' || this.emitStay) {
+            this.events.emit(`collision:${phase}`, payload);
+        }
+
+        this.invokeCollisionCallbacks(a, { phase, ...payload });
+
+        // [COL.6.1] Seen from the other mesh: sides swapped, normal flipped
+        this.invokeCollisionCallbacks(b, {
+            phase,
+            ...payload,
+            mesh: b,
+            other: a,
+            normal: payload.normal ? payload.normal.scale(-1) : null,
+            isPlayer: b === data.player
+        });
+    }
+
+    // [COL.6.1] Call a node's collision callbacks
+    invokeCollisionCallbacks(node, payload) {
+        const callbacks = this.collisionCallbacks.get(node);
+        if (!callbacks) {
+            return;
+        }
+
+        for (const callback of [...callbacks]) {
+            try {
+                callback(payload);
+            } catch (error) {
+                console.error(`[COL.6] Error in collision callback for ${node.name}:`, error);
+            }
+        }
+    }
+
+    // [COL.6.2] Trigger contact -> event bus + zone callback
+    dispatchTrigger(phase, contact) {
+        const { a: zone, b: mesh, data } = contact;
+        const payload = {
+            zone,
+            mesh,
+            source: data.source,
+            isPlayer: mesh === data.player
+        };
+
+        if (phase !== 'stay' || this.emitStay) {
+            this.events.emit(`trigger:${phase}`, payload);
+        }
+
+        const handlers = this.triggerZones.get(zone);
+        const handler = handlers?.[{ enter: 'onEnter', stay: 'onStay', exit: 'onExit' }[phase]];
+        if (handler) {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`[COL.6] Error in trigger ${phase} callback for ${zone.name}:`, error);
+            }
+        }
+    }
+
+    // [COL.6] Remove observers and hooks
+    disposeContactEvents() {
+        if (this.frameObserver) {
+            this.scene?.onAfterRenderObservable.remove(this.frameObserver);
+            this.frameObserver = null;
+        }
+
+        this.physicsObservers.forEach(([observable, observer]) => observable.remove(observer));
+        this.physicsObservers = [];
+
+        // Silent: forget contacts before unhooking so no exit events go out
+        this.contacts?.clear();
+        this.occupancy?.clear();
+        this.unhookPlayer();
+        this.meshObservers.forEach((observer, mesh) => mesh.onCollideObservable.remove(observer));
+        this.meshObservers.clear();
+        this.participants.clear();
+
+        this.triggerZones.forEach((zone) => zone.aggregate?.dispose());
+        this.triggerZones.clear();
+        this.collisionCallbacks.clear();
+        this.contacts = null;
+        this.occupancy = null;
+    }
+
+    // [PLG.4] Dispose plugin
+    dispose() {
+        // [COL.7] Remove action listener and menu entry
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+
+        // [COL.6] Stop contact tracking (no exit events: the scene is going away)
+        this.disposeContactEvents();
+
+        super.dispose();
     }
 }
 
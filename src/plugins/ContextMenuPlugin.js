@@ -0,0 +1,456 @@
+/**
+ * @file ContextMenuPlugin.js
+ * @description Right-click / long-press context menu that other plugins register entries into
+ *
+ * @tags [CTX.*] Context menu
+ * @primary-tags [CTX] Context menu plugin
+ *
+ * @dependencies
+ *   - [CTX -> PLG] Extends Plugin base class
+ *   - [CTX -> INP] Opens on action:showContextMenu (RightClick, LongPress)
+ *   - [CTX -> INP.1] Entries dispatch InputManager actions (same as keyboard shortcuts)
+ *   - [CTX -> INT] Right-clicked object joins the selection
+ *
+ * @affects
+ *   - [CTX -> INP.1.2] 'ui' input layer is active while the menu is open
+ *   - [CTX -> UI] DOM menu styled by ui/styles/context-menu.css
+ *
+ * @events
+ *   - Subscribes: mode:changed
+ *   - Emits: contextmenu:ready, contextmenu:opened, contextmenu:closed, contextmenu:selected
+ *
+ * @features
+ *   - registerEntry() from any plugin (returns unregister function); plugins use
+ *     addContextMenuEntries(), which registers again on contextmenu:ready
+ *   - Groups with separators, ordering, submenus, shortcut hints
+ *   - enabled/visible predicates evaluated against selection at open time
+ *   - Opens at pointer for mouse input, on long-press for touch
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+import Plugin from '../core/Plugin.js';
+
+// [CTX.2] Group display order (unknown groups go last, alphabetically)
+const GROUP_ORDER = ['history', 'edit', 'transform', 'object', 'view'];
+
+// [CTX] Context menu plugin
+class ContextMenuPlugin extends Plugin {
+    constructor() {
+        super('contextMenu');
+
+        // [CTX.1] Registered entries: id -> entry
+        this.entries = new Map();
+
+        // [CTX.3] Open menu state
+        this.menuElement = null;
+        this.context = null;
+        this.isOpen = false;
+
+        // [CTX.4] Listener cleanup functions
+        this.unsubscribers = [];
+        this.onDocumentPointerDown = null;
+        this.onDocumentKeyDown = null;
+        this.onWindowBlur = null;
+
+        // [CTX.1] Built-in view entries (dispatch framing actions)
+        this.registerEntry({
+            id: 'focusSelection',
+            label: 'Focus Selection',
+            group: 'view',
+            order: 10,
+            action: 'focusSelection',
+            shortcut: 'F',
+            enabled: (context) => context.hasSelection
+        });
+
+        this.registerEntry({
+            id: 'frameAll',
+            label: 'Frame All',
+            group: 'view',
+            order: 20,
+            action: 'frameAll',
+            shortcut: 'Shift+F'
+        });
+    }
+
+    // [PLG.2.1] Start plugin
+    start() {
+        super.start();
+
+        // [CTX.3 -> INP.4] RightClick (mouse) / LongPress (touch)
+        if (this.inputManager) {
+            this.unsubscribers.push(
+                this.inputManager.on('action:showContextMenu', (action) => {
+                    this.openFromAction(action);
+                })
+            );
+        }
+
+        // [CTX.3] Switching to view mode closes the menu
+        this.unsubscribers.push(
+            this.events.on('mode:changed', () => this.close())
+        );
+
+        // [CTX.3] Close on outside click, Escape, or window losing focus
+        this.onDocumentPointerDown = (e) => {
+            if (this.isOpen && !this.menuElement.contains(e.target)) {
+                this.close();
+            }
+        };
+        this.onDocumentKeyDown = (e) => {
+            if (this.isOpen && e.key === 'Escape') {
+                this.close();
+            }
+        };
+        this.onWindowBlur = () => this.close();
+
+        document.addEventListener('pointerdown', this.onDocumentPointerDown, true);
+        document.addEventListener('keydown', this.onDocumentKeyDown, true);
+        window.addEventListener('blur', this.onWindowBlur);
+
+        // [CTX.1] Plugins (re)register their entries (any load order, hot reload)
+        this.events.emit('contextmenu:ready', { contextMenu: this });
+
+        console.log('[CTX] ContextMenuPlugin started');
+    }
+
+    // ============================================================
+    // [CTX.1] Entry registry
+    // ============================================================
+
+    // [CTX.1] Register menu entry
+    // entry: {
+    //   id, label (string | context => string), group, order,
+    //   action, value     - InputManager action dispatched on click
+    //   run(context)      - alternative to action (plain callback)
+    //   shortcut          - hint text ('Ctrl+D')
+    //   enabled(context)  - greyed out when false
+    //   visible(context)  - hidden when false
+    //   children          - submenu entries (array | context => array)
+    // }
+    registerEntry(entry) {
+        if (!entry || !entry.id) {
+            throw new Error('[CTX.1] Context menu entry requires an id');
+        }
+
+        if (this.entries.has(entry.id)) {
+            console.warn(`[CTX.1] Replacing context menu entry: ${entry.id}`);
+        }
+
+        this.entries.set(entry.id, {
+            group: 'object',
+            order: 100,
+            ...entry
+        });
+
+        return () => this.unregisterEntry(entry.id);
+    }
+
+    // [CTX.1] Remove menu entry
+    unregisterEntry(id) {
+        return this.entries.delete(id);
+    }
+
+    getEntry(id) {
+        return this.entries.get(id) || null;
+    }
+
+    // ============================================================
+    // [CTX.2] Context and entry resolution
+    // ============================================================
+
+    // [CTX.2] Build context from action (mouse picks on press, touch needs a pick)
+    buildContext(action) {
+        const canvas = this.scene.getEngine().getRenderingCanvas();
+        const rect = canvas.getBoundingClientRect();
+        const position = action.position || { x: this.scene.pointerX, y: this.scene.pointerY };
+
+        // MouseSource reports canvas coordinates, TouchSource reports client coordinates
+        const client = action.source === 'mouse'
+            ? { x: rect.left + position.x, y: rect.top + position.y }
+            : { x: position.x, y: position.y };
+
+        let hitInfo = action.hitInfo;
+        if (!hitInfo) {
+            const pickInfo = this.scene.pick(client.x - rect.left, client.y - rect.top);
+            hitInfo = {
+                hit: pickInfo.hit,
+                pickedMesh: pickInfo.pickedMesh,
+                pickedPoint: pickInfo.pickedPoint
+            };
+        }
+
+        // Ground and sky count as empty space
+        const picked = hitInfo?.pickedMesh;
+        const mesh = picked && picked.name !== 'ground' && picked.name !== 'skybox' ? picked : null;
+
+        return {
+            mesh,
+            point: hitInfo?.pickedPoint || null,
+            position: client,
+            source: action.source,
+            selection: [],
+            hasSelection: false,
+            selectionCount: 0
+        };
+    }
+
+    // [CTX.2 -> INT.4] Right-clicking an unselected object selects it (like left-click)
+    updateSelection(context) {
+        const interactionPlugin = this.getPlugin('interaction');
+        if (!interactionPlugin) return;
+
+        const mesh = context.mesh;
+        if (mesh && interactionPlugin.isSelectable(mesh) && !interactionPlugin.isSelected(mesh)) {
+            interactionPlugin.deselectAll();
+            interactionPlugin.select(mesh);
+        }
+
+        context.selection = interactionPlugin.getSelectedMeshes();
+        context.selectionCount = context.selection.length;
+        context.hasSelection = context.selectionCount > 0;
+    }
+
+    // [CTX.2] Visible entries sorted by group then order, with resolved label/enabled
+    resolveEntries(entries, context) {
+        return entries
+            .filter(entry => this.evaluate(entry.visible, context, true))
+            .map(entry => ({
+                entry,
+                label: typeof entry.label === 'function' ? entry.label(context) : entry.label,
+                enabled: this.evaluate(entry.enabled, context, true),
+                children: entry.children
+                    ? this.resolveEntries(
+                        (typeof entry.children === 'function' ? entry.children(context) : entry.children)
+                            .map(child => ({ group: entry.group, order: 100, ...child })),
+                        context
+                    )
+                    : null
+            }))
+            .filter(item => !item.children || item.children.length > 0)
+            .sort((a, b) => this.compareEntries(a.entry, b.entry));
+    }
+
+    compareEntries(a, b) {
+        const groupA = GROUP_ORDER.indexOf(a.group);
+        const groupB = GROUP_ORDER.indexOf(b.group);
+        const rankA = groupA === -1 ? GROUP_ORDER.length : groupA;
+        const rankB = groupB === -1 ? GROUP_ORDER.length : groupB;
+
+        if (rankA !== rankB) return rankA - rankB;
+        if (a.group !== b.group) return a.group.localeCompare(b.group);
+        return a.order - b.order;
+    }
+
+    // [CTX.2] Predicate helper (failing predicates disable/hide instead of breaking the menu)
+    evaluate(predicate, context, fallback) {
+        if (typeof predicate !== 'function') {
+            return predicate === undefined ? fallback : !!predicate;
+        }
+
+        try {
+            return !!predicate(context);
+        } catch (error) {
+            console.warn('[CTX.2] Context menu predicate failed:', error);
+            return false;
+        }
+    }
+
+    // ============================================================
+    // [CTX.3] Open / close
+    // ============================================================
+
+    // [CTX.3] Open from showContextMenu action
+    openFromAction(action) {
+        if (!this.enabled) return;
+
+        const context = this.buildContext(action);
+        this.open(context);
+    }
+
+    // [CTX.3] Open menu for context at context.position (client pixels)
+    open(context) {
+        this.close();
+
+        // Finish a running G/R/S transform first
+        this.getPlugin('transform')?.cancel();
+
+        this.updateSelection(context);
+
+        const items = this.resolveEntries(Array.from(this.entries.values()), context);
+        if (items.length === 0) {
+            console.log('[CTX.3] No context menu entries for this context');
+            return false;
+        }
+
+        this.context = context;
+        this.menuElement = this.buildMenu(items);
+        document.body.appendChild(this.menuElement);
+        this.positionMenu(this.menuElement, context.position);
+        this.isOpen = true;
+
+        // [CTX.3 -> INP.1.2] Menu owns input while open
+        this.inputManager?.setLayerActive('ui', true);
+
+        // [EVT.2] Emit opened event
+        this.events.emit('contextmenu:opened', {
+            mesh: context.mesh,
+            selectionCount: context.selectionCount,
+            source: context.source
+        });
+
+        console.log(`[CTX.3] Context menu opened (${items.length} entries)`);
+        return true;
+    }
+
+    // [CTX.3] Close menu
+    close() {
+        if (!this.isOpen) return;
+
+        this.menuElement.remove();
+        this.menuElement = null;
+        this.context = null;
+        this.isOpen = false;
+
+        this.inputManager?.setLayerActive('ui', false);
+
+        // [EVT.2] Emit closed event
+        this.events.emit('contextmenu:closed', {});
+    }
+
+    // [CTX.3] Run entry: dispatch its action (or callback), then close
+    select(entry) {
+        const context = this.context;
+        this.close();
+
+        if (entry.action && this.inputManager) {
+            // [CTX -> INP.1] Same action path as keyboard shortcuts
+            this.inputManager.triggerAction({
+                name: entry.action,
+                value: entry.value,
+                state: 'pressed',
+                source: 'contextMenu',
+                input: 'ContextMenu',
+                position: context.position,
+                hitInfo: context.mesh ? { hit: true, pickedMesh: context.mesh, pickedPoint: context.point } : null,
+                modifiers: {}
+            });
+        } else if (typeof entry.run === 'function') {
+            try {
+                entry.run(context);
+            } catch (error) {
+                console.error(`[CTX.3] Context menu entry "${entry.id}" failed:`, error);
+            }
+        }
+
+        // [EVT.2] Emit selected event
+        this.events.emit('contextmenu:selected', {
+            id: entry.id,
+            action: entry.action || null,
+            value: entry.value
+        });
+    }
+
+    // ============================================================
+    // [CTX.5] DOM
+    // ============================================================
+
+    // [CTX.5] Build menu list (separator between groups)
+    buildMenu(items) {
+        const menu = document.createElement('ul');
+        menu.className = 'context-menu';
+        menu.setAttribute('role', 'menu');
+        menu.addEventListener('contextmenu', (e) => e.preventDefault());
+
+        let previousGroup = null;
+
+        items.forEach(item => {
+            if (previousGroup !== null && item.entry.group !== previousGroup) {
+                const separator = document.createElement('li');
+                separator.className = 'context-menu-separator';
+                separator.setAttribute('role', 'separator');
+                menu.appendChild(separator);
+            }
+            previousGroup = item.entry.group;
+
+            menu.appendChild(this.buildItem(item));
+        });
+
+        return menu;
+    }
+
+    // [CTX.5] Build single entry (with nested submenu)
+    buildItem(item) {
+        const element = document.createElement('li');
+        element.className = 'context-menu-item';
+        element.setAttribute('role', 'menuitem');
+
+        const label = document.createElement('span');
+        label.className = 'context-menu-label';
+        label.textContent = item.label;
+        element.appendChild(label);
+
+        if (item.entry.shortcut) {
+            const shortcut = document.createElement('span');
+            shortcut.className = 'context-menu-shortcut';
+            shortcut.textContent = item.entry.shortcut;
+            element.appendChild(shortcut);
+        }
+
+        if (!item.enabled) {
+            element.classList.add('disabled');
+            element.setAttribute('aria-disabled', 'true');
+            return element;
+        }
+
+        if (item.children) {
+            element.classList.add('has-submenu');
+            element.appendChild(this.buildMenu(item.children));
+            return element;
+        }
+
+        element.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.select(item.entry);
+        });
+
+        return element;
+    }
+
+    // [CTX.5] Place menu at pointer, flipped to stay inside the viewport
+    positionMenu(menu, position) {
+        const width = menu.offsetWidth;
+        const height = menu.offsetHeight;
+
+        const x = position.x + width > window.innerWidth ? Math.max(0, position.x - width) : position.x;
+        const y = position.y + height > window.innerHeight ? Math.max(0, position.y - height) : position.y;
+
+        menu.style.left = `${x}px`;
+        menu.style.top = `${y}px`;
+    }
+
+    // [PLG.4] Dispose plugin
+    dispose() {
+        this.close();
+
+        // [CTX.4] Remove listeners
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+
+        document.removeEventListener('pointerdown', this.onDocumentPointerDown, true);
+        document.removeEventListener('keydown', this.onDocumentKeyDown, true);
+        window.removeEventListener('blur', this.onWindowBlur);
+
+        this.entries.clear();
+
+        super.dispose();
+
+        console.log('[CTX] ContextMenuPlugin disposed');
+    }
+}
+
+// [CTX] Export for registration with engine
+export default ContextMenuPlugin;
@@ -0,0 +1,545 @@
+/**
+ * @file EditOperationsPlugin.js
+ * @description Duplicate, delete and select-all edit operations (multi-selection aware)
+ *
+ * @tags [OPS.*] Edit operations
+ * @primary-tags [OPS] Edit operations plugin
+ *
+ * @dependencies
+ *   - [OPS -> PLG] Extends Plugin base class
+ *   - [OPS -> INP] Listens to action:duplicateObject / deleteObject / selectAll /
+ *                  copyTransform / pasteTransform
+ *   - [OPS -> INT] Selection, interaction registration
+ *   - [OPS -> COL] Collision / physics body registration
+ *   - [OPS -> SHD] Shadow caster registration
+ *   - [OPS -> PRF] LOD registration
+ *   - [OPS -> CTX] Registers edit entries in the context menu
+ *
+ * @affects
+ *   - [OPS -> HIS] object:deleted / object:duplicated are recorded as undoable commands
+ *   - [OPS -> SCN] Deleted (detached) meshes are disabled and skipped by serializer
+ *
+ * @events
+ *   - Emits: object:duplicated, object:deleted, object:restored, object:disposed,
+ *            object:transform:copied, object:transform:pasted
+ *
+ * @features
+ *   - Duplicate: deep-clone mesh with material, physics body, shadow caster, metadata; offset copy
+ *   - Delete: unregister from shadow, collision, LOD and interaction systems
+ *   - Deleted meshes stay detached (not disposed) while undo can still bring them back
+ *   - Select all selectable meshes
+ *   - Copy transform of one object, paste onto the selection (undoable)
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+import Plugin from '../core/Plugin.js';
+import TransformCommand from '../history/TransformCommand.js';
+
+// [OPS] Edit operations plugin
+class EditOperationsPlugin extends Plugin {
+    constructor() {
+        super('operations');
+
+        // [OPS.1] Duplicate settings
+        this.duplicateOffset = { x: 1, y: 0, z: 1 };
+
+        // [OPS.2] Detached meshes: mesh -> registration snapshot
+        this.removedMeshes = new Map();
+
+        // [OPS.3] Action subscriptions (unsubscribe functions)
+        this.actionSubscriptions = [];
+
+        // [OPS.4] Copied transform snapshot (TransformCommand.capture)
+        this.transformClipboard = null;
+    }
+
+    // [PLG.1.2] Initialize plugin
+    init(scene, events, config, inputManager) {
+        super.init(scene, events, config, inputManager);
+
+        // [CFG.2] Load operations configuration
+        const opsConfig = config.operations || {};
+
+        this.duplicateOffset = { ...this.duplicateOffset, ...(opsConfig.duplicateOffset || {}) };
+
+        console.log('[OPS] Edit operations configuration loaded');
+    }
+
+    // [PLG.2.1] Start plugin
+    start() {
+        super.start();
+
+        // [OPS.3 -> INP.4] Edit mode actions (Ctrl+D, Delete, Ctrl+A)
+        if (this.inputManager) {
+            this.actionSubscriptions.push(
+                this.inputManager.on('action:duplicateObject', (action) => {
+                    if (action.state === 'pressed') this.duplicateSelected();
+                }),
+                this.inputManager.on('action:deleteObject', (action) => {
+                    if (action.state === 'pressed') this.deleteSelected();
+                }),
+                this.inputManager.on('action:selectAll', (action) => {
+                    if (action.state === 'pressed') this.selectAll();
+                }),
+                this.inputManager.on('action:copyTransform', (action) => {
+                    if (action.state === 'pressed') this.copyTransform();
+                }),
+                this.inputManager.on('action:pasteTransform', (action) => {
+                    if (action.state === 'pressed') this.pasteTransform();
+                })
+            );
+        }
+
+        this.registerMenuEntries();
+
+        console.log('[OPS] EditOperationsPlugin started');
+    }
+
+    // ============================================================
+    // [OPS.1] Duplicate
+    // ============================================================
+
+    // [OPS.1] Duplicate every selected mesh, then select the copies
+    duplicateSelected() {
+        const sources = this.getSelection();
+        if (sources.length === 0) {
+            console.log('[OPS.1] Nothing selected to duplicate');
+            return [];
+        }
+
+        const copies = sources
+            .map(source => this.duplicateMesh(source))
+            .filter(Boolean);
+
+        // [OPS.1 -> INT.4] Move selection to the copies
+        const interactionPlugin = this.getPlugin('interaction');
+        if (interactionPlugin) {
+            interactionPlugin.deselectAll();
+            copies.forEach(copy => interactionPlugin.select(copy));
+        }
+
+        // [EVT.2] Emit duplicated event
+        // [OPS.1 -> HIS.6] HistoryPlugin records this as one undoable step
+        this.events.emit('object:duplicated', {
+            sources,
+            meshes: copies,
+            operations: this
+        });
+
+        console.log(`[OPS.1] Duplicated ${copies.length} object(s)`);
+        return copies;
+    }
+
+    // [OPS.1] Deep-clone a single mesh with all its registrations
+    duplicateMesh(source) {
+        const name = this.getUniqueName(source.name);
+
+        // [OPS.1.1] Clone geometry/transform (geometry is shared, children are not cloned)
+        const copy = source.clone(name, null, true);
+        if (!copy) {
+            console.warn(`[OPS.1] Failed to clone ${source.name}`);
+            return null;
+        }
+
+        // [OPS.1.2] Own copy of material (edits on copy must not affect source)
+        if (source.material) {
+            copy.material = source.material.clone(`${name}_mat`);
+            if (source.material.metadata) {
+                copy.material.metadata = { ...source.material.metadata };
+            }
+            if (copy.material.emissiveColor) {
+                copy.material.emissiveColor = new BABYLON.Color3(0, 0, 0);
+            }
+        }
+
+        // [OPS.1.3] Deep copy of metadata (plugin state re-created below)
+        copy.metadata = this.cloneMetadata(source.metadata);
+
+        // [OPS.1.4] Offset copy so it doesn't overlap the source
+        copy.position.addInPlace(new BABYLON.Vector3(
+            this.duplicateOffset.x,
+            this.duplicateOffset.y,
+            this.duplicateOffset.z
+        ));
+        copy.computeWorldMatrix(true);
+
+        // [OPS.1.5] Collision + physics body
+        this.applyCollision(copy, source.metadata);
+
+        // [OPS.1.6] Shadow caster / receiver
+        const shadowPlugin = this.getPlugin('shadow');
+        if (shadowPlugin && shadowPlugin.isCastingShadows(source)) {
+            shadowPlugin.enableCastShadows(copy);
+        }
+        if (shadowPlugin && source.receiveShadows) {
+            shadowPlugin.enableReceiveShadows(copy);
+        }
+
+        // [OPS.1.7] Hover/click/drag/select registration
+        const interactionPlugin = this.getPlugin('interaction');
+        if (interactionPlugin) {
+            interactionPlugin.registerMesh(copy, interactionPlugin.getRegistration(source));
+        }
+
+        console.log(`[OPS.1] Duplicated ${source.name} → ${copy.name}`);
+        return copy;
+    }
+
+    // [OPS.1.3] Copy metadata, dropping references owned by other plugins
+    cloneMetadata(metadata) {
+        if (!metadata) {
+            return {};
+        }
+
+        const copy = {};
+
+        Object.entries(metadata).forEach(([key, value]) => {
+            // Selection visual stores a material reference - never share it
+            if (key === 'originalMaterial') return;
+
+            if (value && typeof value === 'object' && !Array.isArray(value) &&
+                Object.getPrototypeOf(value) === Object.prototype) {
+                copy[key] = { ...value };
+            } else if (Array.isArray(value)) {
+                copy[key] = [...value];
+            } else {
+                copy[key] = value;
+            }
+        });
+
+        return copy;
+    }
+
+    // [OPS.1] Blender-style unique name: "Red Box" → "Red Box.001"
+    getUniqueName(name) {
+        const base = name.replace(/\.\d{3}$/, '');
+        let index = 1;
+        let candidate;
+
+        do {
+            candidate = `${base}.${String(index).padStart(3, '0')}`;
+            index++;
+        } while (this.scene.getMeshByName(candidate));
+
+        return candidate;
+    }
+
+    // ============================================================
+    // [OPS.2] Delete
+    // ============================================================
+
+    // [OPS.2] Delete every selected mesh
+    deleteSelected() {
+        const meshes = this.getSelection();
+        if (meshes.length === 0) {
+            console.log('[OPS.2] Nothing selected to delete');
+            return [];
+        }
+
+        this.removeObjects(meshes);
+
+        // [OPS.2 -> HIS.5] Without history nobody can undo - free meshes now
+        if (!this.getPlugin('history')) {
+            this.disposeObjects(meshes);
+        }
+
+        // [EVT.2] Emit deleted event
+        this.events.emit('object:deleted', {
+            meshes,
+            names: meshes.map(mesh => mesh.name),
+            operations: this
+        });
+
+        console.log(`[OPS.2] Deleted ${meshes.length} object(s)`);
+        return meshes;
+    }
+
+    // [OPS.2] Detach meshes from scene systems (reversible with restoreObjects)
+    removeObjects(meshes) {
+        const interactionPlugin = this.getPlugin('interaction');
+        const collisionPlugin = this.getPlugin('collision');
+        const shadowPlugin = this.getPlugin('shadow');
+        const performancePlugin = this.getPlugin('performance');
+
+        meshes.forEach(mesh => {
+            if (!mesh || mesh.isDisposed() || this.removedMeshes.has(mesh)) return;
+
+            const registration = {
+                interaction: null,
+                castShadows: false,
+                receiveShadows: !!mesh.receiveShadows,
+                lodLevels: null,
+                metadata: this.cloneMetadata(mesh.metadata)
+            };
+
+            // [OPS.2 -> INT.6] Deselect + remove hover/click/drag/select
+            if (interactionPlugin) {
+                registration.interaction = interactionPlugin.unregisterMesh(mesh);
+            }
+
+            // [OPS.2 -> SHD.4] Shadow caster/receiver
+            if (shadowPlugin) {
+                registration.castShadows = shadowPlugin.isCastingShadows(mesh);
+                if (registration.castShadows) {
+                    shadowPlugin.disableCastShadows(mesh);
+                }
+                if (registration.receiveShadows) {
+                    shadowPlugin.disableReceiveShadows(mesh);
+                }
+            }
+
+            // [OPS.2 -> COL.5] Collision + physics body
+            if (collisionPlugin) {
+                collisionPlugin.unregisterMesh(mesh);
+            }
+
+            // [OPS.2 -> PRF.2] LOD
+            if (performancePlugin) {
+                registration.lodLevels = performancePlugin.getLODLevels(mesh);
+                if (registration.lodLevels) {
+                    performancePlugin.disableLOD(mesh);
+                }
+            }
+
+            // [OPS.2] Hide until restored or disposed
+            mesh.setEnabled(false);
+            mesh.isPickable = false;
+
+            this.removedMeshes.set(mesh, registration);
+        });
+    }
+
+    // [OPS.2] Re-attach previously removed meshes (undo delete / redo duplicate)
+    restoreObjects(meshes) {
+        const interactionPlugin = this.getPlugin('interaction');
+        const shadowPlugin = this.getPlugin('shadow');
+        const performancePlugin = this.getPlugin('performance');
+
+        meshes.forEach(mesh => {
+            const registration = this.removedMeshes.get(mesh);
+            if (!registration || mesh.isDisposed()) return;
+
+            mesh.setEnabled(true);
+            mesh.metadata = { ...(mesh.metadata || {}), ...registration.metadata };
+
+            // [OPS.2 -> COL.5] Collision + physics body
+            this.applyCollision(mesh, registration.metadata);
+
+            // [OPS.2 -> SHD.4] Shadows
+            if (shadowPlugin) {
+                if (registration.castShadows) shadowPlugin.enableCastShadows(mesh);
+                if (registration.receiveShadows) shadowPlugin.enableReceiveShadows(mesh);
+            }
+
+            // [OPS.2 -> PRF.2] LOD
+            if (performancePlugin && registration.lodLevels) {
+                performancePlugin.enableLOD(mesh, registration.lodLevels);
+            }
+
+            // [OPS.2 -> INT.6] Interactions
+            if (interactionPlugin) {
+                interactionPlugin.registerMesh(mesh, registration.interaction);
+            }
+
+            this.removedMeshes.delete(mesh);
+        });
+
+        // [EVT.2] Emit restored event
+        this.events.emit('object:restored', { meshes });
+    }
+
+    // [OPS.2] Dispose meshes for good (delete can no longer be undone)
+    disposeObjects(meshes) {
+        meshes.forEach(mesh => {
+            if (!mesh || mesh.isDisposed()) return;
+
+            if (!this.removedMeshes.has(mesh)) {
+                this.removeObjects([mesh]);
+            }
+            this.removedMeshes.delete(mesh);
+
+            // Material is per-object (see duplicateMesh / createSceneObject) unless shared
+            const material = mesh.material;
+            mesh.dispose();
+
+            if (material && material.getBindedMeshes().length === 0) {
+                material.dispose();
+            }
+        });
+
+        // [EVT.2] Emit disposed event
+        this.events.emit('object:disposed', { count: meshes.length });
+    }
+
+    // ============================================================
+    // [OPS.3] Selection
+    // ============================================================
+
+    // [OPS.3] Select all selectable meshes
+    selectAll() {
+        const interactionPlugin = this.getPlugin('interaction');
+        if (!interactionPlugin) return;
+
+        interactionPlugin.selectAll();
+    }
+
+    // ============================================================
+    // [OPS.4] Copy / paste transform
+    // ============================================================
+
+    // [OPS.4] Remember transform of the last selected mesh
+    copyTransform() {
+        const selection = this.getSelection();
+        const source = selection[selection.length - 1];
+        if (!source) {
+            console.log('[OPS.4] Nothing selected to copy');
+            return null;
+        }
+
+        this.transformClipboard = TransformCommand.capture(source);
+
+        // [EVT.2] Emit copied event
+        this.events.emit('object:transform:copied', { mesh: source });
+
+        console.log(`[OPS.4] Copied transform of ${source.name}`);
+        return this.transformClipboard;
+    }
+
+    // [OPS.4] Apply copied transform to every selected mesh
+    pasteTransform() {
+        const meshes = this.getSelection();
+        if (!this.transformClipboard || meshes.length === 0) {
+            console.log('[OPS.4] Nothing to paste');
+            return false;
+        }
+
+        const before = meshes.map(mesh => TransformCommand.capture(mesh));
+        meshes.forEach(mesh => TransformCommand.restore(mesh, this.transformClipboard));
+        const after = meshes.map(mesh => TransformCommand.capture(mesh));
+
+        // [OPS.4 -> HIS.3] Undoable as one step
+        const command = new TransformCommand(meshes, before, after, {
+            label: `Paste transform on ${meshes.length === 1 ? meshes[0].name : `${meshes.length} objects`}`,
+            source: 'paste'
+        });
+
+        if (!command.isEmpty()) {
+            this.getPlugin('history')?.record(command);
+        }
+
+        // [EVT.2] Emit pasted event
+        this.events.emit('object:transform:pasted', { meshes });
+
+        console.log(`[OPS.4] Pasted transform on ${meshes.length} object(s)`);
+        return true;
+    }
+
+    // ============================================================
+    // [OPS.5] Context menu
+    // ============================================================
+
+    // [OPS.5 -> CTX.1] Edit entries (dispatch the same actions as the shortcuts)
+    registerMenuEntries() {
+        this.actionSubscriptions.push(this.addContextMenuEntries([
+            {
+                id: 'duplicateObject',
+                label: 'Duplicate',
+                group: 'edit',
+                order: 10,
+                action: 'duplicateObject',
+                shortcut: 'Ctrl+D',
+                enabled: (context) => context.hasSelection
+            },
+            {
+                id: 'deleteObject',
+                label: 'Delete',
+                group: 'edit',
+                order: 20,
+                action: 'deleteObject',
+                shortcut: 'Del',
+                enabled: (context) => context.hasSelection
+            },
+            {
+                id: 'selectAll',
+                label: 'Select All',
+                group: 'edit',
+                order: 30,
+                action: 'selectAll',
+                shortcut: 'Ctrl+A'
+            },
+            {
+                id: 'copyTransform',
+                label: 'Copy Transform',
+                group: 'transform',
+                order: 10,
+                action: 'copyTransform',
+                shortcut: 'Ctrl+Shift+C',
+                enabled: (context) => context.hasSelection
+            },
+            {
+                id: 'pasteTransform',
+                label: 'Paste Transform',
+                group: 'transform',
+                order: 20,
+                action: 'pasteTransform',
+                shortcut: 'Ctrl+Shift+V',
+                enabled: (context) => context.hasSelection && this.transformClipboard !== null
+            }
+        ]));
+    }
+
+    // [OPS.3] Current selection (ground/sky never edited)
+    getSelection() {
+        const interactionPlugin = this.getPlugin('interaction');
+        if (!interactionPlugin) return [];
+
+        return interactionPlugin.getSelectedMeshes().filter(mesh =>
+            mesh.name !== 'ground' &&
+            mesh.name !== 'skybox' &&
+            !mesh.isDisposed()
+        );
+    }
+
+    // ============================================================
+    // [OPS] Helpers
+    // ============================================================
+
+    // [OPS -> COL] (Re)create collision/physics from stored metadata
+    // Same order as legozo-loader.createSceneObject: simple collision, then physics body
+    applyCollision(mesh, metadata) {
+        const collisionPlugin = this.getPlugin('collision');
+        if (!collisionPlugin || !metadata?.collisionType) return;
+
+        collisionPlugin.enableSimpleCollision(mesh, { ...(metadata.collisionSettings || {}) });
+
+        if (metadata.collisionType === 'physics' && metadata.physicsSettings && collisionPlugin.physicsEnabled) {
+            try {
+                collisionPlugin.enablePhysicsBody(mesh, { ...metadata.physicsSettings });
+
+                // Physics bodies can override this, so set it again (camera collision)
+                mesh.checkCollisions = metadata.collisionSettings?.checkCollisions !== false;
+            } catch (error) {
+                console.warn(`[OPS] Failed to enable physics on ${mesh.name}:`, error);
+            }
+        }
+    }
+
+    // [PLG.4] Dispose plugin
+    dispose() {
+        // [OPS.3] Remove action listeners and menu entries
+        this.actionSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.actionSubscriptions = [];
+
+        // [OPS.2] Free meshes still waiting for undo
+        this.disposeObjects(Array.from(this.removedMeshes.keys()));
+
+        super.dispose();
+
+        console.log('[OPS] EditOperationsPlugin disposed');
+    }
+}
+
+// [OPS] Export for registration with engine
+export default EditOperationsPlugin;
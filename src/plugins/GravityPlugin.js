@@ -17,21 +17,28 @@
  *   - All meshes with physics bodies
  *
  * @events
- *   - Emits: gravity:changed, gravity:preset:changed
- *   - Listens: (none - but external systems can request changes)
+ *   - Emits: gravity:changed, gravity:preset:changed, gravity:zone:created,
+ *     gravity:zone:changed, gravity:zone:removed, gravity:object:aligned
+ *   - Listens: collision:physics:enabled, collision:physics:disabled (bodies pulled by zones)
  *
  * @features
  *   - Scene-level default gravity
  *   - Runtime gravity changes
  *   - Per-object gravity multipliers (anti-gravity support)
  *   - Preset system (Earth, Moon, Mars, ZeroG, Arcade)
- *   - Future-ready for zones and external APIs
+ *   - Gravity zones: directional boxes, radial (planets), cylindrical, with falloff,
+ *     edge blending and priorities (getGravityAtPosition)
+ *   - Dynamic bodies fall along the gravity where they are, optionally kept upright
  *
  * @author Development Team
  * @created 2025-10-31
  */
 
 import Plugin from '../core/Plugin.js';
+import GravityZone from '../gravity/GravityZone.js';
+
+// [GRV.8] How fast aligned bodies turn upright (rad/s per radian off)
+const ALIGN_RATE = 5;
 
 // [GRV] Gravity system with runtime flexibility
 // [!GRV.1] CRITICAL: Changes affect camera movement and all physics bodies
@@ -58,6 +65,18 @@ class GravityPlugin extends Plugin {
         // [GRV.5] Per-object gravity tracking
         // Stores meshes with custom gravity multipliers
         this.objectGravityMultipliers = new WeakMap();
+
+        // [GRV.6] Gravity zones (GravityZone)
+        this.zones = [];
+
+        // [GRV.7] Meshes with physics bodies, and the dynamic ones zone gravity pulls
+        // (their own gravity factor is 0 while zones exist)
+        this.bodies = new Set();
+        this.zoneDrivenBodies = new Set();
+        this.physicsObservable = null;
+        this.physicsObserver = null;
+
+        this.eventSubscriptions = [];
     }
 
     // [GRV.1] Initialize gravity system
@@ -79,6 +98,27 @@ class GravityPlugin extends Plugin {
             this.setPreset(preset);
         }
 
+        // [GRV.6] Zones from config
+        this.loadGravityZones(gravityConfig.zones || []);
+
+        // [GRV.7] Track physics bodies (some may exist already)
+        this.scene.meshes.forEach(mesh => {
+            if (mesh.physicsBody) {
+                this.bodies.add(mesh);
+            }
+        });
+        this.eventSubscriptions.push(
+            this.events.on('collision:physics:enabled', (data) => this.bodies.add(data.mesh)),
+            this.events.on('collision:physics:disabled', (data) => {
+                this.bodies.delete(data.mesh);
+                this.zoneDrivenBodies.delete(data.mesh);
+            })
+        );
+
+        // [GRV.7] Zone gravity is a force applied before every physics step
+        this.physicsObservable = this.scene.onBeforePhysicsObservable || this.scene.onBeforeRenderObservable;
+        this.physicsObserver = this.physicsObservable.add(() => this.applyZoneGravity());
+
         console.log(`[GRV.1] Gravity initialized: ${this.currentPresetName} (${this.current.y} m/s²)`);
     }
 
@@ -177,7 +217,10 @@ class GravityPlugin extends Plugin {
             // Apply custom gravity force
             // Note: This is a simplified approach
             // For full anti-gravity, we'd apply opposite force each frame
-            physicsBody.setGravityFactor(multiplier);
+            // [GRV.7] Zone-driven bodies keep factor 0, the zone force uses the multiplier
+            if (!this.zoneDrivenBodies.has(mesh)) {
+                physicsBody.setGravityFactor(multiplier);
+            }
 
             console.log(`[GRV.5] Object '${mesh.name}' gravity multiplier: ${multiplier}`);
         }
@@ -191,17 +234,33 @@ class GravityPlugin extends Plugin {
     }
 
     // [GRV.5] Get object's effective gravity
-    // Returns scene gravity * object multiplier
+    // Returns gravity where the object is * object multiplier
     getObjectGravity(mesh) {
         const multiplier = mesh?.metadata?.gravityMultiplier || 1.0;
+        const gravity = mesh ? this.getGravityAtPosition(mesh.getAbsolutePosition()) : this.current;
         return {
-            x: this.current.x * multiplier,
-            y: this.current.y * multiplier,
-            z: this.current.z * multiplier,
+            x: gravity.x * multiplier,
+            y: gravity.y * multiplier,
+            z: gravity.z * multiplier,
             multiplier
         };
     }
 
+    // [GRV.8] Keep a dynamic body upright against the gravity where it is (gravity zones)
+    // Example: a tree or a sign standing on a tiny planet
+    setObjectGravityAlignment(mesh, enabled) {
+        if (!mesh) {
+            console.warn('[GRV.8] Cannot set gravity alignment: mesh is null');
+            return;
+        }
+
+        mesh.metadata = mesh.metadata || {};
+        mesh.metadata.gravityAlign = enabled;
+
+        // [EVT.2] Emit object aligned
+        this.events.emit('gravity:object:aligned', { mesh, enabled });
+    }
+
     // [GRV.1] Get current gravity
     getGravity() {
         return {
@@ -257,35 +316,263 @@ class GravityPlugin extends Plugin {
         return this.presets[name] ? { ...this.presets[name] } : null;
     }
 
-    // [GRV.6] FUTURE: Gravity zones support
-    // Placeholder for zone-based gravity (Phase 3+)
-    // Example: Underwater zone with reduced gravity
-    // Example: Black hole zone with extreme gravity
-    createGravityZone(zoneMesh, gravity) {
-        // [GRV.6] Store zone in mesh metadata
-        zoneMesh.metadata = zoneMesh.metadata || {};
-        zoneMesh.metadata.isGravityZone = true;
-        zoneMesh.metadata.zoneGravity = gravity;
+    // ============================================================
+    // [GRV.6] Gravity zones
+    // ============================================================
+
+    // [GRV.6] Add a gravity zone (see GravityZone for the definition)
+    // Throws an Error with code 'INVALID_GRAVITY_ZONE' (error.problems lists what is wrong)
+    // Example: { type: 'radial', mesh: 'planet', strength: 9.81, radius: 30, blend: 5 }
+    addGravityZone(definition) {
+        const problems = GravityZone.validate(definition);
+        if (definition?.name && this.getGravityZone(definition.name)) {
+            problems.push(`a zone named '${definition.name}' exists`);
+        }
+        if (problems.length > 0) {
+            const name = typeof definition?.name === 'string' ? ` '${definition.name}'` : '';
+            const error = new Error(`[GRV.6] Invalid gravity zone${name}: ${problems.join('; ')}`);
+            error.code = 'INVALID_GRAVITY_ZONE';
+            error.problems = problems;
+            throw error;
+        }
 
-        console.log(`[GRV.6] Gravity zone created: '${zoneMesh.name}'`);
+        const zone = new GravityZone(definition, (name) => this.resolveZoneMesh(zone, name));
+        if (zone.mesh) {
+            this.markZoneMesh(zone, zone.mesh);
+        }
+        this.zones.push(zone);
+
+        console.log(`[GRV.6] Gravity zone created: ${zone.name || zone.type}`);
 
         // [EVT.2] Emit zone created
-        this.events.emit('gravity:zone:created', {
-            zone: zoneMesh,
-            gravity
+        this.events.emit('gravity:zone:created', { zone });
+
+        return zone;
+    }
+
+    // [GRV.6] Directional zone filling a mesh's bounds (kept for existing callers)
+    createGravityZone(zoneMesh, gravity) {
+        return this.addGravityZone({ type: 'directional', mesh: zoneMesh, gravity });
+    }
+
+    // [GRV.6] Remove a zone (zone or name)
+    removeGravityZone(zoneOrName) {
+        const zone = this.getGravityZone(zoneOrName);
+        if (!zone) {
+            return false;
+        }
+
+        this.zones.splice(this.zones.indexOf(zone), 1);
+
+        // [EVT.2] Emit zone removed
+        this.events.emit('gravity:zone:removed', { zone });
+
+        console.log(`[GRV.6] Gravity zone removed: ${zone.name || zone.type}`);
+        return true;
+    }
+
+    // [GRV.6] RUNTIME: Switch a zone on / off (zone or name)
+    setGravityZoneEnabled(zoneOrName, enabled) {
+        const zone = this.getGravityZone(zoneOrName);
+        if (!zone) {
+            console.warn(`[GRV.6] Gravity zone not found: ${zoneOrName}`);
+            return;
+        }
+
+        zone.enabled = enabled;
+
+        // [EVT.2] Emit zone changed
+        this.events.emit('gravity:zone:changed', { zone, enabled });
+    }
+
+    // [GRV.6] Zone by name (zones pass through), null if unknown
+    getGravityZone(zoneOrName) {
+        if (zoneOrName instanceof GravityZone) {
+            return this.zones.includes(zoneOrName) ? zoneOrName : null;
+        }
+        return this.zones.find(zone => zone.name === zoneOrName) || null;
+    }
+
+    // [GRV.6] All zones in creation order
+    getGravityZones() {
+        return [...this.zones];
+    }
+
+    // [GRV.6] Add zones from the scene config, skipping invalid ones
+    loadGravityZones(definitions) {
+        definitions.forEach(definition => {
+            try {
+                this.addGravityZone(definition);
+            } catch (error) {
+                console.warn(error.message);
+            }
         });
+    }
 
-        // Note: Actual zone detection would be in update loop
-        // Checking if objects are inside zone bounds
-        // This is a hook for future implementation
+    // [GRV.6] Zones for the scene config
+    serializeGravityZones() {
+        return this.zones.map(zone => zone.serialize());
     }
 
-    // [GRV.6] FUTURE: Check if position is in gravity zone
-    // Returns zone gravity if in zone, null otherwise
+    // [GRV.6] Find a zone mesh by name once it exists
+    resolveZoneMesh(zone, name) {
+        const mesh = this.scene.getMeshByName(name);
+        if (mesh) {
+            this.markZoneMesh(zone, mesh);
+        }
+        return mesh;
+    }
+
+    // [GRV.6] Directional zone meshes are volumes, not floors (planets stay solid)
+    markZoneMesh(zone, mesh) {
+        if (zone.type === 'directional') {
+            mesh.metadata = mesh.metadata || {};
+            mesh.metadata.isGravityZone = true;
+        }
+    }
+
+    // [!GRV.6] Gravity at a world position ({x, y, z})
+    // Zones are layered by priority (highest first). Zones of the same priority average by
+    // weight; what a layer doesn't cover (weight < 1, edge blends) comes from the layers
+    // below it, and finally from the global gravity
     getGravityAtPosition(position) {
-        // [GRV.6] Future: Check all gravity zones
-        // For now, return scene gravity
-        return this.current;
+        if (this.zones.length === 0 || !position) {
+            return this.current;
+        }
+
+        const point = new BABYLON.Vector3(position.x, position.y, position.z);
+        const layers = new Map();
+
+        this.zones.forEach(zone => {
+            const weight = zone.getWeight(point);
+            if (weight > 0) {
+                const layer = layers.get(zone.priority) || [];
+                layer.push({ zone, weight });
+                layers.set(zone.priority, layer);
+            }
+        });
+
+        if (layers.size === 0) {
+            return this.current;
+        }
+
+        const result = BABYLON.Vector3.Zero();
+        let remaining = 1;
+
+        [...layers.keys()].sort((a, b) => b - a).forEach(priority => {
+            const layer = layers.get(priority);
+            const total = layer.reduce((sum, entry) => sum + entry.weight, 0);
+            const share = remaining * Math.min(total, 1);
+
+            layer.forEach(({ zone, weight }) => {
+                result.addInPlace(zone.getGravity(point).scale(share * weight / total));
+            });
+            remaining -= share;
+        });
+
+        return {
+            x: result.x + this.current.x * remaining,
+            y: result.y + this.current.y * remaining,
+            z: result.z + this.current.z * remaining
+        };
+    }
+
+    // [GRV.6] Local "up" at a position (against gravity), null where gravity is zero
+    getUpAtPosition(position) {
+        const gravity = this.getGravityAtPosition(position);
+        const up = new BABYLON.Vector3(-gravity.x, -gravity.y, -gravity.z);
+        const strength = up.length();
+        return strength > 1e-6 ? up.scaleInPlace(1 / strength) : null;
+    }
+
+    // ============================================================
+    // [GRV.7] Zone gravity for physics bodies
+    // ============================================================
+
+    // [GRV.7] Before each physics step: pull dynamic bodies along the gravity where they are
+    // (Havok only knows one global gravity)
+    applyZoneGravity() {
+        if (this.zones.length === 0) {
+            this.releaseBodies();
+            return;
+        }
+
+        for (const mesh of this.bodies) {
+            const body = mesh.physicsBody;
+            if (!body || mesh.isDisposed()) {
+                this.bodies.delete(mesh);
+                this.zoneDrivenBodies.delete(mesh);
+                continue;
+            }
+            if (body.getMotionType() !== BABYLON.PhysicsMotionType.DYNAMIC) {
+                continue;
+            }
+
+            if (!this.zoneDrivenBodies.has(mesh)) {
+                body.setGravityFactor(0);
+                this.zoneDrivenBodies.add(mesh);
+            }
+
+            const center = body.getObjectCenterWorld();
+            const gravity = this.getGravityAtPosition(center);
+            const scale = (body.getMassProperties().mass ?? 1) * (mesh.metadata?.gravityMultiplier ?? 1);
+            body.applyForce(new BABYLON.Vector3(gravity.x * scale, gravity.y * scale, gravity.z * scale), center);
+
+            // [GRV.8] Upright objects
+            if (mesh.metadata?.gravityAlign) {
+                this.alignBody(mesh, body, gravity);
+            }
+        }
+    }
+
+    // [GRV.7] No zones left: bodies go back to the global gravity
+    releaseBodies() {
+        this.zoneDrivenBodies.forEach(mesh => {
+            mesh.physicsBody?.setGravityFactor(mesh.metadata?.gravityMultiplier ?? 1);
+        });
+        this.zoneDrivenBodies.clear();
+    }
+
+    // [GRV.8] Turn a body's up towards the local up, keeping its spin about that up
+    alignBody(mesh, body, gravity) {
+        const up = new BABYLON.Vector3(-gravity.x, -gravity.y, -gravity.z);
+        const strength = up.length();
+        if (strength < 1e-6) {
+            return;
+        }
+        up.scaleInPlace(1 / strength);
+
+        const bodyUp = BABYLON.Vector3.TransformNormal(BABYLON.Vector3.Up(), mesh.getWorldMatrix()).normalize();
+        const cos = BABYLON.Vector3.Dot(bodyUp, up);
+        let axis = BABYLON.Vector3.Cross(bodyUp, up);
+
+        // Upside down: any horizontal axis will do
+        if (axis.lengthSquared() < 1e-8 && cos < 0) {
+            axis = BABYLON.Vector3.Cross(bodyUp, Math.abs(bodyUp.x) < 0.9 ? BABYLON.Vector3.Right() : BABYLON.Vector3.Forward());
+        }
+
+        const angle = Math.atan2(axis.length(), cos);
+        const angular = body.getAngularVelocity();
+        const spin = up.scale(BABYLON.Vector3.Dot(angular, up));
+        const correction = axis.lengthSquared() > 1e-8 ? axis.normalize().scale(angle * ALIGN_RATE) : BABYLON.Vector3.Zero();
+
+        body.setAngularVelocity(spin.add(correction));
+    }
+
+    // [PLG.3] Dispose plugin
+    dispose() {
+        this.eventSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.eventSubscriptions = [];
+
+        this.physicsObservable?.remove(this.physicsObserver);
+        this.physicsObservable = null;
+        this.physicsObserver = null;
+
+        this.zones = [];
+        this.releaseBodies();
+        this.bodies.clear();
+
+        super.dispose();
     }
 }
 
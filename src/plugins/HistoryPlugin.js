@@ -0,0 +1,413 @@
+/**
+ * @file HistoryPlugin.js
+ * @description Command-based undo/redo history for edit-mode operations
+ *
+ * @tags [HIS.*] History system
+ * @primary-tags [HIS.1] History plugin (command stack)
+ *
+ * @dependencies
+ *   - [HIS -> PLG] Extends Plugin base class
+ *   - [HIS -> INP] Listens to action:undo / action:redo (EditModeContext)
+ *   - [HIS -> GIZ] Records gizmo drags (gizmo:drag:start / gizmo:drag:end)
+ *   - [HIS -> PROPS] Records panel edits and material applications
+ *   - [HIS -> INT] Keeps selection highlight on material undo/redo
+ *   - [HIS -> CTX] Registers Undo/Redo context menu entries
+ *
+ * @affects
+ *   - [HIS -> UI] history:changed drives undo/redo availability display
+ *
+ * @events
+ *   - Subscribes: gizmo:drag:start, gizmo:drag:end, properties:changed,
+ *                 properties:material:applied, object:deleted, object:duplicated
+ *   - Emits: history:changed, history:recorded, history:undo, history:redo, history:cleared
+ *
+ * @features
+ *   - Undo/redo stacks with configurable depth
+ *   - Consecutive gizmo drags on the same object merge into one step
+ *   - Commands are notified when they fall off the stack (free deleted meshes)
+ *   - Other plugins can record their own commands with record()
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+import Plugin from '../core/Plugin.js';
+import TransformCommand from '../history/TransformCommand.js';
+import MaterialCommand from '../history/MaterialCommand.js';
+import DeleteCommand from '../history/DeleteCommand.js';
+import DuplicateCommand from '../history/DuplicateCommand.js';
+
+// [HIS.1] History plugin
+class HistoryPlugin extends Plugin {
+    constructor() {
+        super('history');
+
+        // [HIS.1.1] Command stacks (last element = most recent)
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // [HIS.1.2] Settings
+        this.maxDepth = 100;         // Max undo steps kept
+        this.mergeWindow = 1000;     // ms - gizmo drags closer than this merge
+
+        // [HIS.1.3] Replay guard (ignore events caused by undo/redo itself)
+        this.isReplaying = false;
+
+        // [HIS.1.4] Gizmo drag in progress {mesh, before}
+        this.pendingDrag = null;
+
+        // [HIS.1.5] Listener cleanup functions
+        this.unsubscribers = [];
+    }
+
+    // [PLG.1.2] Initialize plugin
+    init(scene, events, config, inputManager) {
+        super.init(scene, events, config, inputManager);
+
+        // [CFG.2] Load history configuration
+        const historyConfig = config.history || {};
+
+        this.maxDepth = historyConfig.maxDepth ?? this.maxDepth;
+        this.mergeWindow = historyConfig.mergeWindow ?? this.mergeWindow;
+
+        console.log(`[HIS] History configuration loaded (depth: ${this.maxDepth})`);
+    }
+
+    // [PLG.2.1] Start plugin
+    start() {
+        super.start();
+
+        // [HIS.1 -> INP.4] Undo/redo actions (Ctrl+Z, Ctrl+Y / Ctrl+Shift+Z, three-finger swipe)
+        // Gestures arrive as 'completed', keys as 'pressed'
+        if (this.inputManager) {
+            const fires = (action) => action.state === 'pressed' || action.state === 'completed';
+            this.unsubscribers.push(
+                this.inputManager.on('action:undo', (action) => {
+                    if (fires(action)) this.undo();
+                }),
+                this.inputManager.on('action:redo', (action) => {
+                    if (fires(action)) this.redo();
+                })
+            );
+        }
+
+        this.setupRecorders();
+
+        // [HIS.1 -> CTX.1] Undo/Redo in the context menu
+        this.unsubscribers.push(this.addContextMenuEntries([
+            {
+                id: 'undo',
+                label: () => this.canUndo() ? `Undo ${this.getState().undoLabel}` : 'Undo',
+                group: 'history',
+                order: 10,
+                action: 'undo',
+                shortcut: 'Ctrl+Z',
+                enabled: () => this.canUndo()
+            },
+            {
+                id: 'redo',
+                label: () => this.canRedo() ? `Redo ${this.getState().redoLabel}` : 'Redo',
+                group: 'history',
+                order: 20,
+                action: 'redo',
+                shortcut: 'Ctrl+Y',
+                enabled: () => this.canRedo()
+            }
+        ]));
+
+        // [EVT.2] Publish initial availability
+        this.emitChanged();
+
+        console.log('[HIS] HistoryPlugin started');
+    }
+
+    // ============================================================
+    // [HIS.1] Stack operations
+    // ============================================================
+
+    // [HIS.1.1] Record an already-performed command
+    // Merges into previous command when possible, clears redo stack, trims depth
+    record(command) {
+        if (!command || this.isReplaying || !this.enabled) {
+            return false;
+        }
+
+        const last = this.undoStack[this.undoStack.length - 1];
+
+        if (last && this.redoStack.length === 0 && last.canMerge(command)) {
+            // [HIS.2.3] Fold into previous step
+            last.merge(command);
+        } else {
+            this.undoStack.push(command);
+        }
+
+        // [HIS.1.1] New edit invalidates redo history
+        this.discardAll(this.redoStack);
+        this.redoStack = [];
+
+        this.trim();
+
+        // [EVT.2] Emit recorded event
+        this.events.emit('history:recorded', {
+            type: command.type,
+            label: command.label
+        });
+
+        this.emitChanged();
+        return true;
+    }
+
+    // [HIS.1.1] Undo last command
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) {
+            console.log('[HIS] Nothing to undo');
+            return false;
+        }
+
+        this.replay(() => command.undo());
+        this.redoStack.push(command);
+
+        // [EVT.2] Emit undo event
+        this.events.emit('history:undo', {
+            type: command.type,
+            label: command.label
+        });
+
+        console.log(`[HIS] Undo: ${command.label}`);
+
+        this.emitChanged();
+        return true;
+    }
+
+    // [HIS.1.1] Redo last undone command
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) {
+            console.log('[HIS] Nothing to redo');
+            return false;
+        }
+
+        this.replay(() => command.redo());
+        this.undoStack.push(command);
+
+        // [EVT.2] Emit redo event
+        this.events.emit('history:redo', {
+            type: command.type,
+            label: command.label
+        });
+
+        console.log(`[HIS] Redo: ${command.label}`);
+
+        this.emitChanged();
+        return true;
+    }
+
+    // [HIS.1.3] Run undo/redo with recording suspended
+    replay(fn) {
+        this.isReplaying = true;
+        try {
+            fn();
+        } catch (error) {
+            console.error('[HIS] Failed to replay command:', error);
+        } finally {
+            this.isReplaying = false;
+        }
+    }
+
+    // [HIS.1.2] Drop oldest commands beyond max depth
+    trim() {
+        while (this.undoStack.length > this.maxDepth) {
+            const dropped = this.undoStack.shift();
+            this.discardAll([dropped]);
+        }
+    }
+
+    // [HIS.2.4] Let commands release resources
+    discardAll(commands) {
+        commands.forEach(command => {
+            try {
+                command.discard();
+            } catch (error) {
+                console.warn(`[HIS] Failed to discard command "${command.label}":`, error);
+            }
+        });
+    }
+
+    // [HIS.1.2] Change max depth at runtime
+    setMaxDepth(depth) {
+        this.maxDepth = Math.max(1, depth);
+        this.trim();
+        this.emitChanged();
+    }
+
+    // [HIS.1] Clear history (e.g. after loading another scene)
+    clear() {
+        this.discardAll(this.undoStack);
+        this.discardAll(this.redoStack);
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pendingDrag = null;
+
+        // [EVT.2] Emit cleared event
+        this.events.emit('history:cleared', {});
+        this.emitChanged();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // [HIS.1] Availability snapshot (for UI)
+    getState() {
+        const nextUndo = this.undoStack[this.undoStack.length - 1];
+        const nextRedo = this.redoStack[this.redoStack.length - 1];
+
+        return {
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            undoLabel: nextUndo ? nextUndo.label : null,
+            redoLabel: nextRedo ? nextRedo.label : null,
+            undoCount: this.undoStack.length,
+            redoCount: this.redoStack.length,
+            maxDepth: this.maxDepth
+        };
+    }
+
+    // [EVT.2] Emit availability change
+    emitChanged() {
+        this.events.emit('history:changed', this.getState());
+    }
+
+    // ============================================================
+    // [HIS.3] Recorders (events → commands)
+    // ============================================================
+
+    // [HIS.3] Subscribe to edit events from other plugins
+    setupRecorders() {
+        // [HIS.3 -> GIZ.3] Gizmo drags
+        this.unsubscribers.push(
+            this.events.on('gizmo:drag:start', (data) => {
+                if (!data.mesh || this.isReplaying) return;
+                this.pendingDrag = {
+                    mesh: data.mesh,
+                    before: TransformCommand.capture(data.mesh)
+                };
+            }),
+
+            this.events.on('gizmo:drag:end', (data) => {
+                const pending = this.pendingDrag;
+                this.pendingDrag = null;
+
+                if (!pending || pending.mesh !== data.mesh) return;
+
+                const command = new TransformCommand(
+                    [pending.mesh],
+                    [pending.before],
+                    [TransformCommand.capture(pending.mesh)],
+                    {
+                        label: `${this.getModeVerb(data.mode)} ${pending.mesh.name}`,
+                        source: 'gizmo',
+                        mergeWindow: this.mergeWindow
+                    }
+                );
+
+                if (!command.isEmpty()) {
+                    this.record(command);
+                }
+            }),
+
+            // [HIS.3 -> PROPS.8] Panel field edits
+            this.events.on('properties:changed', (data) => {
+                this.recordPropertyChange(data);
+            }),
+
+            // [HIS.4 -> PROPS.2.3] Material applications
+            this.events.on('properties:material:applied', (data) => {
+                if (!data.mesh || data.material === data.previousMaterial) return;
+
+                this.record(new MaterialCommand(data.mesh, data.previousMaterial, data.material, {
+                    preset: data.preset,
+                    interactionPlugin: this.getPlugin('interaction')
+                }));
+            }),
+
+            // [HIS.5] Deletions
+            this.events.on('object:deleted', (data) => {
+                if (!data.meshes?.length || !data.operations || data.record === false) return;
+                this.record(new DeleteCommand(data.meshes, data.operations));
+            }),
+
+            // [HIS.6] Duplications
+            this.events.on('object:duplicated', (data) => {
+                if (!data.meshes?.length || !data.operations || data.record === false) return;
+                this.record(new DuplicateCommand(data.sources || [], data.meshes, data.operations));
+            })
+        );
+    }
+
+    // [HIS.3 -> PROPS.8] Build transform command from single-field panel edit
+    recordPropertyChange(data) {
+        const { mesh, type, axis, value, previousValue } = data;
+
+        if (!mesh || isNaN(value) || previousValue === undefined || value === previousValue) {
+            return;
+        }
+
+        const after = TransformCommand.capture(mesh);
+        const before = TransformCommand.capture(mesh);
+
+        // Panel shows rotation in degrees, mesh stores radians
+        switch (type) {
+            case 'position':
+                before.position[axis] = previousValue;
+                break;
+            case 'rotation':
+                before.rotation[axis] = previousValue * Math.PI / 180;
+                break;
+            case 'scale':
+                before.scaling[axis] = previousValue;
+                break;
+            default:
+                return;
+        }
+
+        this.record(new TransformCommand([mesh], [before], [after], {
+            label: `Set ${type}.${axis} of ${mesh.name}`,
+            source: 'properties'
+        }));
+    }
+
+    // [HIS.3] Label verb for gizmo mode
+    getModeVerb(mode) {
+        switch (mode) {
+            case 'position': return 'Move';
+            case 'rotation': return 'Rotate';
+            case 'scale': return 'Scale';
+            default: return 'Transform';
+        }
+    }
+
+    // [PLG.4] Dispose plugin
+    dispose() {
+        // [HIS.1.5] Remove listeners
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+
+        // [HIS.1] Drop history without disposing scene content
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pendingDrag = null;
+
+        super.dispose();
+
+        console.log('[HIS] HistoryPlugin disposed');
+    }
+}
+
+// [HIS] Export for registration with engine
+export default HistoryPlugin;
@@ -9,6 +9,8 @@
  * @dependencies
  *   - [INT -> BABYLON] Requires scene pointer observables
  *   - [INT -> EVT] Emits interaction events
+ *   - [INT -> INP] Listens to action:selectObject (gamepad A, screen-center pick)
+ *   - [INT -> INP.9] Registers the hasSelection / noSelection binding conditions
  *
  * @affects
  *   - Mesh highlighting (hover effects)
@@ -77,12 +79,15 @@ class InteractionPlugin extends Plugin {
         // [FIX #2] Track current mode (edit/view)
         this.currentMode = 'edit'; // Default to edit mode
 
+        // [INT.4 -> INP] Action subscriptions
+        this.actionSubscriptions = [];
+
         console.log('[INT] InteractionPlugin initialized');
     }
 
     // [PLG.1.2] Initialize plugin
-    init(scene, events, config) {
-        super.init(scene, events, config);
+    init(scene, events, config, inputManager) {
+        super.init(scene, events, config, inputManager);
 
         // [CFG.2] Load interaction configuration
         const intConfig = config.interaction || {};
@@ -113,6 +118,15 @@ class InteractionPlugin extends Plugin {
             this.setMode(data.mode);
         });
 
+        // [INT.4 -> INP] Select with the gamepad, selection conditions for bindings
+        if (this.inputManager) {
+            this.actionSubscriptions.push(
+                this.inputManager.on('action:selectObject', (action) => this.handleSelectAction(action)),
+                this.inputManager.conditions.register('hasSelection', () => this.selectedMeshes.size > 0),
+                this.inputManager.conditions.register('noSelection', () => this.selectedMeshes.size === 0)
+            );
+        }
+
         console.log('[INT] InteractionPlugin started');
     }
 
@@ -318,7 +332,8 @@ class InteractionPlugin extends Plugin {
 
         if (!pickInfo || !pickInfo.hit || !pickInfo.pickedMesh) {
             // Clicked empty space - deselect all if not holding Ctrl
-            if (!event.ctrlKey && !event.metaKey) {
+            // Right button keeps selection (context menu acts on it)
+            if (!event.ctrlKey && !event.metaKey && event.button !== 2) {
                 this.deselectAll();
             }
             return;
@@ -622,6 +637,22 @@ class InteractionPlugin extends Plugin {
         console.log(`[INT.4] ✅ Selected: ${mesh.name}`);
     }
 
+    // [INT.4 -> INP] selectObject action: select the mesh at the screen center
+    // Clicks and taps also trigger selectObject, but the pointer observers handle those
+    handleSelectAction(action) {
+        if (this.currentMode !== 'edit' || action.source !== 'gamepad' || action.state !== 'pressed') {
+            return;
+        }
+
+        const mesh = action.hitInfo?.pickedMesh;
+        if (!mesh || !this.selectableMeshes.has(mesh)) {
+            return;
+        }
+
+        this.deselectAll();
+        this.select(mesh);
+    }
+
     // [INT.4] Deselect mesh
     deselect(mesh) {
         if (!this.selectedMeshes.has(mesh)) {
@@ -654,6 +685,17 @@ class InteractionPlugin extends Plugin {
         console.log('[INT.4] All deselected');
     }
 
+    // [INT.4] Select all selectable meshes (hidden/deleted meshes excluded)
+    selectAll() {
+        for (const mesh of this.selectableMeshes) {
+            if (mesh.isEnabled() && !mesh.isDisposed()) {
+                this.select(mesh);
+            }
+        }
+
+        console.log(`[INT.4] Selected all (${this.selectedMeshes.size})`);
+    }
+
     // [INT.4] Get selected meshes
     getSelected() {
         return Array.from(this.selectedMeshes);
@@ -664,6 +706,11 @@ class InteractionPlugin extends Plugin {
         return this.getSelected();
     }
 
+    // [INT.4] Check if mesh was registered as selectable
+    isSelectable(mesh) {
+        return this.selectableMeshes.has(mesh);
+    }
+
     // [INT.4] Check if mesh is selected
     isSelected(mesh) {
         return this.selectedMeshes.has(mesh);
@@ -703,8 +750,63 @@ class InteractionPlugin extends Plugin {
         }
     }
 
+    // [INT.6] Remove mesh from every interaction (before delete)
+    // Returns registration snapshot that registerMesh() can re-apply
+    unregisterMesh(mesh) {
+        const registration = this.getRegistration(mesh);
+
+        if (this.isDragging && this.draggedMesh === mesh) {
+            this.endDrag();
+        }
+        if (this.dragCandidate === mesh) {
+            this.dragCandidate = null;
+            this.pointerDownPosition = null;
+        }
+        if (this.hoveredMesh === mesh) {
+            this.handleHoverExit();
+        }
+
+        this.hoverableMeshes.delete(mesh);
+        this.clickableMeshes.delete(mesh);
+        this.doubleClickMeshes.delete(mesh);
+        this.rightClickMeshes.delete(mesh);
+        this.draggableMeshes.delete(mesh);
+        this.removeSelectable(mesh);
+
+        return registration;
+    }
+
+    // [INT.6] Re-apply registration snapshot (undo delete, duplicate)
+    registerMesh(mesh, registration) {
+        if (!registration) return;
+
+        if (registration.hover) this.hoverableMeshes.set(mesh, { ...registration.hover });
+        if (registration.click) this.clickableMeshes.set(mesh, registration.click);
+        if (registration.doubleClick) this.doubleClickMeshes.set(mesh, registration.doubleClick);
+        if (registration.rightClick) this.rightClickMeshes.set(mesh, registration.rightClick);
+        if (registration.drag) this.draggableMeshes.set(mesh, { ...registration.drag });
+        if (registration.selectable) this.selectableMeshes.add(mesh);
+
+        console.log(`[INT.6] Interactions registered for ${mesh.name}`);
+    }
+
+    // [INT.6] Snapshot of current registration without removing it
+    getRegistration(mesh) {
+        return {
+            hover: this.hoverableMeshes.get(mesh) || null,
+            click: this.clickableMeshes.get(mesh) || null,
+            doubleClick: this.doubleClickMeshes.get(mesh) || null,
+            rightClick: this.rightClickMeshes.get(mesh) || null,
+            drag: this.draggableMeshes.get(mesh) || null,
+            selectable: this.selectableMeshes.has(mesh)
+        };
+    }
+
     // [PLG.4] Dispose plugin
     dispose() {
+        this.actionSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.actionSubscriptions = [];
+
         // Remove observers
         if (this.pointerMoveObserver) {
             this.scene.onPointerObservable.remove(this.pointerMoveObserver);
@@ -0,0 +1,719 @@
+/**
+ * @file JointPlugin.js
+ * @description Physics joints between meshes: hinge, ball, slider, distance, spring and fixed
+ *
+ * @tags [JNT.*] Joint tags
+ * @primary-tags [JNT.1] Joint creation, [JNT.4] Edit-mode helpers
+ *
+ * @dependencies
+ *   - [JNT -> PLG] Extends Plugin base class
+ *   - [JNT -> COL.3] Joins the Havok bodies CollisionPlugin creates (mesh.physicsBody)
+ *   - [JNT -> PHY] Babylon Physics6DoFConstraint (Havok)
+ *
+ * @affects
+ *   - [JNT -> MESH] Jointed bodies move together in the simulation
+ *   - [JNT -> SCN] SceneSerializerPlugin saves serializeJoints() as "joints"
+ *
+ * @events
+ *   - Subscribes: mode:changed, collision:physics:enabled, collision:physics:disabled
+ *   - Emits: joint:created, joint:changed, joint:removed
+ *
+ * @features
+ *   - Hinge (doors, swinging signs), ball (pendulums, chains), slider (drawers),
+ *     distance (ropes, rope bridges), spring and fixed (welded) joints
+ *   - Limits per joint type, velocity/position motors on hinges and sliders
+ *   - Pivots and axes local to each body, or one world pivot/axis for both
+ *   - Joints survive body removal (delete + undo, physics toggle) and are
+ *     removed with their meshes
+ *   - Scene config "joints" list (loadJoints / serializeJoints)
+ *   - Edit-mode helpers: pivot, joint axis and connection lines per joint
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+import Plugin from '../core/Plugin.js';
+
+// [JNT.1] Joint types
+const JOINT_TYPES = ['hinge', 'ball', 'slider', 'distance', 'spring', 'fixed'];
+
+// [JNT.3] Types with a motor axis (hinge turns about the axis, slider moves along it)
+const MOTOR_TYPES = ['hinge', 'slider'];
+
+// [JNT.2] Definition keys accepted by createJoint / the scene config
+const DEFINITION_KEYS = new Set([
+    'type', 'name', 'bodyA', 'bodyB', 'pivot', 'pivotA', 'pivotB', 'axis', 'axisA', 'axisB',
+    'perpAxisA', 'perpAxisB', 'limits', 'spring', 'motor', 'collision'
+]);
+
+// [JNT.4] Helper line colors per joint type
+const HELPER_COLORS = {
+    hinge: [1, 0.6, 0.1],
+    ball: [0.3, 0.8, 1],
+    slider: [0.4, 1, 0.4],
+    distance: [1, 1, 0.3],
+    spring: [1, 0.4, 0.8],
+    fixed: [0.8, 0.8, 0.8]
+};
+
+// [JNT] Joint plugin
+class JointPlugin extends Plugin {
+    constructor() {
+        super('joints');
+
+        // [JNT.1] Joints in creation order
+        // {id, name, type, meshA, meshB, pivotA, pivotB, axisA, axisB, perpAxisA, perpAxisB,
+        //  limits, spring, motor, collision, constraint}
+        this.joints = [];
+        this.nextId = 1;
+
+        // [JNT.1] Dispose observers per mesh (joints go when a mesh is disposed)
+        this.disposeObservers = new Map();
+
+        // [JNT.4] Helpers
+        this.showHelpers = true;     // Config switch (physics.jointHelpers)
+        this.helperSize = 0.5;       // Half length of the axis line
+        this.helpersVisible = false;
+        this.helpers = new Map();    // joint -> line system
+        this.helperObserver = null;
+        this.mode = 'edit';
+
+        this.eventSubscriptions = [];
+    }
+
+    // [PLG.1.2] Initialize plugin
+    init(scene, events, config, inputManager) {
+        super.init(scene, events, config, inputManager);
+
+        // [CFG.2] Helper settings live with the other physics settings
+        this.showHelpers = config.physics?.jointHelpers ?? this.showHelpers;
+
+        console.log('[JNT] Joint configuration loaded');
+    }
+
+    // [PLG.2.1] Start plugin
+    start() {
+        super.start();
+
+        this.mode = this.scene.metadata?.mode || 'edit';
+
+        this.eventSubscriptions.push(
+            // [JNT.4] Helpers are an edit-mode aid
+            this.events.on('mode:changed', (data) => {
+                this.mode = data.mode;
+                this.updateHelperVisibility();
+            }),
+
+            // [JNT.1.3] Bodies come and go (delete + undo, physics toggle): rebuild / suspend
+            this.events.on('collision:physics:enabled', (data) => this.resumeJoints(data.mesh)),
+            this.events.on('collision:physics:disabled', (data) => this.suspendJoints(data.mesh))
+        );
+
+        console.log('[JNT] Joints ready');
+    }
+
+    // ============================================================
+    // [JNT.1] Create / remove
+    // ============================================================
+
+    // [JNT.1] Create a joint from a definition
+    // bodyA / bodyB: meshes or mesh names (a mass 0 body is a fixed anchor)
+    // pivotA / pivotB, axisA / axisB: local to each body; or pivot / axis in world space
+    // Throws an Error with code 'INVALID_JOINT' (error.problems lists what is wrong)
+    createJoint(definition = {}) {
+        const joint = this.resolveDefinition(definition);
+
+        this.joints.push(joint);
+        this.watchMesh(joint.meshA);
+        this.watchMesh(joint.meshB);
+
+        if (this.canBuild(joint)) {
+            this.buildConstraint(joint);
+        }
+
+        this.updateHelperVisibility();
+
+        // [EVT.2] Emit created event
+        this.events.emit('joint:created', { joint });
+
+        console.log(`[JNT.1] ${joint.type} joint created: ${joint.meshA.name} - ${joint.meshB.name}`);
+        return joint;
+    }
+
+    // [JNT.1] Remove a joint (joint object or name)
+    removeJoint(jointOrName) {
+        const joint = this.getJoint(jointOrName);
+        if (!joint) {
+            return false;
+        }
+
+        this.disposeConstraint(joint);
+        this.disposeHelper(joint);
+        this.joints.splice(this.joints.indexOf(joint), 1);
+
+        // [JNT.1] Stop watching meshes no joint uses any more
+        [joint.meshA, joint.meshB].forEach(mesh => {
+            if (this.getJoints(mesh).length === 0) {
+                this.unwatchMesh(mesh);
+            }
+        });
+
+        this.updateHelperVisibility();
+
+        // [EVT.2] Emit removed event
+        this.events.emit('joint:removed', { joint });
+
+        console.log(`[JNT.1] ${joint.type} joint removed: ${joint.meshA.name} - ${joint.meshB.name}`);
+        return true;
+    }
+
+    // [JNT.1] Joint by object or name (null when unknown)
+    getJoint(jointOrName) {
+        if (typeof jointOrName === 'string') {
+            return this.joints.find(joint => joint.name === jointOrName) || null;
+        }
+        return this.joints.includes(jointOrName) ? jointOrName : null;
+    }
+
+    // [JNT.1] All joints, or the joints a mesh is part of
+    getJoints(mesh = null) {
+        if (!mesh) {
+            return [...this.joints];
+        }
+        return this.joints.filter(joint => joint.meshA === mesh || joint.meshB === mesh);
+    }
+
+    // ============================================================
+    // [JNT.2] Definitions
+    // ============================================================
+
+    // [JNT.2] Validate a definition and resolve meshes, pivots and axes
+    resolveDefinition(definition) {
+        const problems = [];
+
+        Object.keys(definition).forEach(key => {
+            if (!DEFINITION_KEYS.has(key)) problems.push(`unknown property '${key}'`);
+        });
+
+        if (!JOINT_TYPES.includes(definition.type)) {
+            problems.push(`"type" must be one of ${JOINT_TYPES.join(', ')}`);
+        }
+
+        const meshA = this.resolveMesh(definition.bodyA);
+        const meshB = this.resolveMesh(definition.bodyB);
+
+        if (!meshA) problems.push(`"bodyA" mesh not found: ${this.describeBody(definition.bodyA)}`);
+        if (!meshB) problems.push(`"bodyB" mesh not found: ${this.describeBody(definition.bodyB)}`);
+        if (meshA && meshA === meshB) problems.push('a mesh cannot be jointed to itself');
+
+        if (definition.name && this.getJoint(definition.name)) {
+            problems.push(`a joint named '${definition.name}' already exists`);
+        }
+
+        if (definition.motor && !MOTOR_TYPES.includes(definition.type)) {
+            problems.push(`motors only drive ${MOTOR_TYPES.join(' and ')} joints`);
+        }
+
+        if (problems.length > 0) {
+            throw this.invalid(definition, problems);
+        }
+
+        const joint = {
+            id: this.nextId++,
+            name: definition.name || null,
+            type: definition.type,
+            meshA,
+            meshB,
+            limits: definition.limits ? { ...definition.limits } : null,
+            spring: definition.spring ? { ...definition.spring } : null,
+            motor: definition.motor ? { ...definition.motor } : null,
+            collision: definition.collision ?? false,
+            constraint: null
+        };
+
+        this.resolveFrames(joint, definition);
+        this.resolveDistanceLimits(joint);
+
+        return joint;
+    }
+
+    // [JNT.2] Pivots and axes in each body's space
+    // Without pivots, distance / spring joints connect the centers and the others
+    // pivot at bodyA's center; without axes the joint axis is world up
+    resolveFrames(joint, definition) {
+        const { meshA, meshB } = joint;
+        meshA.computeWorldMatrix(true);
+        meshB.computeWorldMatrix(true);
+
+        // [JNT.2.1] Pivots
+        const connectsCenters = joint.type === 'distance' || joint.type === 'spring';
+        const worldPivot = definition.pivot ? this.toVector(definition.pivot) :
+            (connectsCenters ? null : meshA.absolutePosition.clone());
+
+        joint.pivotA = definition.pivotA ? this.toVector(definition.pivotA) :
+            (worldPivot ? this.toLocalPoint(meshA, worldPivot) : BABYLON.Vector3.Zero());
+        joint.pivotB = definition.pivotB ? this.toVector(definition.pivotB) :
+            (worldPivot ? this.toLocalPoint(meshB, worldPivot) : BABYLON.Vector3.Zero());
+
+        // [JNT.2.2] Axes (both bodies must agree on the world axis when the joint is built)
+        const worldAxis = definition.axis ? this.toVector(definition.axis).normalize() :
+            (definition.axisA ? this.toWorldDirection(meshA, this.toVector(definition.axisA)) : BABYLON.Vector3.Up());
+
+        joint.axisA = definition.axisA ? this.toVector(definition.axisA).normalize() : this.toLocalDirection(meshA, worldAxis);
+        joint.axisB = definition.axisB ? this.toVector(definition.axisB).normalize() : this.toLocalDirection(meshB, worldAxis);
+
+        // [JNT.2.3] Perpendicular axes fix the zero angle of hinges and the twist of the others
+        const worldPerp = this.getPerpendicular(worldAxis);
+        joint.perpAxisA = definition.perpAxisA ? this.toVector(definition.perpAxisA).normalize() : this.toLocalDirection(meshA, worldPerp);
+        joint.perpAxisB = definition.perpAxisB ? this.toVector(definition.perpAxisB).normalize() : this.toLocalDirection(meshB, worldPerp);
+    }
+
+    // [JNT.2] Distance and spring joints keep the current distance unless limits say otherwise
+    // Resolved here so a saved joint doesn't depend on where the bodies were at save time
+    resolveDistanceLimits(joint) {
+        if (joint.type !== 'distance' && joint.type !== 'spring') {
+            return;
+        }
+
+        const { a, b } = this.getWorldPivots(joint);
+        const current = BABYLON.Vector3.Distance(a, b);
+
+        if (joint.type === 'distance') {
+            // Rope: slack up to its length
+            joint.limits = { min: joint.limits?.min ?? 0, max: joint.limits?.max ?? current };
+        } else {
+            // Spring: rest length pulls back from both sides
+            joint.limits = { min: joint.limits?.min ?? current, max: joint.limits?.max ?? current };
+            joint.spring = { stiffness: joint.spring?.stiffness ?? 50, damping: joint.spring?.damping ?? 0.5 };
+        }
+    }
+
+    // [JNT.2] Mesh from a mesh or a mesh name
+    resolveMesh(body) {
+        if (typeof body === 'string') {
+            return this.scene.getMeshByName(body);
+        }
+        return body && typeof body.getClassName === 'function' && !body.isDisposed?.() ? body : null;
+    }
+
+    // [JNT.2] Body reference for error messages
+    describeBody(body) {
+        return typeof body === 'string' ? `'${body}'` : String(body?.name ?? body);
+    }
+
+    // [JNT.2] Build the error for an invalid definition
+    invalid(definition, problems) {
+        const name = typeof definition?.name === 'string' ? ` '${definition.name}'` : '';
+        const error = new Error(`[JNT.2] Invalid joint${name}: ${problems.join('; ')}`);
+        error.code = 'INVALID_JOINT';
+        error.problems = problems;
+        return error;
+    }
+
+    // ============================================================
+    // [JNT.3] Constraints, limits and motors
+    // ============================================================
+
+    // [JNT.3] Both bodies exist (physics on, meshes not deleted)
+    canBuild(joint) {
+        return !!(joint.meshA.physicsBody && joint.meshB.physicsBody);
+    }
+
+    // [JNT.3] Create the Havok constraint for a joint
+    // Every type is a 6DoF constraint: X is the joint axis, Y the perpendicular axis
+    buildConstraint(joint) {
+        this.disposeConstraint(joint);
+
+        const constraint = new BABYLON.Physics6DoFConstraint({
+            pivotA: joint.pivotA.clone(),
+            pivotB: joint.pivotB.clone(),
+            axisA: joint.axisA.clone(),
+            axisB: joint.axisB.clone(),
+            perpAxisA: joint.perpAxisA.clone(),
+            perpAxisB: joint.perpAxisB.clone(),
+            collision: joint.collision
+        }, this.getAxisLimits(joint), this.scene);
+
+        joint.meshA.physicsBody.addConstraint(joint.meshB.physicsBody, constraint);
+        joint.constraint = constraint;
+
+        if (joint.motor) {
+            this.applyMotor(joint);
+        }
+    }
+
+    // [JNT.3] Dispose the Havok constraint (the joint definition stays)
+    disposeConstraint(joint) {
+        if (joint.constraint) {
+            joint.constraint.dispose();
+            joint.constraint = null;
+        }
+    }
+
+    // [JNT.3] Axis limits per type (axes left out are free)
+    getAxisLimits(joint) {
+        const Axis = BABYLON.PhysicsConstraintAxis;
+        const locked = axis => ({ axis, minLimit: 0, maxLimit: 0 });
+        const limited = (axis, limits) => ({ axis, minLimit: limits.min, maxLimit: limits.max });
+        const linear = [Axis.LINEAR_X, Axis.LINEAR_Y, Axis.LINEAR_Z].map(locked);
+        const limits = joint.limits;
+
+        switch (joint.type) {
+            case 'hinge':
+                // Turns about X only (limits in radians)
+                return [
+                    ...linear,
+                    locked(Axis.ANGULAR_Y),
+                    locked(Axis.ANGULAR_Z),
+                    ...(limits ? [limited(Axis.ANGULAR_X, limits)] : [])
+                ];
+            case 'ball':
+                // Turns freely (limits restrict the swing away from the axis, in radians)
+                return [
+                    ...linear,
+                    ...(limits ? [limited(Axis.ANGULAR_Y, limits), limited(Axis.ANGULAR_Z, limits)] : [])
+                ];
+            case 'slider':
+                // Moves along X only (limits in meters)
+                return [
+                    locked(Axis.LINEAR_Y),
+                    locked(Axis.LINEAR_Z),
+                    locked(Axis.ANGULAR_X),
+                    locked(Axis.ANGULAR_Y),
+                    locked(Axis.ANGULAR_Z),
+                    ...(limits ? [limited(Axis.LINEAR_X, limits)] : [])
+                ];
+            case 'distance':
+                return [limited(Axis.LINEAR_DISTANCE, limits)];
+            case 'spring':
+                return [{
+                    ...limited(Axis.LINEAR_DISTANCE, limits),
+                    stiffness: joint.spring.stiffness,
+                    damping: joint.spring.damping
+                }];
+            default:
+                // fixed: welded
+                return [
+                    ...linear,
+                    locked(Axis.ANGULAR_X),
+                    locked(Axis.ANGULAR_Y),
+                    locked(Axis.ANGULAR_Z)
+                ];
+        }
+    }
+
+    // [JNT.3] Change limits ({min, max}, null = unlimited) and, for springs, stiffness / damping
+    setLimits(jointOrName, limits, spring = null) {
+        const joint = this.getJoint(jointOrName);
+        if (!joint) {
+            console.warn('[JNT.3] Unknown joint');
+            return false;
+        }
+
+        joint.limits = limits ? { ...limits } : null;
+        if (spring && joint.type === 'spring') {
+            joint.spring = { ...joint.spring, ...spring };
+        }
+
+        // Distance and spring joints always need a range
+        if (!joint.limits && (joint.type === 'distance' || joint.type === 'spring')) {
+            this.resolveDistanceLimits(joint);
+        }
+
+        // [JNT.3] Limits are part of the constraint: rebuild it
+        if (joint.constraint) {
+            this.buildConstraint(joint);
+        }
+
+        // [EVT.2] Emit changed event
+        this.events.emit('joint:changed', { joint, limits: joint.limits });
+        return true;
+    }
+
+    // [JNT.3] Drive a hinge or slider: {type: 'velocity'|'position', target, maxForce}, null = off
+    // velocity target: rad/s or m/s; position target: radians or meters from the start pose
+    setMotor(jointOrName, motor) {
+        const joint = this.getJoint(jointOrName);
+        if (!joint) {
+            console.warn('[JNT.3] Unknown joint');
+            return false;
+        }
+
+        if (!MOTOR_TYPES.includes(joint.type)) {
+            console.warn(`[JNT.3] Motors only drive ${MOTOR_TYPES.join(' and ')} joints (not ${joint.type})`);
+            return false;
+        }
+
+        const hadMotor = !!joint.motor;
+        joint.motor = motor ? { ...joint.motor, ...motor } : null;
+
+        if (joint.constraint && (joint.motor || hadMotor)) {
+            this.applyMotor(joint);
+        }
+
+        // [EVT.2] Emit changed event
+        this.events.emit('joint:changed', { joint, motor: joint.motor });
+        return true;
+    }
+
+    // [JNT.3] Push the motor settings to the constraint
+    applyMotor(joint) {
+        const axis = joint.type === 'hinge' ?
+            BABYLON.PhysicsConstraintAxis.ANGULAR_X :
+            BABYLON.PhysicsConstraintAxis.LINEAR_X;
+        const MotorType = BABYLON.PhysicsConstraintMotorType;
+        const motor = joint.motor;
+
+        if (!motor) {
+            joint.constraint.setAxisMotorType(axis, MotorType.NONE);
+            return;
+        }
+
+        joint.constraint.setAxisMotorType(axis, motor.type === 'position' ? MotorType.POSITION : MotorType.VELOCITY);
+        joint.constraint.setAxisMotorTarget(axis, motor.target ?? 0);
+        joint.constraint.setAxisMotorMaxForce(axis, motor.maxForce ?? 1000);
+    }
+
+    // ============================================================
+    // [JNT.1.3] Body lifecycle
+    // ============================================================
+
+    // [JNT.1.3] A body was removed: its constraints went with it
+    suspendJoints(mesh) {
+        this.getJoints(mesh).forEach(joint => this.disposeConstraint(joint));
+    }
+
+    // [JNT.1.3] A body was (re)created: rebuild joints whose bodies both exist
+    resumeJoints(mesh) {
+        this.getJoints(mesh).forEach(joint => {
+            if (this.canBuild(joint)) {
+                this.buildConstraint(joint);
+            }
+        });
+    }
+
+    // [JNT.1.3] Remove a mesh's joints when it is disposed
+    watchMesh(mesh) {
+        if (this.disposeObservers.has(mesh)) {
+            return;
+        }
+
+        const observer = mesh.onDisposeObservable.add(() => {
+            this.disposeObservers.delete(mesh);
+            this.getJoints(mesh).forEach(joint => this.removeJoint(joint));
+        });
+        this.disposeObservers.set(mesh, observer);
+    }
+
+    // [JNT.1.3] Stop watching a mesh
+    unwatchMesh(mesh) {
+        const observer = this.disposeObservers.get(mesh);
+        if (observer) {
+            mesh.onDisposeObservable.remove(observer);
+            this.disposeObservers.delete(mesh);
+        }
+    }
+
+    // ============================================================
+    // [JNT.5] Scene config
+    // ============================================================
+
+    // [JNT.5] Create joints from the scene config "joints" list
+    // Invalid entries are reported and skipped; returns the created joints
+    loadJoints(definitions = []) {
+        const created = [];
+
+        definitions.forEach((definition, index) => {
+            try {
+                created.push(this.createJoint(definition));
+            } catch (error) {
+                console.warn(`[JNT.5] joints[${index}] skipped:`, error.message);
+            }
+        });
+
+        console.log(`[JNT.5] Loaded ${created.length}/${definitions.length} joints`);
+        return created;
+    }
+
+    // [JNT.5] Joints for the scene config (bodies by name, frames in body space)
+    // Joints of deleted or unsaved meshes are left out
+    serializeJoints() {
+        return this.joints
+            .filter(joint => [joint.meshA, joint.meshB].every(mesh => mesh.isEnabled() && mesh.metadata?.sceneObject))
+            .map(joint => {
+                const entry = {
+                    type: joint.type,
+                    ...(joint.name ? { name: joint.name } : {}),
+                    bodyA: joint.meshA.name,
+                    bodyB: joint.meshB.name,
+                    pivotA: this.toJSONVector(joint.pivotA),
+                    pivotB: this.toJSONVector(joint.pivotB),
+                    axisA: this.toJSONVector(joint.axisA),
+                    axisB: this.toJSONVector(joint.axisB),
+                    perpAxisA: this.toJSONVector(joint.perpAxisA),
+                    perpAxisB: this.toJSONVector(joint.perpAxisB)
+                };
+
+                if (joint.limits) entry.limits = { ...joint.limits };
+                if (joint.spring) entry.spring = { ...joint.spring };
+                if (joint.motor) entry.motor = { ...joint.motor };
+                if (joint.collision) entry.collision = true;
+
+                return entry;
+            });
+    }
+
+    // ============================================================
+    // [JNT.4] Edit-mode helpers
+    // ============================================================
+
+    // [JNT.4] Turn the helpers on/off (still edit mode only)
+    setHelpersEnabled(enabled) {
+        this.showHelpers = enabled;
+        this.updateHelperVisibility();
+    }
+
+    // [JNT.4] Show helpers in edit mode while there are joints
+    updateHelperVisibility() {
+        const visible = this.showHelpers && this.mode === 'edit' && this.joints.length > 0;
+
+        if (visible && !this.helperObserver) {
+            this.helperObserver = this.scene.onBeforeRenderObservable.add(() => this.updateHelpers());
+        } else if (!visible && this.helperObserver) {
+            this.scene.onBeforeRenderObservable.remove(this.helperObserver);
+            this.helperObserver = null;
+            this.disposeHelpers();
+        }
+
+        this.helpersVisible = visible;
+    }
+
+    // [JNT.4] Redraw every joint's helper (bodies move)
+    updateHelpers() {
+        this.joints.forEach(joint => {
+            const lines = this.getHelperLines(joint);
+            const helper = this.helpers.get(joint);
+
+            if (helper) {
+                BABYLON.MeshBuilder.CreateLineSystem(helper.name, { lines, instance: helper });
+            } else {
+                this.helpers.set(joint, this.createHelper(joint, lines));
+            }
+
+            // Deleted bodies hide their joints too
+            this.helpers.get(joint).setEnabled(joint.meshA.isEnabled() && joint.meshB.isEnabled());
+        });
+    }
+
+    // [JNT.4] Line system for one joint (updatable, not pickable, not saved)
+    createHelper(joint, lines) {
+        const color = new BABYLON.Color4(...HELPER_COLORS[joint.type], 1);
+        const helper = BABYLON.MeshBuilder.CreateLineSystem(`jointHelper_${joint.id}`, {
+            lines,
+            colors: lines.map(line => line.map(() => color)),
+            updatable: true
+        }, this.scene);
+
+        helper.isPickable = false;
+        helper.metadata = { isJointHelper: true };
+        return helper;
+    }
+
+    // [JNT.4] Lines: joint axis through the pivot, short perpendicular (zero angle),
+    // pivotA -> pivotB connection (the rope of distance / spring joints)
+    getHelperLines(joint) {
+        const { a, b } = this.getWorldPivots(joint);
+        const axis = this.toWorldDirection(joint.meshA, joint.axisA).scale(this.helperSize);
+        const perp = this.toWorldDirection(joint.meshA, joint.perpAxisA).scale(this.helperSize * 0.5);
+
+        return [
+            [a.subtract(axis), a.add(axis)],
+            [a, a.add(perp)],
+            [a, b]
+        ];
+    }
+
+    // [JNT.4] Dispose one joint's helper
+    disposeHelper(joint) {
+        this.helpers.get(joint)?.dispose();
+        this.helpers.delete(joint);
+    }
+
+    // [JNT.4] Dispose all helpers
+    disposeHelpers() {
+        this.helpers.forEach(helper => helper.dispose());
+        this.helpers.clear();
+    }
+
+    // ============================================================
+    // [JNT.6] Space conversions
+    // Body space = mesh position + rotation (physics bodies don't scale)
+    // ============================================================
+
+    // [JNT.6] World pivots of both bodies
+    getWorldPivots(joint) {
+        return {
+            a: this.toWorldPoint(joint.meshA, joint.pivotA),
+            b: this.toWorldPoint(joint.meshB, joint.pivotB)
+        };
+    }
+
+    toLocalPoint(mesh, point) {
+        return this.toLocalDirection(mesh, point.subtract(mesh.absolutePosition));
+    }
+
+    toWorldPoint(mesh, point) {
+        return this.toWorldDirection(mesh, point).addInPlace(mesh.absolutePosition);
+    }
+
+    toLocalDirection(mesh, direction) {
+        return direction.applyRotationQuaternion(BABYLON.Quaternion.Inverse(this.getRotation(mesh)));
+    }
+
+    toWorldDirection(mesh, direction) {
+        return direction.applyRotationQuaternion(this.getRotation(mesh));
+    }
+
+    // [JNT.6] Absolute rotation (absoluteRotationQuaternion is refreshed by computeWorldMatrix)
+    getRotation(mesh) {
+        mesh.computeWorldMatrix();
+        return mesh.absoluteRotationQuaternion || BABYLON.Quaternion.Identity();
+    }
+
+    // [JNT.6] Any unit vector perpendicular to an axis
+    getPerpendicular(axis) {
+        const reference = Math.abs(axis.y) < 0.9 ? BABYLON.Vector3.Up() : BABYLON.Vector3.Right();
+        return BABYLON.Vector3.Cross(axis, reference).normalize();
+    }
+
+    toVector(value) {
+        return new BABYLON.Vector3(value.x || 0, value.y || 0, value.z || 0);
+    }
+
+    toJSONVector(vector) {
+        const round = value => Math.round(value * 10000) / 10000 || 0;
+        return { x: round(vector.x), y: round(vector.y), z: round(vector.z) };
+    }
+
+    // [PLG.4] Cleanup
+    dispose() {
+        this.eventSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.eventSubscriptions = [];
+
+        if (this.helperObserver) {
+            this.scene.onBeforeRenderObservable.remove(this.helperObserver);
+            this.helperObserver = null;
+        }
+        this.disposeHelpers();
+
+        this.joints.forEach(joint => this.disposeConstraint(joint));
+        this.disposeObservers.forEach((observer, mesh) => mesh.onDisposeObservable.remove(observer));
+        this.disposeObservers.clear();
+        this.joints = [];
+
+        super.dispose();
+    }
+}
+
+// [JNT] Export for registration with engine
+export default JointPlugin;
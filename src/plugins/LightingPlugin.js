@@ -674,6 +674,18 @@ class LightingPlugin extends Plugin {
         console.log('[LGT] Lighting reset to defaults');
     }
 
+    // [LGT] Active preset, read by PluginModule before a hot reload
+    saveState() {
+        return { preset: this.currentPreset };
+    }
+
+    // [LGT] Re-apply preset after the reload
+    restoreState(state) {
+        if (state.preset && state.preset !== this.currentPreset && this.presets[state.preset]) {
+            this.usePreset(state.preset);
+        }
+    }
+
     // [PLG.4] Dispose plugin
     dispose() {
         // Clear all lights
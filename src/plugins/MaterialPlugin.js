@@ -428,11 +428,17 @@ class MaterialPlugin extends Plugin {
         // Create material from preset
         const materialName = `${presetName}_${Date.now()}`;
 
-        if (preset.type === 'pbr') {
-            return this.createPBRMaterial(materialName, preset);
-        } else {
-            return this.createStandardMaterial(materialName, preset);
+        const material = preset.type === 'pbr'
+            ? this.createPBRMaterial(materialName, preset)
+            : this.createStandardMaterial(materialName, preset);
+
+        // [MAT.4 -> SCN.2] Remember preset so scene serializer can save it by name
+        if (material) {
+            material.metadata = material.metadata || {};
+            material.metadata.preset = presetName;
         }
+
+        return material;
     }
 
     // [MAT.4] Add custom preset
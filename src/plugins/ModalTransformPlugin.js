@@ -0,0 +1,653 @@
+/**
+ * @file ModalTransformPlugin.js
+ * @description Blender-style modal grab/rotate/scale of the selection (G/R/S)
+ *
+ * @tags [MTR.*] Modal transform
+ * @primary-tags [MTR] Modal transform plugin
+ *
+ * @dependencies
+ *   - [MTR -> PLG] Extends Plugin base class
+ *   - [MTR -> INP] Listens to action:grabObject / rotateObject / scaleObject /
+ *                  confirmManipulation / cancelManipulation (EditModeContext)
+ *   - [MTR -> INP.9] Registers the 'transforming' binding condition
+ *   - [MTR -> INT] Transforms every mesh from InteractionPlugin.getSelectedMeshes()
+ *   - [MTR -> GIZ] Uses GizmoPlugin snapping state (snapEnabled, snapDistance, snapAngle)
+ *   - [MTR -> HIS] Confirmed transforms are recorded as one TransformCommand
+ *   - [MTR -> UI] Shows transform status in the HUD
+ *
+ * @affects
+ *   - [MTR -> MESH] position / rotation / scaling of selected meshes
+ *
+ * @events
+ *   - Subscribes: mode:changed, interaction:deselected
+ *   - Emits: transform:modal:start, transform:modal:update,
+ *            transform:modal:confirm, transform:modal:cancel
+ *
+ * @features
+ *   - G grab, R rotate, S scale - follows the mouse until confirmed
+ *   - X/Y/Z lock the transform to a world axis (press again to unlock)
+ *   - Typed numbers set exact values (distance, degrees, factor)
+ *   - Enter confirms, Escape restores the original transforms
+ *   - Grid/angle snapping from GizmoPlugin (hold Ctrl to invert)
+ *   - Pressing G/R/S during a transform switches mode
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+import Plugin from '../core/Plugin.js';
+import TransformCommand from '../history/TransformCommand.js';
+
+// [MTR.3] World axes for constraints
+const AXES = {
+    x: new BABYLON.Vector3(1, 0, 0),
+    y: new BABYLON.Vector3(0, 1, 0),
+    z: new BABYLON.Vector3(0, 0, 1)
+};
+
+// [MTR] Modal transform plugin
+class ModalTransformPlugin extends Plugin {
+    constructor() {
+        super('transform');
+
+        // [MTR.1] Active transform (null when idle)
+        // {mode, meshes, before, startRotations, pivot, startPointer}
+        this.active = null;
+
+        // [MTR.3] Axis constraint ('x', 'y', 'z' or null)
+        this.axis = null;
+
+        // [MTR.4] Typed numeric value ('' = follow mouse)
+        this.numericInput = '';
+
+        // [MTR.5] Settings
+        this.scaleSnap = 0.1;        // Scale factor increment when snapping
+        this.showStatus = true;      // HUD status line
+
+        // [MTR.6] Listener handles
+        this.actionSubscriptions = [];
+        this.eventSubscriptions = [];
+        this.pointerObserver = null;
+        this.onKeyDown = null;
+        this.ctrlHeld = false;
+        this.statusText = null;
+    }
+
+    // [PLG.1.2] Initialize plugin
+    init(scene, events, config, inputManager) {
+        super.init(scene, events, config, inputManager);
+
+        // [CFG.2] Load transform configuration
+        const transformConfig = config.transform || {};
+
+        this.scaleSnap = transformConfig.scaleSnap ?? this.scaleSnap;
+        this.showStatus = transformConfig.showStatus ?? this.showStatus;
+
+        console.log('[MTR] Modal transform configuration loaded');
+    }
+
+    // [PLG.2.1] Start plugin
+    start() {
+        super.start();
+
+        // [MTR.1 -> INP.4] Edit mode actions (G, R, S, Enter, Escape)
+        if (this.inputManager) {
+            this.actionSubscriptions.push(
+                this.inputManager.on('action:grabObject', (action) => {
+                    if (action.state === 'pressed') this.begin('grab');
+                }),
+                this.inputManager.on('action:rotateObject', (action) => {
+                    if (action.state === 'pressed') this.begin('rotate');
+                }),
+                this.inputManager.on('action:scaleObject', (action) => {
+                    if (action.state === 'pressed') this.begin('scale');
+                }),
+                this.inputManager.on('action:confirmManipulation', (action) => {
+                    if (action.state === 'pressed') this.confirm();
+                }),
+                this.inputManager.on('action:cancelManipulation', (action) => {
+                    if (action.state === 'pressed') this.cancel();
+                }),
+
+                // [MTR.1 -> INP.9] 'transforming' condition for bindings (e.g. "!transforming")
+                this.inputManager.conditions.register('transforming', () => this.active !== null)
+            );
+        }
+
+        // [MTR.1] Leaving edit mode or losing the selection cancels the transform
+        this.eventSubscriptions.push(
+            this.events.on('mode:changed', (data) => {
+                if (data.mode !== 'edit') this.cancel();
+            }),
+            this.events.on('interaction:deselected', (data) => {
+                if (this.active && this.active.meshes.includes(data.mesh)) this.cancel();
+            })
+        );
+
+        // [MTR.2] Mouse follows (MouseSource only reports moves while a button is held)
+        this.pointerObserver = this.scene.onPointerObservable.add((pointerInfo) => {
+            if (this.active && pointerInfo.type === BABYLON.PointerEventTypes.POINTERMOVE) {
+                this.ctrlHeld = !!pointerInfo.event?.ctrlKey;
+                this.update();
+            }
+        });
+
+        // [MTR.3 / MTR.4] Axis keys and numeric entry (only consumed while active)
+        this.onKeyDown = this.handleKeyDown.bind(this);
+        window.addEventListener('keydown', this.onKeyDown);
+
+        console.log('[MTR] ModalTransformPlugin started');
+    }
+
+    // ============================================================
+    // [MTR.1] Modal lifecycle
+    // ============================================================
+
+    // [MTR.1] Start grab/rotate/scale of the current selection
+    begin(mode) {
+        if (!this.enabled) return false;
+
+        // [MTR.1] G/R/S while active switches mode from the original transforms
+        if (this.active) {
+            if (this.active.mode === mode) return false;
+            this.restoreOriginal();
+        }
+
+        const meshes = this.active ? this.active.meshes : this.getSelection();
+
+        if (meshes.length === 0) {
+            console.log('[MTR.1] Nothing selected to transform');
+            return false;
+        }
+
+        if (!this.scene.activeCamera) {
+            console.warn('[MTR.1] No active camera');
+            return false;
+        }
+
+        // [MTR.1.1] Snapshot original transforms (for cancel and history)
+        const before = this.active ? this.active.before : meshes.map(mesh => TransformCommand.capture(mesh));
+
+        // [MTR.1.2] Pivot = median point of selection
+        const pivot = BABYLON.Vector3.Zero();
+        before.forEach(snapshot => pivot.addInPlace(snapshot.position));
+        pivot.scaleInPlace(1 / before.length);
+
+        this.active = {
+            mode,
+            meshes,
+            before,
+            startRotations: before.map(snapshot => snapshot.rotationQuaternion
+                ? snapshot.rotationQuaternion.clone()
+                : BABYLON.Quaternion.FromEulerVector(snapshot.rotation)),
+            pivot,
+            startPointer: { x: this.scene.pointerX, y: this.scene.pointerY }
+        };
+
+        this.axis = null;
+        this.numericInput = '';
+
+        // [MTR.1.3] Static physics bodies follow the mesh while it is transformed
+        this.setBodiesFollowMesh(true);
+
+        // [EVT.2] Emit start event
+        this.events.emit('transform:modal:start', {
+            mode,
+            meshes
+        });
+
+        this.updateStatus();
+
+        console.log(`[MTR.1] ${this.getModeLabel(mode)} ${meshes.length} object(s)`);
+        return true;
+    }
+
+    // [MTR.1] Keep the current transforms and record them as one undo step
+    confirm() {
+        if (!this.active) return false;
+
+        const { mode, meshes, before } = this.active;
+        const after = meshes.map(mesh => TransformCommand.capture(mesh));
+
+        this.finish();
+
+        // [MTR.1 -> HIS.3] Record undoable transform
+        const historyPlugin = this.getPlugin('history');
+        if (historyPlugin) {
+            const command = new TransformCommand(meshes, before, after, {
+                label: `${this.getModeLabel(mode)} ${meshes.length === 1 ? meshes[0].name : `${meshes.length} objects`}`,
+                source: 'modal'
+            });
+
+            if (!command.isEmpty()) {
+                historyPlugin.record(command);
+            }
+        }
+
+        // [EVT.2] Emit confirm event
+        this.events.emit('transform:modal:confirm', {
+            mode,
+            meshes
+        });
+
+        console.log(`[MTR.1] ${this.getModeLabel(mode)} confirmed`);
+        return true;
+    }
+
+    // [MTR.1] Restore the original transforms
+    cancel() {
+        if (!this.active) return false;
+
+        const { mode, meshes } = this.active;
+
+        this.restoreOriginal();
+        this.finish();
+
+        // [EVT.2] Emit cancel event
+        this.events.emit('transform:modal:cancel', {
+            mode,
+            meshes
+        });
+
+        console.log(`[MTR.1] ${this.getModeLabel(mode)} cancelled`);
+        return true;
+    }
+
+    // [MTR.1] Leave modal state
+    finish() {
+        this.setBodiesFollowMesh(false);
+
+        this.active = null;
+        this.axis = null;
+        this.numericInput = '';
+
+        this.updateStatus();
+    }
+
+    // [MTR.1 -> INT.4] Selected meshes that can be transformed
+    getSelection() {
+        const interactionPlugin = this.getPlugin('interaction');
+        if (!interactionPlugin) return [];
+
+        return interactionPlugin.getSelectedMeshes().filter(mesh => !mesh.isDisposed());
+    }
+
+    // [MTR.1.1] Put every mesh back where it started
+    restoreOriginal() {
+        const { meshes, before } = this.active;
+        meshes.forEach((mesh, i) => TransformCommand.restore(mesh, before[i]));
+    }
+
+    isActive() {
+        return this.active !== null;
+    }
+
+    // ============================================================
+    // [MTR.3] Keyboard: axis constraints and numeric entry
+    // ============================================================
+
+    // [MTR.3] Raw key handling while a transform is running
+    // Enter/Escape arrive as confirmManipulation/cancelManipulation actions
+    handleKeyDown(e) {
+        if (!this.active) return;
+
+        // Don't steal keys from form fields (properties panel)
+        const tag = e.target?.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+
+        // Ctrl+<key> belongs to the edit context (undo, save, ...)
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        switch (e.code) {
+            case 'KeyX':
+            case 'KeyY':
+            case 'KeyZ':
+                this.setAxis(e.code.charAt(3).toLowerCase());
+                e.preventDefault();
+                return;
+            case 'Backspace':
+                this.numericInput = this.numericInput.slice(0, -1);
+                e.preventDefault();
+                this.update();
+                return;
+        }
+
+        // [MTR.4] Digits, decimal point and sign
+        if (/^[0-9]$/.test(e.key) || (e.key === '.' && !this.numericInput.includes('.'))) {
+            this.numericInput += e.key;
+            e.preventDefault();
+            this.update();
+        } else if (e.key === '-') {
+            this.numericInput = this.numericInput.startsWith('-')
+                ? this.numericInput.slice(1)
+                : `-${this.numericInput}`;
+            e.preventDefault();
+            this.update();
+        }
+    }
+
+    // [MTR.3] Lock to axis, or unlock when the same axis is pressed again
+    setAxis(axis) {
+        if (!this.active) return;
+
+        this.axis = this.axis === axis ? null : axis;
+        this.update();
+    }
+
+    // [MTR.4] Typed value, or null while the user hasn't typed a number yet
+    getNumericValue() {
+        const value = parseFloat(this.numericInput);
+        return isNaN(value) ? null : value;
+    }
+
+    // ============================================================
+    // [MTR.2] Apply transform
+    // ============================================================
+
+    // [MTR.2] Recompute transforms from mouse / typed value
+    update() {
+        if (!this.active) return;
+
+        const camera = this.scene.activeCamera;
+        if (!camera) return;
+
+        const typed = this.getNumericValue();
+        let value;
+
+        switch (this.active.mode) {
+            case 'grab':
+                value = this.applyGrab(camera, typed);
+                break;
+            case 'rotate':
+                value = this.applyRotate(camera, typed);
+                break;
+            case 'scale':
+                value = this.applyScale(typed);
+                break;
+        }
+
+        // [EVT.2] Emit update event
+        this.events.emit('transform:modal:update', {
+            mode: this.active.mode,
+            axis: this.axis,
+            value,
+            numericInput: this.numericInput
+        });
+
+        this.updateStatus(value);
+    }
+
+    // [MTR.2.1] Grab: move along view plane, or along locked axis
+    applyGrab(camera, typed) {
+        const { meshes, before, pivot } = this.active;
+        let offset;
+
+        if (typed !== null) {
+            // [MTR.4] Typed distance goes along the locked axis (X when unlocked)
+            offset = AXES[this.axis || 'x'].scale(typed);
+        } else {
+            offset = this.getPointerOffset(camera);
+            if (!offset) return null;
+
+            if (this.axis) {
+                const axis = AXES[this.axis];
+                offset = axis.scale(BABYLON.Vector3.Dot(offset, axis));
+            }
+
+            // [MTR.5 -> GIZ.13] Grid snapping
+            if (this.isSnapping()) {
+                const step = this.getPlugin('gizmo').snapDistance;
+                offset = new BABYLON.Vector3(
+                    this.snapValue(offset.x, step),
+                    this.snapValue(offset.y, step),
+                    this.snapValue(offset.z, step)
+                );
+            }
+        }
+
+        meshes.forEach((mesh, i) => {
+            mesh.position.copyFrom(before[i].position.add(offset));
+        });
+
+        return this.axis ? BABYLON.Vector3.Dot(offset, AXES[this.axis]) : offset.length();
+    }
+
+    // [MTR.2.2] Rotate: angle swept by the mouse around the pivot on screen
+    applyRotate(camera, typed) {
+        const { meshes, before, startRotations, pivot } = this.active;
+        const forward = camera.getDirection(BABYLON.Axis.Z);
+        const axis = this.axis ? AXES[this.axis] : forward;
+        let degrees;
+
+        if (typed !== null) {
+            degrees = typed;
+        } else {
+            const center = this.projectToScreen(pivot, camera);
+            const start = this.active.startPointer;
+
+            const startAngle = Math.atan2(start.y - center.y, start.x - center.x);
+            const currentAngle = Math.atan2(this.scene.pointerY - center.y, this.scene.pointerX - center.x);
+
+            // Screen Y points down: clockwise mouse motion = clockwise rotation as seen
+            // by the camera. Flip when the locked axis points towards the viewer.
+            const facing = BABYLON.Vector3.Dot(axis, forward) >= 0 ? 1 : -1;
+            degrees = (startAngle - currentAngle) * 180 / Math.PI * facing;
+
+            // [MTR.5 -> GIZ.13] Angle snapping
+            if (this.isSnapping()) {
+                degrees = this.snapValue(degrees, this.getPlugin('gizmo').snapAngle);
+            }
+        }
+
+        const rotation = BABYLON.Quaternion.RotationAxis(axis, degrees * Math.PI / 180);
+
+        meshes.forEach((mesh, i) => {
+            // Orbit position around pivot
+            const arm = before[i].position.subtract(pivot).applyRotationQuaternion(rotation);
+            mesh.position.copyFrom(pivot.add(arm));
+
+            // Rotate orientation in world space
+            const orientation = rotation.multiply(startRotations[i]);
+
+            if (before[i].rotationQuaternion) {
+                mesh.rotationQuaternion = orientation;
+            } else {
+                // Keep Euler rotation (properties panel and serializer read mesh.rotation)
+                mesh.rotationQuaternion = null;
+                mesh.rotation.copyFrom(orientation.toEulerAngles());
+            }
+        });
+
+        return degrees;
+    }
+
+    // [MTR.2.3] Scale: ratio of mouse distance to pivot (now / at start)
+    applyScale(typed) {
+        const { meshes, before, pivot } = this.active;
+        let factor;
+
+        if (typed !== null) {
+            factor = typed;
+        } else {
+            const center = this.projectToScreen(pivot, this.scene.activeCamera);
+            const start = this.active.startPointer;
+
+            const startDistance = Math.hypot(start.x - center.x, start.y - center.y);
+            const currentDistance = Math.hypot(this.scene.pointerX - center.x, this.scene.pointerY - center.y);
+
+            factor = startDistance > 1 ? currentDistance / startDistance : 1;
+
+            // [MTR.5] Scale snapping (same increment as the scale gizmo)
+            if (this.isSnapping()) {
+                factor = this.snapValue(factor, this.scaleSnap);
+            }
+        }
+
+        // Locked axis scales only that component (local scaling)
+        const scale = new BABYLON.Vector3(
+            !this.axis || this.axis === 'x' ? factor : 1,
+            !this.axis || this.axis === 'y' ? factor : 1,
+            !this.axis || this.axis === 'z' ? factor : 1
+        );
+
+        meshes.forEach((mesh, i) => {
+            const arm = before[i].position.subtract(pivot).multiply(scale);
+            mesh.position.copyFrom(pivot.add(arm));
+            mesh.scaling.copyFrom(before[i].scaling.multiply(scale));
+        });
+
+        return factor;
+    }
+
+    // [MTR.2.1] World-space offset between start and current pointer on a plane through the pivot
+    getPointerOffset(camera) {
+        const { pivot, startPointer } = this.active;
+        const forward = camera.getDirection(BABYLON.Axis.Z);
+        let normal = forward;
+
+        // Axis lock: plane that contains the axis and faces the camera best
+        if (this.axis) {
+            const axis = AXES[this.axis];
+            const projected = forward.subtract(axis.scale(BABYLON.Vector3.Dot(forward, axis)));
+            if (projected.lengthSquared() > 1e-6) {
+                normal = projected.normalize();
+            }
+        }
+
+        const plane = BABYLON.Plane.FromPositionAndNormal(pivot, normal);
+
+        const start = this.intersectPointerRay(startPointer.x, startPointer.y, plane, camera);
+        const current = this.intersectPointerRay(this.scene.pointerX, this.scene.pointerY, plane, camera);
+
+        if (!start || !current) return null;
+        return current.subtract(start);
+    }
+
+    // [MTR.2.1] Point where the ray through screen (x, y) hits plane
+    intersectPointerRay(x, y, plane, camera) {
+        const ray = this.scene.createPickingRay(x, y, BABYLON.Matrix.Identity(), camera);
+        const distance = ray.intersectsPlane(plane);
+
+        if (distance === null || distance < 0) return null;
+        return ray.origin.add(ray.direction.scale(distance));
+    }
+
+    // [MTR.2] World point -> pointer coordinates (CSS pixels, like scene.pointerX/Y)
+    projectToScreen(point, camera) {
+        const engine = this.scene.getEngine();
+        const viewport = camera.viewport.toGlobal(engine.getRenderWidth(), engine.getRenderHeight());
+        const projected = BABYLON.Vector3.Project(
+            point,
+            BABYLON.Matrix.Identity(),
+            this.scene.getTransformMatrix(),
+            viewport
+        );
+        const ratio = engine.getHardwareScalingLevel();
+
+        return { x: projected.x * ratio, y: projected.y * ratio };
+    }
+
+    // ============================================================
+    // [MTR.5] Snapping
+    // ============================================================
+
+    // [MTR.5 -> GIZ.13] Gizmo snapping state, inverted while Ctrl is held
+    isSnapping() {
+        const gizmoPlugin = this.getPlugin('gizmo');
+        if (!gizmoPlugin) return false;
+
+        return gizmoPlugin.snapEnabled !== this.ctrlHeld;
+    }
+
+    snapValue(value, step) {
+        if (!step) return value;
+        return Math.round(value / step) * step;
+    }
+
+    // ============================================================
+    // [MTR] Helpers
+    // ============================================================
+
+    // [MTR.1.3 -> PHY] Let physics bodies of selected meshes track the mesh transform
+    setBodiesFollowMesh(follow) {
+        this.active?.meshes.forEach(mesh => {
+            if (mesh.physicsBody) {
+                mesh.physicsBody.disablePreStep = !follow;
+            }
+        });
+    }
+
+    // [MTR -> UI.1] HUD status line ("Grab along X: 1.5")
+    updateStatus(value = null) {
+        if (!this.showStatus) return;
+
+        const uiPlugin = this.getPlugin('ui');
+        if (!uiPlugin) return;
+
+        if (!this.statusText) {
+            if (!uiPlugin.hudContainer) {
+                uiPlugin.createHUD();
+            }
+            this.statusText = uiPlugin.addHUDText('modalTransformStatus', {
+                position: { x: 20, y: 20 }
+            });
+        }
+
+        if (!this.active) {
+            this.statusText.text = '';
+            return;
+        }
+
+        const axisLabel = this.axis ? ` along ${this.axis.toUpperCase()}` : '';
+        const valueLabel = this.numericInput
+            ? `[${this.numericInput}]`
+            : (typeof value === 'number' ? value.toFixed(3) : '');
+
+        this.statusText.text =
+            `${this.getModeLabel(this.active.mode)}${axisLabel}: ${valueLabel}` +
+            '   (X/Y/Z axis, type value, Enter confirm, Esc cancel)';
+    }
+
+    getModeLabel(mode) {
+        switch (mode) {
+            case 'grab': return 'Move';
+            case 'rotate': return 'Rotate';
+            case 'scale': return 'Scale';
+            default: return 'Transform';
+        }
+    }
+
+    // [PLG.4] Dispose plugin
+    dispose() {
+        this.cancel();
+
+        // [MTR.6] Remove listeners
+        this.actionSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.actionSubscriptions = [];
+        this.eventSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.eventSubscriptions = [];
+
+        if (this.pointerObserver) {
+            this.scene.onPointerObservable.remove(this.pointerObserver);
+            this.pointerObserver = null;
+        }
+
+        if (this.onKeyDown) {
+            window.removeEventListener('keydown', this.onKeyDown);
+            this.onKeyDown = null;
+        }
+
+        const uiPlugin = this.getPlugin('ui');
+        if (uiPlugin && this.statusText) {
+            uiPlugin.removeHUDText('modalTransformStatus');
+        }
+        this.statusText = null;
+
+        super.dispose();
+
+        console.log('[MTR] ModalTransformPlugin disposed');
+    }
+}
+
+// [MTR] Export for registration with engine
+export default ModalTransformPlugin;
@@ -9,13 +9,15 @@
  * @dependencies
  *   - [MOV -> CAM] Requires active camera
  *   - [MOV -> EVT] Subscribes to render:frame event
+ *   - [MOV -> INP] Handles walkTo action (click / tap to move)
+ *   - [MOV -> CHR] Hands the movement to a character controller when one is set
  *
  * @affects
- *   - Camera position (moves camera every frame)
+ *   - Camera position (moves camera every frame, or walks it through CharacterController)
  *
  * @events
  *   - Emits: movement:mode:changed, movement:updated
- *   - Listens: render:frame
+ *   - Listens: render:frame, action:walkTo
  *
  * @features
  *   - Multiple movement modes (keyboard, click-to-move, custom)
@@ -23,6 +25,7 @@
  *   - Smooth acceleration/deceleration
  *   - Per-zone movement restrictions (future-ready)
  *   - External control support (AI, network, etc.)
+ *   - Character controller walking (steps, slopes, jump, crouch) instead of free flight
  *
  * @author Development Team
  * @created 2025-10-31
@@ -61,6 +64,13 @@ class MovementPlugin extends Plugin {
         this.subscriptions = {
             'render:frame': this.update
         };
+
+        // [MOV.5.1] Input action unsubscribers
+        this.actionSubscriptions = [];
+
+        // [MOV.7] Character controller walking the camera (set by CharacterPlugin)
+        // null: velocity is added to the camera position (free flight)
+        this.character = null;
     }
 
     // [MOV.1] Initialize movement system
@@ -74,7 +84,7 @@ class MovementPlugin extends Plugin {
 
         // [MOV.1.1] Register keyboard movement mode
         const keyboardConfig = movementConfig.keyboard || {};
-        const keyboardMode = new KeyboardMovement(keyboardConfig);
+        const keyboardMode = new KeyboardMovement(keyboardConfig, this.inputManager);
         this.registerMode('keyboard', keyboardMode);
 
         // [MOV.1.1] Register click-to-move mode
@@ -102,6 +112,15 @@ class MovementPlugin extends Plugin {
         } else {
             console.warn('[MOV.1] No active camera for movement');
         }
+
+        // [MOV.5.1 -> INP.2] Click / tap ground to walk there
+        if (this.inputManager) {
+            this.actionSubscriptions.push(
+                this.inputManager.on('action:walkTo', (action) => {
+                    clickToMoveMode.walkTo(action);
+                })
+            );
+        }
     }
 
     // [MOV.1.1] Register a movement mode
@@ -159,6 +178,10 @@ class MovementPlugin extends Plugin {
     // PERFORMANCE: Runs at 60 FPS - keep lightweight!
     update() {
         if (!this.activeMode || !this.activeMode.enabled) {
+            // [MOV.7] A character still falls and rides platforms without input (and stays crouched)
+            if (this.character?.enabled) {
+                this.character.step(BABYLON.Vector3.Zero(), { crouch: this.character.crouching });
+            }
             return;
         }
 
@@ -167,6 +190,10 @@ class MovementPlugin extends Plugin {
             return;
         }
 
+        // [MOV.7] Click-to-move aims along the floor while a character walks (stairs change height)
+        const walking = !!this.character?.enabled;
+        this.modes.get('clickToMove')?.setFollowGround(walking, walking ? this.character.up : null);
+
         // [MOV.3.1] Get target velocity from active mode(s)
         // Hybrid mode: combine keyboard + click-to-move velocities
         if (this.activeModeName === 'hybrid' && this.clickToMoveMode) {
@@ -190,7 +217,12 @@ class MovementPlugin extends Plugin {
 
         // [MOV.3.3] Apply velocity to camera
         // [MOV.3.3 -> CAM.2] Updates camera position
-        camera.position.addInPlace(this.velocity);
+        // [MOV.7] Walking: the character collides, climbs steps and falls; up/down jump and crouch
+        if (this.character?.enabled) {
+            this.character.step(this.velocity, this.getCharacterIntent());
+        } else {
+            camera.position.addInPlace(this.velocity);
+        }
 
         // [EVT.2] Emit movement updated (not every frame - would be too many events)
         // Only emit if actually moving
@@ -210,6 +242,22 @@ class MovementPlugin extends Plugin {
         }
     }
 
+    // [MOV.7] Let a character controller walk the camera (null: back to free flight)
+    setCharacter(character) {
+        this.character = character || null;
+
+        console.log(`[MOV.7] Character controller ${character ? 'set' : 'removed'}`);
+    }
+
+    // [MOV.7] moveUp / moveDown input as jump / crouch
+    getCharacterIntent() {
+        const vertical = this.modes.get('keyboard')?.getInputVector().y || 0;
+        return {
+            jump: vertical > 0,
+            crouch: vertical < 0
+        };
+    }
+
     // [MOV.2] Get active movement mode
     getActiveMode() {
         return {
@@ -301,10 +349,16 @@ class MovementPlugin extends Plugin {
 
     // [PLG.1.5] Cleanup on disposal
     dispose() {
-        // Deactivate current mode
+        this.actionSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.actionSubscriptions = [];
+
+        // Deactivate current mode (and click-to-move in hybrid mode)
         if (this.activeMode) {
             this.activeMode.deactivate();
         }
+        if (this.clickToMoveMode && this.clickToMoveMode !== this.activeMode) {
+            this.clickToMoveMode.deactivate();
+        }
 
         // Clear modes
         this.modes.clear();
@@ -252,6 +252,12 @@ class PerformancePlugin extends Plugin {
         console.log(`[PRF.2] LOD disabled for ${mesh.name}`);
     }
 
+    // [PRF.2] Get LOD levels registered for mesh (null if none)
+    getLODLevels(mesh) {
+        const lodData = this.lodMeshes.get(mesh);
+        return lodData ? [...lodData.levels] : null;
+    }
+
     // [PRF.3] Enable auto-optimization
     // USER REQUIREMENT: Automatically adjust quality to maintain FPS
     enableAutoOptimization(options = {}) {
@@ -9,6 +9,8 @@
  *   - [PROPS -> PLG] Extends Plugin base class
  *   - [PROPS -> EVT] Listens to interaction events
  *   - [PROPS -> INT] Works with InteractionPlugin selection
+ *   - [PROPS -> INP] Listens to action:applyMaterialPreset
+ *   - [PROPS -> CTX] Registers "Apply Material" context menu entry
  *
  * @features
  *   - Auto-show panel when object selected
@@ -52,12 +54,15 @@ class PropertiesPlugin extends Plugin {
         // [PROPS.3] Update interval
         this.syncInterval = null;
 
+        // [PROPS.11] Action subscriptions / menu entries (unsubscribe functions)
+        this.unsubscribers = [];
+
         console.log('[PROPS] PropertiesPlugin initialized');
     }
 
     // [PLG.1.2] Initialize plugin
-    init(scene, events, config) {
-        super.init(scene, events, config);
+    init(scene, events, config, inputManager) {
+        super.init(scene, events, config, inputManager);
 
         // [CFG.2] Load properties configuration
         const propsConfig = config.properties || {};
@@ -70,6 +75,9 @@ class PropertiesPlugin extends Plugin {
     start() {
         super.start();
 
+        // [PROPS.11] Material presets from context menu
+        this.setupMaterialActions();
+
         // [PROPS.1] Find panel element
         this.panelElement = document.getElementById('propertiesPanel');
 
@@ -189,7 +197,7 @@ class PropertiesPlugin extends Plugin {
 
         // Get MaterialPlugin
         const materialPlugin = this.scene.metadata?.materialPlugin ||
-                             window.engine?.plugins?.get('material');
+                             this.getPlugin('material');
 
         if (!materialPlugin) {
             console.error('[PROPS.2.3] MaterialPlugin not found');
@@ -200,12 +208,53 @@ class PropertiesPlugin extends Plugin {
         const material = materialPlugin.usePreset(presetName);
 
         if (material) {
+            const previousMaterial = this.selectedObject.material;
+
             // Apply to selected object
             materialPlugin.applyMaterial(this.selectedObject, material);
             console.log(`[PROPS.2.3] Applied material "${presetName}" to ${this.selectedObject.name}`);
+
+            // [PROPS.2.3 -> HIS.4] Emit event for undo/redo
+            this.events.emit('properties:material:applied', {
+                mesh: this.selectedObject,
+                preset: presetName,
+                material: material,
+                previousMaterial: previousMaterial
+            });
         }
     }
 
+    // [PROPS.11] applyMaterialPreset action + context menu submenu
+    setupMaterialActions() {
+        if (this.inputManager) {
+            this.unsubscribers.push(
+                this.inputManager.on('action:applyMaterialPreset', (action) => {
+                    if (action.state === 'pressed' && action.value) {
+                        this.applyMaterialToSelected(action.value);
+                    }
+                })
+            );
+        }
+
+        // Presets come from MaterialPlugin (hidden without it)
+        this.unsubscribers.push(this.addContextMenuEntries([
+            {
+                id: 'applyMaterialPreset',
+                label: 'Apply Material',
+                group: 'object',
+                order: 10,
+                visible: () => !!this.getPlugin('material'),
+                enabled: (context) => context.hasSelection,
+                children: () => this.getPlugin('material').getPresets().map(preset => ({
+                    id: `applyMaterialPreset:${preset}`,
+                    label: preset.charAt(0).toUpperCase() + preset.slice(1),
+                    action: 'applyMaterialPreset',
+                    value: preset
+                }))
+            }
+        ]));
+    }
+
     // [PROPS.3] Setup event listeners
     setupEventListeners() {
         // Listen to selection events
@@ -325,10 +374,12 @@ class PropertiesPlugin extends Plugin {
 
         const mesh = this.selectedObject;
         let value;
+        let previousValue;
 
         switch (type) {
             case 'position':
                 value = parseFloat(this.inputs[`pos${axis.toUpperCase()}`].value);
+                previousValue = mesh.position[axis];
                 if (!isNaN(value)) {
                     mesh.position[axis] = value;
                 }
@@ -336,6 +387,7 @@ class PropertiesPlugin extends Plugin {
 
             case 'rotation':
                 value = parseFloat(this.inputs[`rot${axis.toUpperCase()}`].value);
+                previousValue = mesh.rotation[axis] * 180 / Math.PI;
                 if (!isNaN(value)) {
                     // Convert degrees to radians
                     mesh.rotation[axis] = value * Math.PI / 180;
@@ -344,6 +396,7 @@ class PropertiesPlugin extends Plugin {
 
             case 'scale':
                 value = parseFloat(this.inputs[`scale${axis.toUpperCase()}`].value);
+                previousValue = mesh.scaling[axis];
                 if (!isNaN(value)) {
                     mesh.scaling[axis] = value;
                 }
@@ -353,11 +406,13 @@ class PropertiesPlugin extends Plugin {
         console.log(`[PROPS.8] Updated ${mesh.name} ${type}.${axis} = ${value}`);
 
         // Emit event for other systems (e.g., undo/redo)
+        // [PROPS.8 -> HIS.3] previousValue uses same units as value (degrees for rotation)
         this.events.emit('properties:changed', {
             mesh: mesh,
             type: type,
             axis: axis,
-            value: value
+            value: value,
+            previousValue: previousValue
         });
     }
 
@@ -373,6 +428,10 @@ class PropertiesPlugin extends Plugin {
 
     // [PLG.4] Dispose plugin
     dispose() {
+        // [PROPS.11] Remove action listener and menu entry
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+
         // Clear sync interval
         if (this.syncInterval) {
             clearInterval(this.syncInterval);
@@ -0,0 +1,501 @@
+/**
+ * @file SceneSerializerPlugin.js
+ * @description Scene document serialization behind the saveScene / saveSceneAs actions
+ *
+ * @tags [SCN.*] Scene serialization
+ * @primary-tags [SCN] Scene serializer plugin
+ *
+ * @dependencies
+ *   - [SCN -> PLG] Extends Plugin base class
+ *   - [SCN -> INP] Listens to action:saveScene / action:saveSceneAs
+ *   - [SCN -> COL] Reads collision/physics settings stored by CollisionPlugin
+ *   - [SCN -> MAT] Reads material preset recorded by MaterialPlugin.usePreset
+ *   - [SCN -> SHD] Reads shadow caster/receiver flags
+ *   - [SCN -> JNT] Reads joints from JointPlugin
+ *   - [SCN -> SKY | LGT | GRV | GRD] Reads active environment state
+ *
+ * @affects
+ *   - [SCN -> CFG] Output is a scene config (same format as config/scene-demo.json)
+ *
+ * @events
+ *   - Emits: scene:serialized, scene:saved, scene:save:failed
+ *
+ * @features
+ *   - Captures every user-created mesh (transform, material, collision, physics, shadows, metadata)
+ *   - Captures physics joints between those meshes
+ *   - Captures sky, lighting, gravity and ground state
+ *   - Versioned JSON document that loads again through legozo-loader.createDemoObjects
+ *   - Save (current scene name) and Save As (prompt for new name) as JSON download
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+import Plugin from '../core/Plugin.js';
+
+// [SCN.1] Scene document format version
+// Bump when the document layout changes in a way old loaders cannot read
+const SCENE_FORMAT_VERSION = 1;
+
+// [SCN.2] Metadata keys owned by plugins (re-created on load, never saved)
+const INTERNAL_METADATA_KEYS = new Set([
+    'sceneObject',
+    'collisionType',
+    'collisionSettings',
+    'physicsSettings',
+    'originalMaterial',
+    'isTriggerZone'
+]);
+
+// [SCN] Scene serializer plugin
+class SceneSerializerPlugin extends Plugin {
+    constructor() {
+        super('serializer');
+
+        // [SCN.3] Output settings
+        this.precision = 4;          // Decimal places for numbers in saved document
+        this.indent = 2;             // JSON indentation
+
+        // [SCN.4] Action subscriptions (unsubscribe functions)
+        this.actionSubscriptions = [];
+    }
+
+    // [PLG.1.2] Initialize plugin
+    init(scene, events, config, inputManager) {
+        super.init(scene, events, config, inputManager);
+
+        // [CFG.2] Load serializer configuration
+        const serializerConfig = config.serializer || {};
+
+        this.precision = serializerConfig.precision ?? this.precision;
+        this.indent = serializerConfig.indent ?? this.indent;
+
+        console.log('[SCN] Serializer configuration loaded');
+    }
+
+    // [PLG.2.1] Start plugin
+    start() {
+        super.start();
+
+        // [SCN.4 -> INP.4] Bind save actions from EditModeContext (Ctrl+S / Ctrl+Shift+S)
+        if (this.inputManager) {
+            this.actionSubscriptions.push(
+                this.inputManager.on('action:saveScene', (action) => {
+                    if (action.state === 'pressed') this.saveScene();
+                }),
+                this.inputManager.on('action:saveSceneAs', (action) => {
+                    if (action.state === 'pressed') this.saveSceneAs();
+                })
+            );
+        }
+
+        console.log('[SCN] SceneSerializerPlugin started');
+    }
+
+    // ============================================================
+    // [SCN.1] Document
+    // ============================================================
+
+    // [SCN.1] Serialize whole scene into a scene config document
+    // Keeps non-runtime sections of the loaded config (modules, ui, ...) so the
+    // document can be passed straight to LegozoLoader.init()
+    serialize() {
+        const config = this.config || {};
+
+        const sceneDocument = {
+            $schema: config.$schema || './schema.json',
+            format: {
+                name: 'legozo-scene',
+                version: SCENE_FORMAT_VERSION,
+                savedAt: new Date().toISOString()
+            },
+            scene: { ...(config.scene || {}) },
+            modules: [...(config.modules || [])],
+            optionalModules: config.optionalModules,
+            sky: this.serializeSky(),
+            lighting: this.serializeLighting(),
+            gravity: this.serializeGravity(),
+            ground: this.serializeGround(),
+            demoObjects: this.getUserMeshes().map(mesh => this.serializeMesh(mesh)),
+            joints: this.serializeJoints(),
+            ui: config.ui,
+            performance: config.performance
+        };
+
+        // [SCN.1] Drop sections that were not available (e.g. plugin not loaded)
+        Object.keys(sceneDocument).forEach(key => {
+            if (sceneDocument[key] === undefined || sceneDocument[key] === null) {
+                delete sceneDocument[key];
+            }
+        });
+
+        // [EVT.2] Emit serialized event
+        this.events.emit('scene:serialized', {
+            document: sceneDocument,
+            objectCount: sceneDocument.demoObjects.length
+        });
+
+        return sceneDocument;
+    }
+
+    // [SCN.1] Serialize to JSON string
+    toJSON() {
+        return JSON.stringify(this.serialize(), null, this.indent);
+    }
+
+    // ============================================================
+    // [SCN.2] Meshes
+    // ============================================================
+
+    // [SCN.2] Get user-created meshes
+    // Meshes built by legozo-loader.createSceneObject carry metadata.sceneObject;
+    // ground, sky, gizmos, markers and boundary walls never do
+    // [SCN.2 -> OPS.2] Deleted meshes stay disabled while undo is possible - skip them
+    getUserMeshes() {
+        return this.scene.meshes.filter(mesh =>
+            mesh.metadata?.sceneObject &&
+            mesh.isEnabled(false) &&
+            !mesh.isDisposed()
+        );
+    }
+
+    // [SCN.2] Serialize single mesh to a demoObjects entry
+    serializeMesh(mesh) {
+        const entry = {
+            ...mesh.metadata.sceneObject,
+            name: mesh.name,
+            position: this.serializeVector(mesh.position),
+            rotation: this.serializeVector(this.getEulerRotation(mesh)),
+            scaling: this.serializeVector(mesh.scaling)
+        };
+
+        // [SCN.2 -> MAT] Material
+        const material = this.serializeMaterial(mesh.material);
+        if (material) {
+            entry.material = material;
+        }
+
+        // [SCN.2 -> COL] Collision / physics
+        const collisionType = mesh.metadata.collisionType;
+        if (!collisionType) {
+            entry.collision = false;
+        } else {
+            const collisionSettings = mesh.metadata.collisionSettings || {};
+            entry.collision = {
+                checkCollisions: collisionSettings.checkCollisions !== false,
+                pickable: collisionSettings.pickable !== false
+            };
+        }
+
+        if (collisionType === 'physics' && mesh.metadata.physicsSettings) {
+            const physicsSettings = mesh.metadata.physicsSettings;
+            entry.physics = {
+                shape: this.getPhysicsShapeName(physicsSettings.shape),
+                mass: physicsSettings.mass,
+                restitution: physicsSettings.restitution,
+                friction: physicsSettings.friction
+            };
+        } else if (this.getPlugin('collision')?.physicsEnabled) {
+            // Physics available but mesh opted out; otherwise keep loader default
+            entry.physics = false;
+        }
+
+        // [SCN.2 -> SHD] Shadow flags
+        const shadowPlugin = this.getPlugin('shadow');
+        entry.shadows = {
+            cast: shadowPlugin ? shadowPlugin.isCastingShadows(mesh) : false,
+            receive: !!mesh.receiveShadows
+        };
+
+        // [SCN.2] User metadata (JSON-safe values only)
+        const metadata = this.serializeMetadata(mesh.metadata);
+        if (Object.keys(metadata).length > 0) {
+            entry.metadata = metadata;
+        }
+
+        return entry;
+    }
+
+    // [SCN.2 -> MAT] Serialize material as preset name or diffuse color
+    serializeMaterial(material) {
+        if (!material) {
+            return null;
+        }
+
+        // [MAT.4 -> SCN.2] Preset recorded by MaterialPlugin.usePreset
+        if (material.metadata?.preset) {
+            return { preset: material.metadata.preset };
+        }
+
+        const color = material.diffuseColor || material.albedoColor;
+        if (!color) {
+            return null;
+        }
+
+        return {
+            type: 'standard',
+            diffuseColor: {
+                r: this.round(color.r),
+                g: this.round(color.g),
+                b: this.round(color.b)
+            }
+        };
+    }
+
+    // [SCN.2] Copy user metadata, skipping plugin-owned keys and non-JSON values
+    serializeMetadata(metadata = {}) {
+        const result = {};
+
+        Object.entries(metadata).forEach(([key, value]) => {
+            if (INTERNAL_METADATA_KEYS.has(key) || typeof value === 'function') {
+                return;
+            }
+
+            try {
+                const json = JSON.stringify(value);
+                if (json !== undefined) {
+                    result[key] = JSON.parse(json);
+                }
+            } catch (error) {
+                console.warn(`[SCN.2] Skipping metadata "${key}" (not serializable)`);
+            }
+        });
+
+        return result;
+    }
+
+    // [SCN.2] Rotation in Euler angles (physics bodies switch meshes to quaternions)
+    getEulerRotation(mesh) {
+        return mesh.rotationQuaternion
+            ? mesh.rotationQuaternion.toEulerAngles()
+            : mesh.rotation;
+    }
+
+    // [SCN.2 -> COL.3] Physics shape enum → config name (box, sphere, ...)
+    getPhysicsShapeName(shape) {
+        if (typeof shape === 'string') {
+            return shape.toLowerCase();
+        }
+
+        const entry = Object.entries(BABYLON.PhysicsShapeType || {})
+            .find(([name, value]) => value === shape);
+
+        return entry ? entry[0].toLowerCase() : 'box';
+    }
+
+    // [SCN.2 -> JNT.5] Joints between saved meshes (left out when there are none)
+    serializeJoints() {
+        const jointPlugin = this.getPlugin('joints');
+        if (!jointPlugin) {
+            return this.config.joints;
+        }
+
+        const joints = jointPlugin.serializeJoints();
+        return joints.length > 0 ? joints : null;
+    }
+
+    // ============================================================
+    // [SCN.3] Environment
+    // ============================================================
+
+    // [SCN.3 -> SKY] Sky preset, visibility and fog
+    serializeSky() {
+        const skyPlugin = this.getPlugin('sky');
+        if (!skyPlugin) {
+            return this.config.sky;
+        }
+
+        const fogConfig = this.config.sky?.fog || {};
+
+        return {
+            ...(this.config.sky || {}),
+            preset: skyPlugin.getCurrentPreset(),
+            visible: skyPlugin.visible,
+            fog: {
+                ...fogConfig,
+                enabled: skyPlugin.fogEnabled,
+                color: this.scene.fogColor ? this.scene.fogColor.toHexString() : fogConfig.color,
+                start: this.scene.fogStart,
+                end: this.scene.fogEnd,
+                density: this.scene.fogDensity
+            }
+        };
+    }
+
+    // [SCN.3 -> LGT] Lighting preset
+    serializeLighting() {
+        const lightingPlugin = this.getPlugin('lighting');
+        if (!lightingPlugin) {
+            return this.config.lighting;
+        }
+
+        return {
+            ...(this.config.lighting || {}),
+            preset: lightingPlugin.getCurrentPreset()
+        };
+    }
+
+    // [SCN.3 -> GRV] Gravity preset or custom vector, and gravity zones
+    serializeGravity() {
+        const gravityPlugin = this.getPlugin('gravity');
+        if (!gravityPlugin || !gravityPlugin.current) {
+            return this.config.gravity;
+        }
+
+        const gravity = { ...(this.config.gravity || {}) };
+        delete gravity.custom;
+        delete gravity.zones;
+
+        if (gravityPlugin.currentPresetName === 'custom') {
+            gravity.custom = this.serializeVector(gravityPlugin.current);
+        } else {
+            gravity.preset = gravityPlugin.currentPresetName;
+        }
+
+        const zones = gravityPlugin.serializeGravityZones();
+        if (zones.length > 0) {
+            gravity.zones = zones;
+        }
+
+        return gravity;
+    }
+
+    // [SCN.3 -> GRD] Ground type, size, rotation, edge behavior
+    serializeGround() {
+        const groundPlugin = this.getPlugin('ground');
+        if (!groundPlugin) {
+            return this.config.ground;
+        }
+
+        const ground = {
+            ...(this.config.ground || {}),
+            type: groundPlugin.groundType,
+            width: groundPlugin.width,
+            height: groundPlugin.height,
+            rotation: this.serializeVector(groundPlugin.getRotation()),
+            edgeBehavior: groundPlugin.edgeBehavior,
+            collision: groundPlugin.collisionEnabled
+        };
+
+        // [SCN.3] width/height supersede size
+        delete ground.size;
+
+        return ground;
+    }
+
+    // ============================================================
+    // [SCN.4] Save actions
+    // ============================================================
+
+    // [SCN.4] Save scene under current name
+    saveScene() {
+        const name = this.config.scene?.name || 'scene';
+        return this.saveDocument(name);
+    }
+
+    // [SCN.4] Save scene under a new name
+    saveSceneAs(name) {
+        const currentName = this.config.scene?.name || 'scene';
+        const newName = name || (typeof window !== 'undefined' && window.prompt
+            ? window.prompt('Save scene as:', currentName)
+            : currentName);
+
+        // User cancelled the prompt
+        if (!newName) {
+            console.log('[SCN.4] Save As cancelled');
+            return null;
+        }
+
+        // [SCN.4] Following saves use the new name
+        this.config.scene = { ...(this.config.scene || {}), name: newName };
+
+        return this.saveDocument(newName);
+    }
+
+    // [SCN.4] Serialize and download as <slug>.json
+    saveDocument(name) {
+        try {
+            const sceneDocument = this.serialize();
+            sceneDocument.scene.name = name;
+
+            const fileName = `${this.slugify(name)}.json`;
+            this.download(fileName, JSON.stringify(sceneDocument, null, this.indent));
+
+            // [EVT.2] Emit saved event
+            this.events.emit('scene:saved', {
+                name,
+                fileName,
+                document: sceneDocument
+            });
+
+            console.log(`[SCN.4] Scene saved: ${fileName} (${sceneDocument.demoObjects.length} objects)`);
+            return sceneDocument;
+        } catch (error) {
+            console.error('[SCN.4] Failed to save scene:', error);
+
+            // [EVT.2] Emit failure event
+            this.events.emit('scene:save:failed', { name, error });
+            return null;
+        }
+    }
+
+    // [SCN.4] Trigger browser download of text content
+    download(fileName, content) {
+        if (typeof document === 'undefined') {
+            return;
+        }
+
+        const blob = new Blob([content], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        URL.revokeObjectURL(url);
+    }
+
+    // ============================================================
+    // [SCN] Helpers
+    // ============================================================
+
+    // [SCN] {x, y, z} with rounded components
+    serializeVector(vector) {
+        return {
+            x: this.round(vector.x),
+            y: this.round(vector.y),
+            z: this.round(vector.z)
+        };
+    }
+
+    // [SCN] Round to configured precision (avoids 0.30000000000000004 in files)
+    round(value) {
+        const factor = Math.pow(10, this.precision);
+        return Math.round((value || 0) * factor) / factor;
+    }
+
+    // [SCN] Scene name → file name
+    slugify(name) {
+        return String(name)
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'scene';
+    }
+
+    // [PLG.4] Dispose plugin
+    dispose() {
+        // [SCN.4] Remove action listeners
+        this.actionSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.actionSubscriptions = [];
+
+        super.dispose();
+
+        console.log('[SCN] SceneSerializerPlugin disposed');
+    }
+}
+
+// [SCN] Export for registration with engine
+export default SceneSerializerPlugin;
@@ -350,11 +350,17 @@ class ShadowPlugin extends Plugin {
             data.generator.removeShadowCaster(mesh);
         });
 
-        // Note: WeakSet doesn't have delete, but mesh will be garbage collected
+        // [SHD.4] Stop tracking mesh
+        this.castingShadows.delete(mesh);
 
         console.log(`[SHD.4] Shadow casting disabled for: ${mesh.name}`);
     }
 
+    // [SHD.4] Check if mesh is registered as shadow caster
+    isCastingShadows(mesh) {
+        return !!mesh && this.castingShadows.has(mesh);
+    }
+
     // [SHD.4] Enable shadow receiving for mesh
     enableReceiveShadows(mesh) {
         if (!mesh) {
@@ -378,6 +384,7 @@ class ShadowPlugin extends Plugin {
         }
 
         mesh.receiveShadows = false;
+        this.receivingShadows.delete(mesh);
 
         console.log(`[SHD.4] Shadow receiving disabled for: ${mesh.name}`);
     }
@@ -505,6 +512,21 @@ class ShadowPlugin extends Plugin {
         console.log('[SHD] Shadows reset to defaults');
     }
 
+    // [SHD] Quality and shadow type survive module hot reload
+    saveState() {
+        return { quality: this.quality, shadowType: this.shadowType };
+    }
+
+    // [SHD] Apply saved quality/type to the new instance
+    restoreState(state) {
+        if (state.quality && state.quality !== this.quality) {
+            this.setQuality(state.quality);
+        }
+        if (state.shadowType && state.shadowType !== this.shadowType) {
+            this.setShadowType(state.shadowType);
+        }
+    }
+
     // [PLG.4] Dispose plugin
     dispose() {
         // Clear all shadow generators
@@ -22,6 +22,7 @@
  *   - HDR environment for PBR reflections
  *   - Procedural sky (gradient generation)
  *   - Fog system integration
+ *   - Falls back to plain colors when a sky/environment texture fails to load
  *
  * @user-requirements
  *   1. Visible sky background (not just black)
@@ -47,6 +48,7 @@ class SkyPlugin extends Plugin {
 
         // [SKY.2] Environment texture (for PBR reflections)
         this.environmentTexture = null;
+        this.environmentUrl = 'https://playground.babylonjs.com/textures/environment.dds';
 
         // [SKY.3] Current sky configuration
         this.currentPreset = 'day';
@@ -112,6 +114,7 @@ class SkyPlugin extends Plugin {
         this.currentPreset = skyConfig.preset || 'day';
         this.visible = skyConfig.visible !== false;
         this.fogEnabled = skyConfig.fog?.enabled || false;
+        this.environmentUrl = skyConfig.environmentUrl || this.environmentUrl;
 
         // [SKY.1] Create skybox
         this.createSkybox();
@@ -250,15 +253,14 @@ class SkyPlugin extends Plugin {
     setGradient(topColor, bottomColor) {
         this.skyType = 'gradient';
 
-        // Create reflection texture for gradient
-        const gradientTexture = new BABYLON.CubeTexture.CreateFromPrefilteredData(
-            'https://playground.babylonjs.com/textures/environment.dds',
-            this.scene
-        );
+        // Create reflection texture for gradient (colors below still apply if it fails)
+        const gradientTexture = this._loadCubeTexture(this.environmentUrl, true);
 
         // Apply texture to skybox
         this.skyboxMaterial.reflectionTexture = gradientTexture;
-        this.skyboxMaterial.reflectionTexture.coordinatesMode = BABYLON.Texture.SKYBOX_MODE;
+        if (gradientTexture) {
+            gradientTexture.coordinatesMode = BABYLON.Texture.SKYBOX_MODE;
+        }
 
         // Override with gradient colors via diffuse/emissive
         const topColor3 = this._hexToColor3(topColor);
@@ -292,7 +294,10 @@ class SkyPlugin extends Plugin {
         this.skyType = 'texture';
 
         // Load cube texture
-        const texture = new BABYLON.CubeTexture(textureUrl, this.scene);
+        const texture = this._loadCubeTexture(textureUrl);
+        if (!texture) {
+            return this; // Fallback color already applied
+        }
 
         this.skyboxMaterial.reflectionTexture = texture;
         this.skyboxMaterial.reflectionTexture.coordinatesMode = BABYLON.Texture.SKYBOX_MODE;
@@ -307,10 +312,10 @@ class SkyPlugin extends Plugin {
         this.skyType = 'hdr';
 
         // Load HDR texture
-        const hdrTexture = new BABYLON.CubeTexture.CreateFromPrefilteredData(
-            hdrUrl,
-            this.scene
-        );
+        const hdrTexture = this._loadCubeTexture(hdrUrl, true);
+        if (!hdrTexture) {
+            return this; // Fallback color already applied
+        }
 
         // Apply to skybox
         this.skyboxMaterial.reflectionTexture = hdrTexture;
@@ -328,10 +333,11 @@ class SkyPlugin extends Plugin {
     // [SKY.7] Setup environment texture for PBR materials
     setupEnvironment() {
         // Use default Babylon.js environment for PBR reflections
-        const envTexture = new BABYLON.CubeTexture.CreateFromPrefilteredData(
-            'https://playground.babylonjs.com/textures/environment.dds',
-            this.scene
-        );
+        // (without it PBR materials still render, just without reflections)
+        const envTexture = this._loadCubeTexture(this.environmentUrl, true);
+        if (!envTexture) {
+            return this;
+        }
 
         this.scene.environmentTexture = envTexture;
         this.environmentTexture = envTexture;
@@ -397,6 +403,66 @@ class SkyPlugin extends Plugin {
         return this;
     }
 
+    // [SKY.14] Load cube texture (prefiltered = .dds/.env environment)
+    // [SKY.14 -> PLG.1.6] A broken URL is reported and dropped - a texture that never
+    // loads would otherwise keep the skybox (and PBR materials) from rendering
+    // Returns null when loading failed synchronously
+    _loadCubeTexture(url, prefiltered = false) {
+        let texture = null;
+        let failed = false;
+
+        const onError = (message, exception) => {
+            failed = true;
+            this._onTextureError(texture, url, exception || new Error(message || `Failed to load ${url}`));
+        };
+
+        try {
+            texture = prefiltered
+                ? new BABYLON.CubeTexture(url, this.scene, null, false, null, null, onError, undefined, true, null, true)
+                : new BABYLON.CubeTexture(url, this.scene, null, false, null, null, onError);
+        } catch (error) {
+            failed = true;
+            this._onTextureError(null, url, error);
+        }
+
+        if (failed) {
+            texture?.dispose();
+            return null;
+        }
+
+        return texture;
+    }
+
+    // [SKY.15] Remove a texture that failed to load and keep the sky visible
+    _onTextureError(texture, url, error) {
+        // Plugin disposed while the texture was loading
+        if (!this.scene) {
+            texture?.dispose();
+            return;
+        }
+
+        if (texture) {
+            if (this.skyboxMaterial?.reflectionTexture === texture) {
+                this.skyboxMaterial.reflectionTexture = null;
+            }
+            if (this.scene.environmentTexture === texture) {
+                this.scene.environmentTexture = null;
+            }
+            if (this.environmentTexture === texture) {
+                this.environmentTexture = null;
+            }
+            texture.dispose();
+        }
+
+        // Texture/HDR skies have no colors of their own
+        if (this.skyType === 'texture' || this.skyType === 'hdr') {
+            this.setSolidColor(this.skyColor);
+        }
+
+        this.reportError(`sky texture ${url}`, error);
+        this.events.emit('sky:texture-failed', { url, error });
+    }
+
     // [SKY.UTIL] Convert hex color to Babylon Color3
     _hexToColor3(hex) {
         // Remove # if present
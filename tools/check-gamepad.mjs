@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * @file check-gamepad.mjs
+ * @description Headless GamepadSource check with a mocked navigator.getGamepads
+ *
+ * @tags [INP.3.6] Gamepad check CLI
+ *
+ * @dependencies
+ *   - [INP.3.6 -> INP.3] GamepadSource (polled manually, autoPoll off)
+ *   - [INP.3.6 -> INP.2] ViewModeContext / EditModeContext default gamepad bindings
+ *
+ * One mocked standard-mapping gamepad is plugged in, moved, pressed and
+ * unplugged through a fresh InputManager (no scene, no DOM). Screen-center
+ * picks hit a mocked mesh. It fails when a step triggers other actions or
+ * hot-plug events than expected.
+ *
+ * @example
+ *   node tools/check-gamepad.mjs
+ *
+ * Options:
+ *   --verbose        Keep engine console logging
+ *
+ * Exit codes: 0 = all passed, 1 = regression, 2 = usage error
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+import InputManager from '../src/input/InputManager.js';
+import ViewModeContext from '../src/input/contexts/ViewModeContext.js';
+import EditModeContext from '../src/input/contexts/EditModeContext.js';
+import GamepadSource from '../src/input/sources/GamepadSource.js';
+
+const print = console.log;
+
+// [INP.3.6] Standard mapping button indices used below
+const A = 0;
+const Y = 3;
+
+// [INP.3.6] Mocked Gamepad snapshot
+function createPad(index = 0) {
+    return {
+        index,
+        id: `Mock Gamepad ${index}`,
+        mapping: 'standard',
+        connected: true,
+        buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })),
+        axes: [0, 0, 0, 0]
+    };
+}
+
+function press(pad, button, pressed = true) {
+    pad.buttons[button] = { pressed, value: pressed ? 1 : 0 };
+}
+
+// [INP.3.6] Steps: change the mock, poll once, compare what came out
+// (action entries are "name state value", hitInfo adds "@mesh")
+const STEPS = [
+    {
+        name: 'plug in',
+        run: ({ pads, pad }) => pads.push(pad),
+        expect: ['gamepad:connected Mock Gamepad 0']
+    },
+    {
+        name: 'left stick forward + right, right stick',
+        run: ({ pad }) => { pad.axes = [0.5, -1, 0.6, 0.8]; },
+        expect: ['moveRight moved 0.5', 'moveForward moved 1', 'lookAround moved 1']
+    },
+    {
+        name: 'sticks held (sent every poll)',
+        run: () => {},
+        expect: ['moveRight moved 0.5', 'moveForward moved 1', 'lookAround moved 1']
+    },
+    {
+        name: 'sticks back to rest',
+        run: ({ pad }) => { pad.axes = [0, 0, 0.01, 0]; },
+        expect: ['moveRight released 0', 'moveForward released 0', 'lookAround released 0']
+    },
+    {
+        name: 'view: Y toggles edit mode',
+        run: ({ pad }) => press(pad, Y),
+        expect: ['toggleEditMode pressed 1 @crate']
+    },
+    {
+        name: 'view: Y released',
+        run: ({ pad }) => press(pad, Y, false),
+        expect: ['toggleEditMode released 0']
+    },
+    {
+        name: 'edit: A selects the object at the screen center',
+        context: 'edit',
+        run: ({ pad }) => press(pad, A),
+        expect: ['selectObject pressed 1 @crate']
+    },
+    {
+        name: 'edit: Y toggles view mode',
+        run: ({ pad }) => press(pad, Y),
+        expect: ['toggleEditMode pressed 1 @crate']
+    },
+    {
+        name: 'unplug while holding Y (released)',
+        run: ({ pads }) => pads.splice(0),
+        expect: ['toggleEditMode released 0', 'gamepad:disconnected Mock Gamepad 0']
+    }
+];
+
+// [INP.3.6] Run all steps, returning failure descriptions
+function run() {
+    const pads = [];
+    const pad = createPad();
+
+    // [INP.3.6] GamepadSource reads navigator.getGamepads() at poll time
+    Object.defineProperty(globalThis, 'navigator', {
+        value: { getGamepads: () => pads },
+        configurable: true,
+        writable: true
+    });
+
+    const scene = {
+        pick: () => ({ hit: true, pickedMesh: { name: 'crate' }, pickedPoint: { x: 0, y: 0, z: 0 }, distance: 4 }),
+        getEngine: () => ({ getRenderWidth: () => 800, getRenderHeight: () => 600 })
+    };
+
+    const inputManager = new InputManager(null, null);
+    inputManager.registerContext('view', new ViewModeContext());
+    inputManager.registerContext('edit', new EditModeContext());
+    inputManager.setContext('view');
+
+    const source = new GamepadSource(inputManager, scene, null, { autoPoll: false });
+    inputManager.registerSource('gamepad', source);
+
+    let output = [];
+    inputManager.on('action', ({ name, state, value, hitInfo }) => {
+        output.push(`${name} ${state} ${value}${hitInfo?.pickedMesh ? ` @${hitInfo.pickedMesh.name}` : ''}`);
+    });
+    inputManager.on('gamepad:connected', ({ id }) => output.push(`gamepad:connected ${id}`));
+    inputManager.on('gamepad:disconnected', ({ id }) => output.push(`gamepad:disconnected ${id}`));
+
+    const failures = [];
+
+    for (const step of STEPS) {
+        if (step.context) {
+            inputManager.setContext(step.context);
+        }
+
+        output = [];
+        step.run({ pads, pad });
+        source.poll();
+
+        if (JSON.stringify(output) !== JSON.stringify(step.expect)) {
+            failures.push(`${step.name}: expected [${step.expect.join(', ')}], got [${output.join(', ')}]`);
+        }
+    }
+
+    inputManager.dispose();
+    return failures;
+}
+
+function main() {
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help') || args.includes('-h')) {
+        print('Usage: node tools/check-gamepad.mjs [--verbose]');
+        return 0;
+    }
+
+    const unknown = args.find(arg => arg !== '--verbose');
+    if (unknown) {
+        console.error(`Unknown option ${unknown}`);
+        return 2;
+    }
+
+    if (!args.includes('--verbose')) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    const failures = run();
+
+    if (failures.length > 0) {
+        print(`gamepad: FAIL (${failures.length} of ${STEPS.length} steps)`);
+        failures.forEach(failure => print(`  ${failure}`));
+        return 1;
+    }
+
+    print(`gamepad: ok (${STEPS.length} steps)`);
+    return 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * @file replay-input.mjs
+ * @description Headless input regression runner (replays InputRecorder recordings)
+ *
+ * @tags [INP.8.5] Input replay CLI
+ *
+ * @dependencies
+ *   - [INP.8.5 -> INP.8] InputRecorder (same replay the browser runs)
+ *   - [INP.8.5 -> INP.2] ViewModeContext / EditModeContext default bindings,
+ *                        project contexts from JSON (DataContext)
+ *   - [INP.8.5 -> MOV.4] KeyboardMovement (camera-local movement per frame)
+ *
+ * Each recording is replayed frame by frame through a fresh InputManager with
+ * the view/edit contexts (no scene, no DOM). It fails when:
+ *   - the actions differ from the ones recorded in the browser (context mapping)
+ *   - the movement differs from the recording's "expected.movement" snapshot
+ *
+ * Movement is the sum of KeyboardMovement.getInputVector() over all frames
+ * (camera-local, before MovementPlugin acceleration).
+ *
+ * @example
+ *   node tools/replay-input.mjs recordings/*.json
+ *   node tools/replay-input.mjs --update recordings/walk-and-grab.json
+ *   node tools/replay-input.mjs --contexts config/contexts/kiosk.json recordings/kiosk-*.json
+ *
+ * Options:
+ *   --update         Store this run's actions and movement as the expected result
+ *   --speed <n>      KeyboardMovement speed (default 0.5, the engine default)
+ *   --contexts <f>   JSON input context definitions to load (repeatable)
+ *   --quiet          Only print failing recordings
+ *   --verbose        Keep engine console logging
+ *
+ * Exit codes: 0 = all passed, 1 = regression, 2 = usage / IO error
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import InputManager from '../src/input/InputManager.js';
+import InputRecorder from '../src/input/InputRecorder.js';
+import ViewModeContext from '../src/input/contexts/ViewModeContext.js';
+import EditModeContext from '../src/input/contexts/EditModeContext.js';
+import KeyboardMovement from '../src/movement/KeyboardMovement.js';
+
+// [INP.8.5] Mismatches printed per failing recording
+const MAX_REPORTED = 5;
+
+const print = console.log;
+
+// [INP.8.5] Parse command-line arguments
+function parseArgs(argv) {
+    const options = { update: false, speed: 0.5, quiet: false, verbose: false, contexts: [], files: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--update') {
+            options.update = true;
+        } else if (arg === '--speed') {
+            options.speed = Number(argv[++i]);
+            if (!Number.isFinite(options.speed)) throw new Error('--speed requires a number');
+        } else if (arg === '--contexts') {
+            if (!argv[i + 1]) throw new Error('--contexts requires a file');
+            options.contexts.push(argv[++i]);
+        } else if (arg === '--quiet') {
+            options.quiet = true;
+        } else if (arg === '--verbose') {
+            options.verbose = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+
+    return options;
+}
+
+// [INP.8.5] Replay one recording, returning actions, movement and failures
+function run(recording, options) {
+    const inputManager = new InputManager(null, null);
+    inputManager.registerContext('view', new ViewModeContext());
+    inputManager.registerContext('edit', new EditModeContext());
+    inputManager.loadContexts(options.definitions);
+    inputManager.setContext('view');
+
+    const movement = new KeyboardMovement({ speed: options.speed }, inputManager);
+    movement.activate(null, null);
+
+    const total = { x: 0, y: 0, z: 0 };
+    let movingFrames = 0;
+
+    inputManager.recorder.replay(recording, { autoplay: false, syncSelection: true });
+    const result = inputManager.recorder.runToEnd(() => {
+        const { x, y, z } = movement.getInputVector();
+        if (x || y || z) movingFrames++;
+        total.x += x;
+        total.y += y;
+        total.z += z;
+    });
+
+    const round = (value) => Math.round(value * 1e4) / 1e4 || 0;
+    const moved = { x: round(total.x), y: round(total.y), z: round(total.z), frames: movingFrames };
+
+    const failures = result.mismatches.map(({ index, expected, actual }) =>
+        `action #${index}: expected ${format(expected)}, got ${format(actual)}`);
+
+    const expected = recording.expected?.movement;
+    if (expected && !InputRecorder.sameValue(expected, moved)) {
+        failures.push(`movement: expected ${JSON.stringify(expected)}, got ${JSON.stringify(moved)}`);
+    }
+
+    inputManager.dispose();
+    return { result, moved, failures };
+}
+
+// [INP.8.5] One-line action description
+function format(action) {
+    if (!action) return 'nothing';
+    const value = action.value === null ? '' : ` ${JSON.stringify(action.value)}`;
+    return `${action.name} ${action.state} (${action.input}${value}) @${action.frame}`;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    if (options.help || options.files.length === 0) {
+        print('Usage: node tools/replay-input.mjs [--update] [--speed <n>] [--contexts <file>] [--quiet] [--verbose] <recording.json>...');
+        return options.help ? 0 : 2;
+    }
+
+    // [INP.8.5] Context files hold one definition or a list
+    try {
+        options.definitions = options.contexts.flatMap(file => JSON.parse(readFileSync(file, 'utf8')));
+    } catch (error) {
+        console.error(`--contexts: ${error.message}`);
+        return 2;
+    }
+
+    if (!options.verbose) {
+        console.log = () => {};
+        console.warn = () => {};
+    }
+
+    let failed = 0;
+
+    for (const file of options.files) {
+        let recording;
+        let outcome;
+
+        try {
+            recording = InputRecorder.parse(readFileSync(file, 'utf8'));
+            outcome = run(recording, options);
+        } catch (error) {
+            console.error(`${file}: ${error.message}`);
+            return 2;
+        }
+
+        const { result, moved, failures } = outcome;
+        const summary = `${result.events} events, ${result.frames} frames, ` +
+            `moved (${moved.x}, ${moved.y}, ${moved.z}) over ${moved.frames} frames`;
+
+        // [INP.8.5] --update: this run becomes the baseline
+        if (options.update) {
+            recording.actions = result.actions;
+            recording.expected = { ...recording.expected, movement: moved };
+            writeFileSync(file, InputRecorder.serialize(recording) + '\n');
+            print(`${file}: updated (${summary})`);
+            continue;
+        }
+
+        if (failures.length > 0) {
+            failed++;
+            print(`${file}: FAIL (${summary})`);
+            failures.slice(0, MAX_REPORTED).forEach(failure => print(`  ${failure}`));
+            if (failures.length > MAX_REPORTED) {
+                print(`  ... ${failures.length - MAX_REPORTED} more`);
+            }
+        } else if (!options.quiet) {
+            print(`${file}: ok (${summary})`);
+        }
+    }
+
+    return failed > 0 ? 1 : 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * @file validate-config.mjs
+ * @description Command-line config linter (content pipeline / pre-commit)
+ *
+ * @tags [CFG.4.7] Config lint CLI
+ *
+ * @dependencies
+ *   - [CFG.4.7 -> CFG.4] SchemaValidator (same validator the browser loader uses)
+ *
+ * @example
+ *   node tools/validate-config.mjs config/engine-config.json config/scene-demo.json
+ *   node tools/validate-config.mjs --strict --schema config/schema.json scenes/*.json
+ *
+ * Options:
+ *   --schema <file>  Schema to validate against (default: each file's "$schema",
+ *                    else config/schema.json)
+ *   --strict         Treat warnings (deprecated fields) as errors
+ *   --quiet          Only print files with problems
+ *
+ * Exit codes: 0 = all valid, 1 = validation failed, 2 = usage / IO error
+ *
+ * @author Development Team
+ * @created 2026-10-19
+ */
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import SchemaValidator from '../src/config/SchemaValidator.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_SCHEMA = path.join(ROOT, 'config', 'schema.json');
+
+// [CFG.4.7] Parse command-line arguments
+function parseArgs(argv) {
+    const options = { schema: null, strict: false, quiet: false, files: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--schema') {
+            options.schema = argv[++i];
+            if (!options.schema) throw new Error('--schema requires a file');
+        } else if (arg === '--strict') {
+            options.strict = true;
+        } else if (arg === '--quiet') {
+            options.quiet = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+
+    return options;
+}
+
+// [CFG.4.7] Read and parse JSON file, reporting syntax errors as a result
+function readJson(file) {
+    const text = readFileSync(file, 'utf8');
+    try {
+        return { data: JSON.parse(text) };
+    } catch (error) {
+        return {
+            result: {
+                valid: false,
+                errors: [{ path: '', keyword: 'syntax', message: `invalid JSON: ${error.message}`, severity: 'error' }],
+                warnings: []
+            }
+        };
+    }
+}
+
+// [CFG.4.7] Cache validators per schema file
+const validators = new Map();
+
+function getValidator(schemaFile) {
+    if (!validators.has(schemaFile)) {
+        validators.set(schemaFile, new SchemaValidator(JSON.parse(readFileSync(schemaFile, 'utf8'))));
+    }
+    return validators.get(schemaFile);
+}
+
+// [CFG.4.7] Schema for a file: --schema, then relative "$schema", then default
+function resolveSchema(file, data, options) {
+    if (options.schema) return path.resolve(options.schema);
+
+    const ref = data?.$schema;
+    if (typeof ref === 'string' && !/^[a-z]+:/i.test(ref)) {
+        return path.resolve(path.dirname(file), ref);
+    }
+
+    return DEFAULT_SCHEMA;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    if (options.help || options.files.length === 0) {
+        console.log('Usage: node tools/validate-config.mjs [--schema <file>] [--strict] [--quiet] <config.json>...');
+        return options.help ? 0 : 2;
+    }
+
+    let failed = 0;
+
+    for (const file of options.files) {
+        let parsed;
+        let result;
+
+        try {
+            parsed = readJson(file);
+            result = parsed.result || getValidator(resolveSchema(file, parsed.data, options)).validate(parsed.data);
+        } catch (error) {
+            console.error(`${file}: ${error.message}`);
+            return 2;
+        }
+
+        // [CFG.4.7] --strict: deprecations fail the build too
+        if (options.strict && result.warnings.length > 0) {
+            result = {
+                valid: false,
+                errors: [...result.errors, ...result.warnings.map(warning => ({ ...warning, severity: 'error' }))],
+                warnings: []
+            };
+        }
+
+        if (!result.valid) failed++;
+
+        if (!options.quiet || !result.valid || result.warnings.length > 0) {
+            console.log(SchemaValidator.formatReport(result, file));
+        }
+    }
+
+    return failed > 0 ? 1 : 0;
+}
+
+process.exitCode = main();
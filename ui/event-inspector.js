@@ -0,0 +1,260 @@
+/**
+ * Event Inspector
+ * Debug panel showing the live event/action trace recorded by EventTracer
+ *
+ * Filter by name/source (substring or wildcard pattern like 'asset:*'),
+ * show only events or only actions, pause recording, clear, and export
+ * the filtered trace as JSON.
+ *
+ * The panel never emits on the engine bus, so it doesn't show up in its own trace.
+ *
+ * Usage:
+ *   legozo.toggleEventInspector();          // from the console
+ *   { "ui": { "eventInspector": true } }    // open on startup
+ */
+
+// Rows rendered at once (newest first) - the tracer keeps more for export
+const MAX_ROWS = 200;
+
+export class EventInspector {
+    /**
+     * @param {EventTracer} tracer
+     */
+    constructor(tracer) {
+        this.tracer = tracer;
+        this.element = null;
+        this.list = null;
+        this.status = null;
+        this.filterInput = null;
+        this.pauseButton = null;
+        this.filter = { text: '', kind: '' };
+        this.visible = false;
+        this.renderQueued = false;
+        this.unsubscribe = null;
+
+        this.onClick = this.onClick.bind(this);
+        this.onInput = this.onInput.bind(this);
+    }
+
+    /**
+     * Show or hide panel
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        if (visible && !this.element) {
+            this.create();
+        }
+
+        this.visible = visible;
+        this.element?.classList.toggle('hidden', !visible);
+
+        if (visible) {
+            this.unsubscribe = this.unsubscribe || this.tracer.subscribe(() => this.scheduleRender());
+            this.render();
+        } else if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    /**
+     * Build panel DOM
+     */
+    create() {
+        this.element = document.createElement('div');
+        this.element.className = 'event-inspector hidden';
+
+        const header = document.createElement('div');
+        header.className = 'event-inspector-header';
+
+        const title = document.createElement('span');
+        title.textContent = 'Events';
+
+        const close = document.createElement('button');
+        close.className = 'event-inspector-close';
+        close.textContent = '×';
+        close.dataset.action = 'close';
+
+        header.append(title, close);
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'event-inspector-toolbar';
+
+        this.filterInput = document.createElement('input');
+        this.filterInput.type = 'text';
+        this.filterInput.placeholder = 'Filter (name, source or asset:*)';
+        this.filterInput.dataset.field = 'text';
+
+        const kind = document.createElement('select');
+        kind.dataset.field = 'kind';
+        for (const [value, text] of [['', 'All'], ['event', 'Events'], ['action', 'Actions']]) {
+            kind.appendChild(new Option(text, value));
+        }
+
+        this.pauseButton = this.createButton('pause', 'Pause');
+        toolbar.append(
+            this.filterInput,
+            kind,
+            this.pauseButton,
+            this.createButton('clear', 'Clear'),
+            this.createButton('export', 'Export')
+        );
+
+        this.list = document.createElement('ul');
+        this.list.className = 'event-inspector-list';
+
+        this.status = document.createElement('div');
+        this.status.className = 'event-inspector-status';
+
+        this.element.append(header, toolbar, this.list, this.status);
+        this.element.addEventListener('click', this.onClick);
+        this.element.addEventListener('input', this.onInput);
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * @param {string} action - data-action handled by onClick
+     * @param {string} text
+     * @returns {HTMLButtonElement}
+     */
+    createButton(action, text) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.dataset.action = action;
+        return button;
+    }
+
+    /**
+     * Re-render at most once per frame (events can fire hundreds of times per second)
+     */
+    scheduleRender() {
+        if (this.renderQueued) return;
+        this.renderQueued = true;
+        requestAnimationFrame(() => {
+            this.renderQueued = false;
+            this.render();
+        });
+    }
+
+    /**
+     * Render newest entries matching the filter
+     */
+    render() {
+        if (!this.visible || !this.list) return;
+
+        const entries = this.tracer.getEntries(this.filter);
+        const shown = entries.slice(-MAX_ROWS).reverse();
+
+        this.list.replaceChildren(...shown.map(entry => this.createRow(entry)));
+
+        this.pauseButton.textContent = this.tracer.paused ? 'Resume' : 'Pause';
+        this.pauseButton.classList.toggle('active', this.tracer.paused);
+        this.status.textContent = `${entries.length} matching · ${this.tracer.size}/${this.tracer.capacity} buffered` +
+            (this.tracer.paused ? ' · paused' : '');
+    }
+
+    /**
+     * Create row for a trace entry
+     * @param {Object} entry - EventTracer entry
+     * @returns {HTMLElement}
+     */
+    createRow(entry) {
+        const row = document.createElement('li');
+        row.className = `event-inspector-row kind-${entry.kind}`;
+
+        const time = document.createElement('span');
+        time.className = 'event-inspector-time';
+        time.textContent = `${(entry.time / 1000).toFixed(3)}s`;
+
+        const name = document.createElement('span');
+        name.className = 'event-inspector-name';
+        name.textContent = entry.name;
+
+        const source = document.createElement('span');
+        source.className = 'event-inspector-source';
+        source.textContent = entry.kind === 'event'
+            ? `${entry.source} → ${entry.listeners}`
+            : entry.source;
+        source.title = entry.kind === 'event' ? `${entry.emitter} bus, ${entry.listeners} listeners` : 'input action';
+
+        const payload = document.createElement('div');
+        payload.className = 'event-inspector-payload';
+        payload.textContent = JSON.stringify(entry.payload);
+        payload.title = payload.textContent;
+
+        row.append(time, name, source, payload);
+        return row;
+    }
+
+    /**
+     * Handle toolbar button clicks (delegated)
+     * @param {MouseEvent} e
+     */
+    onClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'close':
+                this.setVisible(false);
+                break;
+            case 'pause':
+                this.tracer.setPaused(!this.tracer.paused);
+                break;
+            case 'clear':
+                this.tracer.clear();
+                break;
+            case 'export':
+                this.exportJSON();
+                break;
+        }
+    }
+
+    /**
+     * Filter input / kind select changed
+     * @param {Event} e
+     */
+    onInput(e) {
+        const field = e.target.dataset.field;
+        if (!field) return;
+
+        this.filter[field] = e.target.value;
+        this.render();
+    }
+
+    /**
+     * Download the filtered trace as a JSON file
+     */
+    exportJSON() {
+        const data = JSON.stringify(this.tracer.toJSON(this.filter), null, 2);
+        const url = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `event-trace-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Remove panel and tracer subscription
+     */
+    dispose() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+
+        if (this.element) {
+            this.element.removeEventListener('click', this.onClick);
+            this.element.removeEventListener('input', this.onInput);
+            this.element.remove();
+            this.element = null;
+        }
+
+        this.visible = false;
+    }
+}
+
+export default EventInspector;
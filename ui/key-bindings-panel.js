@@ -0,0 +1,391 @@
+/**
+ * Key Bindings Panel
+ * Settings panel for remapping input actions per context (InputManager.bindings)
+ *
+ * Click a binding to rebind it: the next key, key combo, mouse button, touch
+ * gesture or gamepad button becomes the new input. Conflicts within the context
+ * are reported and can be resolved by replacing (the other action's binding is
+ * removed).
+ * Overrides persist in localStorage; Export/Import move them as a JSON profile.
+ *
+ * Usage:
+ *   legozo.toggleKeyBindingsPanel();         // from the console
+ *   { "ui": { "keyBindingsPanel": true } }   // open on startup
+ */
+
+export class KeyBindingsPanel {
+    /**
+     * @param {InputManager} inputManager
+     */
+    constructor(inputManager) {
+        this.inputManager = inputManager;
+        this.bindings = inputManager.bindings;
+        this.element = null;
+        this.contextSelect = null;
+        this.list = null;
+        this.conflicts = null;
+        this.status = null;
+        this.fileInput = null;
+        this.contextName = inputManager.getActiveContext()?.name || inputManager.contexts.keys().next().value;
+        this.capturing = null;  // { action, slot } being rebound
+        this.pending = null;    // { action, slot, input } waiting for replace confirmation
+        this.visible = false;
+        this.unsubscribers = [];
+
+        this.onClick = this.onClick.bind(this);
+        this.onChange = this.onChange.bind(this);
+    }
+
+    /**
+     * Show or hide panel
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        if (visible && !this.element) {
+            this.create();
+        }
+
+        this.visible = visible;
+        this.element?.classList.toggle('hidden', !visible);
+
+        if (visible) {
+            if (this.unsubscribers.length === 0) {
+                this.unsubscribers.push(this.inputManager.on('bindings:changed', () => this.render()));
+            }
+            this.render();
+        } else {
+            this.bindings.cancelCapture();
+            this.unsubscribers.forEach(unsubscribe => unsubscribe());
+            this.unsubscribers = [];
+        }
+    }
+
+    /**
+     * Build panel DOM
+     */
+    create() {
+        this.element = document.createElement('div');
+        this.element.className = 'key-bindings-panel hidden';
+
+        const header = document.createElement('div');
+        header.className = 'key-bindings-header';
+
+        const title = document.createElement('span');
+        title.textContent = 'Key Bindings';
+
+        const close = this.createButton('close', '×');
+        close.className = 'key-bindings-close';
+
+        header.append(title, close);
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'key-bindings-toolbar';
+
+        this.contextSelect = document.createElement('select');
+        this.contextSelect.dataset.field = 'context';
+        for (const name of this.inputManager.contexts.keys()) {
+            this.contextSelect.appendChild(new Option(`${name} mode`, name));
+        }
+        this.contextSelect.value = this.contextName;
+
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = 'application/json,.json';
+        this.fileInput.dataset.field = 'import';
+        this.fileInput.hidden = true;
+
+        toolbar.append(
+            this.contextSelect,
+            this.createButton('reset-context', 'Reset'),
+            this.createButton('export', 'Export'),
+            this.createButton('import', 'Import'),
+            this.fileInput
+        );
+
+        this.conflicts = document.createElement('div');
+        this.conflicts.className = 'key-bindings-conflicts';
+
+        this.list = document.createElement('ul');
+        this.list.className = 'key-bindings-list';
+
+        this.status = document.createElement('div');
+        this.status.className = 'key-bindings-status';
+
+        this.element.append(header, toolbar, this.conflicts, this.list, this.status);
+        this.element.addEventListener('click', this.onClick);
+        this.element.addEventListener('change', this.onChange);
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * @param {string} action - data-action handled by onClick
+     * @param {string} text
+     * @returns {HTMLButtonElement}
+     */
+    createButton(action, text) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.dataset.action = action;
+        return button;
+    }
+
+    /**
+     * Render actions of the selected context and its conflicts
+     */
+    render() {
+        if (!this.visible || !this.list) return;
+
+        const actions = this.bindings.getActions(this.contextName);
+        this.list.replaceChildren(...actions.map(entry => this.createRow(entry)));
+
+        const conflicts = this.bindings.getConflicts(this.contextName);
+        this.conflicts.textContent = conflicts
+            .map(c => `⚠ ${c.label}: ${c.actions.map(a => this.formatAction(a)).join(' / ')}`)
+            .join('\n');
+        this.conflicts.classList.toggle('hidden', conflicts.length === 0);
+    }
+
+    /**
+     * Create row for an action
+     * @param {Object} entry - { action, slots } from BindingManager.getActions()
+     * @returns {HTMLElement}
+     */
+    createRow({ action, slots }) {
+        const row = document.createElement('li');
+        row.className = 'key-bindings-row';
+
+        const name = document.createElement('span');
+        name.className = 'key-bindings-action';
+        name.textContent = this.formatAction(action);
+
+        const inputs = document.createElement('div');
+        inputs.className = 'key-bindings-inputs';
+
+        for (const slot of slots) {
+            const isCapturing = this.capturing?.action === action && this.capturing.slot === slot.slot;
+            const button = this.createButton('rebind', isCapturing ? '…' : slot.label);
+            button.className = 'key-bindings-input';
+            button.classList.toggle('overridden', slot.overridden);
+            button.classList.toggle('unbound', slot.unbound);
+            button.classList.toggle('capturing', isCapturing);
+            button.dataset.bindingAction = action;
+            button.dataset.slot = slot.slot;
+            button.title = [
+                slot.condition ? `Only when: ${slot.condition}` : '',
+                slot.overridden ? `Default: ${slot.defaultLabel}` : ''
+            ].filter(Boolean).join('\n');
+            inputs.appendChild(button);
+        }
+
+        row.append(name, inputs);
+
+        if (slots.some(slot => slot.overridden)) {
+            const reset = this.createButton('reset-action', '↺');
+            reset.className = 'key-bindings-reset';
+            reset.title = 'Restore default';
+            reset.dataset.bindingAction = action;
+            row.appendChild(reset);
+        }
+
+        return row;
+    }
+
+    /**
+     * Handle button clicks (delegated)
+     * @param {MouseEvent} e
+     */
+    async onClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const action = button.dataset.bindingAction;
+
+        switch (button.dataset.action) {
+            case 'close':
+                this.setVisible(false);
+                break;
+            case 'rebind':
+                await this.rebind(action, Number(button.dataset.slot));
+                break;
+            case 'unbind':
+                this.capturing.unbound = true;
+                this.bindings.unbind(this.contextName, this.capturing.action, this.capturing.slot);
+                this.bindings.cancelCapture();
+                break;
+            case 'cancel':
+                this.bindings.cancelCapture();
+                this.pending = null;
+                this.setStatus('');
+                break;
+            case 'replace':
+                this.applyPending();
+                break;
+            case 'reset-action':
+                this.bindings.reset(this.contextName, action);
+                this.setStatus(`${this.formatAction(action)} restored`);
+                break;
+            case 'reset-context':
+                this.bindings.reset(this.contextName);
+                this.setStatus(`${this.contextName} mode bindings restored`);
+                break;
+            case 'export':
+                this.exportProfile();
+                break;
+            case 'import':
+                this.fileInput.click();
+                break;
+        }
+    }
+
+    /**
+     * Context select / import file changed
+     * @param {Event} e
+     */
+    async onChange(e) {
+        const field = e.target.dataset.field;
+
+        if (field === 'context') {
+            this.bindings.cancelCapture();
+            this.pending = null;
+            this.contextName = e.target.value;
+            this.setStatus('');
+            this.render();
+        } else if (field === 'import' && e.target.files[0]) {
+            await this.importProfile(e.target.files[0]);
+            e.target.value = '';
+        }
+    }
+
+    /**
+     * Capture a new input for an action slot and apply it
+     * @param {string} action
+     * @param {number} slot
+     */
+    async rebind(action, slot) {
+        this.pending = null;
+        const capture = this.capturing = { action, slot, unbound: false };
+        this.setStatus('Press a key, combo, mouse button, touch gesture or gamepad button…', false,
+            [['unbind', 'Unbind'], ['cancel', 'Cancel']]);
+        this.render();
+
+        // Blur the button so Space/Enter reach the capture instead of clicking it again
+        document.activeElement?.blur();
+
+        const input = await this.bindings.captureInput();
+        this.capturing = null;
+
+        if (!input) {
+            this.setStatus(capture.unbound ? `${this.formatAction(action)} unbound` : '');
+            this.render();
+            return;
+        }
+
+        try {
+            this.bindings.setBinding(this.contextName, action, slot, input);
+            this.setStatus(`${this.formatAction(action)}: ${this.bindings.describe(input)}`);
+        } catch (error) {
+            if (error.code !== 'BINDING_CONFLICT') {
+                this.setStatus(error.message, true);
+            } else {
+                this.pending = { action, slot, input };
+                const others = error.conflicts.map(c => this.formatAction(c.action)).join(', ');
+                this.setStatus(`${this.bindings.describe(input)} is used by ${others}.`, true,
+                    [['replace', 'Replace'], ['cancel', 'Cancel']]);
+            }
+        }
+
+        this.render();
+    }
+
+    /**
+     * Apply the pending binding, removing the conflicting ones
+     */
+    applyPending() {
+        if (!this.pending) return;
+
+        const { action, slot, input } = this.pending;
+        this.pending = null;
+
+        const { replaced } = this.bindings.setBinding(this.contextName, action, slot, input, { replace: true });
+        this.setStatus(`${this.formatAction(action)}: ${this.bindings.describe(input)} ` +
+            `(unbound from ${replaced.map(c => this.formatAction(c.action)).join(', ')})`);
+    }
+
+    /**
+     * Download overrides as a JSON profile
+     */
+    exportProfile() {
+        const data = JSON.stringify(this.bindings.exportProfile(), null, 2);
+        const url = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'key-bindings.json';
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Load a JSON profile file
+     * @param {File} file
+     */
+    async importProfile(file) {
+        try {
+            const result = this.bindings.importProfile(await file.text());
+            const conflicted = Object.keys(result.conflicts);
+
+            this.setStatus(`Imported ${result.applied} bindings` +
+                (result.skipped.length ? `, skipped ${result.skipped.length}` : '') +
+                (conflicted.length ? ` - conflicts in ${conflicted.join(', ')}` : ''), conflicted.length > 0);
+        } catch (error) {
+            this.setStatus(`Import failed: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * 'moveForward' → 'Move forward'
+     * @param {string} action
+     * @returns {string}
+     */
+    formatAction(action) {
+        const words = action.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    /**
+     * Show status line, optionally with buttons
+     * @param {string} text
+     * @param {boolean} [isError]
+     * @param {Array<[string, string]>} [buttons] - [action, label] pairs
+     */
+    setStatus(text, isError = false, buttons = []) {
+        if (!this.status) return;
+
+        const message = document.createElement('span');
+        message.textContent = text;
+
+        this.status.replaceChildren(message, ...buttons.map(([action, label]) => this.createButton(action, label)));
+        this.status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Remove panel and listeners
+     */
+    dispose() {
+        this.bindings.cancelCapture();
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+
+        if (this.element) {
+            this.element.removeEventListener('click', this.onClick);
+            this.element.removeEventListener('change', this.onChange);
+            this.element.remove();
+            this.element = null;
+        }
+
+        this.visible = false;
+    }
+}
+
+export default KeyBindingsPanel;
@@ -0,0 +1,252 @@
+/**
+ * Module Panel
+ * Debug panel listing registered modules with hot disable/enable/reload buttons
+ *
+ * Shows per module: version, lifecycle state, errors and the scene objects,
+ * observers and listeners attributed to it (ResourceTracker).
+ *
+ * Usage:
+ *   legozo.toggleModulePanel();           // from the console
+ *   { "ui": { "modulePanel": true } }     // open on startup
+ */
+
+// Events that change what the panel shows
+const REFRESH_EVENTS = [
+    'module:state:transition',
+    'module:quarantined',
+    'module:disabled',
+    'module:enabled',
+    'module:reloaded'
+];
+
+export class ModulePanel {
+    /**
+     * @param {LegozoLoader} loader
+     */
+    constructor(loader) {
+        this.loader = loader;
+        this.element = null;
+        this.list = null;
+        this.status = null;
+        this.visible = false;
+        this.busy = false;
+        this.renderQueued = false;
+        this.unsubscribers = [];
+
+        this.onClick = this.onClick.bind(this);
+    }
+
+    /**
+     * Show or hide panel
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        if (visible && !this.element) {
+            this.create();
+        }
+
+        this.visible = visible;
+        this.element?.classList.toggle('hidden', !visible);
+
+        if (visible) {
+            this.subscribe();
+            this.render();
+        } else {
+            this.unsubscribe();
+        }
+    }
+
+    /**
+     * Build panel DOM
+     */
+    create() {
+        this.element = document.createElement('div');
+        this.element.className = 'module-panel hidden';
+
+        const header = document.createElement('div');
+        header.className = 'module-panel-header';
+
+        const title = document.createElement('span');
+        title.textContent = 'Modules';
+
+        const close = document.createElement('button');
+        close.className = 'module-panel-close';
+        close.textContent = '×';
+        close.dataset.action = 'close';
+
+        header.append(title, close);
+
+        this.list = document.createElement('ul');
+        this.list.className = 'module-panel-list';
+
+        this.status = document.createElement('div');
+        this.status.className = 'module-panel-status';
+
+        this.element.append(header, this.list, this.status);
+        this.element.addEventListener('click', this.onClick);
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Re-render on module events (batched per frame)
+     */
+    subscribe() {
+        if (this.unsubscribers.length > 0) return;
+
+        const events = this.loader.engine.events;
+        const schedule = () => {
+            if (this.renderQueued) return;
+            this.renderQueued = true;
+            requestAnimationFrame(() => {
+                this.renderQueued = false;
+                this.render();
+            });
+        };
+
+        this.unsubscribers = REFRESH_EVENTS.map(event => events.on(event, schedule));
+    }
+
+    unsubscribe() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Render module rows: loaded modules in load order, then the rest of the registry
+     */
+    render() {
+        if (!this.visible || !this.list) return;
+
+        const loaded = Array.from(this.loader.modules.keys());
+        const others = this.loader.registry.list()
+            .map(manifest => manifest.name)
+            .filter(name => !loaded.includes(name))
+            .sort();
+
+        this.list.replaceChildren(...[...loaded, ...others].map(name => this.createRow(name)));
+    }
+
+    /**
+     * Create row for a module
+     * @param {string} name - Module name
+     * @returns {HTMLElement}
+     */
+    createRow(name) {
+        const module = this.loader.modules.get(name);
+        const manifest = this.loader.registry.get(name);
+        const disabled = this.loader.disabled.get(name);
+        const quarantined = this.loader.quarantined.get(name);
+
+        const row = document.createElement('li');
+        row.className = 'module-panel-row';
+
+        const info = document.createElement('div');
+        info.className = 'module-panel-info';
+
+        const label = document.createElement('span');
+        label.className = 'module-panel-name';
+        label.textContent = `${name} v${module?.version || manifest?.version || '?'}`;
+        label.title = manifest?.description || '';
+
+        const state = module ? module.state
+            : quarantined ? quarantined.status
+            : disabled ? 'disabled' : 'not loaded';
+        const badge = document.createElement('span');
+        badge.className = `module-panel-state state-${state.replace(/\s+/g, '-')}`;
+        badge.textContent = disabled?.disabledBy ? `disabled (with ${disabled.disabledBy})` : state;
+        badge.title = quarantined?.reason || '';
+
+        info.append(label, badge);
+
+        const details = document.createElement('div');
+        details.className = 'module-panel-details';
+        if (module) {
+            const resources = this.loader.tracker.getSummary(name);
+            const errors = module.errors.length;
+            details.textContent = `${resources.objects} objects · ${resources.observers} observers · ` +
+                `${resources.listeners} listeners${errors ? ` · ${errors} errors` : ''}`;
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'module-panel-actions';
+        const buttons = module ? [['reload', 'Reload'], ['disable', 'Disable']] : [['enable', 'Enable']];
+
+        for (const [action, text] of buttons) {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.dataset.action = action;
+            button.dataset.module = name;
+            button.disabled = this.busy;
+            actions.appendChild(button);
+        }
+
+        row.append(info, details, actions);
+        return row;
+    }
+
+    /**
+     * Handle button clicks (delegated)
+     * @param {MouseEvent} e
+     */
+    async onClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const { action, module: name } = button.dataset;
+
+        if (action === 'close') {
+            this.setVisible(false);
+            return;
+        }
+
+        const operations = {
+            reload: () => this.loader.reloadModule(name),
+            disable: () => this.loader.disableModule(name),
+            enable: () => this.loader.enableModule(name)
+        };
+
+        this.busy = true;
+        this.setStatus(`${action} ${name}...`);
+        this.render();
+
+        try {
+            const result = await operations[action]();
+            const leaked = Object.values(result.leaks || {}).reduce((sum, leaks) => sum + leaks.total, 0);
+            this.setStatus(`${action}: ${result.modules.join(', ') || name}` +
+                (leaked ? ` (cleaned up ${leaked} leaked resources)` : ''));
+        } catch (error) {
+            this.setStatus(error.message, true);
+        } finally {
+            this.busy = false;
+            this.render();
+        }
+    }
+
+    /**
+     * Show status line
+     * @param {string} text
+     * @param {boolean} [isError]
+     */
+    setStatus(text, isError = false) {
+        if (!this.status) return;
+        this.status.textContent = text;
+        this.status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Remove panel and listeners
+     */
+    dispose() {
+        this.unsubscribe();
+
+        if (this.element) {
+            this.element.removeEventListener('click', this.onClick);
+            this.element.remove();
+            this.element = null;
+        }
+
+        this.visible = false;
+    }
+}
+
+export default ModulePanel;
@@ -6,6 +6,7 @@
  *   const loader = new TemplateLoader();
  *   await loader.load('loading-screen');
  *   await loader.loadMultiple(['properties-panel', 'control-panel']);
+ *   await loader.load('https://example.com/weather/panel.html'); // Module template by URL
  */
 
 export class TemplateLoader {
@@ -16,7 +17,7 @@ export class TemplateLoader {
 
     /**
      * Load a single template
-     * @param {string} templateName - Name of template file (without .html)
+     * @param {string} templateName - Name of template file (without .html), or path/URL ending in .html
      * @param {string|HTMLElement} target - Target element or selector to inject into
      * @returns {Promise<HTMLElement>} The injected element
      */
@@ -28,7 +29,7 @@ export class TemplateLoader {
         }
 
         // Load template
-        const path = `${this.basePath}${templateName}.html`;
+        const path = templateName.endsWith('.html') ? templateName : `${this.basePath}${templateName}.html`;
         try {
             const response = await fetch(path);
             if (!response.ok) {
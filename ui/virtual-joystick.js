@@ -0,0 +1,175 @@
+/**
+ * Virtual Joystick
+ * On-screen dual joystick for touch devices (feeds VirtualJoystickSource)
+ *
+ * Left pad walks (moveForward / moveRight), right pad looks around (lookAround).
+ * Each pad follows one finger via pointer capture, so both thumbs work at the
+ * same time and a drag that leaves the pad keeps steering. The knob's offset
+ * from the pad center, divided by the pad radius, is the stick value.
+ *
+ * Usage:
+ *   legozo.toggleVirtualJoystick();                 // from the console
+ *   { "ui": { "virtualJoystick": "auto" } }         // on touch screens (default)
+ *   { "ui": { "virtualJoystick": true } }           // always
+ */
+
+// Sides in DOM order
+const SIDES = ['left', 'right'];
+
+export class VirtualJoystick {
+    /**
+     * @param {VirtualJoystickSource} source - Input source the knobs drive
+     */
+    constructor(source) {
+        this.source = source;
+        this.element = null;
+        this.pads = new Map();      // side → { pad, knob, pointerId }
+        this.visible = false;
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+    }
+
+    /**
+     * True on devices whose main pointer is a finger ("auto" setting)
+     * @returns {boolean}
+     */
+    static isTouchDevice() {
+        return typeof matchMedia !== 'undefined' && matchMedia('(pointer: coarse)').matches;
+    }
+
+    /**
+     * Show or hide the joysticks
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        if (visible && !this.element) {
+            this.create();
+        }
+
+        this.visible = visible;
+        this.element?.classList.toggle('hidden', !visible);
+
+        // Hiding mid-drag must not leave the camera walking
+        if (!visible) {
+            this.pads.forEach((entry, side) => this.releasePad(side));
+        }
+    }
+
+    /**
+     * Build overlay DOM
+     */
+    create() {
+        this.element = document.createElement('div');
+        this.element.className = 'virtual-joystick hidden';
+
+        for (const side of SIDES) {
+            const pad = document.createElement('div');
+            pad.className = `virtual-joystick-pad virtual-joystick-${side}`;
+            pad.dataset.side = side;
+
+            const knob = document.createElement('div');
+            knob.className = 'virtual-joystick-knob';
+            pad.appendChild(knob);
+
+            pad.addEventListener('pointerdown', this.onPointerDown);
+            pad.addEventListener('pointermove', this.onPointerMove);
+            pad.addEventListener('pointerup', this.onPointerUp);
+            pad.addEventListener('pointercancel', this.onPointerUp);
+
+            this.pads.set(side, { pad, knob, pointerId: null });
+            this.element.appendChild(pad);
+        }
+
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * @param {PointerEvent} event
+     */
+    onPointerDown(event) {
+        const entry = this.pads.get(event.currentTarget.dataset.side);
+        if (entry.pointerId !== null) return;  // Already steered by another finger
+
+        event.preventDefault();
+        entry.pointerId = event.pointerId;
+        entry.pad.setPointerCapture(event.pointerId);
+        this.steer(entry, event);
+    }
+
+    /**
+     * @param {PointerEvent} event
+     */
+    onPointerMove(event) {
+        const entry = this.pads.get(event.currentTarget.dataset.side);
+        if (entry.pointerId !== event.pointerId) return;
+
+        event.preventDefault();
+        this.steer(entry, event);
+    }
+
+    /**
+     * @param {PointerEvent} event
+     */
+    onPointerUp(event) {
+        const side = event.currentTarget.dataset.side;
+        if (this.pads.get(side).pointerId !== event.pointerId) return;
+
+        this.releasePad(side);
+    }
+
+    /**
+     * Move the knob under the finger and send the stick value
+     * @param {Object} entry - Pad entry
+     * @param {PointerEvent} event
+     */
+    steer(entry, event) {
+        const rect = entry.pad.getBoundingClientRect();
+        const radius = rect.width / 2;
+        const x = (event.clientX - rect.left - radius) / radius;
+        const y = (event.clientY - rect.top - radius) / radius;
+
+        // Knob stays inside the pad (the source clamps the value the same way)
+        const length = Math.max(1, Math.hypot(x, y));
+        entry.knob.style.transform = `translate(${(x / length) * radius}px, ${(y / length) * radius}px)`;
+
+        this.source.move(entry.pad.dataset.side, x, y);
+    }
+
+    /**
+     * Let go of a pad: knob back to center, stick released
+     * @param {string} side - 'left' | 'right'
+     */
+    releasePad(side) {
+        const entry = this.pads.get(side);
+
+        if (entry.pointerId !== null && entry.pad.hasPointerCapture?.(entry.pointerId)) {
+            entry.pad.releasePointerCapture(entry.pointerId);
+        }
+        entry.pointerId = null;
+        entry.knob.style.transform = '';
+
+        this.source.release(side);
+    }
+
+    /**
+     * Remove overlay
+     */
+    dispose() {
+        this.pads.forEach(({ pad }, side) => {
+            this.releasePad(side);
+            pad.removeEventListener('pointerdown', this.onPointerDown);
+            pad.removeEventListener('pointermove', this.onPointerMove);
+            pad.removeEventListener('pointerup', this.onPointerUp);
+            pad.removeEventListener('pointercancel', this.onPointerUp);
+        });
+        this.pads.clear();
+
+        this.element?.remove();
+        this.element = null;
+        this.visible = false;
+    }
+}
+
+export default VirtualJoystick;